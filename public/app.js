@@ -1,29 +1,383 @@
 class AdvancedChatbot {
     constructor() {
         this.socket = null;
+        this.auth = null;
+        this.recovering = false;
+        this.twoFactorChallenge = null;
+        this.currentPassword = null;
+        this.passwordChangePending = false;
+        this.resetToken = null;
         this.currentConversationId = null;
         this.conversations = new Map();
         this.settings = {
             temperature: 0.7,
             maxTokens: 4000,
             streamEnabled: true,
-            username: 'User',
             theme: 'dark'
         };
         this.isTyping = false;
         this.uploadedFiles = [];
+        this.workspaceId = null; // repository archive unpacked for the next message
         this.currentMessage = null;
+        this.editingMessageId = null;
         
         this.init();
     }
 
     init() {
         this.loadSettings();
-        this.initSocket();
+        this.loadAuth();
         this.setupEventListeners();
         this.setupFileDropZone();
         this.createNewConversation();
         this.updateUI();
+
+        if (this.handleMailLink()) return;
+
+        if (this.auth) {
+            this.initSocket();
+        } else {
+            this.showLogin();
+        }
+    }
+
+    // Links from password reset and verification mails land on /?reset=... or
+    // /?verify=..., registration invites on /?invite=...
+    handleMailLink() {
+        const params = new URLSearchParams(window.location.search);
+        const resetToken = params.get('reset');
+        const verifyToken = params.get('verify');
+        const inviteCode = params.get('invite');
+        if (!resetToken && !verifyToken && !inviteCode) return false;
+
+        window.history.replaceState(null, '', window.location.pathname);
+
+        if (inviteCode) {
+            toggleLoginMode();
+            this.showRegistration(inviteCode);
+            return true;
+        }
+
+        if (verifyToken) {
+            this.verifyEmail(verifyToken);
+            return false;
+        }
+
+        this.resetToken = resetToken;
+        this.showResetStep();
+        return true;
+    }
+
+    async verifyEmail(token) {
+        try {
+            const response = await fetch('/api/auth/email/verify', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ token })
+            });
+            const data = await response.json();
+
+            if (!response.ok) {
+                throw new Error(data.error || 'Verification failed');
+            }
+            this.showSuccess('Email address confirmed');
+        } catch (error) {
+            this.showError(error.message);
+        }
+    }
+
+    async requestPasswordReset(identifier) {
+        const response = await fetch('/api/auth/password/forgot', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(identifier.includes('@') ? { email: identifier } : { username: identifier })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Could not request a password reset');
+        }
+        this.showLogin(data.message);
+    }
+
+    async resetPassword(newPassword) {
+        const response = await fetch('/api/auth/password/reset', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ token: this.resetToken, newPassword })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Password reset failed');
+        }
+
+        // Every session was signed out; sign in again with the new password
+        this.resetToken = null;
+        this.showResetStep(false);
+        this.logout(data.message);
+    }
+
+    // The login form just switched to registration; the invite code field
+    // is required when the server only takes invited sign-ups
+    async showRegistration(inviteCode = '') {
+        const inviteInput = document.getElementById('loginInvite');
+        if (inviteCode && inviteInput) inviteInput.value = inviteCode;
+        this.showLogin(inviteCode ? 'You have been invited, create your account' : '');
+
+        try {
+            const response = await fetch('/api/auth/registration');
+            const { inviteRequired, mode } = await response.json();
+
+            if (inviteInput) {
+                inviteInput.required = inviteRequired;
+                inviteInput.placeholder = inviteRequired ? 'Invite code' : 'Invite code (optional)';
+            }
+            if (mode === 'approval' && !inviteCode) {
+                this.showLogin('New accounts need an admin\'s approval before they can sign in');
+            }
+        } catch (error) {
+            // Leave the field optional; the server has the final say
+        }
+    }
+
+    // Only the new password field is shown while following a reset link
+    showResetStep(visible = true) {
+        for (const id of ['loginUsername', 'loginPassword']) {
+            const input = document.getElementById(id);
+            if (!input) continue;
+            input.style.display = visible ? 'none' : '';
+            input.required = !visible;
+        }
+
+        const forgot = document.getElementById('loginForgot');
+        if (forgot) forgot.style.display = visible ? 'none' : '';
+
+        this.showPasswordChangeStep(visible);
+        if (visible) this.showLogin('Choose a new password for your account');
+    }
+
+    loadAuth() {
+        const saved = localStorage.getItem('chatbot-auth');
+        if (saved) {
+            try {
+                this.auth = JSON.parse(saved);
+            } catch (error) {
+                localStorage.removeItem('chatbot-auth');
+            }
+        }
+        this.updateCurrentUser();
+    }
+
+    async login(username, password, email = null, inviteCode = null) {
+        const endpoint = email ? '/api/auth/register' : '/api/auth/login';
+        const response = await fetch(endpoint, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(email
+                ? { username, password, email, ...(inviteCode && { inviteCode }) }
+                : { username, password })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Sign in failed');
+        }
+
+        // Registration went into the approval queue; nothing to sign in to yet
+        if (data.pendingApproval) {
+            this.showLogin(data.message);
+            return;
+        }
+
+        // Kept in memory only, in case the server asks for a new password
+        this.currentPassword = password;
+
+        if (data.twoFactorRequired) {
+            this.twoFactorChallenge = data.challengeToken;
+            this.showTwoFactorStep();
+            return;
+        }
+
+        this.completeLogin(data);
+    }
+
+    // Second login step: a code from the authenticator app, or a recovery code
+    async submitTwoFactor(code) {
+        const response = await fetch('/api/auth/login/2fa', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({
+                challengeToken: this.twoFactorChallenge,
+                ...(code.includes('-') ? { recoveryCode: code } : { code })
+            })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            // Challenge expired: start over from the password step
+            if (/challenge/i.test(data.error || '')) {
+                this.twoFactorChallenge = null;
+                this.showTwoFactorStep(false);
+            }
+            throw new Error(data.error || 'Sign in failed');
+        }
+
+        this.twoFactorChallenge = null;
+        this.showTwoFactorStep(false);
+        this.completeLogin(data);
+    }
+
+    showTwoFactorStep(visible = true) {
+        const codeInput = document.getElementById('loginCode');
+        if (!codeInput) return;
+
+        codeInput.style.display = visible ? '' : 'none';
+        codeInput.required = visible;
+        codeInput.value = '';
+        if (visible) {
+            codeInput.focus();
+            this.showLogin('Enter the code from your authenticator app');
+        }
+    }
+
+    completeLogin(data) {
+        this.saveAuth(data);
+        this.updateCurrentUser();
+
+        if (data.pendingAction === 'password_change') {
+            this.showPasswordChangeStep();
+            return;
+        }
+
+        this.currentPassword = null;
+
+        // e.g. an admin who still has to enroll in two-factor authentication
+        if (data.pendingAction) {
+            this.showLogin('Two-factor authentication must be set up before continuing (see /api/auth/2fa/setup)');
+            return;
+        }
+
+        this.hideLogin();
+        this.initSocket();
+    }
+
+    // First sign-in with a temporary password (e.g. the admin setup token)
+    async changePassword(newPassword) {
+        const response = await fetch('/api/auth/profile', {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                'Authorization': `Bearer ${this.auth.token}`
+            },
+            body: JSON.stringify({ currentPassword: this.currentPassword, newPassword })
+        });
+        const data = await response.json();
+
+        if (!response.ok) {
+            throw new Error(data.error || 'Password change failed');
+        }
+
+        this.showPasswordChangeStep(false);
+        this.completeLogin(data);
+    }
+
+    showPasswordChangeStep(visible = true) {
+        const passwordInput = document.getElementById('loginNewPassword');
+        if (!passwordInput) return;
+
+        this.passwordChangePending = visible;
+        passwordInput.style.display = visible ? '' : 'none';
+        passwordInput.required = visible;
+        passwordInput.value = '';
+        if (visible) {
+            passwordInput.focus();
+            this.showLogin('Choose a new password to continue');
+        }
+    }
+
+    saveAuth(data) {
+        this.auth = { token: data.token, refreshToken: data.refreshToken, user: data.user };
+        localStorage.setItem('chatbot-auth', JSON.stringify(this.auth));
+    }
+
+    // Access tokens are short-lived; trade the refresh token for a new one
+    async refreshSession() {
+        if (!this.auth?.refreshToken) return false;
+
+        try {
+            const response = await fetch('/api/auth/refresh', {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ refreshToken: this.auth.refreshToken })
+            });
+            if (!response.ok) return false;
+
+            this.saveAuth(await response.json());
+            return true;
+        } catch (error) {
+            return false;
+        }
+    }
+
+    // Reconnect with a refreshed token, or sign out if the session is gone
+    async recoverSession() {
+        if (this.recovering) return;
+        this.recovering = true;
+
+        const refreshed = await this.refreshSession();
+        this.recovering = false;
+
+        if (refreshed && this.socket) {
+            this.socket.connect();
+        } else {
+            this.logout('Your session has expired, please sign in again');
+        }
+    }
+
+    logout(message = '') {
+        if (this.socket) {
+            this.socket.disconnect();
+            this.socket = null;
+        }
+
+        // End the session server-side too; nothing to do if it's already gone
+        if (this.auth?.token) {
+            fetch('/api/auth/logout', {
+                method: 'POST',
+                headers: { 'Authorization': `Bearer ${this.auth.token}` }
+            }).catch(() => {});
+        }
+
+        // Conversations cached locally belong to the signed-out user
+        this.auth = null;
+        this.currentPassword = null;
+        this.twoFactorChallenge = null;
+        this.showTwoFactorStep(false);
+        this.showPasswordChangeStep(false);
+        localStorage.removeItem('chatbot-auth');
+        localStorage.removeItem('chatbot-conversations');
+        this.conversations.clear();
+        this.createNewConversation();
+        this.updateCurrentUser();
+        this.showLogin(message);
+    }
+
+    showLogin(message = '') {
+        const overlay = document.getElementById('loginOverlay');
+        const error = document.getElementById('loginError');
+        if (overlay) overlay.classList.add('active');
+        if (error) error.textContent = message;
+    }
+
+    hideLogin() {
+        const overlay = document.getElementById('loginOverlay');
+        if (overlay) overlay.classList.remove('active');
+    }
+
+    updateCurrentUser() {
+        const currentUser = document.getElementById('currentUser');
+        if (currentUser) currentUser.textContent = this.auth?.user?.username || '-';
     }
 
     loadSettings() {
@@ -43,7 +397,6 @@ class AdvancedChatbot {
         const tempValueElement = document.getElementById('temperatureValue');
         const maxTokensElement = document.getElementById('maxTokens');
         const streamEnabledElement = document.getElementById('streamEnabled');
-        const usernameElement = document.getElementById('username');
         const themeElement = document.getElementById('theme');
         const streamToggleElement = document.getElementById('streamToggle');
 
@@ -51,13 +404,20 @@ class AdvancedChatbot {
         if (tempValueElement) tempValueElement.textContent = this.settings.temperature;
         if (maxTokensElement) maxTokensElement.value = this.settings.maxTokens;
         if (streamEnabledElement) streamEnabledElement.checked = this.settings.streamEnabled;
-        if (usernameElement) usernameElement.value = this.settings.username;
         if (themeElement) themeElement.value = this.settings.theme;
         if (streamToggleElement) streamToggleElement.classList.toggle('active', this.settings.streamEnabled);
     }
 
     initSocket() {
-        this.socket = io();
+        // A function, so reconnects pick up the latest access token
+        this.socket = io({ auth: (cb) => cb({ token: this.auth?.token }) });
+
+        this.socket.on('connect_error', (error) => {
+            console.error('❌ Connection refused:', error.message);
+            if (error.message === 'Authentication required') {
+                this.recoverSession();
+            }
+        });
         
         this.socket.on('connect', () => {
             console.log('🔌 Connected to server');
@@ -65,9 +425,14 @@ class AdvancedChatbot {
             this.joinCurrentConversation();
         });
 
-        this.socket.on('disconnect', () => {
+        this.socket.on('disconnect', (reason) => {
             console.log('❌ Disconnected from server');
             this.updateConnectionStatus(false);
+
+            // The server hangs up on revoked sessions
+            if (reason === 'io server disconnect') {
+                this.recoverSession();
+            }
         });
 
         this.socket.on('message_received', (data) => {
@@ -79,6 +444,7 @@ class AdvancedChatbot {
         this.socket.on('message_start', (data) => {
             console.log('🚀 Streaming started:', data);
             this.currentMessage = this.createStreamingMessage(data);
+            this.setStopVisible(true);
         });
 
         this.socket.on('message_chunk', (data) => {
@@ -90,9 +456,10 @@ class AdvancedChatbot {
         this.socket.on('message_complete', (data) => {
             console.log('✅ Streaming complete');
             if (this.currentMessage) {
-                this.finalizeStreamingMessage(this.currentMessage, data.content);
+                this.finalizeStreamingMessage(this.currentMessage, data.content, data);
                 this.currentMessage = null;
             }
+            this.setStopVisible(false);
             this.hideTypingIndicator();
         });
 
@@ -101,6 +468,7 @@ class AdvancedChatbot {
                 this.showTypingIndicator();
             } else {
                 this.hideTypingIndicator();
+                this.setStopVisible(false);
             }
         });
 
@@ -119,13 +487,32 @@ class AdvancedChatbot {
 
         this.socket.on('error', (error) => {
             console.error('❌ Socket error:', error);
+            if (error.uploadId) {
+                this.uploadedFiles = this.uploadedFiles.filter(file => file.uploadId !== error.uploadId);
+                this.updateFileDisplay();
+            }
             this.showError(error.message);
         });
 
+        this.socket.on('conversation_removed', (data) => {
+            if (data.conversationId === this.currentConversationId) {
+                this.showError('You no longer have access to this conversation');
+                this.createNewConversation();
+            }
+        });
+
         this.socket.on('file_uploaded', (data) => {
             this.handleFileUploaded(data);
         });
 
+        this.socket.on('upload_progress', (data) => {
+            const file = this.uploadedFiles.find(entry => entry.uploadId === data.uploadId);
+            if (file) {
+                file.progress = data.offset / data.length;
+                this.updateFileDisplay();
+            }
+        });
+
         this.socket.on('server_stats', (stats) => {
             this.updateServerStats(stats);
         });
@@ -163,15 +550,6 @@ class AdvancedChatbot {
             });
         }
 
-        // Username
-        const usernameInput = document.getElementById('username');
-        if (usernameInput) {
-            usernameInput.addEventListener('change', (e) => {
-                this.settings.username = e.target.value;
-                this.saveSettings();
-            });
-        }
-
         // Theme
         const themeSelect = document.getElementById('theme');
         if (themeSelect) {
@@ -186,6 +564,15 @@ class AdvancedChatbot {
         const messageInput = document.getElementById('messageInput');
         if (messageInput) {
             let typingTimer;
+            messageInput.dataset.placeholder = messageInput.placeholder;
+
+            messageInput.addEventListener('keydown', (e) => {
+                if (e.key === 'Escape' && this.editingMessageId) {
+                    messageInput.value = '';
+                    this.cancelEdit();
+                    this.updateSendButton();
+                }
+            });
             
             messageInput.addEventListener('input', () => {
                 if (!this.isTyping && this.socket) {
@@ -240,8 +627,7 @@ class AdvancedChatbot {
         if (this.currentConversationId && this.socket) {
             console.log('🔗 Joining conversation:', this.currentConversationId);
             this.socket.emit('join', {
-                conversationId: this.currentConversationId,
-                username: this.settings.username
+                conversationId: this.currentConversationId
             });
         }
     }
@@ -277,6 +663,11 @@ class AdvancedChatbot {
         
         if (!message) return;
 
+        if (this.uploadedFiles.some(file => !file.id)) {
+            this.showError('Please wait until your files have finished uploading');
+            return;
+        }
+
         const options = {
             temperature: this.settings.temperature,
             maxTokens: this.settings.maxTokens,
@@ -287,18 +678,23 @@ class AdvancedChatbot {
         input.value = '';
         this.autoResize(input);
 
-        // Emit message to server
+        // Emit message to server; an edit branches off the original message
         if (this.socket) {
             this.socket.emit('chat_message', {
                 message,
                 conversationId: this.currentConversationId,
+                editId: this.editingMessageId || undefined,
                 options,
-                files: this.uploadedFiles
+                files: this.uploadedFiles.map(file => file.id),
+                workspaceId: this.workspaceId || undefined
             });
         }
+        this.cancelEdit();
 
-        // Clear uploaded files after sending
+        // Clear uploaded files after sending; the server remembers the
+        // workspace for the conversation
         this.uploadedFiles = [];
+        this.workspaceId = null;
         this.updateFileDisplay();
 
         // Update send button state
@@ -323,7 +719,7 @@ class AdvancedChatbot {
 
         const avatar = document.createElement('div');
         avatar.className = 'message-avatar';
-        avatar.textContent = data.role === 'user' ? this.settings.username.charAt(0).toUpperCase() : 'AI';
+        avatar.textContent = data.role === 'user' ? (data.username || this.auth?.user?.username || 'U').charAt(0).toUpperCase() : 'AI';
 
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
@@ -337,7 +733,10 @@ class AdvancedChatbot {
         timeDiv.textContent = new Date(data.timestamp).toLocaleTimeString();
 
         messageDiv.appendChild(avatar);
+        const sources = this.createSourcesList(data.sources || data.metadata?.sources);
+        if (sources) contentDiv.appendChild(sources);
         contentDiv.appendChild(timeDiv);
+        contentDiv.appendChild(this.createMessageActions(data));
         messageDiv.appendChild(contentDiv);
 
         messagesContainer.appendChild(messageDiv);
@@ -359,6 +758,21 @@ class AdvancedChatbot {
         }
     }
 
+    // The file excerpts a reply was given, as "[1] report.pdf, p. 40" or
+    // "[2] src/app.js, lines 10-42"
+    createSourcesList(sources) {
+        if (!sources || sources.length === 0) return null;
+
+        const div = document.createElement('div');
+        div.className = 'message-sources';
+        div.textContent = 'Sources: ' + sources.map(source => {
+            if (source.path) return `[${source.index}] ${source.path}, lines ${source.lines}`;
+            const where = source.page ? `p. ${source.page}` : source.section ? `§ ${source.section}` : `lines ${source.lines}`;
+            return `[${source.index}] ${source.fileName}, ${where}`;
+        }).join(' · ');
+        return div;
+    }
+
     createStreamingMessage(data) {
         const messagesContainer = document.getElementById('messagesContainer');
         if (!messagesContainer) return null;
@@ -405,17 +819,27 @@ class AdvancedChatbot {
         this.scrollToBottom();
     }
 
-    finalizeStreamingMessage(messageData, finalContent) {
+    finalizeStreamingMessage(messageData, finalContent, data = {}) {
         if (!messageData) return;
         
         const processedContent = this.processMessageContent(finalContent);
-        messageData.contentDiv.innerHTML = processedContent;
+        messageData.contentDiv.innerHTML = processedContent +
+            (data.cancelled ? '<div class="message-stopped"><em>(stopped)</em></div>' : '');
+
+        const sources = this.createSourcesList(data.sources);
+        if (sources) messageData.contentDiv.appendChild(sources);
         
         // Re-add time
         const timeDiv = document.createElement('div');
         timeDiv.className = 'message-time';
         timeDiv.textContent = new Date().toLocaleTimeString();
         messageData.contentDiv.appendChild(timeDiv);
+        messageData.contentDiv.appendChild(this.createMessageActions({
+            id: messageData.element.dataset.messageId,
+            role: 'assistant',
+            content: finalContent,
+            branch: data.branch
+        }));
 
         // Update conversation
         if (this.conversations.has(this.currentConversationId)) {
@@ -430,6 +854,107 @@ class AdvancedChatbot {
         }
     }
 
+    // Abort the reply currently streaming in; the partial text is kept
+    stopGeneration() {
+        if (!this.currentMessage || !this.socket) return;
+
+        this.socket.emit('cancel_generation', { id: this.currentMessage.element.dataset.messageId });
+    }
+
+    setStopVisible(visible) {
+        const stopBtn = document.getElementById('stopBtn');
+        if (stopBtn) stopBtn.classList.toggle('visible', visible);
+    }
+
+    // Edit / regenerate buttons plus "< 2/3 >" navigation between sibling branches
+    createMessageActions(data) {
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const branch = data.branch;
+        if (branch && branch.count > 1) {
+            const nav = document.createElement('span');
+            nav.className = 'branch-nav';
+
+            const prev = document.createElement('button');
+            prev.textContent = '<';
+            prev.disabled = branch.index <= 1;
+            prev.addEventListener('click', () => this.switchBranch(branch.siblings[branch.index - 2]));
+
+            const position = document.createElement('span');
+            position.textContent = `${branch.index}/${branch.count}`;
+
+            const next = document.createElement('button');
+            next.textContent = '>';
+            next.disabled = branch.index >= branch.count;
+            next.addEventListener('click', () => this.switchBranch(branch.siblings[branch.index]));
+
+            nav.append(prev, position, next);
+            actions.appendChild(nav);
+        }
+
+        if (data.id && data.role === 'user') {
+            const edit = document.createElement('button');
+            edit.title = 'Edit message';
+            edit.innerHTML = '<i class="fas fa-pen"></i>';
+            edit.addEventListener('click', () => this.startEdit(data));
+            actions.appendChild(edit);
+        }
+
+        if (data.id && data.role === 'assistant') {
+            const regenerate = document.createElement('button');
+            regenerate.title = 'Regenerate response';
+            regenerate.innerHTML = '<i class="fas fa-redo"></i>';
+            regenerate.addEventListener('click', () => this.regenerate(data.id));
+            actions.appendChild(regenerate);
+        }
+
+        return actions;
+    }
+
+    switchBranch(messageId) {
+        if (this.socket && messageId) {
+            this.socket.emit('switch_branch', {
+                conversationId: this.currentConversationId,
+                messageId
+            });
+        }
+    }
+
+    startEdit(data) {
+        const input = document.getElementById('messageInput');
+        if (!input) return;
+
+        this.editingMessageId = data.id;
+        input.value = data.content;
+        input.placeholder = 'Editing message - send to create a new branch (Esc to cancel)';
+        input.focus();
+        this.autoResize(input);
+        this.updateSendButton();
+    }
+
+    cancelEdit() {
+        const input = document.getElementById('messageInput');
+        if (this.editingMessageId && input) {
+            input.placeholder = input.dataset.placeholder || '';
+        }
+        this.editingMessageId = null;
+    }
+
+    regenerate(messageId) {
+        if (this.socket) {
+            this.socket.emit('chat_message', {
+                conversationId: this.currentConversationId,
+                regenerateId: messageId,
+                options: {
+                    temperature: this.settings.temperature,
+                    maxTokens: this.settings.maxTokens,
+                    stream: this.settings.streamEnabled
+                }
+            });
+        }
+    }
+
     processMessageContent(content) {
         try {
             // Convert markdown to HTML
@@ -562,42 +1087,137 @@ class AdvancedChatbot {
 
     async processFiles(files) {
         for (const file of files) {
-            try {
-                const fileData = await this.readFileAsBase64(file);
-                
-                // Add to uploaded files
-                this.uploadedFiles.push({
-                    name: file.name,
-                    size: file.size,
-                    type: file.type,
-                    data: fileData
-                });
+            // Messages attach files by the ID the server answers with
+            const entry = {
+                uploadId: null,
+                id: null,
+                name: file.name,
+                size: file.size,
+                type: file.type,
+                progress: 0
+            };
+            this.uploadedFiles.push(entry);
+            this.updateFileDisplay();
 
-                // Emit file upload to server for analysis
-                if (this.socket) {
-                    this.socket.emit('file_upload', {
-                        fileData,
-                        filename: file.name,
-                        conversationId: this.currentConversationId
-                    });
+            try {
+                const uploaded = await this.uploadResumable(file, entry);
+                if (/\.(zip|tar|tgz|gz)$/i.test(file.name)) {
+                    this.uploadedFiles = this.uploadedFiles.filter(other => other !== entry);
+                    await this.createWorkspace(uploaded);
+                    continue;
                 }
-
+                this.handleFileUploaded({
+                    uploadId: entry.uploadId,
+                    fileId: uploaded.id,
+                    filename: uploaded.originalName,
+                    file: uploaded,
+                    analysis: uploaded.analysis
+                });
             } catch (error) {
-                console.error('File processing error:', error);
-                this.showError(`Failed to process file: ${file.name}`);
+                console.error('File upload error:', error);
+                this.uploadedFiles = this.uploadedFiles.filter(other => other !== entry);
+                this.updateFileDisplay();
+                this.showError(`Failed to upload ${file.name}: ${error.message}`);
             }
         }
+    }
+
+    // A repository archive becomes a workspace: its code is searched for
+    // each question, and @path/to/file pulls a file into the context
+    async createWorkspace(file) {
+        const response = await fetch('/api/workspaces', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', 'Authorization': `Bearer ${this.auth.token}` },
+            body: JSON.stringify({ fileId: file.id })
+        });
+        const data = await response.json();
+        if (!response.ok) throw new Error(data.error || 'Could not unpack the archive');
 
+        this.workspaceId = data.workspace.id;
         this.updateFileDisplay();
+        this.showSuccess(`Workspace "${data.workspace.name}" is ready (${data.workspace.fileCount} files). ` +
+            'Mention files as @path/to/file in your message.');
     }
 
-    readFileAsBase64(file) {
-        return new Promise((resolve, reject) => {
-            const reader = new FileReader();
-            reader.onload = () => resolve(reader.result.split(',')[1]);
-            reader.onerror = reject;
-            reader.readAsDataURL(file);
-        });
+    // Upload in chunks through /api/files/uploads (tus protocol). The upload
+    // URL is remembered per file, so after a dropped connection or a reload
+    // the same file continues where the server left off.
+    async uploadResumable(file, entry) {
+        const chunkSize = 5 * 1024 * 1024;
+        const headers = { 'Authorization': `Bearer ${this.auth.token}`, 'Tus-Resumable': '1.0.0' };
+        const key = `upload:${file.name}:${file.size}:${file.lastModified}`;
+        const encode = (bytes) => btoa(String.fromCharCode(...new Uint8Array(bytes)));
+
+        const currentOffset = async (url) => {
+            const response = await fetch(url, { method: 'HEAD', headers });
+            return response.ok ? Number(response.headers.get('Upload-Offset')) : null;
+        };
+
+        let url = localStorage.getItem(key);
+        let offset = url ? await currentOffset(url) : null;
+
+        if (offset === null) {
+            const metadata = [
+                `filename ${encode(new TextEncoder().encode(file.name))}`,
+                `filetype ${encode(new TextEncoder().encode(file.type || 'application/octet-stream'))}`
+            ].join(',');
+            const response = await fetch('/api/files/uploads', {
+                method: 'POST',
+                headers: { ...headers, 'Upload-Length': String(file.size), 'Upload-Metadata': metadata }
+            });
+            const data = await response.json();
+            if (!response.ok) throw new Error(data.error || 'Upload failed');
+
+            url = response.headers.get('Location');
+            offset = 0;
+            localStorage.setItem(key, url);
+        }
+
+        entry.uploadId = url.split('/').pop();
+        let failures = 0;
+
+        while (true) {
+            const chunk = await file.slice(offset, offset + chunkSize).arrayBuffer();
+            const chunkHeaders = {
+                ...headers,
+                'Content-Type': 'application/offset+octet-stream',
+                'Upload-Offset': String(offset)
+            };
+            // crypto.subtle only exists on https and localhost
+            if (window.crypto?.subtle) {
+                chunkHeaders['Upload-Checksum'] = `sha256 ${encode(await crypto.subtle.digest('SHA-256', chunk))}`;
+            }
+
+            let response = null;
+            try {
+                response = await fetch(url, { method: 'PATCH', headers: chunkHeaders, body: chunk });
+            } catch (error) {
+                // Network error; ask the server how far it got and retry
+            }
+
+            if (response?.status === 200) {
+                localStorage.removeItem(key);
+                return (await response.json()).file;
+            }
+
+            if (response?.status === 204) {
+                offset = Number(response.headers.get('Upload-Offset'));
+                failures = 0;
+                continue;
+            }
+
+            const retryable = !response || response.status === 409 || response.status === 460 || response.status >= 500;
+            if (!retryable || ++failures > 3) {
+                if (response?.status === 404) localStorage.removeItem(key);
+                const data = response ? await response.json().catch(() => ({})) : {};
+                throw new Error(data.error || 'Upload failed');
+            }
+
+            await new Promise(resolve => setTimeout(resolve, 1000 * failures));
+            const resumed = await currentOffset(url).catch(() => null);
+            if (resumed === null) throw new Error('Upload was lost; please try again');
+            offset = resumed;
+        }
     }
 
     updateFileDisplay() {
@@ -607,6 +1227,12 @@ class AdvancedChatbot {
 
     handleFileUploaded(data) {
         console.log('File uploaded and analyzed:', data);
+        const file = this.uploadedFiles.find(entry => entry.uploadId === data.uploadId);
+        if (file) {
+            file.id = data.fileId;
+            this.updateFileDisplay();
+        }
+
         this.showSuccess(`File "${data.filename}" uploaded and analyzed successfully!`);
     }
 
@@ -749,6 +1375,12 @@ function sendMessage() {
     }
 }
 
+function stopGeneration() {
+    if (chatbot) {
+        chatbot.stopGeneration();
+    }
+}
+
 function createNewConversation() {
     if (chatbot) {
         chatbot.createNewConversation();
@@ -784,6 +1416,67 @@ function handleFileUpload(event) {
     }
 }
 
+function submitLogin(event) {
+    event.preventDefault();
+    if (!chatbot) return;
+
+    const username = document.getElementById('loginUsername').value.trim();
+    const password = document.getElementById('loginPassword').value;
+    const emailInput = document.getElementById('loginEmail');
+    const email = emailInput.style.display === 'none' ? null : emailInput.value.trim();
+    const inviteCode = document.getElementById('loginInvite').value.trim();
+
+    let pending;
+    if (chatbot.resetToken) {
+        pending = chatbot.resetPassword(document.getElementById('loginNewPassword').value);
+    } else if (chatbot.passwordChangePending) {
+        pending = chatbot.changePassword(document.getElementById('loginNewPassword').value);
+    } else if (chatbot.twoFactorChallenge) {
+        pending = chatbot.submitTwoFactor(document.getElementById('loginCode').value.trim());
+    } else {
+        pending = chatbot.login(username, password, email, inviteCode);
+    }
+
+    pending.catch(error => {
+        chatbot.showLogin(error.message);
+    });
+}
+
+function forgotPassword() {
+    if (!chatbot) return;
+
+    const identifier = document.getElementById('loginUsername').value.trim();
+    if (!identifier) {
+        chatbot.showLogin('Enter your username or email address, then click "Forgot password?"');
+        return;
+    }
+
+    chatbot.requestPasswordReset(identifier).catch(error => {
+        chatbot.showLogin(error.message);
+    });
+}
+
+function toggleLoginMode() {
+    const emailInput = document.getElementById('loginEmail');
+    const inviteInput = document.getElementById('loginInvite');
+    const registering = emailInput.style.display === 'none';
+
+    emailInput.style.display = registering ? '' : 'none';
+    emailInput.required = registering;
+    inviteInput.style.display = registering ? '' : 'none';
+    if (!registering) inviteInput.required = false;
+    document.getElementById('loginSubmit').textContent = registering ? 'Create account' : 'Sign in';
+    document.getElementById('loginToggle').textContent = registering ? 'Have an account? Sign in' : 'No account? Register';
+
+    if (registering && chatbot) chatbot.showRegistration();
+}
+
+function logout() {
+    if (chatbot) {
+        chatbot.logout();
+    }
+}
+
 function toggleMicrophone() {
     // Voice input functionality can be added here
     console.log('Microphone toggle clicked');
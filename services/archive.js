@@ -0,0 +1,240 @@
+import zlib from 'zlib';
+import { HttpError } from './errors.js';
+
+// Readers for .zip, .tar and .tar.gz archives held in memory. They only
+// list entries; nothing is written to disk here. Each entry has a path (as
+// stored, not yet checked), a type (file, directory, link or other) and,
+// for files, read(maxBytes) returning its contents. Decompression stops at
+// maxBytes, so a small archive can't inflate into an unbounded buffer.
+// Zip64, encrypted entries and compression methods other than store and
+// deflate are not supported.
+
+const ZIP_LOCAL_HEADER = 0x04034b50;
+const ZIP_CENTRAL_HEADER = 0x02014b50;
+const ZIP_END_OF_DIRECTORY = 0x06054b50;
+const S_IFMT = 0o170000;
+const S_IFLNK = 0o120000;
+const TAR_BLOCK = 512;
+
+export function readArchive(buffer, { maxBytes = Infinity } = {}) {
+    if (buffer.length < 4) {
+        throw new HttpError(400, 'Not a .zip, .tar or .tar.gz archive');
+    }
+
+    if (buffer[0] === 0x1f && buffer[1] === 0x8b) {
+        let tar;
+        try {
+            tar = zlib.gunzipSync(buffer, { maxOutputLength: maxBytes === Infinity ? undefined : maxBytes });
+        } catch (error) {
+            throw error.code === 'ERR_BUFFER_TOO_LARGE'
+                ? new HttpError(413, 'Archive is too large once decompressed')
+                : new HttpError(400, `Invalid gzip data: ${error.message}`);
+        }
+        return readTar(tar);
+    }
+
+    if (buffer.readUInt32LE(0) === ZIP_LOCAL_HEADER || buffer.readUInt32LE(0) === ZIP_END_OF_DIRECTORY) {
+        return readZip(buffer);
+    }
+
+    if (buffer.length >= TAR_BLOCK && isTarHeader(buffer.subarray(0, TAR_BLOCK))) {
+        return readTar(buffer);
+    }
+
+    throw new HttpError(400, 'Not a .zip, .tar or .tar.gz archive');
+}
+
+export function readZip(buffer) {
+    const end = findEndOfDirectory(buffer);
+    const count = buffer.readUInt16LE(end + 10);
+    const directoryOffset = buffer.readUInt32LE(end + 16);
+
+    if (count === 0xffff || directoryOffset === 0xffffffff) {
+        throw new HttpError(400, 'Zip64 archives are not supported');
+    }
+
+    const entries = [];
+    let offset = directoryOffset;
+
+    for (let i = 0; i < count; i++) {
+        if (offset + 46 > buffer.length || buffer.readUInt32LE(offset) !== ZIP_CENTRAL_HEADER) {
+            throw new HttpError(400, 'Corrupt zip central directory');
+        }
+
+        const madeBy = buffer.readUInt16LE(offset + 4) >> 8;
+        const flags = buffer.readUInt16LE(offset + 8);
+        const method = buffer.readUInt16LE(offset + 10);
+        const compressedSize = buffer.readUInt32LE(offset + 20);
+        const size = buffer.readUInt32LE(offset + 24);
+        const nameLength = buffer.readUInt16LE(offset + 28);
+        const extraLength = buffer.readUInt16LE(offset + 30);
+        const commentLength = buffer.readUInt16LE(offset + 32);
+        const mode = buffer.readUInt32LE(offset + 38) >>> 16;
+        const localOffset = buffer.readUInt32LE(offset + 42);
+        const path = buffer.toString('utf-8', offset + 46, offset + 46 + nameLength);
+        offset += 46 + nameLength + extraLength + commentLength;
+
+        let type = 'file';
+        if (path.endsWith('/')) type = 'directory';
+        else if (madeBy === 3 && (mode & S_IFMT) === S_IFLNK) type = 'link'; // made on Unix
+        else if (flags & 1) type = 'other'; // encrypted
+
+        entries.push({
+            path,
+            type,
+            size,
+            read: (maxBytes = Infinity) => readZipEntry(buffer, { path, method, compressedSize, size, localOffset }, maxBytes)
+        });
+    }
+
+    return entries;
+}
+
+function findEndOfDirectory(buffer) {
+    // The record is 22 bytes plus a comment of up to 64 KiB
+    const stop = Math.max(0, buffer.length - 22 - 0xffff);
+    for (let offset = buffer.length - 22; offset >= stop; offset--) {
+        if (buffer.readUInt32LE(offset) === ZIP_END_OF_DIRECTORY) return offset;
+    }
+    throw new HttpError(400, 'Corrupt zip archive: no central directory');
+}
+
+function readZipEntry(buffer, { path, method, compressedSize, size, localOffset }, maxBytes) {
+    if (size > maxBytes) {
+        throw new HttpError(413, `${path} is too large`);
+    }
+
+    if (localOffset + 30 > buffer.length || buffer.readUInt32LE(localOffset) !== ZIP_LOCAL_HEADER) {
+        throw new HttpError(400, `Corrupt zip entry ${path}`);
+    }
+
+    const start = localOffset + 30 + buffer.readUInt16LE(localOffset + 26) + buffer.readUInt16LE(localOffset + 28);
+    const data = buffer.subarray(start, start + compressedSize);
+    let contents;
+
+    if (method === 0) {
+        contents = data;
+    } else if (method === 8) {
+        try {
+            // The declared size can lie; the output limit can't
+            contents = zlib.inflateRawSync(data, { maxOutputLength: Math.max(1, Math.min(size, maxBytes)) });
+        } catch (error) {
+            throw error.code === 'ERR_BUFFER_TOO_LARGE'
+                ? new HttpError(413, `${path} is larger than its header says`)
+                : new HttpError(400, `Corrupt zip entry ${path}: ${error.message}`);
+        }
+    } else {
+        throw new HttpError(400, `${path} uses unsupported zip compression method ${method}`);
+    }
+
+    if (contents.length !== size) {
+        throw new HttpError(400, `Corrupt zip entry ${path}: size mismatch`);
+    }
+
+    return contents;
+}
+
+export function readTar(buffer) {
+    const entries = [];
+    let offset = 0;
+    let longName = null; // GNU "L" and pax "path" records name the next entry
+
+    while (offset + TAR_BLOCK <= buffer.length) {
+        const header = buffer.subarray(offset, offset + TAR_BLOCK);
+        if (header.every(byte => byte === 0)) break; // end of archive
+
+        if (!isTarHeader(header)) {
+            throw new HttpError(400, 'Corrupt tar archive: bad header checksum');
+        }
+
+        const size = tarNumber(header.subarray(124, 136));
+        const typeflag = String.fromCharCode(header[156] || 0x30);
+        const start = offset + TAR_BLOCK;
+        const data = buffer.subarray(start, start + size);
+        offset = start + Math.ceil(size / TAR_BLOCK) * TAR_BLOCK;
+
+        if (data.length < size) {
+            throw new HttpError(400, 'Corrupt tar archive: truncated entry');
+        }
+
+        if (typeflag === 'L') {
+            longName = tarString(data);
+            continue;
+        }
+        if (typeflag === 'x') {
+            longName = paxPath(data) ?? longName;
+            continue;
+        }
+        if (typeflag === 'g') continue;
+
+        let path = longName;
+        longName = null;
+        if (path === null) {
+            const name = tarString(header.subarray(0, 100));
+            const prefix = header.toString('latin1', 257, 262) === 'ustar' ? tarString(header.subarray(345, 500)) : '';
+            path = prefix ? `${prefix}/${name}` : name;
+        }
+
+        let type = 'other';
+        if (typeflag === '0' || typeflag === '7') type = 'file';
+        else if (typeflag === '5') type = 'directory';
+        else if (typeflag === '1' || typeflag === '2') type = 'link';
+
+        entries.push({
+            path,
+            type,
+            size,
+            read: (maxBytes = Infinity) => {
+                if (size > maxBytes) throw new HttpError(413, `${path} is too large`);
+                return data;
+            }
+        });
+    }
+
+    return entries;
+}
+
+// A header block is recognised by its checksum: the byte sum with the
+// checksum field itself counted as spaces
+function isTarHeader(header) {
+    const stored = tarNumber(header.subarray(148, 156));
+    let sum = 0;
+    for (let i = 0; i < TAR_BLOCK; i++) {
+        sum += i >= 148 && i < 156 ? 0x20 : header[i];
+    }
+    return stored === sum;
+}
+
+// Octal, NUL/space terminated, or base-256 when the high bit is set
+function tarNumber(field) {
+    if (field[0] & 0x80) {
+        let value = field[0] & 0x7f;
+        for (let i = 1; i < field.length; i++) value = value * 256 + field[i];
+        return value;
+    }
+    return parseInt(tarString(field).trim() || '0', 8);
+}
+
+function tarString(field) {
+    const end = field.indexOf(0);
+    return field.toString('utf-8', 0, end === -1 ? field.length : end);
+}
+
+// Pax extended headers: "<length> <key>=<value>\n" records
+function paxPath(data) {
+    let path = null;
+    let offset = 0;
+
+    while (offset < data.length) {
+        const space = data.indexOf(0x20, offset);
+        const length = parseInt(data.toString('latin1', offset, space), 10);
+        if (space === -1 || !length) break;
+
+        const record = data.toString('utf-8', space + 1, offset + length - 1);
+        const equals = record.indexOf('=');
+        if (record.slice(0, equals) === 'path') path = record.slice(equals + 1);
+        offset += length;
+    }
+
+    return path;
+}
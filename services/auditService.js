@@ -0,0 +1,42 @@
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from '../storage/index.js';
+
+// Append-only log of security-relevant events (lockouts, unlocks, ...).
+// Entries expire after AUDIT_RETENTION_DAYS.
+class AuditService {
+    constructor() {
+        this.log = storage.collection('audit_log');
+        this.retention = (parseInt(process.env.AUDIT_RETENTION_DAYS) || 90) * 86400;
+    }
+
+    // event: dotted name such as "auth.account_locked"; actor and target are
+    // usernames (actor null for system actions)
+    record(event, { actor = null, target = null, ip = null, details = {} } = {}) {
+        const entry = {
+            id: uuidv4(),
+            event,
+            actor,
+            target,
+            ip,
+            details,
+            timestamp: new Date()
+        };
+
+        this.log.set(entry.id, entry, { ttl: this.retention });
+        console.log(`🛡️  Audit: ${event}${target ? ` (${target})` : ''}`);
+
+        return entry;
+    }
+
+    // Newest first
+    list({ event, username, limit = 100 } = {}) {
+        return this.log
+            .filter(entry => (!event || entry.event === event) &&
+                (!username || entry.actor === username || entry.target === username))
+            .sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp))
+            .slice(0, limit);
+    }
+}
+
+const auditService = new AuditService();
+export { auditService };
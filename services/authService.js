@@ -1,76 +1,220 @@
 import express from 'express';
 import bcrypt from 'bcryptjs';
 import jwt from 'jsonwebtoken';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
-import NodeCache from 'node-cache';
+import { storage } from '../storage/index.js';
+import { HttpError } from './errors.js';
+import { generateSecret, verifyCode, buildOtpauthUri } from './totp.js';
+import { loginThrottle } from './loginThrottle.js';
+import { auditService } from './auditService.js';
+import { mailService } from './mailService.js';
+import { roleService } from './roleService.js';
+import { registrationService, REGISTRATION_MODES } from './registrationService.js';
+import { PERMISSIONS, hasPermission, coversPermissions, isKnownPermission } from './permissions.js';
+
+// Secrets that have shipped in examples; never acceptable in production
+const DEFAULT_JWT_SECRETS = ['your-super-secret-jwt-key', 'your-super-secret-jwt-key-change-this-in-production'];
+
+// The hash older releases seeded the admin account with
+const LEGACY_ADMIN_HASH = '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj21i8P5oUlS';
 
 class AuthService {
     constructor() {
         this.router = express.Router();
-        this.users = new Map();
-        this.sessions = new NodeCache({ stdTTL: 86400 }); // 24 hours
+        this.users = storage.collection('users');
+        // One record per signed-in device, holding the hash of its current
+        // refresh token. Deleting it revokes the session's access tokens too.
+        this.sessions = storage.collection('sessions');
+        // API keys are stored under the sha256 of the secret, never the secret itself
+        this.apiKeys = storage.collection('api_keys');
+        this.apiKeyPrefix = 'sk-';
+        this.accessTokenTTL = process.env.ACCESS_TOKEN_TTL || '15m';
+        this.refreshTokenTTL = parseInt(process.env.REFRESH_TOKEN_TTL) || 30 * 86400; // seconds
+        // Admin-editable policy (auth_policy: { requireTwoFactorRoles })
+        this.settings = storage.collection('settings');
+        this.totpIssuer = process.env.TOTP_ISSUER || 'AI Chatbot';
+        // Lifetimes (seconds) of the tokens mailed for password resets and
+        // address verification, and the minimum gap between two such mails
+        this.passwordResetTTL = parseInt(process.env.PASSWORD_RESET_TTL) || 3600;
+        this.emailVerifyTTL = parseInt(process.env.EMAIL_VERIFY_TTL) || 2 * 86400;
+        this.mailCooldown = parseInt(process.env.MAIL_COOLDOWN) || 60;
+        // While a pendingAction is outstanding only these routes are open
+        this.pendingActionRoutes = ['/api/auth/me', '/api/auth/profile', '/api/auth/2fa', '/api/auth/logout', '/api/auth/sessions', '/api/auth/refresh'];
+        this.pendingActionMessages = {
+            password_change: 'You must change your password before continuing',
+            two_factor_setup: 'Two-factor authentication must be set up before continuing'
+        };
+        // Emits 'sessions_revoked' with { userId, sessionId } (sessionId null: all of them)
+        this.events = new EventEmitter();
+
+        this.jwtSecret = this.resolveJwtSecret();
+        this.bcryptRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
+
         this.setupRoutes();
         this.setupDefaultAdmin();
-        
-        this.jwtSecret = process.env.JWT_SECRET || 'your-super-secret-jwt-key';
-        this.bcryptRounds = parseInt(process.env.BCRYPT_ROUNDS) || 12;
     }
 
+    resolveJwtSecret() {
+        const secret = process.env.JWT_SECRET;
+        const insecure = !secret || DEFAULT_JWT_SECRETS.includes(secret) || secret.length < 32;
+
+        if (insecure && process.env.NODE_ENV === 'production') {
+            throw new Error('Refusing to start in production without a proper JWT_SECRET (a random string of 32+ characters)');
+        }
+
+        if (insecure) {
+            console.warn('⚠️  JWT_SECRET is unset, a published default or too short. Fine for development, never for production.');
+        }
+
+        return secret || DEFAULT_JWT_SECRETS[0];
+    }
+
+    // First start: create "admin" with a one-time setup token as its password
+    // and require a new password on first login. The token comes from
+    // ADMIN_SETUP_TOKEN or is generated and printed to the log; until the
+    // password is changed, each restart issues a fresh one. An admin still
+    // carrying the old built-in password is put through the same flow.
     setupDefaultAdmin() {
-        // Create default admin user
-        const defaultAdmin = {
+        const existing = this.users.get('admin');
+        const legacy = existing?.password === LEGACY_ADMIN_HASH;
+
+        if (existing ? !legacy && !existing.setupPending : this.users.find(user => user.role === 'admin')) {
+            return;
+        }
+
+        const envToken = process.env.ADMIN_SETUP_TOKEN;
+        const setupToken = envToken || crypto.randomBytes(18).toString('base64url');
+
+        const admin = existing || {
             id: uuidv4(),
             username: 'admin',
             email: 'admin@localhost',
-            password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj21i8P5oUlS', // admin123
             role: 'admin',
-            permissions: ['*'],
             createdAt: new Date(),
             lastLogin: null,
             isActive: true
         };
-        
-        this.users.set('admin', defaultAdmin);
+
+        admin.password = bcrypt.hashSync(setupToken, this.bcryptRounds);
+        admin.mustChangePassword = true;
+        admin.setupPending = true;
+        this.users.set('admin', admin);
+
+        if (legacy) {
+            console.warn('⚠️  The admin account still had the old built-in password; it has been replaced.');
+        }
+
+        console.log(envToken
+            ? '🔑 Admin setup: sign in as "admin" with ADMIN_SETUP_TOKEN and choose a new password.'
+            : `🔑 Admin setup: sign in as "admin" with the one-time password ${setupToken} and choose a new one.`);
     }
 
     setupRoutes() {
-        // Register new user
+        // How sign-ups work right now, for the registration form
+        this.router.get('/registration', (req, res) => {
+            const { registrationMode } = this.getAuthPolicy();
+            res.json({ success: true, mode: registrationMode, inviteRequired: registrationMode === 'invite' });
+        });
+
+        // Register new user. The role comes from the invite code, or the
+        // policy's defaultRole; never from the request.
         this.router.post('/register', async (req, res) => {
             try {
-                const { username, email, password, role = 'user' } = req.body;
+                const { username, password, inviteCode } = req.body;
                 
-                if (!username || !email || !password) {
+                if (!username || !req.body.email || !password) {
                     return res.status(400).json({ error: 'Username, email, and password are required' });
                 }
 
+                const email = this.normalizeEmail(req.body.email);
+                if (!email) {
+                    return res.status(400).json({ error: 'Invalid email address' });
+                }
+
+                const policy = this.getAuthPolicy();
+                const invite = inviteCode ? registrationService.find(inviteCode, email) : null;
+
+                if (inviteCode && !invite) {
+                    return res.status(400).json({ error: 'Invalid or expired invite code' });
+                }
+
+                if (!invite && policy.registrationMode === 'invite') {
+                    return res.status(403).json({ error: 'Registration is by invitation only' });
+                }
+
+                const role = invite?.role || policy.defaultRole;
+                if (!roleService.has(role)) {
+                    return res.status(500).json({ error: `Registration is misconfigured: role ${role} does not exist` });
+                }
+
                 if (this.users.has(username)) {
                     return res.status(409).json({ error: 'Username already exists' });
                 }
 
+                if (this.findUserByEmail(email)) {
+                    return res.status(409).json({ error: 'Email address already registered' });
+                }
+
                 const hashedPassword = await bcrypt.hash(password, this.bcryptRounds);
+
+                // Other sign-ups may have finished while the password was
+                // hashed: check again, synchronously from here to users.set
+                if (this.users.has(username)) {
+                    return res.status(409).json({ error: 'Username already exists' });
+                }
+
+                if (this.findUserByEmail(email)) {
+                    return res.status(409).json({ error: 'Email address already registered' });
+                }
+
                 const user = {
                     id: uuidv4(),
                     username,
                     email,
+                    emailVerified: false,
                     password: hashedPassword,
                     role,
-                    permissions: this.getDefaultPermissions(role),
                     createdAt: new Date(),
                     lastLogin: null,
                     isActive: true
                 };
 
+                // An invite counts as approval in advance
+                const pendingApproval = policy.registrationMode === 'approval' && !invite;
+                if (pendingApproval) {
+                    user.isActive = false;
+                    user.pendingApproval = true;
+                }
+
+                if (invite && !registrationService.redeem(inviteCode, email, user)) {
+                    return res.status(400).json({ error: 'Invalid or expired invite code' });
+                }
+
                 this.users.set(username, user);
-                
-                const token = this.generateToken(user);
-                const sessionId = uuidv4();
-                this.sessions.set(sessionId, { userId: user.id, username, role });
+                this.sendVerificationMail(user);
+
+                auditService.record('auth.user_registered', {
+                    target: username,
+                    ip: req.ip,
+                    details: { role, inviteId: invite?.id || null, pendingApproval }
+                });
+
+                if (pendingApproval) {
+                    return res.status(202).json({
+                        success: true,
+                        pendingApproval: true,
+                        user: this.sanitizeUser(user),
+                        message: 'Your account has been created and is waiting for approval'
+                    });
+                }
 
                 res.json({
                     success: true,
                     user: this.sanitizeUser(user),
-                    token,
-                    sessionId
+                    ...this.createSession(user, req),
+                    pendingAction: this.pendingAction(user)
                 });
 
             } catch (error) {
@@ -87,290 +231,1427 @@ class AuthService {
                     return res.status(400).json({ error: 'Username and password are required' });
                 }
 
+                if (this.rejectThrottled(res, username, req.ip)) return;
+
                 const user = this.users.get(username);
-                if (!user || !user.isActive) {
+                if (!user || (!user.isActive && !user.pendingApproval)) {
+                    loginThrottle.recordFailure(username, req.ip);
                     return res.status(401).json({ error: 'Invalid credentials' });
                 }
 
                 const isValidPassword = await bcrypt.compare(password, user.password);
                 if (!isValidPassword) {
+                    loginThrottle.recordFailure(username, req.ip);
                     return res.status(401).json({ error: 'Invalid credentials' });
                 }
 
-                user.lastLogin = new Date();
-                const token = this.generateToken(user);
-                const sessionId = uuidv4();
-                this.sessions.set(sessionId, { userId: user.id, username, role: user.role });
+                // Only said once the password checks out
+                if (user.pendingApproval) {
+                    return res.status(403).json({ error: 'Your account is waiting for approval', pendingApproval: true });
+                }
 
-                res.json({
-                    success: true,
-                    user: this.sanitizeUser(user),
-                    token,
-                    sessionId
-                });
+                // Second step: the code can come along now or after a challenge
+                if (user.twoFactor?.enabled) {
+                    const { code, recoveryCode } = req.body;
+
+                    if (!code && !recoveryCode) {
+                        return res.json({
+                            success: true,
+                            twoFactorRequired: true,
+                            challengeToken: this.generateChallengeToken(user)
+                        });
+                    }
+
+                    if (!this.verifySecondFactor(user, { code, recoveryCode })) {
+                        loginThrottle.recordFailure(username, req.ip);
+                        return res.status(401).json({ error: 'Invalid two-factor code' });
+                    }
+                }
+
+                res.json(this.completeLogin(user, req));
 
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Logout user
-        this.router.post('/logout', this.requireAuth, (req, res) => {
+        // Finish a login that answered with twoFactorRequired
+        this.router.post('/login/2fa', (req, res) => {
             try {
-                const sessionId = req.headers['x-session-id'];
-                if (sessionId) {
-                    this.sessions.del(sessionId);
+                const { challengeToken, code, recoveryCode } = req.body;
+                const user = this.verifyChallengeToken(challengeToken);
+
+                if (!user) {
+                    return res.status(401).json({ error: 'Login challenge expired, please sign in again' });
                 }
 
-                res.json({ success: true, message: 'Logged out successfully' });
+                if (this.rejectThrottled(res, user.username, req.ip)) return;
+
+                if (!this.verifySecondFactor(user, { code, recoveryCode })) {
+                    loginThrottle.recordFailure(user.username, req.ip);
+                    return res.status(401).json({ error: 'Invalid two-factor code' });
+                }
+
+                res.json(this.completeLogin(user, req));
+
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Get current user
-        this.router.get('/me', this.requireAuth, (req, res) => {
+        // Two-factor status for the current user
+        this.router.get('/2fa', this.requireAuth, (req, res) => {
             try {
                 const user = this.users.get(req.user.username);
-                if (!user) {
-                    return res.status(404).json({ error: 'User not found' });
-                }
 
                 res.json({
                     success: true,
-                    user: this.sanitizeUser(user)
+                    enabled: Boolean(user.twoFactor?.enabled),
+                    required: this.isTwoFactorRequired(user),
+                    recoveryCodesRemaining: user.twoFactor?.recoveryCodes?.length || 0
                 });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Update user profile
-        this.router.put('/profile', this.requireAuth, async (req, res) => {
+        // Start enrollment: a fresh secret to load into an authenticator app.
+        // Nothing changes until /2fa/enable confirms a code from it.
+        this.router.post('/2fa/setup', this.requireAuth, (req, res) => {
             try {
-                const { email, currentPassword, newPassword } = req.body;
                 const user = this.users.get(req.user.username);
 
-                if (!user) {
-                    return res.status(404).json({ error: 'User not found' });
+                if (user.twoFactor?.enabled) {
+                    return res.status(409).json({ error: 'Two-factor authentication is already enabled' });
                 }
 
-                if (email) user.email = email;
-
-                if (newPassword) {
-                    if (!currentPassword) {
-                        return res.status(400).json({ error: 'Current password is required' });
-                    }
-
-                    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
-                    if (!isValidPassword) {
-                        return res.status(401).json({ error: 'Current password is incorrect' });
-                    }
-
-                    user.password = await bcrypt.hash(newPassword, this.bcryptRounds);
-                }
+                const secret = generateSecret();
+                user.twoFactor = { enabled: false, pendingSecret: secret };
+                this.users.set(user.username, user);
 
                 res.json({
                     success: true,
-                    user: this.sanitizeUser(user)
+                    secret,
+                    otpauthUrl: buildOtpauthUri({ secret, account: user.username, issuer: this.totpIssuer })
                 });
-
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Admin routes
-        this.router.get('/users', this.requireAuth, this.requireRole('admin'), (req, res) => {
+        this.router.post('/2fa/enable', this.requireAuth, (req, res) => {
             try {
-                const users = Array.from(this.users.values()).map(this.sanitizeUser);
-                res.json({ success: true, users });
+                const user = this.users.get(req.user.username);
+                const pendingSecret = user.twoFactor?.pendingSecret;
+
+                if (!pendingSecret) {
+                    return res.status(400).json({ error: 'Start two-factor setup first' });
+                }
+
+                const counter = verifyCode(pendingSecret, req.body.code);
+                if (counter === null) {
+                    return res.status(401).json({ error: 'Invalid two-factor code' });
+                }
+
+                const recoveryCodes = this.generateRecoveryCodes();
+                user.twoFactor = {
+                    enabled: true,
+                    secret: pendingSecret,
+                    lastCounter: counter,
+                    recoveryCodes: recoveryCodes.map(recoveryCode => this.hashSecret(recoveryCode)),
+                    enabledAt: new Date()
+                };
+                this.users.set(user.username, user);
+
+                // Shown once; only hashes are kept
+                res.json({ success: true, recoveryCodes });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        this.router.put('/users/:username', this.requireAuth, this.requireRole('admin'), async (req, res) => {
+        this.router.post('/2fa/disable', this.requireAuth, async (req, res) => {
             try {
-                const { username } = req.params;
-                const { role, isActive, permissions } = req.body;
-                
-                const user = this.users.get(username);
-                if (!user) {
-                    return res.status(404).json({ error: 'User not found' });
+                const { password, code, recoveryCode } = req.body;
+                const user = this.users.get(req.user.username);
+
+                if (!user.twoFactor?.enabled) {
+                    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
                 }
 
-                if (role) user.role = role;
-                if (typeof isActive === 'boolean') user.isActive = isActive;
-                if (permissions) user.permissions = permissions;
+                if (this.isTwoFactorRequired(user)) {
+                    return res.status(403).json({ error: 'Two-factor authentication is required for your role' });
+                }
 
-                res.json({
-                    success: true,
-                    user: this.sanitizeUser(user)
-                });
+                if (!password || !(await bcrypt.compare(password, user.password))) {
+                    return res.status(401).json({ error: 'Password is incorrect' });
+                }
+
+                if (!this.verifySecondFactor(user, { code, recoveryCode })) {
+                    return res.status(401).json({ error: 'Invalid two-factor code' });
+                }
+
+                delete user.twoFactor;
+                this.users.set(user.username, user);
 
+                res.json({ success: true, message: 'Two-factor authentication disabled' });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Delete user
-        this.router.delete('/users/:username', this.requireAuth, this.requireRole('admin'), (req, res) => {
+        // Replace all recovery codes
+        this.router.post('/2fa/recovery-codes', this.requireAuth, (req, res) => {
             try {
-                const { username } = req.params;
-                
-                if (username === 'admin') {
-                    return res.status(403).json({ error: 'Cannot delete admin user' });
+                const user = this.users.get(req.user.username);
+
+                if (!user.twoFactor?.enabled) {
+                    return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
                 }
 
-                const deleted = this.users.delete(username);
-                if (!deleted) {
-                    return res.status(404).json({ error: 'User not found' });
+                if (!this.verifySecondFactor(user, { code: req.body.code })) {
+                    return res.status(401).json({ error: 'Invalid two-factor code' });
                 }
 
-                res.json({ success: true, message: 'User deleted successfully' });
+                const recoveryCodes = this.generateRecoveryCodes();
+                user.twoFactor.recoveryCodes = recoveryCodes.map(recoveryCode => this.hashSecret(recoveryCode));
+                this.users.set(user.username, user);
+
+                res.json({ success: true, recoveryCodes });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Verify token
-        this.router.post('/verify', (req, res) => {
+        // Exchange a refresh token for a new access token. The refresh token
+        // rotates: each one works once.
+        this.router.post('/refresh', (req, res) => {
             try {
-                const { token } = req.body;
-                
-                if (!token) {
-                    return res.status(400).json({ error: 'Token is required' });
-                }
-
-                const decoded = jwt.verify(token, this.jwtSecret);
-                const user = this.users.get(decoded.username);
-
-                if (!user || !user.isActive) {
-                    return res.status(401).json({ error: 'Invalid token' });
-                }
+                const { user, tokens } = this.refreshSession(req.body.refreshToken);
 
                 res.json({
                     success: true,
                     user: this.sanitizeUser(user),
-                    valid: true
+                    ...tokens
                 });
-
             } catch (error) {
-                res.status(401).json({ error: 'Invalid token' });
+                res.status(error.status || 500).json({ error: error.message });
             }
         });
-    }
 
-    generateToken(user) {
-        return jwt.sign(
-            {
-                id: user.id,
-                username: user.username,
-                role: user.role,
-                permissions: user.permissions
-            },
-            this.jwtSecret,
-            { expiresIn: '24h' }
-        );
-    }
+        // Logout user (ends this session only)
+        this.router.post('/logout', this.requireAuth, (req, res) => {
+            try {
+                if (req.user.sid) {
+                    this.revokeSession(req.user.id, req.user.sid);
+                }
 
-    sanitizeUser(user) {
-        const { password, ...sanitized } = user;
-        return sanitized;
-    }
+                res.json({ success: true, message: 'Logged out successfully' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
 
-    getDefaultPermissions(role) {
-        const permissions = {
-            'admin': ['*'],
-            'user': ['chat', 'files', 'conversations'],
-            'guest': ['chat']
-        };
-        return permissions[role] || permissions['guest'];
-    }
+        // Log out everywhere: every session and outstanding access token
+        this.router.post('/logout-all', this.requireAuth, (req, res) => {
+            try {
+                const user = this.findUserById(req.user.id);
+                this.revokeAllSessions(user);
 
-    // Middleware functions
-    requireAuth = (req, res, next) => {
-        try {
-            const authHeader = req.headers.authorization;
-            const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
+                res.json({ success: true, message: 'Logged out of all sessions' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
 
-            if (!token) {
-                return res.status(401).json({ error: 'Access token required' });
+        this.router.get('/sessions', this.requireAuth, (req, res) => {
+            try {
+                res.json({ success: true, sessions: this.listSessions(req.user.id, req.user.sid) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
             }
+        });
 
-            const decoded = jwt.verify(token, this.jwtSecret);
-            const user = this.users.get(decoded.username);
+        this.router.delete('/sessions/:sessionId', this.requireAuth, (req, res) => {
+            try {
+                if (!this.revokeSession(req.user.id, req.params.sessionId)) {
+                    return res.status(404).json({ error: 'Session not found' });
+                }
 
-            if (!user || !user.isActive) {
-                return res.status(401).json({ error: 'Invalid or expired token' });
+                res.json({ success: true, message: 'Session revoked' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
             }
+        });
 
-            req.user = decoded;
-            next();
+        // Forgotten password: mail a reset link. The answer is the same
+        // whether or not the account exists.
+        this.router.post('/password/forgot', (req, res) => {
+            try {
+                const { username, email } = req.body;
+                if (!username && !email) {
+                    return res.status(400).json({ error: 'Username or email is required' });
+                }
 
-        } catch (error) {
-            res.status(401).json({ error: 'Invalid token' });
-        }
-    };
+                const user = username ? this.users.get(username) : this.findUserByEmail(this.normalizeEmail(email));
+                if (user?.isActive && user.email && this.claimMailSlot(user, 'password_reset')) {
+                    const token = this.generateMailToken(user, 'password_reset', this.passwordResetTTL);
+                    mailService.sendPasswordReset(user, token, Math.round(this.passwordResetTTL / 60));
+                    auditService.record('auth.password_reset_requested', { target: user.username, ip: req.ip });
+                }
 
-    requireRole = (requiredRole) => {
-        return (req, res, next) => {
-            if (!req.user) {
-                return res.status(401).json({ error: 'Authentication required' });
+                res.json({ success: true, message: 'If the account exists, a reset link has been sent to its email address' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
             }
+        });
 
-            if (req.user.role !== requiredRole && !req.user.permissions.includes('*')) {
-                return res.status(403).json({ error: 'Insufficient permissions' });
-            }
+        // Set a new password with the mailed token. Signs out every session
+        // and clears a lockout; two-factor still applies at the next login.
+        this.router.post('/password/reset', async (req, res) => {
+            try {
+                const { token, newPassword } = req.body;
+                if (!token || !newPassword) {
+                    return res.status(400).json({ error: 'Token and new password are required' });
+                }
 
-            next();
-        };
-    };
+                const user = this.verifyMailToken(token, 'password_reset');
+                if (!user) {
+                    return res.status(400).json({ error: 'Invalid or expired reset link' });
+                }
 
-    requirePermission = (permission) => {
-        return (req, res, next) => {
-            if (!req.user) {
-                return res.status(401).json({ error: 'Authentication required' });
+                user.password = await bcrypt.hash(newPassword, this.bcryptRounds);
+                delete user.mustChangePassword;
+                delete user.setupPending;
+                // Following the link proves the mailbox is theirs
+                user.emailVerified = true;
+                this.revokeAllSessions(user);
+                loginThrottle.unlock(user.username);
+
+                auditService.record('auth.password_reset', { actor: user.username, target: user.username, ip: req.ip });
+
+                res.json({ success: true, message: 'Password has been reset, please sign in' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
             }
+        });
 
-            if (!req.user.permissions.includes(permission) && !req.user.permissions.includes('*')) {
-                return res.status(403).json({ error: 'Insufficient permissions' });
+        // Confirm an email address with the mailed token
+        this.router.post('/email/verify', (req, res) => {
+            try {
+                const user = this.verifyMailToken(req.body.token, 'email_verify');
+                if (!user) {
+                    return res.status(400).json({ error: 'Invalid or expired verification link' });
+                }
+
+                user.emailVerified = true;
+                this.users.set(user.username, user);
+
+                res.json({ success: true, user: this.sanitizeUser(user) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
             }
+        });
 
-            next();
-        };
-    };
+        // Mail a fresh verification link to the current address
+        this.router.post('/email/verify/resend', this.requireAuth, (req, res) => {
+            try {
+                const user = this.users.get(req.user.username);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
 
-    // Utility methods
-    isAuthenticated(req) {
-        try {
-            const authHeader = req.headers.authorization;
-            const token = authHeader && authHeader.split(' ')[1];
-            
-            if (!token) return false;
+                if (user.emailVerified) {
+                    return res.status(400).json({ error: 'Email address is already verified' });
+                }
 
-            const decoded = jwt.verify(token, this.jwtSecret);
-            const user = this.users.get(decoded.username);
-            
-            return user && user.isActive;
-        } catch (error) {
-            return false;
-        }
-    }
+                if (!this.sendVerificationMail(user)) {
+                    return res.status(429).json({ error: 'A verification mail was sent recently, please wait a moment' });
+                }
 
-    hasPermission(req, permission) {
-        try {
-            const authHeader = req.headers.authorization;
-            const token = authHeader && authHeader.split(' ')[1];
-            
-            if (!token) return false;
+                res.json({ success: true, message: `Verification mail sent to ${user.email}` });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
 
-            const decoded = jwt.verify(token, this.jwtSecret);
-            return decoded.permissions.includes(permission) || decoded.permissions.includes('*');
+        // Get current user
+        this.router.get('/me', this.requireAuth, (req, res) => {
+            try {
+                const user = this.users.get(req.user.username);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                res.json({
+                    success: true,
+                    user: this.sanitizeUser(user),
+                    apiKeys: this.listApiKeys(user.id),
+                    // Set when this request itself was made with an API key
+                    apiKeyId: req.user.apiKeyId || null
+                });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Update user profile
+        this.router.put('/profile', this.requireAuth, async (req, res) => {
+            try {
+                const { email, currentPassword, newPassword } = req.body;
+                const user = this.users.get(req.user.username);
+
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                let emailChanged = false;
+                if (email) {
+                    const normalized = this.normalizeEmail(email);
+                    if (!normalized) {
+                        return res.status(400).json({ error: 'Invalid email address' });
+                    }
+
+                    const owner = this.findUserByEmail(normalized);
+                    if (owner && owner.id !== user.id) {
+                        return res.status(409).json({ error: 'Email address already registered' });
+                    }
+
+                    // A new address has to be confirmed again
+                    if (normalized !== user.email) {
+                        user.email = normalized;
+                        user.emailVerified = false;
+                        emailChanged = true;
+                    }
+                }
+
+                if (newPassword) {
+                    if (!currentPassword) {
+                        return res.status(400).json({ error: 'Current password is required' });
+                    }
+
+                    const isValidPassword = await bcrypt.compare(currentPassword, user.password);
+                    if (!isValidPassword) {
+                        return res.status(401).json({ error: 'Current password is incorrect' });
+                    }
+
+                    if (newPassword === currentPassword) {
+                        return res.status(400).json({ error: 'New password must be different' });
+                    }
+
+                    user.password = await bcrypt.hash(newPassword, this.bcryptRounds);
+                    delete user.mustChangePassword;
+                    delete user.setupPending;
+                }
+
+                this.users.set(user.username, user);
+                if (emailChanged) this.sendVerificationMail(user);
+
+                // A new password signs out every other device; this one gets a fresh session
+                if (newPassword) {
+                    this.revokeAllSessions(user);
+
+                    const updated = this.users.get(user.username);
+                    return res.json({
+                        success: true,
+                        user: this.sanitizeUser(updated),
+                        ...this.createSession(updated, req),
+                        pendingAction: this.pendingAction(updated)
+                    });
+                }
+
+                res.json({
+                    success: true,
+                    user: this.sanitizeUser(user)
+                });
+
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // API keys, for scripts, CI and OpenAI-compatible clients (/v1)
+        this.router.get('/keys', this.requireAuth, (req, res) => {
+            try {
+                res.json({ success: true, keys: this.listApiKeys(req.user.id) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.router.post('/keys', this.requireAuth, (req, res) => {
+            try {
+                const { name, permissions, expiresIn } = req.body;
+                const key = this.createApiKey(req.user, { name, permissions, expiresIn });
+                res.status(201).json({ success: true, key });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Relabel a key
+        this.router.put('/keys/:keyId', this.requireAuth, (req, res) => {
+            try {
+                const key = this.renameApiKey(req.user.id, req.params.keyId, req.body.name);
+                if (!key) {
+                    return res.status(404).json({ error: 'API key not found' });
+                }
+
+                res.json({ success: true, key });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        this.router.delete('/keys/:keyId', this.requireAuth, (req, res) => {
+            try {
+                if (!this.revokeApiKey(req.user.id, req.params.keyId)) {
+                    return res.status(404).json({ error: 'API key not found' });
+                }
+
+                res.json({ success: true, message: 'API key revoked' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Admin routes
+        // ?status=pending lists registrations waiting for approval
+        // (also: active, inactive)
+        this.router.get('/users', this.requireAuth, this.requirePermission('users:read'), (req, res) => {
+            try {
+                const { status } = req.query;
+                const users = this.users.filter(user => !status || this.userStatus(user) === status).map(user => ({
+                    ...this.sanitizeUser(user),
+                    lockout: loginThrottle.getStatus(user.username)
+                }));
+                res.json({ success: true, users });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // permissions (an array) overrides what the role grants; null goes
+        // back to the role's permissions
+        this.router.put('/users/:username', this.requireAuth, this.requirePermission('users:manage'), async (req, res) => {
+            try {
+                const { username } = req.params;
+                const { role, isActive, permissions, mustChangePassword } = req.body;
+                
+                const user = this.users.get(username);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                this.assertCanManage(req.user, user);
+
+                if (role) {
+                    if (!roleService.has(role)) {
+                        return res.status(400).json({ error: `Unknown role: ${role}` });
+                    }
+                    this.assertCanGrant(req.user, roleService.getPermissions(role));
+                    user.role = role;
+                }
+
+                if (permissions === null) {
+                    delete user.permissions;
+                } else if (permissions !== undefined) {
+                    this.validatePermissions(permissions);
+                    this.assertCanGrant(req.user, permissions);
+                    user.permissions = [...new Set(permissions)];
+                }
+
+                if (typeof isActive === 'boolean') user.isActive = isActive;
+                if (isActive === true) delete user.pendingApproval;
+                if (typeof mustChangePassword === 'boolean') user.mustChangePassword = mustChangePassword;
+                this.users.set(username, user);
+
+                if (isActive === false) {
+                    this.revokeAllSessions(user);
+                }
+
+                res.json({
+                    success: true,
+                    user: this.sanitizeUser(user)
+                });
+
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Let a pending registration in, optionally with another role { role }
+        this.router.post('/users/:username/approve', this.requireAuth, this.requirePermission('users:manage'), (req, res) => {
+            try {
+                const user = this.users.get(req.params.username);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                if (!user.pendingApproval) {
+                    return res.status(400).json({ error: 'User is not waiting for approval' });
+                }
+
+                const role = req.body.role || user.role;
+                if (!roleService.has(role)) {
+                    return res.status(400).json({ error: `Unknown role: ${role}` });
+                }
+                this.assertCanGrant(req.user, roleService.getPermissions(role));
+
+                user.role = role;
+                user.isActive = true;
+                user.approvedBy = req.user.username;
+                user.approvedAt = new Date();
+                delete user.pendingApproval;
+                this.users.set(user.username, user);
+
+                auditService.record('auth.user_approved', { actor: req.user.username, target: user.username, ip: req.ip, details: { role } });
+                if (user.email) mailService.sendAccountApproved(user);
+
+                res.json({ success: true, user: this.sanitizeUser(user) });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Turn a pending registration down; the account is deleted
+        this.router.post('/users/:username/reject', this.requireAuth, this.requirePermission('users:manage'), (req, res) => {
+            try {
+                const user = this.users.get(req.params.username);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                if (!user.pendingApproval) {
+                    return res.status(400).json({ error: 'User is not waiting for approval' });
+                }
+
+                this.users.delete(user.username);
+                auditService.record('auth.user_rejected', { actor: req.user.username, target: user.username, ip: req.ip });
+
+                res.json({ success: true, message: 'Registration rejected' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Registration invites; each carries the role its user will get
+        this.router.get('/invites', this.requireAuth, this.requirePermission('users:manage'), (req, res) => {
+            try {
+                res.json({ success: true, invites: registrationService.list() });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // { role, email, maxUses, expiresIn (seconds), note }; the code is only shown here
+        this.router.post('/invites', this.requireAuth, this.requirePermission('users:manage'), (req, res) => {
+            try {
+                const { role = this.getAuthPolicy().defaultRole, email, maxUses, expiresIn, note } = req.body;
+
+                if (!roleService.has(role)) {
+                    return res.status(400).json({ error: `Unknown role: ${role}` });
+                }
+                this.assertCanGrant(req.user, roleService.getPermissions(role));
+
+                const normalizedEmail = email ? this.normalizeEmail(email) : null;
+                if (email && !normalizedEmail) {
+                    return res.status(400).json({ error: 'Invalid email address' });
+                }
+
+                const { invite, code } = registrationService.createInvite(req.user, {
+                    role,
+                    email: normalizedEmail,
+                    maxUses,
+                    expiresIn,
+                    note
+                });
+                auditService.record('auth.invite_created', { actor: req.user.username, ip: req.ip, details: { inviteId: invite.id, role } });
+
+                res.status(201).json({ success: true, invite, code, url: mailService.link({ invite: code }) });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        this.router.delete('/invites/:inviteId', this.requireAuth, this.requirePermission('users:manage'), (req, res) => {
+            try {
+                if (!registrationService.revoke(req.params.inviteId)) {
+                    return res.status(404).json({ error: 'Invite not found' });
+                }
+
+                res.json({ success: true, message: 'Invite revoked' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Lift a lockout and forget the user's failed sign-ins
+        this.router.post('/users/:username/unlock', this.requireAuth, this.requirePermission('users:manage'), (req, res) => {
+            try {
+                const { username } = req.params;
+                if (!this.users.has(username)) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                const status = loginThrottle.getStatus(username);
+                loginThrottle.unlock(username);
+                auditService.record('auth.account_unlocked', {
+                    actor: req.user.username,
+                    target: username,
+                    ip: req.ip,
+                    details: { failures: status.failures, wasLocked: status.locked }
+                });
+
+                res.json({ success: true, lockout: loginThrottle.getStatus(username) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Security audit log, newest first (?event=auth.account_locked&username=&limit=)
+        this.router.get('/audit', this.requireAuth, this.requirePermission('audit:read'), (req, res) => {
+            try {
+                const { event, username } = req.query;
+                const limit = Math.min(parseInt(req.query.limit) || 100, 1000);
+
+                res.json({ success: true, events: auditService.list({ event, username, limit }) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Reset a user's two-factor enrollment (lost device)
+        this.router.delete('/users/:username/2fa', this.requireAuth, this.requirePermission('users:manage'), (req, res) => {
+            try {
+                const user = this.users.get(req.params.username);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                this.assertCanManage(req.user, user);
+                delete user.twoFactor;
+                this.revokeAllSessions(user);
+
+                res.json({ success: true, user: this.sanitizeUser(this.users.get(user.username)) });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        this.router.get('/policy', this.requireAuth, this.requirePermission('settings:manage'), (req, res) => {
+            try {
+                res.json({ success: true, policy: this.getAuthPolicy() });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        this.router.put('/policy', this.requireAuth, this.requirePermission('settings:manage'), (req, res) => {
+            try {
+                const { requireTwoFactorRoles, registrationMode, defaultRole } = req.body;
+                const policy = this.getAuthPolicy();
+
+                if (requireTwoFactorRoles !== undefined) {
+                    if (!Array.isArray(requireTwoFactorRoles)) {
+                        return res.status(400).json({ error: 'requireTwoFactorRoles must be an array of roles' });
+                    }
+
+                    const unknown = requireTwoFactorRoles.filter(role => !roleService.has(role));
+                    if (unknown.length > 0) {
+                        return res.status(400).json({ error: `Unknown roles: ${unknown.join(', ')}` });
+                    }
+                    policy.requireTwoFactorRoles = requireTwoFactorRoles;
+                }
+
+                if (registrationMode !== undefined) {
+                    if (!REGISTRATION_MODES.includes(registrationMode)) {
+                        return res.status(400).json({ error: `registrationMode must be one of ${REGISTRATION_MODES.join(', ')}` });
+                    }
+                    policy.registrationMode = registrationMode;
+                }
+
+                if (defaultRole !== undefined) {
+                    if (!roleService.has(defaultRole)) {
+                        return res.status(400).json({ error: `Unknown role: ${defaultRole}` });
+                    }
+                    this.assertCanGrant(req.user, roleService.getPermissions(defaultRole));
+                    policy.defaultRole = defaultRole;
+                }
+
+                this.settings.set('auth_policy', policy);
+
+                res.json({ success: true, policy });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Roles: the built-in admin, user and guest plus admin-defined ones
+        this.router.get('/roles', this.requireAuth, this.requirePermission('roles:manage'), (req, res) => {
+            try {
+                const roles = roleService.list().map(role => ({
+                    ...role,
+                    users: this.users.filter(user => user.role === role.name).length
+                }));
+                res.json({ success: true, roles });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Every permission the server checks, with a description
+        this.router.get('/roles/permissions', this.requireAuth, this.requirePermission('roles:manage'), (req, res) => {
+            res.json({ success: true, permissions: PERMISSIONS });
+        });
+
+        // Create or update a role { description, permissions }
+        this.router.put('/roles/:name', this.requireAuth, this.requirePermission('roles:manage'), (req, res) => {
+            try {
+                const { description, permissions } = req.body;
+                const { name } = req.params;
+
+                // Nobody can hand out (or take away) more than they have
+                const existing = roleService.get(name);
+                if (existing) this.assertCanGrant(req.user, existing.permissions);
+                if (permissions !== undefined) this.assertCanGrant(req.user, permissions || []);
+
+                const role = roleService.save(name, { description, permissions });
+                auditService.record('auth.role_saved', {
+                    actor: req.user.username,
+                    target: name,
+                    ip: req.ip,
+                    details: { permissions: role.permissions, created: !existing }
+                });
+
+                res.json({ success: true, role });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Delete a custom role, or reset a built-in one to its defaults
+        this.router.delete('/roles/:name', this.requireAuth, this.requirePermission('roles:manage'), (req, res) => {
+            try {
+                const role = roleService.get(req.params.name);
+                if (!role) {
+                    return res.status(404).json({ error: 'Role not found' });
+                }
+
+                this.assertCanGrant(req.user, role.permissions);
+
+                const assigned = this.users.filter(user => user.role === role.name).length;
+                if (!role.builtIn && assigned > 0) {
+                    return res.status(409).json({ error: `Role is assigned to ${assigned} user(s); move them to another role first` });
+                }
+
+                roleService.delete(role.name);
+                auditService.record('auth.role_deleted', { actor: req.user.username, target: role.name, ip: req.ip });
+
+                res.json({ success: true, role: roleService.get(role.name) });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Delete user
+        this.router.delete('/users/:username', this.requireAuth, this.requirePermission('users:manage'), (req, res) => {
+            try {
+                const { username } = req.params;
+                
+                if (username === 'admin') {
+                    return res.status(403).json({ error: 'Cannot delete admin user' });
+                }
+
+                const user = this.users.get(username);
+                if (!user) {
+                    return res.status(404).json({ error: 'User not found' });
+                }
+
+                this.assertCanManage(req.user, user);
+                this.users.delete(username);
+
+                for (const [hash, key] of this.apiKeys.entries()) {
+                    if (key.userId === user.id) this.apiKeys.delete(hash);
+                }
+                this.deleteSessions(user.id);
+
+                res.json({ success: true, message: 'User deleted successfully' });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Verify token
+        this.router.post('/verify', (req, res) => {
+            try {
+                const { token } = req.body;
+                
+                if (!token) {
+                    return res.status(400).json({ error: 'Token is required' });
+                }
+
+                const decoded = this.verifyToken(token);
+                if (!decoded) {
+                    return res.status(401).json({ error: 'Invalid token' });
+                }
+
+                const user = this.users.get(decoded.username);
+                res.json({
+                    success: true,
+                    user: this.sanitizeUser(user),
+                    valid: true
+                });
+
+            } catch (error) {
+                res.status(401).json({ error: 'Invalid token' });
+            }
+        });
+    }
+
+    // Access tokens are short-lived and tied to a session (sid) and to the
+    // user's token version (tv); see verifyToken.
+    generateToken(user, sessionId) {
+        return jwt.sign(
+            {
+                id: user.id,
+                username: user.username,
+                role: user.role,
+                permissions: this.resolvePermissions(user),
+                sid: sessionId,
+                tv: user.tokenVersion || 0
+            },
+            this.jwtSecret,
+            { expiresIn: this.accessTokenTTL }
+        );
+    }
+
+    // Start a session for a fresh sign-in
+    createSession(user, req) {
+        const session = {
+            id: uuidv4(),
+            userId: user.id,
+            username: user.username,
+            tokenVersion: user.tokenVersion || 0,
+            userAgent: req.get('User-Agent') || null,
+            ip: req.ip || null,
+            createdAt: new Date(),
+            refreshHash: null,
+            previousHash: null
+        };
+
+        return this.issueTokens(user, session);
+    }
+
+    // Mint an access token and rotate the session's refresh token. The
+    // refresh token is "<sessionId>.<secret>"; only the secret's hash is kept.
+    issueTokens(user, session) {
+        const secret = crypto.randomBytes(32).toString('base64url');
+
+        session.previousHash = session.refreshHash;
+        session.refreshHash = this.hashSecret(secret);
+        session.lastUsedAt = new Date();
+        this.sessions.set(session.id, session, { ttl: this.refreshTokenTTL });
+
+        const token = this.generateToken(user, session.id);
+
+        return {
+            token,
+            refreshToken: `${session.id}.${secret}`,
+            expiresIn: jwt.decode(token).exp - Math.floor(Date.now() / 1000),
+            sessionId: session.id
+        };
+    }
+
+    refreshSession(refreshToken) {
+        const [sessionId, secret] = String(refreshToken || '').split('.');
+        const session = sessionId && secret ? this.sessions.get(sessionId) : null;
+
+        if (!session) {
+            throw new HttpError(401, 'Invalid refresh token');
+        }
+
+        const hash = this.hashSecret(secret);
+        if (hash !== session.refreshHash) {
+            // A rotated-out token coming back means it leaked: end the session
+            if (hash === session.previousHash) {
+                this.revokeSession(session.userId, sessionId);
+            }
+            throw new HttpError(401, 'Invalid refresh token');
+        }
+
+        const user = this.findUserById(session.userId);
+        if (!user || !user.isActive || (user.tokenVersion || 0) !== session.tokenVersion) {
+            this.revokeSession(session.userId, sessionId);
+            throw new HttpError(401, 'Session expired');
+        }
+
+        return { user, tokens: this.issueTokens(user, session) };
+    }
+
+    listSessions(userId, currentSessionId) {
+        return this.sessions.entries()
+            .filter(([, session]) => session.userId === userId)
+            .map(([id, { refreshHash, previousHash, ...session }]) => ({
+                ...session,
+                id,
+                current: id === currentSessionId
+            }));
+    }
+
+    revokeSession(userId, sessionId) {
+        const session = this.sessions.get(sessionId);
+        if (!session || session.userId !== userId) return false;
+
+        this.sessions.delete(sessionId);
+        this.events.emit('sessions_revoked', { userId, sessionId });
+        return true;
+    }
+
+    // Bumping the token version invalidates every access token already issued
+    revokeAllSessions(user) {
+        user.tokenVersion = (user.tokenVersion || 0) + 1;
+        this.users.set(user.username, user);
+        this.deleteSessions(user.id);
+    }
+
+    deleteSessions(userId) {
+        for (const [id, session] of this.sessions.entries()) {
+            if (session.userId === userId) this.sessions.delete(id);
+        }
+
+        this.events.emit('sessions_revoked', { userId, sessionId: null });
+    }
+
+    // Users are keyed by username; tokens and ownership records carry the ID
+    findUserById(id) {
+        return this.users.find(user => user.id === id) || null;
+    }
+
+    sanitizeUser(user) {
+        const { password, twoFactor, setupPending, mailSentAt, permissions, ...sanitized } = user;
+        return {
+            ...sanitized,
+            permissions: this.resolvePermissions(user),
+            customPermissions: Array.isArray(permissions),
+            twoFactorEnabled: Boolean(twoFactor?.enabled)
+        };
+    }
+
+    // Lower-cased address, or null when it doesn't look like one
+    normalizeEmail(email) {
+        const normalized = String(email || '').trim().toLowerCase();
+        return /^[^\s@]+@[^\s@]+$/.test(normalized) && normalized.length <= 254 ? normalized : null;
+    }
+
+    findUserByEmail(email) {
+        return email ? this.users.find(user => user.email?.toLowerCase() === email) || null : null;
+    }
+
+    // Mailed tokens are signed JWTs bound to the state they act on: a reset
+    // token to the current password hash (so it works once), a verification
+    // token to the address it was sent to (so it dies when that changes)
+    generateMailToken(user, purpose, ttl) {
+        return jwt.sign(
+            { id: user.id, username: user.username, purpose, fp: this.mailTokenFingerprint(user, purpose) },
+            this.jwtSecret,
+            { expiresIn: ttl }
+        );
+    }
+
+    verifyMailToken(token, purpose) {
+        try {
+            const decoded = jwt.verify(String(token || ''), this.jwtSecret);
+            const user = decoded.purpose === purpose && this.users.get(decoded.username);
+            // Registrations waiting for approval may already confirm their address
+            const usable = user?.isActive || (user?.pendingApproval && purpose === 'email_verify');
+            if (!usable || user.id !== decoded.id) return null;
+
+            return decoded.fp === this.mailTokenFingerprint(user, purpose) ? user : null;
         } catch (error) {
+            return null;
+        }
+    }
+
+    mailTokenFingerprint(user, purpose) {
+        const state = purpose === 'password_reset' ? user.password : user.email;
+        return this.hashSecret(`${purpose}:${state}`).slice(0, 16);
+    }
+
+    // At most one mail of each kind per MAIL_COOLDOWN seconds per user
+    claimMailSlot(user, kind) {
+        const sentAt = user.mailSentAt?.[kind];
+        if (sentAt && Date.now() - new Date(sentAt).getTime() < this.mailCooldown * 1000) {
             return false;
         }
+
+        user.mailSentAt = { ...user.mailSentAt, [kind]: new Date() };
+        this.users.set(user.username, user);
+        return true;
+    }
+
+    sendVerificationMail(user) {
+        if (!this.claimMailSlot(user, 'email_verify')) return false;
+
+        mailService.sendEmailVerification(user, this.generateMailToken(user, 'email_verify', this.emailVerifyTTL));
+        return true;
+    }
+
+    // Answers 429 while the username or client IP is backing off or locked out
+    rejectThrottled(res, username, ip) {
+        const retryAfter = loginThrottle.retryAfter(username, ip);
+        if (retryAfter <= 0) return false;
+
+        res.set('Retry-After', String(retryAfter));
+        res.status(429).json({ error: `Too many failed sign-in attempts, try again in ${retryAfter} seconds`, retryAfter });
+        return true;
+    }
+
+    completeLogin(user, req) {
+        loginThrottle.recordSuccess(user.username);
+        user.lastLogin = new Date();
+        this.users.set(user.username, user);
+
+        return {
+            success: true,
+            user: this.sanitizeUser(user),
+            ...this.createSession(user, req),
+            pendingAction: this.pendingAction(user)
+        };
+    }
+
+    // Short-lived proof that the password step passed, for /login/2fa
+    generateChallengeToken(user) {
+        return jwt.sign({ id: user.id, username: user.username, purpose: '2fa' }, this.jwtSecret, { expiresIn: '5m' });
+    }
+
+    verifyChallengeToken(token) {
+        try {
+            const decoded = jwt.verify(token, this.jwtSecret);
+            const user = decoded.purpose === '2fa' && this.users.get(decoded.username);
+            return user && user.isActive && user.id === decoded.id ? user : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Accepts a current TOTP code (each one only once) or an unused
+    // recovery code, which is then spent
+    verifySecondFactor(user, { code, recoveryCode }) {
+        const twoFactor = user.twoFactor;
+        if (!twoFactor?.enabled) return false;
+
+        if (code) {
+            const counter = verifyCode(twoFactor.secret, code);
+            if (counter === null || counter <= (twoFactor.lastCounter ?? -1)) return false;
+
+            twoFactor.lastCounter = counter;
+            this.users.set(user.username, user);
+            return true;
+        }
+
+        if (recoveryCode) {
+            const hash = this.hashSecret(String(recoveryCode).trim().toLowerCase());
+            const index = twoFactor.recoveryCodes.indexOf(hash);
+            if (index === -1) return false;
+
+            twoFactor.recoveryCodes.splice(index, 1);
+            this.users.set(user.username, user);
+            return true;
+        }
+
+        return false;
+    }
+
+    generateRecoveryCodes(count = 10) {
+        return Array.from({ length: count }, () => {
+            const hex = crypto.randomBytes(5).toString('hex');
+            return `${hex.slice(0, 5)}-${hex.slice(5)}`;
+        });
+    }
+
+    // Stored settings win over the environment defaults
+    getAuthPolicy() {
+        return {
+            requireTwoFactorRoles: (process.env.REQUIRE_2FA_ROLES || '').split(',').map(role => role.trim()).filter(Boolean),
+            registrationMode: REGISTRATION_MODES.includes(process.env.REGISTRATION_MODE) ? process.env.REGISTRATION_MODE : 'open',
+            defaultRole: process.env.DEFAULT_ROLE || 'user',
+            ...this.settings.get('auth_policy')
+        };
+    }
+
+    userStatus(user) {
+        if (user.pendingApproval) return 'pending';
+        return user.isActive ? 'active' : 'inactive';
+    }
+
+    isTwoFactorRequired(user) {
+        return this.getAuthPolicy().requireTwoFactorRoles.includes(user.role);
+    }
+
+    // Something the user must do before the rest of the API opens up
+    pendingAction(user) {
+        if (user.mustChangePassword) {
+            return 'password_change';
+        }
+        if (this.isTwoFactorRequired(user) && !user.twoFactor?.enabled) {
+            return 'two_factor_setup';
+        }
+        return null;
+    }
+
+    // A user record's effective permissions: its own override if an admin
+    // set one, else its role's
+    resolvePermissions(user) {
+        return Array.isArray(user.permissions) ? user.permissions : roleService.getPermissions(user.role);
+    }
+
+    validatePermissions(permissions) {
+        if (!Array.isArray(permissions)) {
+            throw new HttpError(400, 'permissions must be an array');
+        }
+
+        const unknown = permissions.filter(permission => !isKnownPermission(permission));
+        if (unknown.length > 0) {
+            throw new HttpError(400, `Unknown permissions: ${unknown.join(', ')}`);
+        }
+    }
+
+    assertCanGrant(actor, permissions) {
+        if (!coversPermissions(actor.permissions, permissions)) {
+            throw new HttpError(403, "Cannot grant permissions you don't have");
+        }
+    }
+
+    // Users may only manage accounts with no more access than their own
+    assertCanManage(actor, target) {
+        if (!coversPermissions(actor.permissions, this.resolvePermissions(target))) {
+            throw new HttpError(403, 'Cannot manage a user with more permissions than your own');
+        }
+    }
+
+    // Decode a JWT and check its user still exists and is active, its session
+    // hasn't been revoked and the user's token version hasn't moved on
+    // (password change, "log out everywhere", deactivation). Role and
+    // permissions come from the user record, so admin changes apply at once.
+    // Returns null for anything that shouldn't be trusted.
+    verifyToken(token) {
+        try {
+            const decoded = jwt.verify(token, this.jwtSecret);
+            const user = this.users.get(decoded.username);
+
+            if (!user || !user.isActive) {
+                return null;
+            }
+
+            if (decoded.tv !== (user.tokenVersion || 0) || !decoded.sid || !this.sessions.has(decoded.sid)) {
+                return null;
+            }
+
+            return { ...decoded, role: user.role, permissions: this.resolvePermissions(user), pendingAction: this.pendingAction(user) };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // sha256, for API keys and refresh tokens
+    hashSecret(secret) {
+        return crypto.createHash('sha256').update(secret).digest('hex');
+    }
+
+    // The secret is only returned here; afterwards the key is identified by
+    // its ID and a short display prefix. permissions narrows the key to a
+    // subset of the creator's own (null keeps all of them); expiresIn is in
+    // seconds.
+    createApiKey(user, { name, permissions, expiresIn } = {}) {
+        if (permissions !== undefined && permissions !== null) {
+            if (!Array.isArray(permissions) || permissions.length === 0) {
+                throw new HttpError(400, 'permissions must be a non-empty array');
+            }
+
+            this.validatePermissions(permissions);
+
+            const excess = permissions.filter(permission => !coversPermissions(user.permissions, [permission]));
+            if (excess.length > 0) {
+                throw new HttpError(403, `Cannot grant permissions you don't have: ${excess.join(', ')}`);
+            }
+        }
+
+        if (expiresIn !== undefined && !(Number(expiresIn) > 0)) {
+            throw new HttpError(400, 'expiresIn must be a positive number of seconds');
+        }
+
+        const secret = this.apiKeyPrefix + crypto.randomBytes(24).toString('base64url');
+        const key = {
+            id: uuidv4(),
+            userId: user.id,
+            name: name || 'API key',
+            prefix: secret.slice(0, 10),
+            // A key made with a scoped key can't outgrow it
+            permissions: permissions || (user.apiKeyId ? user.permissions : null),
+            expiresAt: expiresIn ? new Date(Date.now() + Number(expiresIn) * 1000) : null,
+            lastUsedAt: null,
+            lastUsedIp: null,
+            createdAt: new Date()
+        };
+
+        this.apiKeys.set(this.hashSecret(secret), key);
+
+        return { ...key, secret };
+    }
+
+    listApiKeys(userId) {
+        return this.apiKeys
+            .filter(key => key.userId === userId)
+            .map(key => ({ ...key, expired: this.isApiKeyExpired(key) }));
+    }
+
+    isApiKeyExpired(key) {
+        return Boolean(key.expiresAt) && new Date(key.expiresAt) <= new Date();
+    }
+
+    renameApiKey(userId, keyId, name) {
+        if (!name) {
+            throw new HttpError(400, 'Name is required');
+        }
+
+        for (const [hash, key] of this.apiKeys.entries()) {
+            if (key.id === keyId && key.userId === userId) {
+                key.name = name;
+                this.apiKeys.set(hash, key);
+                return key;
+            }
+        }
+        return null;
+    }
+
+    revokeApiKey(userId, keyId) {
+        for (const [hash, key] of this.apiKeys.entries()) {
+            if (key.id === keyId && key.userId === userId) {
+                return this.apiKeys.delete(hash);
+            }
+        }
+        return false;
+    }
+
+    // Resolve an API key to the same shape as a decoded JWT, using the
+    // owner's current role and permissions narrowed to the key's scope.
+    // Null if unknown, expired or the owner is inactive.
+    verifyApiKey(secret, ip) {
+        const hash = this.hashSecret(secret);
+        const key = this.apiKeys.get(hash);
+        const user = key && this.findUserById(key.userId);
+
+        if (!user || !user.isActive || this.isApiKeyExpired(key)) {
+            return null;
+        }
+
+        // Record use, at most once a minute per key to spare the store
+        if (!key.lastUsedAt || Date.now() - new Date(key.lastUsedAt).getTime() > 60000) {
+            key.lastUsedAt = new Date();
+            key.lastUsedIp = ip || null;
+            this.apiKeys.set(hash, key);
+        }
+
+        const userPermissions = this.resolvePermissions(user);
+        const permissions = key.permissions
+            ? key.permissions.filter(permission => coversPermissions(userPermissions, [permission]))
+            : userPermissions;
+
+        return {
+            id: user.id,
+            username: user.username,
+            role: user.role,
+            permissions,
+            pendingAction: this.pendingAction(user),
+            apiKeyId: key.id,
+            // Scoped keys don't inherit role-based access (see requireRole)
+            scoped: Boolean(key.permissions)
+        };
+    }
+
+    // Credentials from the request: "Authorization: Bearer" with a login JWT
+    // or an API key, or an API key in X-API-Key
+    authenticate(req) {
+        const authHeader = req.headers.authorization;
+        const token = (authHeader && authHeader.split(' ')[1]) || req.headers['x-api-key']; // Bearer TOKEN
+
+        if (!token) {
+            return { token: null, user: null };
+        }
+
+        const user = token.startsWith(this.apiKeyPrefix)
+            ? this.verifyApiKey(token, req.ip)
+            : this.verifyToken(token);
+
+        return { token, user };
+    }
+
+    // user: an authenticated user (req.user, socket.user), whose
+    // permissions are already resolved
+    checkPermission(user, permission) {
+        return hasPermission(user?.permissions, permission);
+    }
+
+    // Middleware functions
+    requireAuth = (req, res, next) => {
+        const { token, user } = this.authenticate(req);
+
+        if (!token) {
+            return res.status(401).json({ error: 'Access token required' });
+        }
+
+        if (!user) {
+            return res.status(401).json({ error: 'Invalid or expired token' });
+        }
+
+        if (user.pendingAction && !this.pendingActionRoutes.some(route => req.originalUrl.startsWith(route))) {
+            return res.status(403).json({ error: this.pendingActionMessages[user.pendingAction], pendingAction: user.pendingAction });
+        }
+
+        req.user = user;
+        next();
+    };
+
+    // Any of the given roles; prefer requirePermission, which custom roles
+    // can satisfy
+    requireRole = (...roles) => {
+        return (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            const roleGranted = roles.includes(req.user.role) && !req.user.scoped;
+            if (!roleGranted && !this.checkPermission(req.user, '*')) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+
+            next();
+        };
+    };
+
+    requirePermission = (permission) => {
+        return (req, res, next) => {
+            if (!req.user) {
+                return res.status(401).json({ error: 'Authentication required' });
+            }
+
+            if (!this.checkPermission(req.user, permission)) {
+                return res.status(403).json({ error: 'Insufficient permissions' });
+            }
+
+            next();
+        };
+    };
+
+    // Utility methods
+    isAuthenticated(req) {
+        return Boolean(this.authenticate(req).user);
+    }
+
+    hasPermission(req, permission) {
+        const { user } = this.authenticate(req);
+        return Boolean(user) && this.checkPermission(user, permission);
     }
 
     // Get auth stats
@@ -378,14 +1659,13 @@ class AuthService {
         const totalUsers = this.users.size;
         const activeUsers = Array.from(this.users.values()).filter(u => u.isActive).length;
         const adminUsers = Array.from(this.users.values()).filter(u => u.role === 'admin').length;
-        const activeSessions = this.sessions.keys().length;
+        const activeSessions = this.sessions.size;
 
         return {
             totalUsers,
             activeUsers,
             adminUsers,
-            activeSessions,
-            sessionStats: this.sessions.getStats()
+            activeSessions
         };
     }
 }
@@ -0,0 +1,210 @@
+// Language-aware chunking for source files. Declarations (functions,
+// classes, methods, types; headings in Markdown) are found line by line with
+// a few patterns per language, and a file is cut at its outermost
+// declarations. A piece still larger than the chunk size is cut again at
+// the declarations inside it (a class at its methods), and one without any
+// at line breaks. Small neighbouring pieces are merged back up to the
+// chunk size. Comments, doc blocks and decorators directly above a
+// declaration stay with it.
+
+const LANGUAGES = {
+    js: 'javascript', jsx: 'javascript', mjs: 'javascript', cjs: 'javascript',
+    ts: 'typescript', tsx: 'typescript', mts: 'typescript', cts: 'typescript',
+    py: 'python', pyi: 'python',
+    java: 'java', kt: 'kotlin', kts: 'kotlin', scala: 'scala', cs: 'csharp',
+    go: 'go', rs: 'rust', rb: 'ruby', php: 'php', swift: 'swift',
+    c: 'c', h: 'c', cc: 'cpp', cpp: 'cpp', cxx: 'cpp', hpp: 'cpp', hh: 'cpp',
+    sh: 'shell', bash: 'shell', zsh: 'shell',
+    md: 'markdown', markdown: 'markdown',
+    json: 'json', yaml: 'yaml', yml: 'yaml', toml: 'toml', xml: 'xml',
+    html: 'html', css: 'css', scss: 'css', sql: 'sql', txt: 'text'
+};
+
+const JS_SYMBOLS = [
+    /^\s*(?:export\s+)?(?:default\s+)?(?:declare\s+)?(?:abstract\s+)?(?:async\s+)?(?:function\s*\*?\s*|class\s+|interface\s+|enum\s+|namespace\s+|type\s+(?=[\w$]+\s*(?:<[^>]*>)?\s*=))([\w$]+)/,
+    /^\s*(?:export\s+)?(?:const|let|var)\s+([\w$]+)\s*(?::[^=]+)?=\s*(?:async\s+)?(?:function\b|class\b|\([^)]*\)\s*(?::[^=]+)?=>|[\w$]+\s*=>)/,
+    // Methods in class bodies
+    /^\s+(?:(?:static|async|get|set|public|private|protected|readonly|override)\s+)*\*?\s*(?!(?:if|for|while|switch|catch|function|return)\b)([\w$#]+)\s*\([^)]*\)\s*(?::[^{]+)?\{\s*$/
+];
+
+const JVM_SYMBOLS = [
+    /^\s*(?:@\w+\s+)*(?:(?:public|private|protected|internal|static|final|abstract|sealed|partial|data|open|case|readonly)\s+)*(?:class|interface|enum|record|struct|object|trait)\s+(\w+)/,
+    /^\s*(?:(?:public|private|protected|internal|static|final|abstract|synchronized|override|virtual|async|open|suspend|inline)\s+)+(?:fun\s+|def\s+)?(?:[\w<>[\],.?]+\s+)?(\w+)\s*[(<]/,
+    /^\s*(?:fun|def)\s+(?:<[^>]*>\s*)?(?:[\w.]+\.)?(\w+)/
+];
+
+const SYMBOLS = {
+    javascript: JS_SYMBOLS,
+    typescript: JS_SYMBOLS,
+    python: [/^\s*(?:async\s+)?(?:def|class)\s+(\w+)/],
+    java: JVM_SYMBOLS,
+    kotlin: JVM_SYMBOLS,
+    scala: JVM_SYMBOLS,
+    csharp: JVM_SYMBOLS,
+    go: [/^func\s+(?:\([^)]*\)\s*)?(\w+)/, /^type\s+(\w+)/],
+    rust: [
+        /^\s*(?:pub(?:\([^)]*\))?\s+)?(?:(?:async|const|unsafe|extern(?:\s+"[^"]*")?)\s+)*(?:fn|struct|enum|trait|mod|union)\s+(\w+)/,
+        /^\s*impl(?:<[^>]*>)?\s+(?:[\w:<>, ]+\s+for\s+)?([\w:]+)/
+    ],
+    ruby: [/^\s*(?:def|class|module)\s+(?:self\.)?([\w:.?!=]+)/],
+    php: [/^\s*(?:(?:public|private|protected|static|abstract|final)\s+)*(?:function|class|interface|trait|enum)\s+(\w+)/],
+    swift: [/^\s*(?:(?:public|private|internal|fileprivate|open|static|final|override|@\w+)\s+)*(?:func|class|struct|enum|protocol|extension|actor)\s+(\w+)/],
+    c: [
+        /^\s*(?:template\s*<[^>]*>\s*)?(?:class|struct|namespace|union|enum(?:\s+class)?)\s+(\w+)(?![^;]*;\s*$)/,
+        // Function definitions start in column 0 and don't end with ";"
+        /^(?!(?:if|for|while|switch|return|else|do|typedef)\b)[A-Za-z_][\w:*&<>, ]*?[\s*&]\**([~\w:]+)\s*\([^;]*$/
+    ],
+    shell: [/^\s*(?:function\s+)?([\w-]+)\s*\(\)\s*\{/, /^\s*function\s+([\w-]+)/],
+    markdown: [/^#{1,6}[ \t]+(.+?)[ \t#]*$/]
+};
+SYMBOLS.cpp = SYMBOLS.c;
+
+// Lines that belong to the declaration below them
+const LEADING_LINE = /^\s*(?:\/\/|\/\*|\*|#(?!#)|@|--|'''|""")/;
+
+export function languageOf(filePath) {
+    const name = filePath.split('/').pop();
+    if (/^(?:Dockerfile|Makefile|Rakefile|Gemfile)$/.test(name)) return 'text';
+    const dot = name.lastIndexOf('.');
+    return dot > 0 ? LANGUAGES[name.slice(dot + 1).toLowerCase()] || null : null;
+}
+
+// Chunks of { text, startLine, endLine, symbols } (1-based lines; symbols
+// are the declarations in the chunk, qualified by their enclosing ones,
+// e.g. "UserService.login")
+export function chunkCode(text, language, { chunkSize = 1200, overlap = 200 } = {}) {
+    const lines = text.split('\n');
+    const offsets = [0];
+    for (const line of lines) offsets.push(offsets[offsets.length - 1] + line.length + 1);
+
+    const context = {
+        lines,
+        chunkSize,
+        overlap,
+        size: (start, end) => offsets[end] - offsets[start],
+        symbols: findSymbols(lines, SYMBOLS[language] || [], { fenced: language === 'markdown' })
+    };
+
+    const pieces = merge(split(context, 0, lines.length, []), context);
+
+    return pieces
+        .map(({ start, end, symbols }) => {
+            const text = lines.slice(start, end).join('\n').replace(/\s+$/, '');
+            return { text, startLine: start + 1, endLine: start + text.split('\n').length, symbols };
+        })
+        .filter(chunk => chunk.text.trim());
+}
+
+// In Markdown, "#" lines inside ``` blocks are code, not headings
+function findSymbols(lines, patterns, { fenced = false } = {}) {
+    const symbols = [];
+    if (patterns.length === 0) return symbols;
+
+    let inFence = false;
+    lines.forEach((line, index) => {
+        if (fenced && /^\s*(?:```|~~~)/.test(line)) inFence = !inFence;
+        if (inFence || line.length > 500) return;
+        for (const pattern of patterns) {
+            const match = line.match(pattern);
+            if (match) {
+                symbols.push({ line: index, indent: indentOf(line), name: match[1] });
+                break;
+            }
+        }
+    });
+
+    return symbols;
+}
+
+function indentOf(line) {
+    let indent = 0;
+    for (const char of line) {
+        if (char === ' ') indent++;
+        else if (char === '\t') indent += 4;
+        else break;
+    }
+    return indent;
+}
+
+// Pieces { start, end, symbols } covering lines [start, end). header is
+// the declaration the range belongs to (if any), scope those enclosing it.
+function split(context, start, end, scope, header = null) {
+    const bodyStart = header ? header.line + 1 : start;
+    const inner = context.symbols.filter(symbol => symbol.line >= bodyStart && symbol.line < end);
+    const inside = header ? [...scope, header.name] : scope;
+    const own = header ? [inside.join('.')] : [];
+
+    if (context.size(start, end) <= context.chunkSize || inner.length === 0) {
+        const indent = Math.min(...inner.map(symbol => symbol.indent));
+        const symbols = [...own, ...inner
+            .filter(symbol => symbol.indent === indent)
+            .map(symbol => [...inside, symbol.name].join('.'))];
+
+        if (context.size(start, end) <= context.chunkSize) {
+            return [{ start, end, symbols }];
+        }
+        return lineWindows(context, start, end).map(([from, to]) => ({ start: from, end: to, symbols }));
+    }
+
+    const indent = Math.min(...inner.map(symbol => symbol.indent));
+    const cuts = inner
+        .filter(symbol => symbol.indent === indent)
+        .map(symbol => ({ line: leadingStart(context.lines, symbol.line, bodyStart), symbol }));
+
+    // Whatever precedes the first cut (imports, a class header and its
+    // fields) stays with the range's own declaration
+    const pieces = [];
+    if (cuts[0].line > start) {
+        pieces.push(...split(context, start, cuts[0].line, scope, null).map(piece => ({ ...piece, symbols: own })));
+    }
+
+    cuts.forEach((cut, i) => {
+        const to = cuts[i + 1]?.line ?? end;
+        if (to > cut.line) pieces.push(...split(context, cut.line, to, inside, cut.symbol));
+    });
+
+    return pieces;
+}
+
+// Move a declaration's first line up over the comments and decorators
+// directly above it, but not above floor
+function leadingStart(lines, line, floor) {
+    while (line - 1 >= floor && LEADING_LINE.test(lines[line - 1])) line--;
+    return line;
+}
+
+// [from, to) line ranges of about chunkSize characters, overlapping by
+// about overlap characters
+function lineWindows(context, start, end) {
+    const windows = [];
+    let from = start;
+
+    while (from < end) {
+        let to = from + 1;
+        while (to < end && context.size(from, to + 1) <= context.chunkSize) to++;
+        windows.push([from, to]);
+        if (to >= end) break;
+
+        let next = to;
+        while (next - 1 > from && context.size(next - 1, to) <= context.overlap) next--;
+        from = next;
+    }
+
+    return windows;
+}
+
+function merge(pieces, context) {
+    const merged = [];
+
+    for (const piece of pieces) {
+        const last = merged[merged.length - 1];
+        if (last && last.end === piece.start && context.size(last.start, piece.end) <= context.chunkSize) {
+            last.end = piece.end;
+            last.symbols = [...new Set([...last.symbols, ...piece.symbols])];
+        } else {
+            merged.push({ ...piece });
+        }
+    }
+
+    return merged;
+}
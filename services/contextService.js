@@ -0,0 +1,172 @@
+import { aiService } from './aiService.js';
+import { conversationService } from './conversationService.js';
+import {
+    estimateTokens,
+    estimateMessageTokens,
+    getContextWindow,
+    truncateToTokens
+} from './tokenEstimator.js';
+
+const SUMMARY_PROMPT = `You maintain a running summary of a conversation between a user and an AI assistant.
+Merge the new turns into the existing summary. Preserve decisions, requirements, names, numbers,
+code identifiers and open questions; drop pleasantries and repetition. Be concise and write in the
+third person. Reply with the updated summary only.`;
+
+class ContextService {
+    constructor() {
+        // Shares of the prompt budget left after the system prompt
+        this.fileContextShare = parseFloat(process.env.CONTEXT_FILE_SHARE) || 0.3;
+        this.summaryShare = parseFloat(process.env.CONTEXT_SUMMARY_SHARE) || 0.1;
+        this.safetyMargin = 0.05;
+        this.summaryEnabled = process.env.ENABLE_CONTEXT_SUMMARY !== 'false';
+    }
+
+    // Split the model's context window between the reserved completion,
+    // system prompt, file context, rolling summary and dialogue history.
+    planBudget({ model, maxTokens, systemPrompt }) {
+        const contextWindow = getContextWindow(model);
+        const completion = maxTokens || 4000;
+        const prompt = Math.floor(Math.max(contextWindow - completion, 0) * (1 - this.safetyMargin));
+        const system = estimateTokens(systemPrompt, model);
+        const remaining = Math.max(prompt - system, 0);
+
+        return {
+            contextWindow,
+            completion,
+            prompt,
+            system,
+            remaining,
+            fileContext: Math.floor(remaining * this.fileContextShare),
+            summary: Math.floor(remaining * this.summaryShare)
+        };
+    }
+
+    // Build the messages array for a chat turn. Turns that no longer fit are
+    // folded into the conversation's rolling summary rather than dropped.
+    async buildMessages(conversationId, history = [], { systemPrompt, fileContext, message } = {}, options = {}) {
+        const provider = aiService.getProvider(options.provider);
+        const model = options.model || provider.model;
+        const budget = this.planBudget({ model, maxTokens: options.max_tokens, systemPrompt });
+
+        let files = fileContext;
+        if (files && estimateTokens(files, model) > budget.fileContext) {
+            files = truncateToTokens(files, budget.fileContext, model);
+        }
+
+        const entries = history.filter(entry =>
+            ['user', 'assistant'].includes(entry.role) && !entry.metadata?.error
+        );
+
+        let summary = conversationService.getSummary(conversationId);
+
+        // A summary built along another branch doesn't describe this history
+        if (summary && !entries.some(entry => entry.id === summary.lastMessageId) &&
+            conversationService.getConversation(conversationId)?.messages.some(m => m.id === summary.lastMessageId)) {
+            summary = null;
+        }
+
+        let historyBudget = budget.remaining
+            - estimateTokens(files, model)
+            - estimateMessageTokens([{ content: message }], model);
+
+        let cut = this.findCutIndex(entries, historyBudget, model);
+
+        // Leave room for the summary once anything has been (or will be) evicted
+        if (cut > 0 || summary) {
+            historyBudget -= budget.summary;
+            cut = this.findCutIndex(entries, historyBudget, model);
+        }
+
+        if (cut > 0 && this.summaryEnabled) {
+            summary = await this.summarizeEvicted(conversationId, entries, cut, summary, {
+                provider: provider.name,
+                model,
+                maxTokens: budget.summary
+            });
+        }
+
+        const messages = aiService.buildConversationMessages(entries.slice(cut), {
+            systemPrompt,
+            fileContext: files,
+            message
+        });
+
+        if (summary?.content) {
+            const insertAt = systemPrompt ? 1 : 0;
+            messages.splice(insertAt, 0, {
+                role: 'system',
+                content: `Summary of the earlier conversation:\n${summary.content}`
+            });
+        }
+
+        return messages;
+    }
+
+    // Index of the first history entry that still fits in the budget,
+    // scanning back from the most recent turn.
+    findCutIndex(entries, budget, model) {
+        let used = 0;
+        let cut = 0;
+
+        for (let i = entries.length - 1; i >= 0; i--) {
+            used += estimateMessageTokens([entries[i]], model);
+            if (used > budget) {
+                cut = i + 1;
+                break;
+            }
+        }
+
+        // Kept history must open on a user turn
+        while (cut < entries.length && entries[cut].role === 'assistant') {
+            cut++;
+        }
+
+        return cut;
+    }
+
+    async summarizeEvicted(conversationId, entries, cut, summary, { provider, model, maxTokens }) {
+        // Only fold in evicted turns the existing summary doesn't cover yet
+        const coveredIndex = summary ? entries.findIndex(entry => entry.id === summary.lastMessageId) : -1;
+        const pending = entries.slice(coveredIndex + 1, cut);
+
+        if (pending.length === 0) {
+            return summary;
+        }
+
+        const transcript = pending
+            .map(entry => `${entry.role === 'user' ? (entry.username || 'User') : 'Assistant'}: ${entry.content}`)
+            .join('\n\n');
+
+        try {
+            const response = await aiService.processConversation([
+                { role: 'system', content: SUMMARY_PROMPT },
+                {
+                    role: 'user',
+                    content: `Existing summary:\n${summary?.content || '(none)'}\n\nNew turns:\n${truncateToTokens(transcript, Math.floor(getContextWindow(model) / 2), model)}`
+                }
+            ], {
+                provider,
+                model,
+                temperature: 0.2,
+                max_tokens: Math.min(maxTokens, 1024)
+            });
+
+            conversationService.updateSummary(conversationId, {
+                content: truncateToTokens(response.content.trim(), maxTokens, model),
+                lastMessageId: pending[pending.length - 1].id,
+                summarizedCount: (summary?.summarizedCount || 0) + pending.length,
+                model: response.model
+            });
+
+            return conversationService.getSummary(conversationId);
+
+        } catch (error) {
+            // Fall back to the previous summary; the turns are retried next time
+            console.error('Context summarization error:', error.message);
+            return summary;
+        }
+    }
+}
+
+const contextService = new ContextService();
+export { contextService };
@@ -1,32 +1,72 @@
 import express from 'express';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
 import { v4 as uuidv4 } from 'uuid';
 import NodeCache from 'node-cache';
+import { storage } from '../storage/index.js';
+import { authService } from './authService.js';
+import { HttpError } from './errors.js';
+
+// Conversation roles, lowest to highest. Viewers can read and listen in,
+// editors can also chat, owners manage the conversation and its members.
+const ROLE_RANK = { viewer: 1, editor: 2, owner: 3 };
+// The conversations:<action>:any permission that stands in for each role
+const ROLE_ACTION = { viewer: 'read', editor: 'write', owner: 'manage' };
+const MEMBER_ROLES = ['viewer', 'editor'];
+const MESSAGE_ROLES = ['user', 'assistant', 'system'];
 
 class ConversationService {
     constructor() {
         this.router = express.Router();
-        this.conversations = new Map();
+        this.conversations = storage.collection('conversations');
+        this.invites = storage.collection('conversation_invites');
+        this.events = new EventEmitter(); // 'members_changed' ({ conversationId })
         this.cache = new NodeCache({ stdTTL: 86400 }); // 24 hours
+        this.inviteTTL = parseInt(process.env.INVITE_TTL) || 7 * 86400; // 7 days
         this.setupRoutes();
         this.maxHistoryLength = parseInt(process.env.MAX_CONVERSATION_HISTORY) || 100;
     }
 
+    requireConversationRole = (role) => {
+        return (req, res, next) => {
+            if (!this.canAccess(req.conversation, req.user, role)) {
+                return res.status(403).json({ error: 'Insufficient conversation permissions' });
+            }
+
+            next();
+        };
+    };
+
     setupRoutes() {
+        this.router.use(authService.requireAuth, authService.requirePermission('conversations:read:own'));
+        const requireWrite = authService.requirePermission('conversations:write:own');
+
+        // Every /:id route is scoped to conversations the caller may access
+        this.router.param('id', (req, res, next, id) => {
+            try {
+                req.conversation = this.getAccessibleConversation(id, req.user);
+                next();
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
         // Get conversation history
         this.router.get('/:id', (req, res) => {
             try {
                 const { id } = req.params;
-                const history = this.getHistory(id);
+                const history = this.getThread(id);
                 res.json({ success: true, history, conversationId: id });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
-        // Get all conversations
+        // Get all conversations (?all=true with conversations:read:any)
         this.router.get('/', (req, res) => {
             try {
-                const conversations = this.getAllConversations();
+                const all = req.query.all === 'true' && authService.checkPermission(req.user, 'conversations:read:any');
+                const conversations = this.getAllConversations(all ? null : req.user);
                 res.json({ success: true, conversations });
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -34,10 +74,10 @@ class ConversationService {
         });
 
         // Create new conversation
-        this.router.post('/', (req, res) => {
+        this.router.post('/', requireWrite, (req, res) => {
             try {
                 const { title, metadata = {} } = req.body;
-                const conversationId = this.createConversation(title, metadata);
+                const conversationId = this.createConversation(title, metadata, { ownerId: req.user.id });
                 res.json({ success: true, conversationId });
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -45,26 +85,60 @@ class ConversationService {
         });
 
         // Add message to conversation
-        this.router.post('/:id/messages', async (req, res) => {
+        this.router.post('/:id/messages', requireWrite, this.requireConversationRole('editor'), async (req, res) => {
             try {
                 const { id } = req.params;
-                const { role, content, metadata = {} } = req.body;
-                
-                await this.addMessage(id, {
+                const { role = 'user', content, metadata = {}, parentId } = req.body;
+
+                if (!MESSAGE_ROLES.includes(role)) {
+                    return res.status(400).json({ error: `Role must be one of: ${MESSAGE_ROLES.join(', ')}` });
+                }
+
+                // Editors speak as themselves; only the owner may put words
+                // in the assistant's mouth or change the system prompt
+                if (role !== 'user' && !this.canAccess(req.conversation, req.user, 'owner')) {
+                    return res.status(403).json({ error: 'Only the owner can add assistant or system messages' });
+                }
+
+                const messageId = await this.addMessage(id, {
                     role,
                     content,
                     metadata,
-                    timestamp: new Date()
+                    timestamp: new Date(),
+                    ...(parentId !== undefined && { parentId })
                 });
                 
-                res.json({ success: true, conversationId: id });
+                res.json({ success: true, conversationId: id, messageId });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // List the leaves of the message tree
+        this.router.get('/:id/branches', (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    activeLeafId: req.conversation.activeLeafId,
+                    branches: this.listBranches(req.params.id)
+                });
             } catch (error) {
                 res.status(500).json({ error: error.message });
             }
         });
 
+        // Switch the active branch to the one containing messageId
+        this.router.put('/:id/branches/active', requireWrite, this.requireConversationRole('editor'), (req, res) => {
+            try {
+                const activeLeafId = this.switchBranch(req.params.id, req.body.messageId);
+                res.json({ success: true, activeLeafId, history: this.getThread(req.params.id) });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
         // Update conversation metadata
-        this.router.put('/:id', (req, res) => {
+        this.router.put('/:id', requireWrite, this.requireConversationRole('editor'), (req, res) => {
             try {
                 const { id } = req.params;
                 const { title, metadata } = req.body;
@@ -76,7 +150,7 @@ class ConversationService {
         });
 
         // Delete conversation
-        this.router.delete('/:id', (req, res) => {
+        this.router.delete('/:id', this.requireConversationRole('owner'), (req, res) => {
             try {
                 const { id } = req.params;
                 this.deleteConversation(id);
@@ -90,7 +164,7 @@ class ConversationService {
         this.router.post('/search', (req, res) => {
             try {
                 const { query, options = {} } = req.body;
-                const results = this.searchConversations(query, options);
+                const results = this.searchConversations(query, options, req.user);
                 res.json({ success: true, results });
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -111,15 +185,105 @@ class ConversationService {
                 res.status(500).json({ error: error.message });
             }
         });
+
+        // List owner and members
+        this.router.get('/:id/members', (req, res) => {
+            try {
+                res.json({ success: true, ...this.getMembers(req.conversation) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Add an existing user as a member
+        this.router.post('/:id/members', this.requireConversationRole('owner'), (req, res) => {
+            try {
+                const { username, role = 'viewer' } = req.body;
+                const member = this.addMember(req.params.id, username, role, req.user);
+                res.status(201).json({ success: true, member });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // List pending invite links
+        this.router.get('/:id/members/invites', this.requireConversationRole('owner'), (req, res) => {
+            try {
+                res.json({ success: true, invites: this.listInvites(req.params.id) });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Create an invite link; the token is only returned once
+        this.router.post('/:id/members/invites', this.requireConversationRole('owner'), (req, res) => {
+            try {
+                const { role = 'viewer', expiresIn, maxUses } = req.body;
+                const invite = this.createInvite(req.params.id, { role, expiresIn, maxUses }, req.user);
+                res.status(201).json({ success: true, invite });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Revoke an invite link
+        this.router.delete('/:id/members/invites/:inviteId', this.requireConversationRole('owner'), (req, res) => {
+            try {
+                this.revokeInvite(req.params.id, req.params.inviteId);
+                res.json({ success: true, message: 'Invite revoked' });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Change a member's role
+        this.router.put('/:id/members/:userId', this.requireConversationRole('owner'), (req, res) => {
+            try {
+                const member = this.updateMember(req.params.id, req.params.userId, req.body.role);
+                res.json({ success: true, member });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Remove a member (members may also remove themselves)
+        this.router.delete('/:id/members/:userId', (req, res) => {
+            try {
+                const { id, userId } = req.params;
+
+                if (userId !== req.user.id && !this.canAccess(req.conversation, req.user, 'owner')) {
+                    return res.status(403).json({ error: 'Insufficient conversation permissions' });
+                }
+
+                this.removeMember(id, userId);
+                res.json({ success: true, message: 'Member removed' });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Accept an invite link and join the conversation
+        this.router.post('/invites/:token/accept', (req, res) => {
+            try {
+                const { conversation, role } = this.acceptInvite(req.params.token, req.user);
+                res.json({ success: true, conversationId: conversation.id, role });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
     }
 
-    createConversation(title = 'New Conversation', metadata = {}) {
-        const id = uuidv4();
+    createConversation(title = 'New Conversation', metadata = {}, options = {}) {
+        const id = options.id || uuidv4();
         const conversation = {
             id,
             title,
+            ownerId: options.ownerId || null,
+            members: [],
             metadata,
             messages: [],
+            activeLeafId: null,
+            summary: null,
             createdAt: new Date(),
             updatedAt: new Date()
         };
@@ -139,30 +303,126 @@ class ConversationService {
                 title: 'Auto-generated Conversation',
                 metadata: {},
                 messages: [],
+                activeLeafId: null,
+                summary: null,
                 createdAt: new Date(),
                 updatedAt: new Date()
             };
-            this.conversations.set(conversationId, conversation);
         }
 
         // Add unique ID to message
-        message.id = uuidv4();
+        message.id = message.id || uuidv4();
         message.timestamp = message.timestamp || new Date();
 
+        // Messages form a tree; without an explicit parent they continue
+        // the active branch, and the new message becomes its tip.
+        if (message.parentId === undefined) {
+            message.parentId = conversation.activeLeafId || null;
+        } else if (message.parentId !== null && !conversation.messages.some(m => m.id === message.parentId)) {
+            throw new HttpError(400, 'Parent message not found');
+        }
+
+        const previousLeafId = conversation.activeLeafId;
         conversation.messages.push(message);
+        conversation.activeLeafId = message.id;
         conversation.updatedAt = new Date();
 
         // Trim conversation if it gets too long
         if (conversation.messages.length > this.maxHistoryLength) {
-            conversation.messages = conversation.messages.slice(-this.maxHistoryLength);
+            this.trimMessages(conversation, previousLeafId);
         }
 
-        // Update cache
+        // Persist and update cache
+        this.conversations.set(conversationId, conversation);
         this.cache.set(`conversation:${conversationId}`, conversation);
         
         return message.id;
     }
 
+    // Cut the tree back to maxHistoryLength messages. Branches off the
+    // active path and off the previous tip's path go first, oldest first;
+    // only if those paths alone are too long do their oldest messages go.
+    // The tips and their parents always stay, so a reply still being
+    // generated for either branch can be attached.
+    trimMessages(conversation, previousLeafId) {
+        const excess = conversation.messages.length - this.maxHistoryLength;
+        const paths = [this.getPath(conversation), previousLeafId ? this.getPath(conversation, previousLeafId) : []];
+        const onPath = new Set(paths.flat().map(m => m.id));
+        const pinned = new Set(paths.flatMap(path => path.slice(-2)).map(m => m.id));
+
+        const drop = new Set(conversation.messages
+            .filter(m => !onPath.has(m.id))
+            .slice(0, excess)
+            .map(m => m.id));
+
+        if (drop.size < excess) {
+            conversation.messages
+                .filter(m => onPath.has(m.id) && !pinned.has(m.id))
+                .slice(0, excess - drop.size)
+                .forEach(m => drop.add(m.id));
+        }
+
+        conversation.messages = conversation.messages.filter(m => !drop.has(m.id));
+    }
+
+    // The user's own role in a conversation: owner, a member role, or null
+    getRole(conversation, user) {
+        if (!conversation || !user) return null;
+        if (conversation.ownerId === user.id) return 'owner';
+
+        const member = (conversation.members || []).find(m => m.userId === user.id);
+        return member ? member.role : null;
+    }
+
+    // Users holding conversations:<action>:any for the role (admins) may do
+    // anything; everyone else needs at least the given role
+    canAccess(conversation, user, role = 'viewer') {
+        if (!conversation || !user) return false;
+        if (authService.checkPermission(user, `conversations:${ROLE_ACTION[role]}:any`)) return true;
+
+        return (ROLE_RANK[this.getRole(conversation, user)] || 0) >= ROLE_RANK[role];
+    }
+
+    // Conversations the user can't see at all are reported as missing so IDs
+    // can't be probed; members lacking the required role get a 403.
+    getAccessibleConversation(conversationId, user, role = 'viewer') {
+        const conversation = this.getConversation(conversationId);
+
+        if (!this.canAccess(conversation, user)) {
+            throw new HttpError(404, 'Conversation not found');
+        }
+
+        if (!this.canAccess(conversation, user, role)) {
+            throw new HttpError(403, 'Insufficient conversation permissions');
+        }
+
+        return conversation;
+    }
+
+    // Resolve the conversation a chat turn belongs to, creating it for the
+    // user when the ID is new (clients may generate their own IDs).
+    ensureConversation(conversationId, user, role = 'editor') {
+        if (conversationId && this.getConversation(conversationId)) {
+            return this.getAccessibleConversation(conversationId, user, role);
+        }
+
+        const id = this.createConversation('New Conversation', {}, {
+            id: conversationId,
+            ownerId: user.id
+        });
+        return this.getConversation(id);
+    }
+
+    getConversation(conversationId) {
+        if (!conversationId) {
+            return null;
+        }
+
+        return this.conversations.get(conversationId) ||
+               this.cache.get(`conversation:${conversationId}`) || null;
+    }
+
+    // Messages on the active branch, oldest first
     getHistory(conversationId) {
         if (!conversationId) {
             return [];
@@ -171,22 +431,178 @@ class ConversationService {
         const conversation = this.conversations.get(conversationId) || 
                            this.cache.get(`conversation:${conversationId}`);
         
-        return conversation ? conversation.messages : [];
+        return conversation ? this.getPath(conversation) : [];
     }
 
-    getAllConversations() {
+    // Walk from a message up to the root. Parents trimmed away by
+    // maxHistoryLength simply end the path early.
+    getPath(conversation, leafId = conversation.activeLeafId) {
+        const byId = new Map(conversation.messages.map(m => [m.id, m]));
+        const path = [];
+
+        for (let message = byId.get(leafId); message; message = byId.get(message.parentId)) {
+            path.unshift(message);
+        }
+
+        return path;
+    }
+
+    getChildren(conversation, parentId) {
+        return conversation.messages.filter(m => (m.parentId || null) === (parentId || null));
+    }
+
+    // Active branch annotated for "< 2/3 >" navigation: each message carries
+    // its position among siblings (alternative edits or regenerations).
+    getThread(conversationId, leafId) {
+        const conversation = this.getConversation(conversationId);
+        if (!conversation) return [];
+
+        return this.getPath(conversation, leafId || conversation.activeLeafId).map(message => ({
+            ...message,
+            branch: this.getBranchInfo(conversation, message.id)
+        }));
+    }
+
+    getBranchInfo(conversation, messageId) {
+        const message = conversation.messages.find(m => m.id === messageId);
+        if (!message) return null;
+
+        const siblings = this.getChildren(conversation, message.parentId).map(m => m.id);
+        return {
+            index: siblings.indexOf(messageId) + 1,
+            count: siblings.length,
+            siblings
+        };
+    }
+
+    listBranches(conversationId) {
+        const conversation = this.getConversation(conversationId);
+        if (!conversation) return [];
+
+        const parents = new Set(conversation.messages.map(m => m.parentId));
+
+        return conversation.messages
+            .filter(message => !parents.has(message.id))
+            .map(leaf => {
+                const path = this.getPath(conversation, leaf.id);
+                return {
+                    leafId: leaf.id,
+                    active: leaf.id === conversation.activeLeafId,
+                    messageCount: path.length,
+                    lastMessage: leaf,
+                    updatedAt: leaf.timestamp
+                };
+            });
+    }
+
+    // Make the branch through messageId active, following the most recent
+    // child down to a leaf. Returns the new activeLeafId.
+    switchBranch(conversationId, messageId) {
+        const conversation = this.conversations.get(conversationId);
+
+        if (!conversation.messages.some(m => m.id === messageId)) {
+            throw new HttpError(404, 'Message not found');
+        }
+
+        let leafId = messageId;
+        for (let children = this.getChildren(conversation, leafId); children.length > 0;
+            children = this.getChildren(conversation, leafId)) {
+            leafId = children[children.length - 1].id;
+        }
+
+        conversation.activeLeafId = leafId;
+
+        this.conversations.set(conversationId, conversation);
+        this.cache.set(`conversation:${conversationId}`, conversation);
+
+        return leafId;
+    }
+
+    // Work out where a chat turn attaches to the message tree:
+    // - editId: the new user message becomes a sibling of the one edited
+    // - regenerateId: answer an existing user message again (pass it or its reply)
+    // - otherwise: continue the active branch
+    // Returns the history the model sees and, when regenerating, the user message.
+    resolveTurn(conversationId, { editId, regenerateId } = {}) {
+        const conversation = this.getConversation(conversationId);
+        const find = id => conversation?.messages.find(m => m.id === id);
+
+        if (editId) {
+            const edited = find(editId);
+            if (!edited || edited.role !== 'user') {
+                throw new HttpError(400, 'Only user messages can be edited');
+            }
+
+            return {
+                parentId: edited.parentId || null,
+                history: edited.parentId ? this.getPath(conversation, edited.parentId) : []
+            };
+        }
+
+        if (regenerateId) {
+            let userMessage = find(regenerateId);
+            if (userMessage?.role === 'assistant') {
+                userMessage = find(userMessage.parentId);
+            }
+
+            if (!userMessage || userMessage.role !== 'user') {
+                throw new HttpError(400, 'Nothing to regenerate');
+            }
+
+            return {
+                parentId: userMessage.id,
+                userMessage,
+                history: userMessage.parentId ? this.getPath(conversation, userMessage.parentId) : []
+            };
+        }
+
+        return {
+            parentId: conversation?.activeLeafId || null,
+            history: this.getHistory(conversationId)
+        };
+    }
+
+    // Rolling summary of turns that no longer fit in the model's context window
+    getSummary(conversationId) {
+        const conversation = this.conversations.get(conversationId);
+        return conversation?.summary || null;
+    }
+
+    updateSummary(conversationId, summary) {
+        const conversation = this.conversations.get(conversationId);
+
+        if (!conversation) {
+            throw new Error('Conversation not found');
+        }
+
+        conversation.summary = {
+            ...summary,
+            updatedAt: new Date()
+        };
+
+        this.conversations.set(conversationId, conversation);
+        this.cache.set(`conversation:${conversationId}`, conversation);
+    }
+
+    // Pass a user to list only the conversations they can access
+    getAllConversations(user = null) {
         const conversations = [];
         
         for (const [id, conversation] of this.conversations) {
+            const role = this.getRole(conversation, user);
+            if (user && !role) continue;
+
+            const path = this.getPath(conversation);
             conversations.push({
                 id: conversation.id,
                 title: conversation.title,
+                ownerId: conversation.ownerId,
+                role,
                 metadata: conversation.metadata,
                 messageCount: conversation.messages.length,
                 createdAt: conversation.createdAt,
                 updatedAt: conversation.updatedAt,
-                lastMessage: conversation.messages.length > 0 ? 
-                           conversation.messages[conversation.messages.length - 1] : null
+                lastMessage: path.length > 0 ? path[path.length - 1] : null
             });
         }
 
@@ -205,6 +621,7 @@ class ConversationService {
         if (metadata) conversation.metadata = { ...conversation.metadata, ...metadata };
         conversation.updatedAt = new Date();
 
+        this.conversations.set(id, conversation);
         this.cache.set(`conversation:${id}`, conversation);
     }
 
@@ -215,13 +632,199 @@ class ConversationService {
         if (!deleted) {
             throw new Error('Conversation not found');
         }
+
+        for (const [key, invite] of this.invites.entries()) {
+            if (invite.conversationId === id) this.invites.delete(key);
+        }
     }
 
-    searchConversations(query, options = {}) {
+    getMembers(conversation) {
+        const owner = authService.findUserById(conversation.ownerId);
+
+        return {
+            owner: owner ? { userId: owner.id, username: owner.username, role: 'owner' } : null,
+            members: conversation.members || []
+        };
+    }
+
+    addMember(conversationId, username, role, addedBy) {
+        if (!MEMBER_ROLES.includes(role)) {
+            throw new HttpError(400, `Role must be one of: ${MEMBER_ROLES.join(', ')}`);
+        }
+
+        const user = authService.users.get(username);
+        if (!user || !user.isActive) {
+            throw new HttpError(404, 'User not found');
+        }
+
+        const conversation = this.conversations.get(conversationId);
+        if (conversation.ownerId === user.id) {
+            throw new HttpError(409, 'User already owns this conversation');
+        }
+
+        conversation.members = conversation.members || [];
+        if (conversation.members.some(m => m.userId === user.id)) {
+            throw new HttpError(409, 'User is already a member');
+        }
+
+        const member = {
+            userId: user.id,
+            username: user.username,
+            role,
+            addedBy: addedBy.id,
+            addedAt: new Date()
+        };
+        conversation.members.push(member);
+
+        this.conversations.set(conversationId, conversation);
+        this.cache.set(`conversation:${conversationId}`, conversation);
+        this.events.emit('members_changed', { conversationId });
+
+        return member;
+    }
+
+    updateMember(conversationId, userId, role) {
+        if (!MEMBER_ROLES.includes(role)) {
+            throw new HttpError(400, `Role must be one of: ${MEMBER_ROLES.join(', ')}`);
+        }
+
+        const conversation = this.conversations.get(conversationId);
+        const member = (conversation.members || []).find(m => m.userId === userId);
+        if (!member) {
+            throw new HttpError(404, 'Member not found');
+        }
+
+        member.role = role;
+
+        this.conversations.set(conversationId, conversation);
+        this.cache.set(`conversation:${conversationId}`, conversation);
+        this.events.emit('members_changed', { conversationId });
+
+        return member;
+    }
+
+    removeMember(conversationId, userId) {
+        const conversation = this.conversations.get(conversationId);
+        const members = conversation.members || [];
+
+        if (!members.some(m => m.userId === userId)) {
+            throw new HttpError(404, 'Member not found');
+        }
+
+        conversation.members = members.filter(m => m.userId !== userId);
+
+        this.conversations.set(conversationId, conversation);
+        this.cache.set(`conversation:${conversationId}`, conversation);
+        this.events.emit('members_changed', { conversationId });
+    }
+
+    // Invite links are bearer tokens; only their hash is stored
+    hashInviteToken(token) {
+        return crypto.createHash('sha256').update(token).digest('hex');
+    }
+
+    createInvite(conversationId, { role, expiresIn, maxUses }, createdBy) {
+        if (!MEMBER_ROLES.includes(role)) {
+            throw new HttpError(400, `Role must be one of: ${MEMBER_ROLES.join(', ')}`);
+        }
+
+        const ttl = expiresIn === undefined ? this.inviteTTL : parseInt(expiresIn);
+        if (!(ttl > 0)) {
+            throw new HttpError(400, 'expiresIn must be a positive number of seconds');
+        }
+
+        if (maxUses !== undefined && maxUses !== null && !(parseInt(maxUses) > 0)) {
+            throw new HttpError(400, 'maxUses must be a positive number');
+        }
+
+        const token = crypto.randomBytes(24).toString('base64url');
+        const invite = {
+            id: uuidv4(),
+            conversationId,
+            role,
+            createdBy: createdBy.id,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + ttl * 1000),
+            maxUses: maxUses ? parseInt(maxUses) : null,
+            uses: 0
+        };
+
+        this.invites.set(this.hashInviteToken(token), invite, { ttl });
+
+        return { ...invite, token, path: `/api/conversations/invites/${token}/accept` };
+    }
+
+    listInvites(conversationId) {
+        const now = new Date();
+        return this.invites.filter(invite =>
+            invite.conversationId === conversationId && new Date(invite.expiresAt) > now
+        );
+    }
+
+    revokeInvite(conversationId, inviteId) {
+        const entry = this.invites.entries().find(([, invite]) =>
+            invite.id === inviteId && invite.conversationId === conversationId
+        );
+
+        if (!entry) {
+            throw new HttpError(404, 'Invite not found');
+        }
+
+        this.invites.delete(entry[0]);
+    }
+
+    acceptInvite(token, user) {
+        const key = this.hashInviteToken(token);
+        const invite = this.invites.get(key);
+
+        if (!invite || new Date(invite.expiresAt) <= new Date()) {
+            throw new HttpError(404, 'Invite not found or expired');
+        }
+
+        const conversation = this.conversations.get(invite.conversationId);
+        if (!conversation) {
+            this.invites.delete(key);
+            throw new HttpError(404, 'Invite not found or expired');
+        }
+
+        // Never downgrade someone who already has the same or a better role
+        const currentRole = this.getRole(conversation, user);
+        if (ROLE_RANK[currentRole] >= ROLE_RANK[invite.role]) {
+            return { conversation, role: currentRole };
+        }
+
+        conversation.members = (conversation.members || []).filter(m => m.userId !== user.id);
+        conversation.members.push({
+            userId: user.id,
+            username: user.username,
+            role: invite.role,
+            addedBy: invite.createdBy,
+            addedAt: new Date(),
+            inviteId: invite.id
+        });
+
+        this.conversations.set(conversation.id, conversation);
+        this.cache.set(`conversation:${conversation.id}`, conversation);
+        this.events.emit('members_changed', { conversationId: conversation.id });
+
+        invite.uses++;
+        if (invite.maxUses && invite.uses >= invite.maxUses) {
+            this.invites.delete(key);
+        } else {
+            const ttl = Math.ceil((new Date(invite.expiresAt) - Date.now()) / 1000);
+            this.invites.set(key, invite, { ttl });
+        }
+
+        return { conversation, role: invite.role };
+    }
+
+    searchConversations(query, options = {}, user = null) {
         const results = [];
         const searchTerm = query.toLowerCase();
         
         for (const [id, conversation] of this.conversations) {
+            if (user && !this.canAccess(conversation, user)) continue;
+
             let score = 0;
             let matches = [];
 
@@ -292,10 +895,11 @@ class ConversationService {
         let text = `Conversation: ${conversation.title}\n`;
         text += `Created: ${conversation.createdAt}\n`;
         text += `Updated: ${conversation.updatedAt}\n`;
-        text += `Messages: ${conversation.messages.length}\n\n`;
+        const messages = this.getPath(conversation);
+        text += `Messages: ${messages.length}\n\n`;
         text += '=' * 50 + '\n\n';
 
-        conversation.messages.forEach((message, index) => {
+        messages.forEach((message, index) => {
             text += `[${index + 1}] ${message.role.toUpperCase()}\n`;
             text += `Time: ${message.timestamp}\n`;
             text += `Content: ${message.content}\n\n`;
@@ -309,10 +913,11 @@ class ConversationService {
         let md = `# ${conversation.title}\n\n`;
         md += `**Created:** ${conversation.createdAt}  \n`;
         md += `**Updated:** ${conversation.updatedAt}  \n`;
-        md += `**Messages:** ${conversation.messages.length}\n\n`;
+        const messages = this.getPath(conversation);
+        md += `**Messages:** ${messages.length}\n\n`;
         md += '---\n\n';
 
-        conversation.messages.forEach((message, index) => {
+        messages.forEach((message, index) => {
             md += `## Message ${index + 1} - ${message.role}\n\n`;
             md += `**Time:** ${message.timestamp}\n\n`;
             md += `${message.content}\n\n`;
@@ -325,7 +930,7 @@ class ConversationService {
     exportAsCsv(conversation) {
         let csv = 'Index,Role,Timestamp,Content\n';
         
-        conversation.messages.forEach((message, index) => {
+        this.getPath(conversation).forEach((message, index) => {
             const content = message.content.replace(/"/g, '""'); // Escape quotes
             csv += `${index + 1},"${message.role}","${message.timestamp}","${content}"\n`;
         });
@@ -0,0 +1,9 @@
+// Error carrying an HTTP status. Route handlers respond with
+// res.status(error.status || 500) so services can signal 403/404 cleanly.
+export class HttpError extends Error {
+    constructor(status, message) {
+        super(message);
+        this.name = 'HttpError';
+        this.status = status;
+    }
+}
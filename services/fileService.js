@@ -1,23 +1,41 @@
 import express from 'express';
 import multer from 'multer';
 import path from 'path';
+import crypto from 'crypto';
+import fsSync from 'fs';
 import fs from 'fs/promises';
+import { EventEmitter } from 'events';
 import sharp from 'sharp';
 import pdfParse from 'pdf-parse';
 import mammoth from 'mammoth';
 import { v4 as uuidv4 } from 'uuid';
-
+import { storage } from '../storage/index.js';
+import { authService } from './authService.js';
+import { HttpError } from './errors.js';
+
+// Extensions read as plain text
+const TEXT_TYPES = ['txt', 'md', 'js', 'py', 'java', 'cpp', 'html', 'css', 'json', 'xml'];
+const IMAGE_TYPES = ['jpg', 'jpeg', 'png', 'gif', 'webp'];
+
+// Uploaded files. Each has a record in the `files` registry: its ID (also
+// the name on disk, plus extension), owner, original name, MIME type,
+// sha256, size, text extraction status and the conversations it was used
+// in. Extracted text is cached next to the uploads, so files are only
+// parsed once.
 class FileService {
     constructor() {
         this.router = express.Router();
-        this.setupRoutes();
-        this.setupMulter();
+        this.files = storage.collection('files');
+        this.events = new EventEmitter(); // 'extracted' and 'deleted' ({ fileId })
         
         this.maxFileSize = this.parseSize(process.env.MAX_FILE_SIZE || '50MB');
-        this.supportedTypes = (process.env.SUPPORTED_FILE_TYPES || 'pdf,docx,txt,md,js,py,java,cpp,html,css,json,xml').split(',');
+        this.supportedTypes = (process.env.SUPPORTED_FILE_TYPES || 'pdf,docx,txt,md,js,py,java,cpp,html,css,json,xml,zip,tar,gz,tgz').split(',');
         this.uploadDir = '/workspace/uploads';
+        this.textDir = path.join(this.uploadDir, '.extracted');
         
-        this.ensureUploadDir();
+        this.setupMulter();
+        this.setupRoutes();
+        this.ensureUploadDir().then(() => this.syncRegistry());
     }
 
     parseSize(size) {
@@ -29,20 +47,61 @@ class FileService {
 
     async ensureUploadDir() {
         try {
-            await fs.mkdir(this.uploadDir, { recursive: true });
+            await fs.mkdir(this.textDir, { recursive: true });
         } catch (error) {
             console.error('Failed to create upload directory:', error);
         }
     }
 
+    // Register files already on disk that have no record (uploads from
+    // before the registry); with no owner they are only visible to holders
+    // of files:read:any, as before
+    async syncRegistry() {
+        try {
+            const known = new Set(this.files.values().map(record => record.filename));
+            const entries = await fs.readdir(this.uploadDir, { withFileTypes: true });
+            let added = 0;
+
+            for (const entry of entries) {
+                if (!entry.isFile() || known.has(entry.name)) continue;
+
+                const filePath = path.join(this.uploadDir, entry.name);
+                const stats = await fs.stat(filePath);
+                // Old uploads were stored as "<uuid>-<original name>"
+                const legacyName = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}-(.+)$/.exec(entry.name);
+
+                const record = this.createRecord({
+                    id: uuidv4(),
+                    ownerId: null,
+                    filename: entry.name,
+                    originalName: legacyName ? legacyName[1] : entry.name,
+                    mimetype: 'application/octet-stream',
+                    size: stats.size,
+                    checksum: await this.checksum(filePath),
+                    uploadedAt: stats.mtime
+                });
+
+                this.files.set(record.id, record);
+                added++;
+            }
+
+            if (added > 0) {
+                console.log(`📁 Registered ${added} existing upload(s) without an owner`);
+            }
+        } catch (error) {
+            console.error('File registry sync failed:', error);
+        }
+    }
+
     setupMulter() {
         const storage = multer.diskStorage({
             destination: (req, file, cb) => {
                 cb(null, this.uploadDir);
             },
+            // Stored as "<file ID>.<ext>"; the original name lives in the registry
             filename: (req, file, cb) => {
-                const uniqueName = `${uuidv4()}-${file.originalname}`;
-                cb(null, uniqueName);
+                const ext = path.extname(file.originalname).toLowerCase();
+                cb(null, `${uuidv4()}${ext}`);
             }
         });
 
@@ -53,33 +112,49 @@ class FileService {
                 files: 10 // Max 10 files at once
             },
             fileFilter: (req, file, cb) => {
-                const ext = path.extname(file.originalname).slice(1).toLowerCase();
-                if (this.supportedTypes.includes(ext) || this.supportedTypes.includes('*')) {
+                try {
+                    this.checkFileType(file.originalname);
                     cb(null, true);
-                } else {
-                    cb(new Error(`File type .${ext} not supported. Supported types: ${this.supportedTypes.join(', ')}`));
+                } catch (error) {
+                    cb(error);
                 }
             }
         });
     }
 
+    checkFileType(filename) {
+        const ext = path.extname(filename).slice(1).toLowerCase();
+        if (!this.supportedTypes.includes(ext) && !this.supportedTypes.includes('*')) {
+            throw new HttpError(400, `File type .${ext} not supported. Supported types: ${this.supportedTypes.join(', ')}`);
+        }
+    }
+
     setupRoutes() {
+        // Authenticate before multer writes anything to disk
+        this.router.use(authService.requireAuth, authService.requirePermission('files:read:own'));
+        const requireUpload = authService.requirePermission('files:upload');
+
+        this.router.param('fileId', (req, res, next, fileId) => {
+            try {
+                req.fileRecord = this.getAccessibleFile(fileId, req.user);
+                next();
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
         // Upload single file
-        this.router.post('/upload', this.upload.single('file'), async (req, res) => {
+        this.router.post('/upload', requireUpload, this.upload.single('file'), async (req, res) => {
             try {
                 if (!req.file) {
                     return res.status(400).json({ error: 'No file uploaded' });
                 }
 
-                const analysis = await this.analyzeFile(req.file);
+                const { record, analysis } = await this.storeUpload(req.file, req.user.id);
                 res.json({
                     success: true,
                     file: {
-                        id: path.parse(req.file.filename).name,
-                        originalName: req.file.originalname,
-                        filename: req.file.filename,
-                        size: req.file.size,
-                        mimetype: req.file.mimetype,
+                        ...record,
                         path: req.file.path,
                         analysis
                     }
@@ -90,7 +165,7 @@ class FileService {
         });
 
         // Upload multiple files
-        this.router.post('/upload/multiple', this.upload.array('files', 10), async (req, res) => {
+        this.router.post('/upload/multiple', requireUpload, this.upload.array('files', 10), async (req, res) => {
             try {
                 if (!req.files || req.files.length === 0) {
                     return res.status(400).json({ error: 'No files uploaded' });
@@ -98,13 +173,9 @@ class FileService {
 
                 const results = [];
                 for (const file of req.files) {
-                    const analysis = await this.analyzeFile(file);
+                    const { record, analysis } = await this.storeUpload(file, req.user.id);
                     results.push({
-                        id: path.parse(file.filename).name,
-                        originalName: file.originalname,
-                        filename: file.filename,
-                        size: file.size,
-                        mimetype: file.mimetype,
+                        ...record,
                         path: file.path,
                         analysis
                     });
@@ -129,6 +200,11 @@ class FileService {
             }
         });
 
+        // File metadata
+        this.router.get('/:fileId', (req, res) => {
+            res.json({ success: true, file: req.fileRecord });
+        });
+
         // Get file content
         this.router.get('/content/:fileId', async (req, res) => {
             try {
@@ -144,6 +220,10 @@ class FileService {
         this.router.delete('/:fileId', async (req, res) => {
             try {
                 const { fileId } = req.params;
+                if (!this.canAccess(req.fileRecord, req.user, 'delete')) {
+                    return res.status(403).json({ error: 'Insufficient permissions' });
+                }
+
                 await this.deleteFile(fileId);
                 res.json({ success: true, message: 'File deleted' });
             } catch (error) {
@@ -154,7 +234,7 @@ class FileService {
         // List uploaded files
         this.router.get('/', async (req, res) => {
             try {
-                const files = await this.listFiles();
+                const files = await this.listFiles(req.user);
                 res.json({ success: true, files });
             } catch (error) {
                 res.status(500).json({ error: error.message });
@@ -162,7 +242,7 @@ class FileService {
         });
 
         // Process URL content
-        this.router.post('/url', async (req, res) => {
+        this.router.post('/url', requireUpload, async (req, res) => {
             try {
                 const { url, options = {} } = req.body;
                 const content = await this.processUrl(url, options);
@@ -173,6 +253,172 @@ class FileService {
         });
     }
 
+    createRecord({ id, ownerId, filename, originalName, mimetype, size, checksum, uploadedAt = new Date() }) {
+        return {
+            id,
+            ownerId,
+            originalName,
+            filename,
+            mimetype,
+            size,
+            checksum,
+            // pending, ready (text cached), unsupported or failed
+            extraction: { status: 'pending' },
+            conversationIds: [],
+            uploadedAt
+        };
+    }
+
+    // Register a file multer has written to disk and extract its text
+    async storeUpload(file, ownerId) {
+        const record = this.createRecord({
+            id: path.parse(file.filename).name,
+            ownerId,
+            filename: file.filename,
+            originalName: file.originalname,
+            mimetype: file.mimetype,
+            size: file.size,
+            checksum: file.checksum || await this.checksum(file.path)
+        });
+        this.files.set(record.id, record);
+
+        const analysis = await this.analyzeFile(file);
+        const extractable = this.isExtractable(this.extensionOf(record));
+        await this.saveExtraction(record, analysis.error
+            ? { error: analysis.error }
+            : { content: extractable ? analysis.content : null });
+
+        return { record: this.files.get(record.id), analysis };
+    }
+
+    // Store a file received in memory (socket uploads) like a multer upload
+    async storeBuffer(buffer, { originalName, mimetype }, ownerId) {
+        if (!originalName || typeof originalName !== 'string') {
+            throw new HttpError(400, 'A file name is required');
+        }
+
+        originalName = path.basename(originalName);
+        this.checkFileType(originalName);
+
+        if (buffer.length > this.maxFileSize) {
+            throw new HttpError(413, `File is larger than ${this.formatFileSize(this.maxFileSize)}`);
+        }
+
+        const filename = `${uuidv4()}${path.extname(originalName).toLowerCase()}`;
+        const filePath = path.join(this.uploadDir, filename);
+        await fs.writeFile(filePath, buffer);
+
+        return await this.storeUpload({
+            filename,
+            path: filePath,
+            originalname: originalName,
+            mimetype: mimetype || 'application/octet-stream',
+            size: buffer.length
+        }, ownerId);
+    }
+
+    checksum(filePath) {
+        return new Promise((resolve, reject) => {
+            const hash = crypto.createHash('sha256');
+            fsSync.createReadStream(filePath)
+                .on('data', chunk => hash.update(chunk))
+                .on('end', () => resolve(hash.digest('hex')))
+                .on('error', reject);
+        });
+    }
+
+    getRecord(fileId) {
+        const record = this.files.get(fileId);
+        if (!record) {
+            throw new HttpError(404, 'File not found');
+        }
+        return record;
+    }
+
+    filePath(record) {
+        return path.join(this.uploadDir, record.filename);
+    }
+
+    textPath(record) {
+        return path.join(this.textDir, `${record.id}.txt`);
+    }
+
+    extensionOf(record) {
+        return path.extname(record.filename).slice(1).toLowerCase();
+    }
+
+    isExtractable(ext) {
+        return ext === 'pdf' || ext === 'docx' || TEXT_TYPES.includes(ext);
+    }
+
+    // Cache extracted text (null for types without text) and record the outcome
+    async saveExtraction(record, { content = null, error = null }) {
+        let extraction;
+
+        if (error) {
+            extraction = { status: 'failed', error };
+        } else if (content === null) {
+            extraction = { status: 'unsupported' };
+        } else {
+            await fs.writeFile(this.textPath(record), content);
+            extraction = { status: 'ready', charCount: content.length };
+        }
+
+        record.extraction = { ...extraction, updatedAt: new Date() };
+        this.files.set(record.id, record);
+
+        if (extraction.status === 'ready') {
+            this.events.emit('extracted', { fileId: record.id });
+        }
+    }
+
+    updateRecord(fileId, changes) {
+        const record = this.getRecord(fileId);
+        Object.assign(record, changes);
+        this.files.set(record.id, record);
+        return record;
+    }
+
+    async extract(record) {
+        let content;
+        try {
+            content = await this.readContent(this.filePath(record), this.extensionOf(record));
+        } catch (error) {
+            await this.saveExtraction(record, { error: error.message });
+            throw error;
+        }
+
+        await this.saveExtraction(record, { content });
+        return content;
+    }
+
+    linkConversation(record, conversationId) {
+        if (record.conversationIds?.includes(conversationId)) return;
+
+        record.conversationIds = [...(record.conversationIds || []), conversationId];
+        this.files.set(record.id, record);
+    }
+
+    // Owners may access their files (action: read or delete) if their role
+    // allows it for their own files, files:<action>:any covers everyone's.
+    // Files without an owner (uploaded before ownership was tracked) need
+    // the "any" permission.
+    canAccess(record, user, action = 'read') {
+        if (!user) return false;
+        if (authService.checkPermission(user, `files:${action}:any`)) return true;
+        return Boolean(record) && record.ownerId === user.id && authService.checkPermission(user, `files:${action}:own`);
+    }
+
+    getAccessibleFile(fileId, user) {
+        const record = this.files.get(fileId);
+
+        if (!this.canAccess(record, user)) {
+            throw new HttpError(404, 'File not found');
+        }
+
+        return record;
+    }
+
     async analyzeFile(file) {
         const ext = path.extname(file.originalname).slice(1).toLowerCase();
         const analysis = {
@@ -185,39 +431,11 @@ class FileService {
         };
 
         try {
-            switch (ext) {
-                case 'pdf':
-                    analysis.content = await this.extractPdfContent(file.path);
-                    break;
-                
-                case 'docx':
-                    analysis.content = await this.extractDocxContent(file.path);
-                    break;
-                
-                case 'txt':
-                case 'md':
-                case 'js':
-                case 'py':
-                case 'java':
-                case 'cpp':
-                case 'html':
-                case 'css':
-                case 'json':
-                case 'xml':
-                    analysis.content = await this.extractTextContent(file.path);
-                    break;
-                
-                case 'jpg':
-                case 'jpeg':
-                case 'png':
-                case 'gif':
-                case 'webp':
-                    analysis.metadata = await this.extractImageMetadata(file.path);
-                    analysis.content = `[Image file: ${file.originalname}]`;
-                    break;
-                
-                default:
-                    analysis.content = '[Binary or unsupported file type]';
+            if (IMAGE_TYPES.includes(ext)) {
+                analysis.metadata = await this.extractImageMetadata(file.path);
+                analysis.content = `[Image file: ${file.originalname}]`;
+            } else {
+                analysis.content = await this.readContent(file.path, ext) ?? '[Binary or unsupported file type]';
             }
 
             // Generate summary for text content
@@ -235,10 +453,38 @@ class FileService {
         return analysis;
     }
 
+    // Text of a file, or null for types we can't read text from
+    async readContent(filePath, ext) {
+        if (ext === 'pdf') return await this.extractPdfContent(filePath);
+        if (ext === 'docx') return await this.extractDocxContent(filePath);
+        if (TEXT_TYPES.includes(ext)) return await this.extractTextContent(filePath);
+        return null;
+    }
+
+    // Pages are separated by form feeds (\f), so excerpts can be cited by page
     async extractPdfContent(filePath) {
         const buffer = await fs.readFile(filePath);
-        const data = await pdfParse(buffer);
-        return data.text;
+        const pages = [];
+
+        await pdfParse(buffer, {
+            pagerender: async (pageData) => {
+                const textContent = await pageData.getTextContent({ normalizeWhitespace: false, disableCombineTextItems: false });
+                let lastY;
+                let text = '';
+
+                // Same as pdf-parse's own renderer: a new line when y changes
+                for (const item of textContent.items) {
+                    text += (lastY === undefined || lastY === item.transform[5]) ? item.str : `\n${item.str}`;
+                    lastY = item.transform[5];
+                }
+
+                pages[pageData.pageIndex] = text;
+                return text;
+            }
+        });
+
+        // pdf-parse skips pages that fail to render; keep their place
+        return Array.from(pages, page => page || '').join('\f');
     }
 
     async extractDocxContent(filePath) {
@@ -263,64 +509,28 @@ class FileService {
         };
     }
 
-    async processFiles(files) {
-        if (!files || files.length === 0) {
-            return '';
-        }
+    // Attachment IDs from a chat request: file IDs, or objects with an id
+    toFileIds(files) {
+        if (!Array.isArray(files)) return [];
+        return files
+            .map(file => typeof file === 'string' ? file : file?.id)
+            .filter(fileId => typeof fileId === 'string' && fileId);
+    }
 
-        let context = 'File Analysis:\n\n';
-        
-        for (const file of files) {
+    // Cached text when extraction succeeded before; otherwise (pending,
+    // failed, or cache lost) extract again
+    async getFileContent(fileId) {
+        const record = this.getRecord(fileId);
+
+        if (record.extraction?.status === 'ready') {
             try {
-                const content = await this.getFileContent(file.id || file.filename);
-                context += `File: ${file.originalName || file.filename}\n`;
-                context += `Type: ${file.type || 'unknown'}\n`;
-                context += `Size: ${this.formatFileSize(file.size)}\n`;
-                context += `Content:\n${content.substring(0, 2000)}${content.length > 2000 ? '...[truncated]' : ''}\n\n`;
-                context += '---\n\n';
+                return await fs.readFile(this.textPath(record), 'utf-8');
             } catch (error) {
-                context += `File: ${file.originalName || file.filename}\n`;
-                context += `Error: ${error.message}\n\n`;
-                context += '---\n\n';
+                if (error.code !== 'ENOENT') throw error;
             }
         }
 
-        return context;
-    }
-
-    async getFileContent(fileId) {
-        const files = await fs.readdir(this.uploadDir);
-        const targetFile = files.find(file => file.startsWith(fileId));
-        
-        if (!targetFile) {
-            throw new Error('File not found');
-        }
-
-        const filePath = path.join(this.uploadDir, targetFile);
-        const ext = path.extname(targetFile).slice(1).toLowerCase();
-
-        switch (ext) {
-            case 'pdf':
-                return await this.extractPdfContent(filePath);
-            
-            case 'docx':
-                return await this.extractDocxContent(filePath);
-            
-            case 'txt':
-            case 'md':
-            case 'js':
-            case 'py':
-            case 'java':
-            case 'cpp':
-            case 'html':
-            case 'css':
-            case 'json':
-            case 'xml':
-                return await this.extractTextContent(filePath);
-            
-            default:
-                return '[Binary or unsupported file type]';
-        }
+        return await this.extract(record) ?? '[Binary or unsupported file type]';
     }
 
     async analyzeUploadedFile(fileId, options = {}) {
@@ -494,41 +704,19 @@ class FileService {
     }
 
     async deleteFile(fileId) {
-        const files = await fs.readdir(this.uploadDir);
-        const targetFile = files.find(file => file.startsWith(fileId));
-        
-        if (!targetFile) {
-            throw new Error('File not found');
-        }
+        const record = this.getRecord(fileId);
 
-        await fs.unlink(path.join(this.uploadDir, targetFile));
+        await fs.rm(this.filePath(record), { force: true });
+        await fs.rm(this.textPath(record), { force: true });
+        this.files.delete(record.id);
+        this.events.emit('deleted', { fileId: record.id });
     }
 
-    async listFiles() {
-        const files = await fs.readdir(this.uploadDir);
-        const fileList = [];
-
-        for (const filename of files) {
-            try {
-                const filePath = path.join(this.uploadDir, filename);
-                const stats = await fs.stat(filePath);
-                const id = filename.split('-')[0];
-                
-                fileList.push({
-                    id,
-                    filename,
-                    originalName: filename.substring(37), // Remove UUID prefix
-                    size: stats.size,
-                    created: stats.birthtime,
-                    modified: stats.mtime,
-                    type: path.extname(filename).slice(1).toLowerCase()
-                });
-            } catch (error) {
-                console.error(`Error reading file ${filename}:`, error);
-            }
-        }
-
-        return fileList.sort((a, b) => new Date(b.created) - new Date(a.created));
+    async listFiles(user = null) {
+        return this.files.values()
+            .filter(record => !user || this.canAccess(record, user))
+            .map(record => ({ ...record, type: this.extensionOf(record) }))
+            .sort((a, b) => new Date(b.uploadedAt) - new Date(a.uploadedAt));
     }
 
     formatFileSize(bytes) {
@@ -546,21 +734,17 @@ class FileService {
 
     // Cleanup old files
     async cleanup(maxAge = 7 * 24 * 60 * 60 * 1000) { // 7 days default
-        const files = await fs.readdir(this.uploadDir);
         const cutoff = new Date(Date.now() - maxAge);
         let cleaned = 0;
 
-        for (const filename of files) {
+        for (const record of this.files.values()) {
+            if (new Date(record.uploadedAt) >= cutoff) continue;
+
             try {
-                const filePath = path.join(this.uploadDir, filename);
-                const stats = await fs.stat(filePath);
-                
-                if (stats.mtime < cutoff) {
-                    await fs.unlink(filePath);
-                    cleaned++;
-                }
+                await this.deleteFile(record.id);
+                cleaned++;
             } catch (error) {
-                console.error(`Error cleaning file ${filename}:`, error);
+                console.error(`Error cleaning file ${record.id}:`, error);
             }
         }
 
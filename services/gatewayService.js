@@ -0,0 +1,314 @@
+import express from 'express';
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { aiService } from './aiService.js';
+import { authService } from './authService.js';
+import { promptService } from './promptService.js';
+import { HttpError } from './errors.js';
+import { estimateMessageTokens, estimateTokens } from './tokenEstimator.js';
+import { storage } from '../storage/index.js';
+
+// OpenAI-compatible facade (/v1/chat/completions, /v1/models) so SDKs and
+// editor plugins can use this server as a gateway. Requests go through the
+// same providers, prompt registry and response cache as the rest of the app,
+// and token usage is accounted per user and API key.
+class GatewayService {
+    constructor() {
+        this.router = express.Router();
+        // Daily totals, keyed "<userId>:<YYYY-MM-DD>"
+        this.usage = storage.collection('usage');
+        this.created = Math.floor(Date.now() / 1000);
+        this.setupRoutes();
+    }
+
+    setupRoutes() {
+        this.router.use(this.authenticate);
+
+        this.router.get('/models', (req, res) => {
+            res.json({ object: 'list', data: this.listModels() });
+        });
+
+        // Model IDs contain a slash ("openai/gpt-4o-mini")
+        this.router.get('/models/:id(*)', (req, res) => {
+            const model = this.listModels().find(entry => entry.id === req.params.id);
+            if (!model) {
+                return this.sendError(res, 404, `The model '${req.params.id}' does not exist`, 'invalid_request_error', 'model_not_found');
+            }
+            res.json(model);
+        });
+
+        this.router.post('/chat/completions', async (req, res) => {
+            try {
+                await this.handleCompletion(req, res);
+            } catch (error) {
+                console.error('Gateway completion error:', error);
+
+                if (res.headersSent) {
+                    res.write(`data: ${JSON.stringify({ error: { message: error.message, type: 'api_error' } })}\n\n`);
+                    return res.end();
+                }
+                this.sendError(res, error.status || 502, error.message, error.status ? 'invalid_request_error' : 'api_error');
+            }
+        });
+
+        this.router.get('/usage', (req, res) => {
+            const days = Math.min(parseInt(req.query.days) || 30, 366);
+            res.json({ object: 'list', data: this.getUsage(req.user.id, days) });
+        });
+    }
+
+    // OpenAI clients expect { error: { message, type, code } } bodies
+    sendError(res, status, message, type = 'invalid_request_error', code = null) {
+        res.status(status).json({ error: { message, type, param: null, code } });
+    }
+
+    // Accepts the same credentials as the rest of the API; OpenAI SDKs send
+    // their API key as "Authorization: Bearer sk-..."
+    authenticate = (req, res, next) => {
+        const { user } = authService.authenticate(req);
+
+        if (!user) {
+            return this.sendError(res, 401, 'Invalid or missing API key', 'invalid_request_error', 'invalid_api_key');
+        }
+
+        if (user.pendingAction) {
+            return this.sendError(res, 403, authService.pendingActionMessages[user.pendingAction], 'permission_error', user.pendingAction);
+        }
+
+        if (!authService.checkPermission(user, 'chat')) {
+            return this.sendError(res, 403, 'This key is not allowed to use chat completions', 'permission_error');
+        }
+
+        req.user = user;
+        next();
+    };
+
+    listModels() {
+        return Array.from(aiService.providers.values()).map(provider => ({
+            id: `${provider.name}/${provider.model}`,
+            object: 'model',
+            created: this.created,
+            owned_by: provider.name
+        }));
+    }
+
+    // "provider/model", a bare provider name, or a model ID. Model IDs no
+    // provider is configured with go to the default provider as-is.
+    resolveModel(requested) {
+        const providers = aiService.providers;
+
+        if (!requested) {
+            const provider = aiService.getProvider();
+            return { provider, model: provider.model };
+        }
+
+        const slash = requested.indexOf('/');
+        if (slash > 0 && providers.has(requested.slice(0, slash))) {
+            return { provider: providers.get(requested.slice(0, slash)), model: requested.slice(slash + 1) };
+        }
+
+        if (providers.has(requested)) {
+            const provider = providers.get(requested);
+            return { provider, model: provider.model };
+        }
+
+        const match = Array.from(providers.values()).find(provider => provider.model === requested);
+        if (match) {
+            return { provider: match, model: requested };
+        }
+
+        return { provider: aiService.getProvider(), model: requested };
+    }
+
+    // Validate the messages array and flatten content-part arrays to text
+    normalizeMessages(messages) {
+        if (!Array.isArray(messages) || messages.length === 0) {
+            throw new HttpError(400, 'messages must be a non-empty array');
+        }
+
+        return messages.map((message, index) => {
+            if (!message || !['system', 'user', 'assistant'].includes(message.role)) {
+                throw new HttpError(400, `messages[${index}].role must be system, user or assistant`);
+            }
+
+            const content = Array.isArray(message.content)
+                ? message.content.filter(part => part.type === 'text').map(part => part.text).join('\n')
+                : String(message.content ?? '');
+
+            return { role: message.role, content };
+        });
+    }
+
+    // Requests without a system message get the default persona; an explicit
+    // "persona" (name or { name, version }) is always prepended.
+    applyPersona(messages, persona, user) {
+        if (!persona && messages.some(message => message.role === 'system')) {
+            return messages;
+        }
+
+        const { content } = promptService.resolveSystemPrompt({ persona }, { username: user.username });
+        return [{ role: 'system', content }, ...messages];
+    }
+
+    async handleCompletion(req, res) {
+        const body = req.body || {};
+        const { provider, model } = this.resolveModel(body.model);
+        const messages = this.applyPersona(this.normalizeMessages(body.messages), body.persona, req.user);
+        const responseModel = body.model || `${provider.name}/${model}`;
+
+        const options = {
+            provider: provider.name,
+            model,
+            temperature: body.temperature,
+            max_tokens: body.max_tokens || body.max_completion_tokens,
+            top_p: body.top_p,
+            frequency_penalty: body.frequency_penalty,
+            presence_penalty: body.presence_penalty
+        };
+
+        const completion = {
+            id: `chatcmpl-${uuidv4().replace(/-/g, '')}`,
+            created: Math.floor(Date.now() / 1000),
+            model: responseModel
+        };
+
+        if (body.stream) {
+            return this.streamCompletion(req, res, messages, options, completion, body.stream_options);
+        }
+
+        // Identical requests are served from the cache unless the client sends Cache-Control: no-cache
+        const cacheKey = this.generateCacheKey(messages, options);
+        const bypassCache = /no-cache|no-store/.test(req.get('Cache-Control') || '');
+        let result = bypassCache ? null : aiService.cache.get(cacheKey);
+        const cached = Boolean(result);
+
+        if (!result) {
+            result = await aiService.processConversation(messages, options);
+            aiService.cache.set(cacheKey, result);
+        }
+
+        const usage = this.completeUsage(result.usage, messages, result.content, model);
+        this.recordUsage(req.user, { model: responseModel, usage, cached });
+
+        res.set('X-Cache', cached ? 'HIT' : 'MISS');
+        res.json({
+            ...completion,
+            object: 'chat.completion',
+            choices: [{
+                index: 0,
+                message: { role: 'assistant', content: result.content },
+                finish_reason: 'stop'
+            }],
+            usage,
+            ...(result.citations && { citations: result.citations })
+        });
+    }
+
+    async streamCompletion(req, res, messages, options, completion, streamOptions = {}) {
+        const controller = new AbortController();
+        res.on('close', () => {
+            if (!res.writableEnded) controller.abort();
+        });
+
+        const chunk = (delta, finishReason = null) => ({
+            ...completion,
+            object: 'chat.completion.chunk',
+            choices: [{ index: 0, delta, finish_reason: finishReason }]
+        });
+        const send = (data) => res.write(`data: ${JSON.stringify(data)}\n\n`);
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache, no-transform');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+
+        send(chunk({ role: 'assistant', content: '' }));
+
+        const result = await aiService.streamConversation(messages, { ...options, signal: controller.signal }, (content) => {
+            send(chunk({ content }));
+        });
+
+        const usage = this.completeUsage(result.usage, messages, result.content, options.model);
+        this.recordUsage(req.user, { model: completion.model, usage });
+
+        if (result.cancelled) return;
+
+        send(chunk({}, 'stop'));
+        if (streamOptions?.include_usage) {
+            send({ ...completion, object: 'chat.completion.chunk', choices: [], usage });
+        }
+        res.write('data: [DONE]\n\n');
+        res.end();
+    }
+
+    generateCacheKey(messages, options) {
+        const { provider, model, temperature, max_tokens, top_p, frequency_penalty, presence_penalty } = options;
+        return 'v1:' + crypto.createHash('sha256')
+            .update(JSON.stringify({ messages, provider, model, temperature, max_tokens, top_p, frequency_penalty, presence_penalty }))
+            .digest('hex');
+    }
+
+    // Providers don't always report usage (notably when streaming); estimate it then
+    completeUsage(usage, messages, content, model) {
+        if (usage?.total_tokens !== undefined) {
+            return usage;
+        }
+
+        const promptTokens = estimateMessageTokens(messages, model);
+        const completionTokens = estimateTokens(content, model);
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+
+    // Cached responses count as requests but cost no tokens
+    recordUsage(user, { model, usage, cached = false }) {
+        const day = new Date().toISOString().slice(0, 10);
+        const id = `${user.id}:${day}`;
+        const tokens = cached ? { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 } : usage;
+
+        const record = this.usage.get(id) || {
+            userId: user.id,
+            day,
+            requests: 0,
+            cachedRequests: 0,
+            prompt_tokens: 0,
+            completion_tokens: 0,
+            total_tokens: 0,
+            models: {},
+            apiKeys: {}
+        };
+
+        record.requests++;
+        if (cached) record.cachedRequests++;
+        record.prompt_tokens += tokens.prompt_tokens || 0;
+        record.completion_tokens += tokens.completion_tokens || 0;
+        record.total_tokens += tokens.total_tokens || 0;
+
+        const byModel = record.models[model] || { requests: 0, total_tokens: 0 };
+        byModel.requests++;
+        byModel.total_tokens += tokens.total_tokens || 0;
+        record.models[model] = byModel;
+
+        const keyId = user.apiKeyId || 'session';
+        const byKey = record.apiKeys[keyId] || { requests: 0, total_tokens: 0 };
+        byKey.requests++;
+        byKey.total_tokens += tokens.total_tokens || 0;
+        record.apiKeys[keyId] = byKey;
+
+        this.usage.set(id, record);
+    }
+
+    getUsage(userId, days = 30) {
+        const since = new Date(Date.now() - days * 86400000).toISOString().slice(0, 10);
+
+        return this.usage
+            .filter(record => record.userId === userId && record.day >= since)
+            .sort((a, b) => a.day.localeCompare(b.day));
+    }
+}
+
+const gatewayService = new GatewayService();
+export { gatewayService };
@@ -0,0 +1,143 @@
+import { EventEmitter } from 'events';
+
+// Tracks in-flight generations so they can be stopped from another request
+// or socket event. Each one owns an AbortController whose signal is handed
+// down to the provider's HTTP request.
+//
+// SSE generations also keep an event log, so a client that drops its
+// connection can resume from Last-Event-ID. Event IDs are "<id>:<seq>",
+// which lets a bare Last-Event-ID header identify the stream it belongs to.
+class GenerationService {
+    constructor() {
+        this.active = new Map();
+        this.logs = new Map();
+        // How long a finished stream can still be replayed
+        this.resumeTtl = parseInt(process.env.STREAM_RESUME_TTL) || 60000;
+    }
+
+    // Register a generation under the ID of the reply it produces.
+    // Returns the AbortSignal to pass to aiService.
+    start(id, { conversationId, userId, socketId = null }) {
+        const controller = new AbortController();
+
+        this.active.set(id, {
+            id,
+            conversationId,
+            userId,
+            socketId,
+            controller,
+            startedAt: new Date()
+        });
+
+        return controller.signal;
+    }
+
+    get(id) {
+        return this.active.get(id) || null;
+    }
+
+    finish(id) {
+        this.active.delete(id);
+    }
+
+    cancel(id) {
+        const generation = this.active.get(id);
+        if (!generation) return false;
+
+        generation.controller.abort();
+        return true;
+    }
+
+    // Stop everything still generating in a conversation
+    cancelConversation(conversationId) {
+        let cancelled = 0;
+
+        for (const generation of this.active.values()) {
+            if (generation.conversationId === conversationId) {
+                generation.controller.abort();
+                cancelled++;
+            }
+        }
+
+        return cancelled;
+    }
+
+    openLog(id, { conversationId, userId }) {
+        const log = {
+            id,
+            conversationId,
+            userId,
+            events: [],
+            done: false,
+            emitter: new EventEmitter()
+        };
+
+        this.logs.set(id, log);
+        return log;
+    }
+
+    getLog(id) {
+        return this.logs.get(id) || null;
+    }
+
+    // Append an event and hand it to everyone following the stream
+    record(id, event, data) {
+        const log = this.logs.get(id);
+        if (!log || log.done) return null;
+
+        const entry = { id: `${id}:${log.events.length + 1}`, event, data };
+        log.events.push(entry);
+        log.emitter.emit('event', entry);
+        return entry;
+    }
+
+    closeLog(id) {
+        const log = this.logs.get(id);
+        if (!log || log.done) return;
+
+        log.done = true;
+        log.emitter.emit('close');
+        setTimeout(() => this.logs.delete(id), this.resumeTtl).unref();
+    }
+
+    // Split a Last-Event-ID into the stream ID and the last sequence seen
+    parseEventId(value) {
+        const match = /^(.+):(\d+)$/.exec(String(value || '').trim());
+        return match ? { id: match[1], seq: parseInt(match[2]) } : null;
+    }
+
+    // Replay events after seq, then follow the live stream until it closes.
+    // Returns an unsubscribe function.
+    follow(id, seq, onEvent, onClose) {
+        const log = this.logs.get(id);
+        if (!log) return () => {};
+
+        for (const entry of log.events.slice(seq)) {
+            onEvent(entry);
+        }
+
+        if (log.done) {
+            onClose();
+            return () => {};
+        }
+
+        log.emitter.on('event', onEvent);
+        log.emitter.once('close', onClose);
+
+        return () => {
+            log.emitter.off('event', onEvent);
+            log.emitter.off('close', onClose);
+        };
+    }
+
+    followers(id) {
+        return this.logs.get(id)?.emitter.listenerCount('event') || 0;
+    }
+
+    getStats() {
+        return { active: this.active.size, resumable: this.logs.size };
+    }
+}
+
+const generationService = new GenerationService();
+export { generationService };
@@ -0,0 +1,114 @@
+// .gitignore matching for extracted repositories. Rules keep the directory
+// of the .gitignore they came from (base), so nested files only apply below
+// themselves; later rules win, "!" re-includes, a trailing "/" matches only
+// directories, and a pattern with a "/" before its end is anchored to base
+// (otherwise it matches a name at any depth). As in git, nothing inside an
+// ignored directory can be re-included.
+
+export function parseGitignore(text, base = '') {
+    const rules = [];
+
+    for (let line of text.split(/\r?\n/)) {
+        // Trailing spaces don't count unless escaped
+        line = line.replace(/(?<!\\)\s+$/, '');
+        if (!line || line.startsWith('#')) continue;
+
+        let negate = false;
+        if (line.startsWith('!')) {
+            negate = true;
+            line = line.slice(1);
+        } else if (line.startsWith('\\#') || line.startsWith('\\!')) {
+            line = line.slice(1);
+        }
+
+        let directoryOnly = false;
+        if (line.endsWith('/')) {
+            directoryOnly = true;
+            line = line.slice(0, -1);
+        }
+
+        const anchored = line.includes('/');
+        line = line.replace(/^\//, '');
+        if (!line) continue;
+
+        rules.push({
+            base,
+            negate,
+            directoryOnly,
+            regex: new RegExp(`^${anchored ? '' : '(?:.*/)?'}${globToRegex(line)}$`)
+        });
+    }
+
+    return rules;
+}
+
+// True if path (relative to the repository root, "/"-separated) or one of
+// its parent directories is ignored
+export function isIgnored(rules, path, { directory = false } = {}) {
+    const segments = path.split('/');
+
+    for (let i = 1; i < segments.length; i++) {
+        if (matches(rules, segments.slice(0, i).join('/'), true)) return true;
+    }
+
+    return matches(rules, path, directory);
+}
+
+function matches(rules, path, directory) {
+    let ignored = false;
+
+    for (const rule of rules) {
+        if (rule.directoryOnly && !directory) continue;
+        if (rule.base && !path.startsWith(`${rule.base}/`)) continue;
+
+        const relative = rule.base ? path.slice(rule.base.length + 1) : path;
+        if (rule.regex.test(relative)) ignored = !rule.negate;
+    }
+
+    return ignored;
+}
+
+function globToRegex(glob) {
+    let regex = '';
+
+    for (let i = 0; i < glob.length; i++) {
+        const char = glob[i];
+
+        if (char === '*') {
+            if (glob[i + 1] === '*' && (i === 0 || glob[i - 1] === '/') && (i + 2 === glob.length || glob[i + 2] === '/')) {
+                // "**/" is any number of directories, a trailing "/**" everything inside
+                if (i + 2 === glob.length) {
+                    regex += '.*';
+                } else {
+                    regex += '(?:.*/)?';
+                    i++;
+                }
+                i++;
+            } else {
+                regex += '[^/]*';
+            }
+        } else if (char === '?') {
+            regex += '[^/]';
+        } else if (char === '[') {
+            const close = glob.indexOf(']', i + 2);
+            if (close === -1) {
+                regex += '\\[';
+            } else {
+                let set = glob.slice(i + 1, close);
+                if (set.startsWith('!')) set = `^${set.slice(1)}`;
+                regex += `[${set.replace(/\\/g, '\\\\')}]`;
+                i = close;
+            }
+        } else if (char === '\\' && i + 1 < glob.length) {
+            regex += escapeRegex(glob[++i]);
+        } else {
+            regex += escapeRegex(char);
+        }
+    }
+
+    return regex;
+}
+
+function escapeRegex(char) {
+    return char.replace(/[.*+?^${}()|[\]\\/]/g, '\\$&');
+}
@@ -0,0 +1,85 @@
+import { storage } from '../storage/index.js';
+import { auditService } from './auditService.js';
+
+// Failed sign-in tracking per username and per client IP. After a few free
+// attempts (more for IPs, which are often shared) every failure doubles the
+// wait before the next one is allowed;
+// enough failures in a row lock the username (or IP) for LOGIN_LOCKOUT_MINUTES.
+// Records are forgotten LOGIN_ATTEMPT_WINDOW minutes after the last failure.
+class LoginThrottle {
+    constructor() {
+        this.attempts = storage.collection('login_attempts');
+        this.freeAttempts = parseInt(process.env.LOGIN_FREE_ATTEMPTS) || 3;
+        this.ipFreeAttempts = parseInt(process.env.LOGIN_IP_FREE_ATTEMPTS) || 10;
+        this.baseDelay = 1; // seconds, doubled per extra failure
+        this.maxDelay = 300;
+        this.userLockoutThreshold = parseInt(process.env.LOGIN_LOCKOUT_THRESHOLD) || 10;
+        this.ipLockoutThreshold = parseInt(process.env.LOGIN_IP_LOCKOUT_THRESHOLD) || 50;
+        this.lockoutDuration = (parseInt(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60;
+        this.window = (parseInt(process.env.LOGIN_ATTEMPT_WINDOW) || 60) * 60;
+    }
+
+    keys(username, ip) {
+        return [username && `user:${username}`, ip && `ip:${ip}`].filter(Boolean);
+    }
+
+    // Seconds until another attempt is allowed; 0 when it may go ahead
+    retryAfter(username, ip) {
+        const now = Date.now();
+
+        return this.keys(username, ip).reduce((wait, key) => {
+            const record = this.attempts.get(key);
+            const until = record?.lockedUntil ? new Date(record.lockedUntil).getTime() : 0;
+            return Math.max(wait, Math.ceil((until - now) / 1000));
+        }, 0);
+    }
+
+    recordFailure(username, ip) {
+        for (const key of this.keys(username, ip)) {
+            const isUser = key.startsWith('user:');
+            const record = this.attempts.get(key) || { failures: 0, lockedUntil: null, lockouts: 0 };
+            const threshold = isUser ? this.userLockoutThreshold : this.ipLockoutThreshold;
+            const free = isUser ? this.freeAttempts : this.ipFreeAttempts;
+
+            record.failures++;
+            record.lastFailureAt = new Date();
+
+            let delay = record.failures > free
+                ? Math.min(this.baseDelay * 2 ** (record.failures - free - 1), this.maxDelay)
+                : 0;
+
+            if (record.failures >= threshold && record.failures % threshold === 0) {
+                delay = this.lockoutDuration;
+                record.lockouts++;
+                auditService.record(isUser ? 'auth.account_locked' : 'auth.ip_locked', {
+                    target: isUser ? username : null,
+                    ip,
+                    details: { failures: record.failures, lockedForSeconds: delay }
+                });
+            }
+
+            record.lockedUntil = delay ? new Date(Date.now() + delay * 1000) : null;
+            this.attempts.set(key, record, { ttl: Math.max(this.window, delay) });
+        }
+    }
+
+    // A successful sign-in clears the username's record; the IP's decays on its own
+    recordSuccess(username) {
+        this.attempts.delete(`user:${username}`);
+    }
+
+    getStatus(username) {
+        const record = this.attempts.get(`user:${username}`);
+        if (!record) return { failures: 0, lockedUntil: null, locked: false };
+
+        const locked = Boolean(record.lockedUntil) && new Date(record.lockedUntil) > new Date();
+        return { failures: record.failures, lockedUntil: locked ? record.lockedUntil : null, locked };
+    }
+
+    unlock(username) {
+        return this.attempts.delete(`user:${username}`);
+    }
+}
+
+const loginThrottle = new LoginThrottle();
+export { loginThrottle };
@@ -0,0 +1,37 @@
+import fs from 'fs/promises';
+import path from 'path';
+
+// Transports for development and tests: nothing leaves the machine.
+
+// Writes each message to MAIL_DIR as JSON (easy for tests to pick up) next
+// to the raw .eml a real relay would have received
+export class FileTransport {
+    constructor(config = {}) {
+        this.name = 'file';
+        this.directory = config.directory || './data/mail';
+    }
+
+    async send(message) {
+        await fs.mkdir(this.directory, { recursive: true });
+
+        const base = path.join(this.directory, `${Date.now()}-${message.messageId.slice(1, 9)}`);
+        const { raw, envelope, ...summary } = message;
+
+        await fs.writeFile(`${base}.json`, JSON.stringify({ ...summary, sentAt: new Date() }, null, 2));
+        await fs.writeFile(`${base}.eml`, raw);
+
+        return { messageId: message.messageId, path: `${base}.json` };
+    }
+}
+
+// Prints the message to the server log
+export class ConsoleTransport {
+    constructor() {
+        this.name = 'console';
+    }
+
+    async send(message) {
+        console.log(`📧 Mail to ${message.to.join(', ')}: ${message.subject}\n${message.text}`);
+        return { messageId: message.messageId };
+    }
+}
@@ -0,0 +1,37 @@
+import { SmtpTransport } from './smtpTransport.js';
+import { FileTransport, ConsoleTransport } from './devTransports.js';
+
+const transportTypes = {
+    smtp: SmtpTransport,
+    file: FileTransport,
+    console: ConsoleTransport
+};
+
+// Pick the mail transport from MAIL_TRANSPORT; without it, SMTP when a
+// host is configured and the console otherwise. A transport is anything
+// with an async send(message), message being what buildMessage returns.
+export function createTransport(env = process.env) {
+    const type = env.MAIL_TRANSPORT || (env.SMTP_HOST ? 'smtp' : 'console');
+    const Transport = transportTypes[type];
+
+    if (!Transport) {
+        throw new Error(`Unknown MAIL_TRANSPORT: ${type}`);
+    }
+
+    if (type === 'smtp' && !env.SMTP_HOST) {
+        throw new Error('MAIL_TRANSPORT=smtp needs SMTP_HOST');
+    }
+
+    return new Transport({
+        host: env.SMTP_HOST,
+        port: parseInt(env.SMTP_PORT) || undefined,
+        secure: env.SMTP_SECURE === 'true',
+        user: env.SMTP_USER,
+        pass: env.SMTP_PASS,
+        allowInsecureAuth: env.SMTP_ALLOW_INSECURE_AUTH === 'true',
+        directory: env.MAIL_DIR
+    });
+}
+
+export { buildMessage, addressOf } from './message.js';
+export { SmtpTransport, FileTransport, ConsoleTransport };
@@ -0,0 +1,44 @@
+import crypto from 'crypto';
+
+// Build an RFC 5322 plain-text message. The body is base64 so long lines
+// and non-ASCII text survive any relay.
+export function buildMessage({ from, to, subject, text }) {
+    const recipients = [].concat(to);
+    const domain = addressOf(from).split('@')[1] || 'localhost';
+    const messageId = `<${crypto.randomUUID()}@${domain}>`;
+
+    const headers = [
+        `From: ${from}`,
+        `To: ${recipients.join(', ')}`,
+        `Subject: ${encodeHeader(subject)}`,
+        `Date: ${new Date().toUTCString()}`,
+        `Message-ID: ${messageId}`,
+        'MIME-Version: 1.0',
+        'Content-Type: text/plain; charset=utf-8',
+        'Content-Transfer-Encoding: base64'
+    ];
+    const body = Buffer.from(text).toString('base64').replace(/.{76}/g, '$&\r\n');
+
+    return {
+        messageId,
+        from,
+        to: recipients,
+        subject,
+        text,
+        envelope: { from: addressOf(from), to: recipients.map(addressOf) },
+        raw: `${headers.join('\r\n')}\r\n\r\n${body}`
+    };
+}
+
+// "Name <user@host>" -> "user@host"
+export function addressOf(address) {
+    const match = /<([^>]+)>/.exec(address);
+    return (match ? match[1] : address).trim();
+}
+
+// RFC 2047 encoded-word for non-ASCII subjects
+function encodeHeader(value) {
+    return /^[\x20-\x7e]*$/.test(value)
+        ? value
+        : `=?UTF-8?B?${Buffer.from(value).toString('base64')}?=`;
+}
@@ -0,0 +1,183 @@
+import net from 'net';
+import tls from 'tls';
+import os from 'os';
+
+// Minimal SMTP client: implicit TLS (port 465) or STARTTLS when the server
+// offers it, AUTH PLAIN/LOGIN, one message per connection. Enough for a
+// relay or a transactional mail provider; no pooling or retries. Credentials
+// only go over TLS unless allowInsecureAuth is set.
+export class SmtpTransport {
+    constructor(config = {}) {
+        this.name = 'smtp';
+        this.host = config.host;
+        this.port = config.port || (config.secure ? 465 : 587);
+        this.secure = Boolean(config.secure);
+        this.user = config.user;
+        this.pass = config.pass;
+        this.allowInsecureAuth = Boolean(config.allowInsecureAuth);
+        this.timeout = config.timeout || 30000;
+        this.clientName = config.clientName || os.hostname();
+    }
+
+    async send(message) {
+        const connection = await this.connect();
+
+        try {
+            await connection.expect(220);
+            let features = await this.hello(connection);
+            let encrypted = this.secure;
+
+            if (!this.secure && features.includes('STARTTLS')) {
+                await connection.command('STARTTLS', 220);
+                await connection.upgrade(this.host);
+                features = await this.hello(connection);
+                encrypted = true;
+            }
+
+            if (this.user) {
+                if (!encrypted && !this.allowInsecureAuth) {
+                    throw new Error('SMTP server does not offer STARTTLS; refusing to send credentials unencrypted');
+                }
+                await this.login(connection, features);
+            }
+
+            await connection.command(`MAIL FROM:<${message.envelope.from}>`, 250);
+            for (const recipient of message.envelope.to) {
+                await connection.command(`RCPT TO:<${recipient}>`, [250, 251]);
+            }
+
+            await connection.command('DATA', 354);
+            // Lines starting with a dot are escaped by doubling it (RFC 5321 4.5.2)
+            const data = message.raw.replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+            await connection.command(`${data}\r\n.`, 250);
+
+            await connection.command('QUIT', 221).catch(() => {});
+            return { messageId: message.messageId };
+        } finally {
+            connection.close();
+        }
+    }
+
+    // EHLO; returns the advertised extensions, upper-cased
+    async hello(connection) {
+        const reply = await connection.command(`EHLO ${this.clientName}`, 250);
+        return reply.lines.slice(1).map(line => line.toUpperCase());
+    }
+
+    async login(connection, features) {
+        const auth = features.find(line => line.startsWith('AUTH')) || '';
+
+        if (auth.includes('PLAIN') || !auth.includes('LOGIN')) {
+            const credentials = Buffer.from(`\0${this.user}\0${this.pass}`).toString('base64');
+            await connection.command(`AUTH PLAIN ${credentials}`, 235);
+            return;
+        }
+
+        await connection.command('AUTH LOGIN', 334);
+        await connection.command(Buffer.from(this.user).toString('base64'), 334);
+        await connection.command(Buffer.from(this.pass || '').toString('base64'), 235);
+    }
+
+    connect() {
+        return new Promise((resolve, reject) => {
+            const options = { host: this.host, port: this.port, servername: this.host };
+            const socket = this.secure ? tls.connect(options) : net.connect(options);
+            const connection = new SmtpConnection(socket, this.timeout);
+
+            socket.once(this.secure ? 'secureConnect' : 'connect', () => {
+                socket.off('error', reject);
+                resolve(connection);
+            });
+            socket.once('error', reject);
+        });
+    }
+}
+
+// Line-oriented reply reader over a (possibly upgraded) socket
+class SmtpConnection {
+    constructor(socket, timeout) {
+        this.timeout = timeout;
+        this.attach(socket);
+    }
+
+    attach(socket) {
+        this.socket = socket;
+        this.buffer = '';
+        this.lines = [];
+        this.waiting = null;
+        this.failure = null;
+
+        socket.setTimeout(this.timeout, () => socket.destroy(new Error('SMTP connection timed out')));
+        socket.on('data', (chunk) => {
+            this.buffer += chunk.toString();
+            this.drain();
+        });
+        socket.on('error', (error) => this.fail(error));
+        socket.on('close', () => this.fail(new Error('SMTP connection closed')));
+    }
+
+    fail(error) {
+        this.failure = this.failure || error;
+        if (this.waiting) {
+            this.waiting.reject(this.failure);
+            this.waiting = null;
+        }
+    }
+
+    // A reply is complete at the line whose code is followed by a space
+    drain() {
+        let index;
+        while (this.waiting && (index = this.buffer.indexOf('\n')) !== -1) {
+            const line = this.buffer.slice(0, index).replace(/\r$/, '');
+            this.buffer = this.buffer.slice(index + 1);
+            this.lines.push(line);
+
+            if (/^\d{3}(?: |$)/.test(line)) {
+                const reply = {
+                    code: parseInt(line.slice(0, 3)),
+                    lines: this.lines.map(entry => entry.slice(4))
+                };
+                this.lines = [];
+                this.waiting.resolve(reply);
+                this.waiting = null;
+            }
+        }
+    }
+
+    async expect(codes) {
+        const accepted = [].concat(codes);
+        const reply = await new Promise((resolve, reject) => {
+            if (this.failure) return reject(this.failure);
+            this.waiting = { resolve, reject };
+            this.drain();
+        });
+
+        if (!accepted.includes(reply.code)) {
+            throw new Error(`SMTP error ${reply.code}: ${reply.lines.join(' ')}`);
+        }
+        return reply;
+    }
+
+    command(line, codes) {
+        this.socket.write(`${line}\r\n`);
+        return this.expect(codes);
+    }
+
+    upgrade(host) {
+        return new Promise((resolve, reject) => {
+            const plain = this.socket;
+            plain.removeAllListeners('data');
+            plain.removeAllListeners('close');
+            plain.removeAllListeners('error');
+            plain.setTimeout(0);
+
+            const secure = tls.connect({ socket: plain, servername: host }, () => resolve());
+            secure.once('error', reject);
+            this.attach(secure);
+        });
+    }
+
+    close() {
+        this.socket.end();
+    }
+}
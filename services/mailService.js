@@ -0,0 +1,82 @@
+import { createTransport, buildMessage } from './mail/index.js';
+
+// Outgoing mail (password resets, address verification). The transport is
+// chosen by MAIL_TRANSPORT: smtp, or file/console for development.
+class MailService {
+    constructor() {
+        this.transport = createTransport();
+        this.from = process.env.MAIL_FROM || 'AI Chatbot <no-reply@localhost>';
+        // Links in mails point here; set it to the public address in production
+        this.appUrl = (process.env.APP_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/$/, '');
+
+        if (this.transport.name !== 'smtp' && process.env.NODE_ENV === 'production') {
+            console.warn(`⚠️  MAIL_TRANSPORT is ${this.transport.name}; password reset and verification mails will not be delivered.`);
+        }
+    }
+
+    async send({ to, subject, text }) {
+        const message = buildMessage({ from: this.from, to, subject, text });
+        return await this.transport.send(message);
+    }
+
+    // Fire-and-forget for request handlers: a mail failure is logged, never
+    // surfaced (and never reveals whether an account exists)
+    sendInBackground(mail) {
+        this.send(mail).catch(error => {
+            console.error(`Mail to ${mail.to} failed:`, error.message);
+        });
+    }
+
+    link(params) {
+        return `${this.appUrl}/?${new URLSearchParams(params)}`;
+    }
+
+    sendPasswordReset(user, token, expiresInMinutes) {
+        this.sendInBackground({
+            to: user.email,
+            subject: 'Reset your password',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'Someone (hopefully you) asked to reset the password for your account. Open this link to choose a new one:',
+                '',
+                this.link({ reset: token }),
+                '',
+                `The link works once and expires in ${expiresInMinutes} minutes. If you didn't ask for this, ignore this mail; your password stays as it is.`
+            ].join('\n')
+        });
+    }
+
+    sendEmailVerification(user, token) {
+        this.sendInBackground({
+            to: user.email,
+            subject: 'Confirm your email address',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'Please confirm this is your email address by opening:',
+                '',
+                this.link({ verify: token }),
+                '',
+                "If you didn't create an account, ignore this mail."
+            ].join('\n')
+        });
+    }
+
+    sendAccountApproved(user) {
+        this.sendInBackground({
+            to: user.email,
+            subject: 'Your account has been approved',
+            text: [
+                `Hi ${user.username},`,
+                '',
+                'Your account has been approved. You can sign in now:',
+                '',
+                this.appUrl
+            ].join('\n')
+        });
+    }
+}
+
+const mailService = new MailService();
+export { mailService };
@@ -0,0 +1,80 @@
+// Permission strings are colon-separated segments, most general first:
+// "resource:action[:scope]", e.g. "conversations:read:any". In a granted
+// permission "*" matches any one segment, or everything from there on when
+// it is the last one ("files:*", and "*" alone grants everything). A grant
+// for the "any" scope also covers "own".
+
+// Everything the server checks, for validation and the role editor
+export const PERMISSIONS = {
+    'chat': 'Chat with the assistant (sockets, /api/chat, /v1)',
+    'ai:generate': 'One-off generation (/api/ai/generate)',
+    'ai:analyze': 'Content analysis (/api/ai/analyze)',
+    'ai:code': 'Code generation (/api/ai/code)',
+    'ai:explain': 'Code explanation (/api/ai/explain)',
+    'ai:search': 'Web search (/api/ai/search)',
+    'files:upload': 'Upload files and fetch URLs',
+    'files:read:own': 'List, read and analyze your own files',
+    'files:read:any': "Read anyone's files",
+    'files:delete:own': 'Delete your own files',
+    'files:delete:any': "Delete anyone's files",
+    'conversations:read:own': 'Read conversations you own or are a member of',
+    'conversations:read:any': 'Read every conversation',
+    'conversations:write:own': 'Create conversations and write to those you may edit',
+    'conversations:write:any': 'Write to every conversation',
+    'conversations:manage:any': 'Delete and manage members of every conversation',
+    'prompts:manage': 'Create, update and delete personas',
+    'users:read': 'List users',
+    'users:manage': 'Change, unlock and delete users',
+    'roles:manage': 'Create, change and delete roles',
+    'audit:read': 'Read the security audit log',
+    'settings:manage': 'Change the auth policy'
+};
+
+const SEGMENT = /^(\*|[a-z][a-z0-9_-]*)$/;
+
+export function isValidPermission(permission) {
+    return typeof permission === 'string' && permission.split(':').every(segment => SEGMENT.test(segment));
+}
+
+// Whether a granted permission covers a required one
+export function matchesPermission(granted, required) {
+    const grant = granted.split(':');
+    const need = required.split(':');
+
+    for (let i = 0; i < grant.length; i++) {
+        if (grant[i] === '*' && i === grant.length - 1) return i < need.length;
+        if (i >= need.length) return false;
+        if (grant[i] === '*' || grant[i] === need[i]) continue;
+        if (i === need.length - 1 && grant[i] === 'any' && need[i] === 'own') continue;
+        return false;
+    }
+
+    return grant.length === need.length;
+}
+
+export function hasPermission(permissions = [], required) {
+    return permissions.some(granted => matchesPermission(granted, required));
+}
+
+// A grant that covers nothing in the catalog is most likely a typo
+export function isKnownPermission(permission) {
+    return isValidPermission(permission) &&
+        Object.keys(PERMISSIONS).some(known => matchesPermission(permission, known));
+}
+
+// Whether permissions `held` cover every permission in `granted`, wildcards
+// included: holding "files:*" covers granting "files:delete:any", holding
+// only "files:read:own" doesn't cover granting "files:*"
+export function coversPermissions(held = [], granted = []) {
+    const known = Object.keys(PERMISSIONS);
+
+    return granted.every(permission => {
+        if (hasPermission(held, permission)) return true;
+        // "*" also covers permissions added later; only holders of "*" may pass it on
+        if (permission === '*') return false;
+
+        return known
+            .filter(entry => matchesPermission(permission, entry))
+            .every(entry => hasPermission(held, entry));
+    });
+}
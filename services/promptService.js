@@ -0,0 +1,340 @@
+import express from 'express';
+import path from 'path';
+import fsSync from 'fs';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { authService } from './authService.js';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const NAME_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+const VARIABLE_PATTERN = /\{\{\s*([a-zA-Z_][\w]*)\s*\}\}/g;
+
+// Named, versioned system prompts ("personas"). Each persona lives in its own
+// directory under prompts/ as v1.md, v2.md, ... plus a meta.json; updates add
+// a new version instead of overwriting, so conversations can pin a version.
+class PromptService {
+    constructor() {
+        this.router = express.Router();
+        this.promptsDir = process.env.PROMPTS_DIR || path.join(__dirname, '..', 'prompts');
+        this.defaultPersona = process.env.DEFAULT_PERSONA ||
+            (process.env.ENABLE_UNCENSORED_MODE === 'true' ? 'uncensored' : 'assistant');
+        this.prompts = new Map();
+
+        this.loadPrompts();
+        this.setupRoutes();
+    }
+
+    loadPrompts() {
+        this.prompts.clear();
+
+        if (!fsSync.existsSync(this.promptsDir)) {
+            console.warn(`Prompts directory not found: ${this.promptsDir}`);
+            return;
+        }
+
+        for (const entry of fsSync.readdirSync(this.promptsDir, { withFileTypes: true })) {
+            if (!entry.isDirectory() || !NAME_PATTERN.test(entry.name)) continue;
+
+            try {
+                this.prompts.set(entry.name, this.loadPrompt(entry.name));
+            } catch (error) {
+                console.error(`Failed to load prompt ${entry.name}:`, error);
+            }
+        }
+    }
+
+    loadPrompt(name) {
+        const dir = path.join(this.promptsDir, name);
+        const metaPath = path.join(dir, 'meta.json');
+        const meta = fsSync.existsSync(metaPath)
+            ? JSON.parse(fsSync.readFileSync(metaPath, 'utf-8'))
+            : {};
+
+        const versions = fsSync.readdirSync(dir)
+            .map(file => file.match(/^v(\d+)\.md$/))
+            .filter(Boolean)
+            .map(match => {
+                const version = parseInt(match[1]);
+                const template = fsSync.readFileSync(path.join(dir, match[0]), 'utf-8').trimEnd();
+                return {
+                    version,
+                    template,
+                    variables: this.extractVariables(template),
+                    ...(meta.versions?.[version] || {})
+                };
+            })
+            .sort((a, b) => a.version - b.version);
+
+        return {
+            name,
+            description: meta.description || '',
+            createdAt: meta.createdAt || null,
+            updatedAt: meta.updatedAt || null,
+            versions
+        };
+    }
+
+    setupRoutes() {
+        // List personas
+        this.router.get('/', authService.requireAuth, (req, res) => {
+            try {
+                res.json({
+                    success: true,
+                    defaultPersona: this.defaultPersona,
+                    prompts: this.listPrompts()
+                });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get persona with all versions
+        this.router.get('/:name', authService.requireAuth, (req, res) => {
+            try {
+                const prompt = this.prompts.get(req.params.name);
+                if (!prompt) {
+                    return res.status(404).json({ error: 'Prompt not found' });
+                }
+
+                res.json({ success: true, prompt });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Get a specific version
+        this.router.get('/:name/versions/:version', authService.requireAuth, (req, res) => {
+            try {
+                const version = this.getVersion(req.params.name, parseInt(req.params.version));
+                if (!version) {
+                    return res.status(404).json({ error: 'Prompt version not found' });
+                }
+
+                res.json({ success: true, name: req.params.name, ...version });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Preview a rendered prompt
+        this.router.post('/:name/render', authService.requireAuth, (req, res) => {
+            try {
+                const { version, variables = {} } = req.body;
+                const rendered = this.render(req.params.name, { version, variables });
+                res.json({ success: true, ...rendered });
+            } catch (error) {
+                res.status(404).json({ error: error.message });
+            }
+        });
+
+        // Create persona
+        this.router.post('/', authService.requireAuth, authService.requirePermission('prompts:manage'), async (req, res) => {
+            try {
+                const { name, description = '', template } = req.body;
+
+                if (!name || !NAME_PATTERN.test(name)) {
+                    return res.status(400).json({ error: 'Name must be alphanumeric (dashes and underscores allowed)' });
+                }
+
+                if (!template) {
+                    return res.status(400).json({ error: 'Template is required' });
+                }
+
+                if (this.prompts.has(name)) {
+                    return res.status(409).json({ error: 'Prompt already exists' });
+                }
+
+                const prompt = await this.createPrompt(name, { description, template, createdBy: req.user.username });
+                res.status(201).json({ success: true, prompt });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Publish a new version (and/or update the description)
+        this.router.put('/:name', authService.requireAuth, authService.requirePermission('prompts:manage'), async (req, res) => {
+            try {
+                const { description, template, note } = req.body;
+
+                if (!this.prompts.has(req.params.name)) {
+                    return res.status(404).json({ error: 'Prompt not found' });
+                }
+
+                const prompt = await this.updatePrompt(req.params.name, {
+                    description,
+                    template,
+                    note,
+                    createdBy: req.user.username
+                });
+                res.json({ success: true, prompt });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+
+        // Delete persona and all of its versions
+        this.router.delete('/:name', authService.requireAuth, authService.requirePermission('prompts:manage'), async (req, res) => {
+            try {
+                const { name } = req.params;
+
+                if (name === this.defaultPersona) {
+                    return res.status(403).json({ error: 'Cannot delete the default persona' });
+                }
+
+                if (!this.prompts.has(name)) {
+                    return res.status(404).json({ error: 'Prompt not found' });
+                }
+
+                await fs.rm(path.join(this.promptsDir, name), { recursive: true, force: true });
+                this.prompts.delete(name);
+
+                res.json({ success: true, message: 'Prompt deleted' });
+            } catch (error) {
+                res.status(500).json({ error: error.message });
+            }
+        });
+    }
+
+    listPrompts() {
+        return Array.from(this.prompts.values()).map(prompt => ({
+            name: prompt.name,
+            description: prompt.description,
+            latestVersion: this.getLatestVersion(prompt)?.version || null,
+            versions: prompt.versions.map(v => v.version),
+            updatedAt: prompt.updatedAt
+        }));
+    }
+
+    getLatestVersion(prompt) {
+        return prompt.versions[prompt.versions.length - 1] || null;
+    }
+
+    getVersion(name, version) {
+        const prompt = this.prompts.get(name);
+        if (!prompt) return null;
+
+        if (!version) return this.getLatestVersion(prompt);
+        return prompt.versions.find(v => v.version === version) || null;
+    }
+
+    async createPrompt(name, { description, template, createdBy }) {
+        await fs.mkdir(path.join(this.promptsDir, name), { recursive: true });
+
+        const now = new Date();
+        const prompt = {
+            name,
+            description,
+            createdAt: now,
+            updatedAt: now,
+            versions: []
+        };
+
+        this.prompts.set(name, prompt);
+        await this.writeVersion(prompt, { template, createdBy });
+
+        return prompt;
+    }
+
+    async updatePrompt(name, { description, template, note, createdBy }) {
+        const prompt = this.prompts.get(name);
+
+        if (description !== undefined) {
+            prompt.description = description;
+        }
+
+        const latest = this.getLatestVersion(prompt);
+        if (template && template !== latest?.template) {
+            await this.writeVersion(prompt, { template, note, createdBy });
+        } else {
+            prompt.updatedAt = new Date();
+            await this.writeMeta(prompt);
+        }
+
+        return prompt;
+    }
+
+    async writeVersion(prompt, { template, note, createdBy }) {
+        const version = (this.getLatestVersion(prompt)?.version || 0) + 1;
+        const entry = {
+            version,
+            template: template.trimEnd(),
+            variables: this.extractVariables(template),
+            createdAt: new Date(),
+            createdBy
+        };
+        if (note) entry.note = note;
+
+        await fs.writeFile(path.join(this.promptsDir, prompt.name, `v${version}.md`), `${entry.template}\n`);
+
+        prompt.versions.push(entry);
+        prompt.updatedAt = entry.createdAt;
+        await this.writeMeta(prompt);
+
+        return entry;
+    }
+
+    async writeMeta(prompt) {
+        const versions = {};
+        for (const { version, template, variables, ...info } of prompt.versions) {
+            if (Object.keys(info).length > 0) versions[version] = info;
+        }
+
+        const meta = {
+            description: prompt.description,
+            createdAt: prompt.createdAt,
+            updatedAt: prompt.updatedAt,
+            versions
+        };
+
+        await fs.writeFile(path.join(this.promptsDir, prompt.name, 'meta.json'), `${JSON.stringify(meta, null, 2)}\n`);
+    }
+
+    extractVariables(template) {
+        return [...new Set(Array.from(template.matchAll(VARIABLE_PATTERN), match => match[1]))];
+    }
+
+    // Render a persona version, substituting {{variable}} placeholders.
+    // Unknown variables render as empty strings.
+    render(name, { version, variables = {} } = {}) {
+        const entry = this.getVersion(name, version);
+        if (!entry) {
+            throw new Error(`Prompt not found: ${name}${version ? ` v${version}` : ''}`);
+        }
+
+        const values = {
+            date: new Date().toISOString().split('T')[0],
+            ...variables
+        };
+
+        const content = entry.template
+            .replace(VARIABLE_PATTERN, (match, key) => (values[key] !== undefined ? String(values[key]) : ''))
+            .replace(/\n{3,}/g, '\n\n');
+
+        return { name, version: entry.version, content };
+    }
+
+    // Resolve the system prompt for a conversation. Metadata may pin a persona
+    // as a name or as { name, version }; otherwise the default persona applies.
+    resolveSystemPrompt(metadata = {}, variables = {}) {
+        const pinned = typeof metadata.persona === 'string'
+            ? { name: metadata.persona }
+            : metadata.persona || {};
+
+        const name = this.prompts.has(pinned.name) ? pinned.name : this.defaultPersona;
+        const version = name === pinned.name ? pinned.version : undefined;
+
+        try {
+            return this.render(name, { version, variables });
+        } catch (error) {
+            console.error('Prompt resolution error:', error.message);
+            return this.render(this.defaultPersona, { variables });
+        }
+    }
+}
+
+const promptService = new PromptService();
+export { promptService };
@@ -0,0 +1,112 @@
+import { BaseProvider } from './baseProvider.js';
+
+// Anthropic-style Messages API: the system prompt travels outside the
+// messages array and consecutive turns must alternate user/assistant.
+export class AnthropicProvider extends BaseProvider {
+    constructor(config = {}) {
+        super({ type: 'anthropic', ...config });
+        this.apiVersion = config.apiVersion || '2023-06-01';
+    }
+
+    getHeaders() {
+        return {
+            ...super.getHeaders(),
+            'x-api-key': this.apiKey,
+            'anthropic-version': this.apiVersion
+        };
+    }
+
+    buildRequest(messages, options, stream) {
+        const system = messages
+            .filter(m => m.role === 'system')
+            .map(m => m.content)
+            .join('\n\n');
+
+        // Merge adjacent same-role turns, which the API rejects
+        const turns = [];
+        for (const message of messages) {
+            if (message.role === 'system') continue;
+
+            const last = turns[turns.length - 1];
+            if (last && last.role === message.role) {
+                last.content += `\n\n${message.content}`;
+            } else {
+                turns.push({ role: message.role, content: message.content });
+            }
+        }
+
+        const requestData = {
+            model: options.model || this.model,
+            messages: turns,
+            max_tokens: options.max_tokens || 4000,
+            temperature: Math.min(options.temperature ?? 0.7, 1),
+            stream
+        };
+
+        if (system) requestData.system = system;
+        if (options.top_p !== undefined) requestData.top_p = options.top_p;
+
+        return requestData;
+    }
+
+    async complete(messages, options = {}) {
+        const response = await this.post(this.apiUrl, this.buildRequest(messages, options, false), {
+            signal: options.signal
+        });
+
+        return {
+            content: response.data.content
+                .filter(block => block.type === 'text')
+                .map(block => block.text)
+                .join(''),
+            model: response.data.model,
+            usage: this.normalizeUsage(response.data.usage?.input_tokens, response.data.usage?.output_tokens)
+        };
+    }
+
+    async stream(messages, options = {}, onChunk) {
+        const response = await this.post(this.apiUrl, this.buildRequest(messages, options, true), {
+            responseType: 'stream',
+            signal: options.signal
+        });
+
+        const result = { content: '', model: options.model || this.model, usage: undefined };
+        let inputTokens;
+        let outputTokens;
+
+        await this.readLines(response.data, (line) => {
+            if (!line.startsWith('data: ')) return;
+
+            try {
+                const event = JSON.parse(line.slice(6));
+
+                switch (event.type) {
+                    case 'message_start':
+                        result.model = event.message?.model || result.model;
+                        inputTokens = event.message?.usage?.input_tokens;
+                        break;
+
+                    case 'content_block_delta':
+                        if (event.delta?.type === 'text_delta' && event.delta.text) {
+                            result.content += event.delta.text;
+                            onChunk(event.delta.text);
+                        }
+                        break;
+
+                    case 'message_delta':
+                        outputTokens = event.usage?.output_tokens;
+                        break;
+
+                    case 'error':
+                        throw new Error(event.error?.message || 'Anthropic stream error');
+                }
+            } catch (e) {
+                if (e instanceof SyntaxError) return; // Ignore parsing errors
+                throw e;
+            }
+        });
+
+        result.usage = this.normalizeUsage(inputTokens, outputTokens);
+        return result;
+    }
+}
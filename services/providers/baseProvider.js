@@ -0,0 +1,103 @@
+import axios from 'axios';
+
+// Shared plumbing for LLM provider adapters. Each adapter translates the
+// role-tagged messages array into its vendor's wire format and normalizes
+// the reply back to { content, model, usage, citations }.
+export class BaseProvider {
+    constructor(config = {}) {
+        this.name = config.name;
+        this.type = config.type;
+        this.apiUrl = config.apiUrl;
+        this.apiKey = config.apiKey;
+        this.model = config.model;
+        this.timeout = config.timeout || 60000;
+        this.defaultEmbeddingModel = null;
+    }
+
+    async complete(messages, options = {}) {
+        throw new Error(`${this.type} provider does not implement complete()`);
+    }
+
+    async stream(messages, options = {}, onChunk) {
+        throw new Error(`${this.type} provider does not implement stream()`);
+    }
+
+    // Vectors for texts, in order. options.model overrides defaultEmbeddingModel.
+    async embed(texts, options = {}) {
+        throw new Error(`${this.type} provider does not support embeddings`);
+    }
+
+    getHeaders() {
+        return { 'Content-Type': 'application/json' };
+    }
+
+    async post(url, data, options = {}) {
+        return await axios.post(url, data, {
+            headers: this.getHeaders(),
+            timeout: this.timeout,
+            ...options
+        });
+    }
+
+    // Splits a streamed response body into lines, buffering partial lines
+    // that straddle network chunks. An exception thrown by onLine aborts
+    // the stream and rejects the returned promise, as does the stream
+    // closing early (e.g. the request's AbortSignal firing).
+    readLines(stream, onLine) {
+        return new Promise((resolve, reject) => {
+            let buffer = '';
+            let ended = false;
+
+            const handle = (line) => {
+                try {
+                    onLine(line.trim());
+                    return true;
+                } catch (error) {
+                    stream.destroy();
+                    reject(error);
+                    return false;
+                }
+            };
+
+            stream.on('data', (chunk) => {
+                buffer += chunk.toString();
+                const lines = buffer.split('\n');
+                buffer = lines.pop();
+                for (const line of lines) {
+                    if (!handle(line)) return;
+                }
+            });
+
+            stream.on('end', () => {
+                ended = true;
+                if (buffer.trim() && !handle(buffer)) return;
+                resolve();
+            });
+            stream.on('error', reject);
+            stream.on('close', () => {
+                if (!ended) reject(new Error('Stream closed before completion'));
+            });
+        });
+    }
+
+    normalizeUsage(promptTokens, completionTokens) {
+        if (promptTokens === undefined && completionTokens === undefined) {
+            return undefined;
+        }
+
+        return {
+            prompt_tokens: promptTokens || 0,
+            completion_tokens: completionTokens || 0,
+            total_tokens: (promptTokens || 0) + (completionTokens || 0)
+        };
+    }
+
+    describe() {
+        return {
+            name: this.name,
+            type: this.type,
+            model: this.model,
+            apiUrl: this.apiUrl
+        };
+    }
+}
@@ -0,0 +1,68 @@
+import { OpenAIProvider } from './openaiProvider.js';
+import { AnthropicProvider } from './anthropicProvider.js';
+import { OllamaProvider } from './ollamaProvider.js';
+
+const providerTypes = {
+    openai: OpenAIProvider,
+    anthropic: AnthropicProvider,
+    ollama: OllamaProvider
+};
+
+// Build the provider registry from environment configuration. A provider is
+// only registered once its endpoint (or, for hosted vendors, its key) is set.
+export function createProviders(env = process.env) {
+    const configs = [
+        {
+            name: 'perplexity',
+            type: 'openai',
+            apiUrl: env.PERPLEXITY_API_URL,
+            apiKey: env.PERPLEXITY_API_KEY,
+            model: env.PERPLEXITY_MODEL
+        },
+        {
+            name: 'openai',
+            type: 'openai',
+            apiUrl: env.OPENAI_API_URL || (env.OPENAI_API_KEY ? 'https://api.openai.com/v1/chat/completions' : undefined),
+            apiKey: env.OPENAI_API_KEY,
+            model: env.OPENAI_MODEL || 'gpt-4o-mini'
+        },
+        {
+            name: 'anthropic',
+            type: 'anthropic',
+            apiUrl: env.ANTHROPIC_API_URL || (env.ANTHROPIC_API_KEY ? 'https://api.anthropic.com/v1/messages' : undefined),
+            apiKey: env.ANTHROPIC_API_KEY,
+            model: env.ANTHROPIC_MODEL || 'claude-3-5-sonnet-latest'
+        },
+        {
+            name: 'ollama',
+            type: 'ollama',
+            apiUrl: env.OLLAMA_API_URL,
+            model: env.OLLAMA_MODEL || 'llama3.1'
+        },
+        {
+            name: 'llamacpp',
+            type: 'openai',
+            apiUrl: env.LLAMACPP_API_URL,
+            apiKey: env.LLAMACPP_API_KEY,
+            model: env.LLAMACPP_MODEL || 'local'
+        }
+    ];
+
+    const providers = new Map();
+    // Unset leaves each provider its own default (Ollama waits longer)
+    const timeout = parseInt(env.AI_REQUEST_TIMEOUT) || null;
+
+    for (const config of configs) {
+        if (!config.apiUrl) continue;
+
+        const Provider = providerTypes[config.type];
+        providers.set(config.name, new Provider({
+            ...config,
+            ...(timeout && { timeout })
+        }));
+    }
+
+    return providers;
+}
+
+export { OpenAIProvider, AnthropicProvider, OllamaProvider };
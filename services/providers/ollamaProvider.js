@@ -0,0 +1,87 @@
+import { BaseProvider } from './baseProvider.js';
+
+// Ollama native chat API (POST {baseUrl}/api/chat). Streams newline-delimited
+// JSON rather than SSE. No API key is needed for a local server.
+export class OllamaProvider extends BaseProvider {
+    constructor(config = {}) {
+        super({ type: 'ollama', ...config, timeout: config.timeout ?? 300000 });
+        this.chatUrl = `${this.apiUrl.replace(/\/+$/, '')}/api/chat`;
+        this.embedUrl = `${this.apiUrl.replace(/\/+$/, '')}/api/embed`;
+        this.defaultEmbeddingModel = 'nomic-embed-text';
+    }
+
+    buildRequest(messages, options, stream) {
+        const modelOptions = {
+            temperature: options.temperature ?? 0.7,
+            num_predict: options.max_tokens || 4000
+        };
+
+        if (options.top_p !== undefined) modelOptions.top_p = options.top_p;
+        if (options.num_ctx) modelOptions.num_ctx = options.num_ctx;
+
+        return {
+            model: options.model || this.model,
+            messages,
+            stream,
+            options: modelOptions
+        };
+    }
+
+    async complete(messages, options = {}) {
+        const response = await this.post(this.chatUrl, this.buildRequest(messages, options, false), {
+            signal: options.signal
+        });
+
+        return {
+            content: response.data.message?.content || '',
+            model: response.data.model,
+            usage: this.normalizeUsage(response.data.prompt_eval_count, response.data.eval_count)
+        };
+    }
+
+    async embed(texts, options = {}) {
+        const response = await this.post(this.embedUrl, {
+            model: options.model || this.defaultEmbeddingModel,
+            input: texts
+        });
+
+        return response.data.embeddings;
+    }
+
+    async stream(messages, options = {}, onChunk) {
+        const response = await this.post(this.chatUrl, this.buildRequest(messages, options, true), {
+            responseType: 'stream',
+            signal: options.signal
+        });
+
+        const result = { content: '', model: options.model || this.model, usage: undefined };
+
+        await this.readLines(response.data, (line) => {
+            if (!line) return;
+
+            let parsed;
+            try {
+                parsed = JSON.parse(line);
+            } catch (e) {
+                return; // Ignore parsing errors
+            }
+
+            if (parsed.error) {
+                throw new Error(parsed.error);
+            }
+
+            const content = parsed.message?.content;
+            if (content) {
+                result.content += content;
+                onChunk(content);
+            }
+
+            if (parsed.done) {
+                result.model = parsed.model || result.model;
+                result.usage = this.normalizeUsage(parsed.prompt_eval_count, parsed.eval_count);
+            }
+        });
+
+        return result;
+    }
+}
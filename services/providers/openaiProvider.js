@@ -0,0 +1,92 @@
+import { BaseProvider } from './baseProvider.js';
+
+// OpenAI-compatible chat completions API. Covers OpenAI itself, Perplexity
+// and local servers that expose /v1/chat/completions (llama.cpp, vLLM, LM Studio).
+export class OpenAIProvider extends BaseProvider {
+    constructor(config = {}) {
+        super({ type: 'openai', ...config });
+        // /v1/embeddings next to the configured /v1/chat/completions
+        this.embeddingsUrl = this.apiUrl.replace(/\/chat\/completions\/?$/, '/embeddings');
+        this.defaultEmbeddingModel = 'text-embedding-3-small';
+    }
+
+    getHeaders() {
+        const headers = super.getHeaders();
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    buildRequest(messages, options, stream) {
+        const requestData = {
+            model: options.model || this.model,
+            messages,
+            temperature: options.temperature ?? 0.7,
+            max_tokens: options.max_tokens || 4000,
+            stream
+        };
+
+        if (options.top_p !== undefined) requestData.top_p = options.top_p;
+        if (options.frequency_penalty !== undefined) requestData.frequency_penalty = options.frequency_penalty;
+        if (options.presence_penalty !== undefined) requestData.presence_penalty = options.presence_penalty;
+
+        return requestData;
+    }
+
+    async complete(messages, options = {}) {
+        const response = await this.post(this.apiUrl, this.buildRequest(messages, options, false), {
+            signal: options.signal
+        });
+
+        return {
+            content: response.data.choices[0].message.content,
+            model: response.data.model,
+            usage: response.data.usage,
+            citations: response.data.citations
+        };
+    }
+
+    async embed(texts, options = {}) {
+        const response = await this.post(this.embeddingsUrl, {
+            model: options.model || this.defaultEmbeddingModel,
+            input: texts
+        });
+
+        return response.data.data
+            .sort((a, b) => a.index - b.index)
+            .map(item => item.embedding);
+    }
+
+    async stream(messages, options = {}, onChunk) {
+        const response = await this.post(this.apiUrl, this.buildRequest(messages, options, true), {
+            responseType: 'stream',
+            signal: options.signal
+        });
+
+        const result = { content: '', model: options.model || this.model, usage: undefined, citations: undefined };
+
+        await this.readLines(response.data, (line) => {
+            if (!line.startsWith('data: ')) return;
+
+            const data = line.slice(6);
+            if (data === '[DONE]') return;
+
+            try {
+                const parsed = JSON.parse(data);
+                const content = parsed.choices?.[0]?.delta?.content;
+                if (parsed.model) result.model = parsed.model;
+                if (parsed.usage) result.usage = parsed.usage;
+                if (parsed.citations) result.citations = parsed.citations;
+                if (content) {
+                    result.content += content;
+                    onChunk(content);
+                }
+            } catch (e) {
+                // Ignore parsing errors
+            }
+        });
+
+        return result;
+    }
+}
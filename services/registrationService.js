@@ -0,0 +1,100 @@
+import crypto from 'crypto';
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from '../storage/index.js';
+import { HttpError } from './errors.js';
+
+// open: anyone may register; invite: an invite code is required;
+// approval: registrations without an invite code wait for an admin
+export const REGISTRATION_MODES = ['open', 'invite', 'approval'];
+
+// Invite codes for registration. Each carries the role the new account
+// gets, and may be limited to one email address, a number of uses and a
+// lifetime. Like API keys, only the sha256 of a code is stored.
+class RegistrationService {
+    constructor() {
+        this.invites = storage.collection('registration_invites');
+        this.defaultInviteTTL = parseInt(process.env.REGISTRATION_INVITE_TTL) || 7 * 86400; // seconds
+    }
+
+    hashCode(code) {
+        return crypto.createHash('sha256').update(String(code).trim()).digest('hex');
+    }
+
+    // The code is only returned here
+    createInvite(creator, { role, email = null, maxUses = 1, expiresIn, note = '' }) {
+        if (!(Number.isInteger(maxUses) && maxUses > 0)) {
+            throw new HttpError(400, 'maxUses must be a positive integer');
+        }
+
+        if (expiresIn !== undefined && !(Number(expiresIn) > 0)) {
+            throw new HttpError(400, 'expiresIn must be a positive number of seconds');
+        }
+
+        const ttl = Number(expiresIn) || this.defaultInviteTTL;
+        const code = crypto.randomBytes(12).toString('base64url');
+        const invite = {
+            id: uuidv4(),
+            prefix: code.slice(0, 4),
+            role,
+            email,
+            note,
+            maxUses,
+            uses: 0,
+            usedBy: [],
+            createdBy: creator.username,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + ttl * 1000)
+        };
+
+        this.invites.set(this.hashCode(code), invite, { ttl });
+        return { invite, code };
+    }
+
+    list() {
+        return this.invites.values()
+            .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+    }
+
+    revoke(inviteId) {
+        for (const [hash, invite] of this.invites.entries()) {
+            if (invite.id === inviteId) return this.invites.delete(hash);
+        }
+        return false;
+    }
+
+    // The invite a code stands for, if it can still be used (by this email)
+    find(code, email) {
+        const invite = code ? this.invites.get(this.hashCode(code)) : null;
+        if (!invite) return null;
+
+        if (new Date(invite.expiresAt) <= new Date() || invite.uses >= invite.maxUses) return null;
+        if (invite.email && invite.email !== email) return null;
+
+        return invite;
+    }
+
+    // Use up one of the invite's uses for user. Checks the invite again and
+    // returns it, or null if it can no longer be used (e.g. another sign-up
+    // took its last use meanwhile). Synchronous, so nothing can redeem the
+    // same use in between.
+    redeem(code, email, user) {
+        const invite = this.find(code, email);
+        if (!invite) return null;
+
+        const hash = this.hashCode(code);
+        invite.uses++;
+        invite.usedBy.push(user.username);
+
+        if (invite.uses >= invite.maxUses) {
+            this.invites.delete(hash);
+        } else {
+            const ttl = Math.ceil((new Date(invite.expiresAt) - Date.now()) / 1000);
+            this.invites.set(hash, invite, { ttl });
+        }
+
+        return invite;
+    }
+}
+
+const registrationService = new RegistrationService();
+export { registrationService };
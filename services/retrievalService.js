@@ -0,0 +1,470 @@
+import path from 'path';
+import fs from 'fs/promises';
+import { fileService } from './fileService.js';
+import { aiService } from './aiService.js';
+import { conversationService } from './conversationService.js';
+
+// Bump when chunking or the index format changes; older indexes are rebuilt
+const INDEX_VERSION = 1;
+
+// BM25 parameters
+const K1 = 1.2;
+const B = 0.75;
+
+// Reciprocal rank fusion constant for combining BM25 and embedding ranks
+const RRF_K = 60;
+
+const MARKDOWN_TYPES = ['md', 'markdown'];
+
+// Retrieval over uploaded files. Extracted text is split into overlapping
+// chunks that remember their page (PDF), heading (Markdown) and lines, and
+// indexed for BM25 in uploads/.index. With RETRIEVAL_EMBEDDING_PROVIDER set
+// the chunks are also embedded by that provider and both rankings are fused.
+// Each chat turn gets the chunks most relevant to its question from the
+// files attached to it or earlier in the conversation, labelled so the model
+// can cite file name and page or section.
+class RetrievalService {
+    constructor() {
+        this.indexDir = path.join(fileService.uploadDir, '.index');
+        this.chunkSize = parseInt(process.env.RETRIEVAL_CHUNK_SIZE) || 1200; // characters
+        this.chunkOverlap = parseInt(process.env.RETRIEVAL_CHUNK_OVERLAP) || 200;
+        this.topK = parseInt(process.env.RETRIEVAL_TOP_K) || 6;
+        this.embeddingProvider = process.env.RETRIEVAL_EMBEDDING_PROVIDER || null;
+        this.embeddingModel = process.env.RETRIEVAL_EMBEDDING_MODEL || null;
+        this.building = new Map(); // fileId -> index being built
+        this.sources = []; // other context sources, see addSource
+
+        fs.mkdir(this.indexDir, { recursive: true }).catch(error => {
+            console.error('Failed to create index directory:', error);
+        });
+
+        // Index right after upload, so the first question doesn't wait
+        fileService.events.on('extracted', ({ fileId }) => {
+            this.getIndex(fileId).catch(error => console.error(`Indexing ${fileId} failed:`, error.message));
+        });
+
+        fileService.events.on('deleted', ({ fileId }) => {
+            fs.rm(this.indexPath(fileId), { force: true }).catch(() => {});
+        });
+    }
+
+    // Another service's excerpts for buildContext (e.g. workspaceService):
+    // source(options) gets buildContext's options and resolves to
+    // { hits: [{ text, source }], problems }. Its hits follow the files'.
+    addSource(source) {
+        this.sources.push(source);
+    }
+
+    indexPath(fileId) {
+        return path.join(this.indexDir, `${fileId}.json`);
+    }
+
+    // Context for a chat turn: excerpts from the files attached now (fileIds)
+    // and those attached earlier in the conversation, ranked for query, then
+    // those of the added sources. Returns the prompt text and the sources it
+    // cites.
+    async buildContext(options) {
+        const { fileIds = [], user, conversationId, query } = options;
+        const records = new Map();
+        const problems = [];
+
+        for (const fileId of fileIds) {
+            try {
+                const record = fileService.getAccessibleFile(fileId, user);
+                records.set(record.id, record);
+                if (conversationId) fileService.linkConversation(record, conversationId);
+            } catch (error) {
+                problems.push(`File ${fileId}: ${error.message}`);
+            }
+        }
+
+        // Files attached earlier by any member: attaching a file shares it
+        // with everyone who can read the conversation
+        const conversation = conversationId ? conversationService.getConversation(conversationId) : null;
+        if (conversation && conversationService.canAccess(conversation, user)) {
+            for (const record of fileService.files.filter(file => file.conversationIds?.includes(conversationId))) {
+                records.set(record.id, record);
+            }
+        }
+
+        const hits = records.size > 0
+            ? (await this.search(query, [...records.values()], { problems })).map(hit => ({
+                text: hit.text,
+                source: {
+                    fileId: hit.file.id,
+                    fileName: hit.file.originalName,
+                    ...(hit.page && { page: hit.page }),
+                    ...(hit.section && { section: hit.section }),
+                    lines: hit.lines
+                }
+            }))
+            : [];
+
+        for (const source of this.sources) {
+            const added = await source(options);
+            hits.push(...added.hits);
+            problems.push(...added.problems);
+        }
+
+        if (hits.length === 0 && problems.length === 0) {
+            return { context: '', sources: [] };
+        }
+
+        const sources = hits.map((hit, i) => ({ index: i + 1, ...hit.source }));
+
+        let context = 'Excerpts from the user\'s files and code, most relevant first. When you use one, ' +
+            'cite it as given in its heading, e.g. (report.pdf, p. 40) or (src/app.js, lines 10-42).\n\n';
+
+        hits.forEach((hit, i) => {
+            context += `[${i + 1}] ${this.label(sources[i])}\n${hit.text}\n\n---\n\n`;
+        });
+
+        for (const problem of problems) {
+            context += `${problem}\n\n`;
+        }
+
+        return { context, sources };
+    }
+
+    // "report.pdf, p. 40" / "README.md, § Setup" / "app.js, lines 10-42" /
+    // "src/app.js, lines 10-42 (App.start)" for workspace code
+    label(source) {
+        if (source.path) {
+            const symbols = source.symbols?.length > 3 ? [...source.symbols.slice(0, 3), '…'] : source.symbols;
+            return `${source.path}, lines ${source.lines}${symbols ? ` (${symbols.join(', ')})` : ''}`;
+        }
+        if (source.page) return `${source.fileName}, p. ${source.page}`;
+        if (source.section) return `${source.fileName}, § ${source.section}`;
+        return `${source.fileName}, lines ${source.lines}`;
+    }
+
+    async search(query, records, { problems = [] } = {}) {
+        const chunks = [];
+
+        for (const record of records) {
+            try {
+                const index = await this.getIndex(record.id);
+                if (index.chunks.length === 0) {
+                    problems.push(`File ${record.originalName}: no text to search`);
+                }
+                for (const chunk of index.chunks) {
+                    chunks.push({ ...chunk, file: record, embedding: index.embedding });
+                }
+            } catch (error) {
+                problems.push(`File ${record.originalName}: ${error.message}`);
+            }
+        }
+
+        if (chunks.length === 0) return [];
+
+        const ranked = await this.rank(query, [...new Set(this.tokenize(query || ''))], chunks);
+
+        // Nothing to rank by (e.g. a question of only stop words) or nothing
+        // matching ("summarize this"): the start of each file
+        if (!ranked || ranked.length === 0) {
+            return chunks.filter(chunk => chunk.index === 0).slice(0, this.topK);
+        }
+
+        return ranked.slice(0, this.topK);
+    }
+
+    // Chunks (with .terms, .length and, if embedded, .vector and .embedding)
+    // ordered by BM25 for terms and by embedding similarity to query, the
+    // two rankings fused; null if there is nothing to rank by
+    async rank(query, terms, chunks) {
+        const rankings = [];
+
+        if (terms.length > 0) {
+            rankings.push(this.rankBM25(terms, chunks));
+        }
+
+        const embedded = chunks.filter(chunk => chunk.vector);
+        if (query && embedded.length > 0) {
+            try {
+                rankings.push(await this.rankByEmbedding(query, embedded));
+            } catch (error) {
+                console.error('Query embedding failed, using BM25 only:', error.message);
+            }
+        }
+
+        if (rankings.length === 0) return null;
+
+        const fused = new Map();
+        for (const ranking of rankings) {
+            ranking.forEach((chunk, rank) => {
+                fused.set(chunk, (fused.get(chunk) || 0) + 1 / (RRF_K + rank + 1));
+            });
+        }
+
+        return [...fused.entries()]
+            .sort(([, a], [, b]) => b - a)
+            .map(([chunk]) => chunk);
+    }
+
+    // Chunks containing any query term, best first
+    rankBM25(terms, chunks) {
+        const avgLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0) / chunks.length || 1;
+        const idf = {};
+
+        for (const term of terms) {
+            const df = chunks.filter(chunk => Object.hasOwn(chunk.terms, term)).length;
+            idf[term] = Math.log(1 + (chunks.length - df + 0.5) / (df + 0.5));
+        }
+
+        return chunks
+            .map(chunk => {
+                let score = 0;
+                for (const term of terms) {
+                    if (!Object.hasOwn(chunk.terms, term)) continue;
+                    const tf = chunk.terms[term];
+                    score += idf[term] * tf * (K1 + 1) / (tf + K1 * (1 - B + B * chunk.length / avgLength));
+                }
+                return { chunk, score };
+            })
+            .filter(({ score }) => score > 0)
+            .sort((a, b) => b.score - a.score)
+            .map(({ chunk }) => chunk);
+    }
+
+    async rankByEmbedding(query, chunks) {
+        // Chunks embedded with another model can't be compared with this query
+        const { provider, model } = chunks[0].embedding;
+        const comparable = chunks.filter(chunk => chunk.embedding.provider === provider && chunk.embedding.model === model);
+        const [queryVector] = await aiService.embed([query], { provider, model });
+
+        return comparable
+            .map(chunk => ({ chunk, score: this.cosine(queryVector, chunk.vector) }))
+            .sort((a, b) => b.score - a.score)
+            .map(({ chunk }) => chunk);
+    }
+
+    cosine(a, b) {
+        let dot = 0;
+        let normA = 0;
+        let normB = 0;
+
+        for (let i = 0; i < a.length; i++) {
+            dot += a[i] * b[i];
+            normA += a[i] * a[i];
+            normB += b[i] * b[i];
+        }
+
+        return dot / (Math.sqrt(normA * normB) || 1);
+    }
+
+    // The file's index, built (or rebuilt when the file, the chunking or the
+    // embedding settings changed) as needed
+    async getIndex(fileId) {
+        if (this.building.has(fileId)) {
+            return await this.building.get(fileId);
+        }
+
+        const record = fileService.getRecord(fileId);
+
+        try {
+            const index = JSON.parse(await fs.readFile(this.indexPath(fileId), 'utf-8'));
+            if (this.isCurrent(index, record)) return index;
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        const building = this.buildIndex(record).finally(() => this.building.delete(fileId));
+        this.building.set(fileId, building);
+        return await building;
+    }
+
+    isCurrent(index, record) {
+        return index.version === INDEX_VERSION &&
+            index.checksum === record.checksum &&
+            index.chunkSize === this.chunkSize &&
+            index.chunkOverlap === this.chunkOverlap &&
+            index.embedding?.provider === (this.embeddingProvider || undefined) &&
+            index.embedding?.model === (this.embeddingModel || undefined);
+    }
+
+    async buildIndex(record) {
+        const content = await fileService.getFileContent(record.id);
+        const { extraction } = fileService.getRecord(record.id);
+        const ext = fileService.extensionOf(record);
+
+        const chunks = extraction?.status === 'ready'
+            ? this.chunk(content, { markdown: MARKDOWN_TYPES.includes(ext) })
+            : [];
+
+        for (const chunk of chunks) {
+            const tokens = this.tokenize(chunk.text);
+            chunk.length = tokens.length;
+            // Own properties only: "constructor" is a word too
+            chunk.terms = Object.create(null);
+            for (const token of tokens) {
+                chunk.terms[token] = (chunk.terms[token] || 0) + 1;
+            }
+        }
+
+        const embedding = await this.embedChunks(record, chunks);
+
+        const index = {
+            version: INDEX_VERSION,
+            fileId: record.id,
+            checksum: record.checksum,
+            chunkSize: this.chunkSize,
+            chunkOverlap: this.chunkOverlap,
+            embedding,
+            chunks,
+            createdAt: new Date()
+        };
+
+        await fs.writeFile(this.indexPath(record.id), JSON.stringify(index));
+        fileService.updateRecord(record.id, {
+            index: {
+                chunks: chunks.length,
+                embedded: Boolean(chunks.length && chunks[0].vector),
+                updatedAt: index.createdAt
+            }
+        });
+
+        return index;
+    }
+
+    // Adds .vector to each chunk. Embedding failures leave the file on BM25
+    // alone, but the index still records the settings so it isn't rebuilt
+    // on every question.
+    async embedChunks(record, chunks) {
+        if (!this.embeddingProvider) return {};
+
+        const embedding = { provider: this.embeddingProvider, model: this.embeddingModel || undefined };
+
+        try {
+            for (let i = 0; i < chunks.length; i += 64) {
+                const batch = chunks.slice(i, i + 64);
+                const vectors = await aiService.embed(batch.map(chunk => chunk.text), embedding);
+                batch.forEach((chunk, j) => {
+                    chunk.vector = vectors[j];
+                });
+            }
+        } catch (error) {
+            console.error(`Embedding ${record.originalName} failed, using BM25 only:`, error.message);
+            chunks.forEach(chunk => delete chunk.vector);
+        }
+
+        return embedding;
+    }
+
+    // Split text into chunks of about chunkSize characters, ending at a
+    // paragraph, line, sentence or word break where possible, each starting
+    // chunkOverlap characters before the previous one ended. Form feeds mark
+    // PDF pages; Markdown is chunked section by section, so each chunk has
+    // one heading.
+    chunk(text, { markdown = false } = {}) {
+        const newlines = this.positionsOf(text, '\n');
+        const pageBreaks = this.positionsOf(text, '\f');
+        const sections = markdown ? this.markdownSections(text) : [{ start: 0, end: text.length }];
+        const chunks = [];
+
+        for (const section of sections) {
+            for (const [start, end] of this.windows(text, section.start, section.end)) {
+                const body = text.slice(start, end).replace(/\f/g, '\n').trim();
+                if (!body) continue;
+
+                const firstLine = this.countBefore(newlines, start) + 1;
+                const lastLine = this.countBefore(newlines, end - 1) + 1;
+
+                chunks.push({
+                    index: chunks.length,
+                    text: body,
+                    ...(pageBreaks.length > 0 && { page: this.pageRange(pageBreaks, start, end) }),
+                    ...(section.title && { section: section.title }),
+                    lines: firstLine === lastLine ? `${firstLine}` : `${firstLine}-${lastLine}`
+                });
+            }
+        }
+
+        return chunks;
+    }
+
+    // [start, end) ranges covering text[from, to)
+    windows(text, from, to) {
+        const ranges = [];
+        let start = from;
+
+        while (start < to) {
+            let end = Math.min(start + this.chunkSize, to);
+
+            if (end < to) {
+                const breakFrom = start + Math.floor(this.chunkSize * 2 / 3);
+                const window = text.slice(breakFrom, end);
+                for (const separator of ['\f', '\n\n', '\n', '. ', ' ']) {
+                    const at = window.lastIndexOf(separator);
+                    if (at !== -1) {
+                        end = breakFrom + at + separator.length;
+                        break;
+                    }
+                }
+            }
+
+            ranges.push([start, end]);
+            if (end >= to) break;
+
+            // Back up for the overlap, then forward to the next word
+            let next = Math.max(end - this.chunkOverlap, start + 1);
+            const space = text.slice(next, end).search(/\s/);
+            if (space !== -1) next += space + 1;
+            start = next;
+        }
+
+        return ranges;
+    }
+
+    markdownSections(text) {
+        const headings = [...text.matchAll(/^#{1,6}[ \t]+(.+?)[ \t#]*$/gm)];
+        const sections = [];
+
+        if (headings.length === 0 || headings[0].index > 0) {
+            sections.push({ start: 0, end: headings[0]?.index ?? text.length });
+        }
+
+        headings.forEach((heading, i) => {
+            sections.push({
+                start: heading.index,
+                end: headings[i + 1]?.index ?? text.length,
+                title: heading[1]
+            });
+        });
+
+        return sections;
+    }
+
+    pageRange(pageBreaks, start, end) {
+        const first = this.countBefore(pageBreaks, start) + 1;
+        const last = this.countBefore(pageBreaks, end - 1) + 1;
+        return first === last ? `${first}` : `${first}-${last}`;
+    }
+
+    positionsOf(text, char) {
+        const positions = [];
+        for (let at = text.indexOf(char); at !== -1; at = text.indexOf(char, at + 1)) {
+            positions.push(at);
+        }
+        return positions;
+    }
+
+    // How many of the sorted positions are before pos
+    countBefore(positions, pos) {
+        let low = 0;
+        let high = positions.length;
+        while (low < high) {
+            const mid = (low + high) >> 1;
+            if (positions[mid] < pos) low = mid + 1;
+            else high = mid;
+        }
+        return low;
+    }
+
+    tokenize(text) {
+        return (text.toLowerCase().match(/[\p{L}\p{N}_]{2,}/gu) || [])
+            .filter(word => !fileService.isStopWord(word));
+    }
+}
+
+const retrievalService = new RetrievalService();
+export { retrievalService };
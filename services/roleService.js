@@ -0,0 +1,112 @@
+import { storage } from '../storage/index.js';
+import { HttpError } from './errors.js';
+import { isKnownPermission } from './permissions.js';
+
+// The roles every install starts with. user and guest can be edited (the
+// stored copy wins) but not deleted; admin always has every permission.
+export const BUILT_IN_ROLES = {
+    admin: {
+        description: 'Full access',
+        permissions: ['*']
+    },
+    user: {
+        description: 'Chat, files and their own conversations',
+        permissions: [
+            'chat',
+            'ai:*',
+            'files:upload',
+            'files:read:own',
+            'files:delete:own',
+            'conversations:read:own',
+            'conversations:write:own'
+        ]
+    },
+    guest: {
+        description: 'Chat only',
+        permissions: ['chat', 'ai:*']
+    }
+};
+
+const NAME_PATTERN = /^[a-z][a-z0-9_-]{1,31}$/;
+
+// Admin-defined roles: a name, a description and a set of permissions
+// (see permissions.js for the format)
+class RoleService {
+    constructor() {
+        this.roles = storage.collection('roles');
+    }
+
+    get(name) {
+        const builtIn = BUILT_IN_ROLES[name];
+        const stored = name === 'admin' ? null : this.roles.get(name);
+
+        if (!builtIn && !stored) return null;
+
+        return {
+            name,
+            description: builtIn?.description || '',
+            ...stored,
+            permissions: stored?.permissions || builtIn.permissions,
+            builtIn: Boolean(builtIn)
+        };
+    }
+
+    has(name) {
+        return Boolean(this.get(name));
+    }
+
+    list() {
+        const names = new Set([...Object.keys(BUILT_IN_ROLES), ...this.roles.entries().map(([name]) => name)]);
+        return Array.from(names).map(name => this.get(name));
+    }
+
+    getPermissions(name) {
+        return this.get(name)?.permissions || [];
+    }
+
+    save(name, { description, permissions } = {}) {
+        if (!NAME_PATTERN.test(name || '')) {
+            throw new HttpError(400, 'Role names are 2-32 lowercase letters, digits, "-" or "_", starting with a letter');
+        }
+
+        if (name === 'admin') {
+            throw new HttpError(400, 'The admin role cannot be changed');
+        }
+
+        const existing = this.get(name);
+        if (!existing && permissions === undefined) {
+            throw new HttpError(400, 'permissions is required for a new role');
+        }
+
+        if (permissions !== undefined) {
+            if (!Array.isArray(permissions)) {
+                throw new HttpError(400, 'permissions must be an array');
+            }
+
+            const unknown = permissions.filter(permission => !isKnownPermission(permission));
+            if (unknown.length > 0) {
+                throw new HttpError(400, `Unknown permissions: ${unknown.join(', ')}`);
+            }
+        }
+
+        const role = {
+            name,
+            description: description ?? existing?.description ?? '',
+            permissions: permissions ? [...new Set(permissions)] : existing.permissions,
+            createdAt: this.roles.get(name)?.createdAt || new Date(),
+            updatedAt: new Date()
+        };
+
+        this.roles.set(name, role);
+        return this.get(name);
+    }
+
+    // For a built-in role this only drops the edited copy, putting back
+    // its default permissions
+    delete(name) {
+        return this.roles.delete(name);
+    }
+}
+
+const roleService = new RoleService();
+export { roleService };
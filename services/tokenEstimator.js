@@ -0,0 +1,58 @@
+// Approximate token accounting per model family. Exact tokenizers differ per
+// vendor; these ratios are deliberately a little pessimistic so budgets err
+// on the side of leaving headroom.
+const modelProfiles = [
+    { pattern: /claude/i, contextWindow: 200000, charsPerToken: 3.5 },
+    { pattern: /sonar-(pro|reasoning)/i, contextWindow: 200000, charsPerToken: 4 },
+    { pattern: /sonar/i, contextWindow: 128000, charsPerToken: 4 },
+    { pattern: /gpt-4o|gpt-4\.1|gpt-4-turbo|^o\d/i, contextWindow: 128000, charsPerToken: 4 },
+    { pattern: /gpt-3\.5/i, contextWindow: 16385, charsPerToken: 4 },
+    { pattern: /llama|mistral|mixtral|qwen|gemma|phi|deepseek/i, contextWindow: 8192, charsPerToken: 3.5 }
+];
+
+const defaultProfile = { contextWindow: 8192, charsPerToken: 4 };
+
+// Per-message framing overhead (role markers, separators)
+const MESSAGE_OVERHEAD = 4;
+
+export function getModelProfile(model = '') {
+    return modelProfiles.find(profile => profile.pattern.test(model)) || defaultProfile;
+}
+
+export function getContextWindow(model) {
+    const override = parseInt(process.env.MAX_CONTEXT_TOKENS);
+    return override || getModelProfile(model).contextWindow;
+}
+
+export function estimateTokens(text, model) {
+    if (!text) return 0;
+
+    const { charsPerToken } = getModelProfile(model);
+
+    // Non-Latin scripts tokenize at roughly one token per character
+    const wideChars = (text.match(/[^\x00-\x7F]/g) || []).length;
+    const narrowChars = text.length - wideChars;
+
+    return Math.ceil(narrowChars / charsPerToken) + wideChars;
+}
+
+export function estimateMessageTokens(messages, model) {
+    return messages.reduce(
+        (total, message) => total + estimateTokens(message.content, model) + MESSAGE_OVERHEAD,
+        0
+    );
+}
+
+// Cut text down to roughly the given token budget
+export function truncateToTokens(text, maxTokens, model, marker = '\n...[truncated]') {
+    if (estimateTokens(text, model) <= maxTokens) return text;
+
+    const { charsPerToken } = getModelProfile(model);
+    let end = Math.max(0, Math.floor(maxTokens * charsPerToken) - marker.length);
+
+    while (end > 0 && estimateTokens(text.substring(0, end), model) > maxTokens) {
+        end = Math.floor(end * 0.9);
+    }
+
+    return text.substring(0, end) + marker;
+}
@@ -0,0 +1,310 @@
+import express from 'express';
+import crypto from 'crypto';
+import path from 'path';
+import fsSync from 'fs';
+import fs from 'fs/promises';
+import { Transform } from 'stream';
+import { pipeline } from 'stream/promises';
+import { EventEmitter } from 'events';
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from '../storage/index.js';
+import { authService } from './authService.js';
+import { fileService } from './fileService.js';
+import { HttpError } from './errors.js';
+
+const TUS_VERSION = '1.0.0';
+
+// Resumable uploads, following the tus protocol (core, creation,
+// termination and checksum extensions):
+//   POST   /api/files/uploads      Upload-Length, Upload-Metadata -> 201 Location
+//   HEAD   /api/files/uploads/:id  -> Upload-Offset, Upload-Length
+//   PATCH  /api/files/uploads/:id  Upload-Offset, body = next bytes
+//   DELETE /api/files/uploads/:id  abandon the upload
+// Chunks are streamed to disk, so a large file never sits in memory. A
+// chunk may carry Upload-Checksum ("sha256 <base64>") and the whole file a
+// "checksum" (hex sha256) in its metadata; a mismatching chunk is dropped
+// and answered with 460. The PATCH that completes the file registers it
+// like a normal upload and answers 200 with the file record instead of 204.
+class UploadService {
+    constructor() {
+        this.router = express.Router();
+        this.sessions = storage.collection('upload_sessions');
+        this.events = new EventEmitter(); // 'progress' ({ userId, uploadId, offset, length })
+        this.partialDir = path.join(fileService.uploadDir, '.partial');
+        this.sessionTTL = parseInt(process.env.UPLOAD_SESSION_TTL) || 24 * 3600; // seconds
+        this.locked = new Set(); // uploads with a PATCH in progress
+
+        this.setupRoutes();
+        fs.mkdir(this.partialDir, { recursive: true })
+            .then(() => this.sweep())
+            .catch(error => console.error('Failed to create partial upload directory:', error));
+    }
+
+    setupRoutes() {
+        this.router.use((req, res, next) => {
+            res.set('Tus-Resumable', TUS_VERSION);
+            next();
+        });
+
+        this.router.use(authService.requireAuth, authService.requirePermission('files:upload'));
+
+        this.router.param('uploadId', (req, res, next, uploadId) => {
+            const session = this.sessions.get(uploadId);
+            if (!session || session.ownerId !== req.user.id) {
+                return res.status(404).json({ error: 'Upload not found' });
+            }
+            req.uploadSession = session;
+            next();
+        });
+
+        this.router.post('/', async (req, res) => {
+            try {
+                const metadata = this.parseMetadata(req.get('Upload-Metadata'));
+                const session = await this.create(req.user, {
+                    length: req.get('Upload-Length'),
+                    ...metadata
+                });
+
+                res.status(201)
+                    .set({ Location: `${req.baseUrl}/${session.id}`, 'Upload-Offset': '0' })
+                    .json({ success: true, upload: session });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        this.router.head('/:uploadId', (req, res) => {
+            res.set({
+                'Upload-Offset': String(req.uploadSession.offset),
+                'Upload-Length': String(req.uploadSession.length),
+                'Cache-Control': 'no-store'
+            });
+            res.status(200).end();
+        });
+
+        this.router.patch('/:uploadId', async (req, res) => {
+            try {
+                if (!req.is('application/offset+octet-stream')) {
+                    throw new HttpError(415, 'Content-Type must be application/offset+octet-stream');
+                }
+
+                const result = await this.append(req.uploadSession, req, {
+                    offset: req.get('Upload-Offset'),
+                    checksum: req.get('Upload-Checksum')
+                });
+
+                res.set('Upload-Offset', String(result.session.offset));
+                if (result.file) {
+                    return res.json({ success: true, file: { ...result.file, analysis: result.analysis } });
+                }
+                res.status(204).end();
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        this.router.delete('/:uploadId', async (req, res) => {
+            try {
+                await this.discard(req.uploadSession);
+                res.status(204).end();
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+    }
+
+    // Upload-Metadata: comma-separated "key base64value" pairs
+    parseMetadata(header = '') {
+        const metadata = {};
+
+        for (const pair of header.split(',')) {
+            const [key, value = ''] = pair.trim().split(' ');
+            if (key) metadata[key] = Buffer.from(value, 'base64').toString('utf-8');
+        }
+
+        return metadata;
+    }
+
+    async create(user, { length, filename, filetype, checksum }) {
+        const size = Number(length);
+        if (!Number.isInteger(size) || size <= 0) {
+            throw new HttpError(400, 'Upload-Length must be a positive integer');
+        }
+
+        if (size > fileService.maxFileSize) {
+            throw new HttpError(413, `File is larger than ${fileService.formatFileSize(fileService.maxFileSize)}`);
+        }
+
+        if (!filename) {
+            throw new HttpError(400, 'Upload-Metadata must include a filename');
+        }
+
+        const originalName = path.basename(filename);
+        fileService.checkFileType(originalName);
+
+        if (checksum !== undefined && !/^[0-9a-f]{64}$/i.test(checksum)) {
+            throw new HttpError(400, 'checksum must be a hex sha256 digest');
+        }
+
+        const session = {
+            id: uuidv4(),
+            ownerId: user.id,
+            originalName,
+            mimetype: filetype || 'application/octet-stream',
+            length: size,
+            offset: 0,
+            checksum: checksum ? checksum.toLowerCase() : null,
+            createdAt: new Date(),
+            expiresAt: new Date(Date.now() + this.sessionTTL * 1000)
+        };
+
+        await fs.writeFile(this.partialPath(session), '');
+        this.sessions.set(session.id, session, { ttl: this.sessionTTL });
+        this.sweep();
+
+        return session;
+    }
+
+    partialPath(session) {
+        return path.join(this.partialDir, session.id);
+    }
+
+    async append(session, body, { offset, checksum }) {
+        if (Number(offset) !== session.offset) {
+            throw new HttpError(409, `Upload-Offset must be ${session.offset}`);
+        }
+
+        const expected = checksum ? this.parseChecksum(checksum) : null;
+
+        if (this.locked.has(session.id)) {
+            throw new HttpError(409, 'Another request is writing to this upload');
+        }
+        this.locked.add(session.id);
+
+        try {
+            const { written, digest } = await this.writeChunk(session, body);
+
+            if (expected && digest !== expected) {
+                await fs.truncate(this.partialPath(session), session.offset);
+                throw new HttpError(460, 'Checksum mismatch');
+            }
+
+            session.offset += written;
+            this.sessions.set(session.id, session, { ttl: this.remainingTTL(session) });
+            this.events.emit('progress', {
+                userId: session.ownerId,
+                uploadId: session.id,
+                offset: session.offset,
+                length: session.length
+            });
+
+            if (session.offset < session.length) {
+                return { session };
+            }
+
+            return { session, ...await this.complete(session) };
+        } finally {
+            this.locked.delete(session.id);
+        }
+    }
+
+    parseChecksum(header) {
+        const [algorithm, value] = header.trim().split(' ');
+        if (algorithm !== 'sha256' || !value) {
+            throw new HttpError(400, 'Upload-Checksum must be "sha256 <base64 digest>"');
+        }
+        return value;
+    }
+
+    // Stream the request body into the partial file at the session's
+    // offset. Bytes past the declared length are read but dropped (failing
+    // the stream would destroy the connection before we can answer).
+    async writeChunk(session, body) {
+        const remaining = session.length - session.offset;
+        const hash = crypto.createHash('sha256');
+        let received = 0;
+
+        const meter = new Transform({
+            transform(chunk, encoding, callback) {
+                received += chunk.length;
+                if (received > remaining) return callback();
+                hash.update(chunk);
+                callback(null, chunk);
+            }
+        });
+
+        try {
+            await pipeline(
+                body,
+                meter,
+                fsSync.createWriteStream(this.partialPath(session), { flags: 'r+', start: session.offset })
+            );
+        } catch (error) {
+            await fs.truncate(this.partialPath(session), session.offset).catch(() => {});
+            throw new HttpError(400, 'Upload interrupted');
+        }
+
+        if (received > remaining) {
+            await fs.truncate(this.partialPath(session), session.offset);
+            throw new HttpError(413, 'Chunk goes past Upload-Length');
+        }
+
+        return { written: received, digest: hash.digest('base64') };
+    }
+
+    // All bytes are in: check the whole-file checksum and hand the file to
+    // the registry
+    async complete(session) {
+        const partialPath = this.partialPath(session);
+        const checksum = await fileService.checksum(partialPath);
+
+        if (session.checksum && checksum !== session.checksum) {
+            await this.discard(session);
+            throw new HttpError(460, 'Checksum mismatch; the upload was discarded');
+        }
+
+        const filename = `${uuidv4()}${path.extname(session.originalName).toLowerCase()}`;
+        const filePath = path.join(fileService.uploadDir, filename);
+        await fs.rename(partialPath, filePath);
+        this.sessions.delete(session.id);
+
+        const { record, analysis } = await fileService.storeUpload({
+            filename,
+            path: filePath,
+            originalname: session.originalName,
+            mimetype: session.mimetype,
+            size: session.length,
+            checksum
+        }, session.ownerId);
+
+        return { file: record, analysis };
+    }
+
+    async discard(session) {
+        this.sessions.delete(session.id);
+        await fs.rm(this.partialPath(session), { force: true });
+    }
+
+    remainingTTL(session) {
+        return Math.max(1, Math.ceil((new Date(session.expiresAt) - Date.now()) / 1000));
+    }
+
+    // Remove partial files whose session expired; at most once an hour
+    async sweep() {
+        if (this.lastSweep && Date.now() - this.lastSweep < 3600 * 1000) return;
+        this.lastSweep = Date.now();
+
+        try {
+            for (const name of await fs.readdir(this.partialDir)) {
+                if (!this.sessions.has(name)) {
+                    await fs.rm(path.join(this.partialDir, name), { force: true });
+                }
+            }
+        } catch (error) {
+            console.error('Partial upload cleanup failed:', error);
+        }
+    }
+}
+
+const uploadService = new UploadService();
+export { uploadService };
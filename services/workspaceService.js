@@ -0,0 +1,615 @@
+import express from 'express';
+import path from 'path';
+import fs from 'fs/promises';
+import { v4 as uuidv4 } from 'uuid';
+import { storage } from '../storage/index.js';
+import { authService } from './authService.js';
+import { fileService } from './fileService.js';
+import { conversationService } from './conversationService.js';
+import { retrievalService } from './retrievalService.js';
+import { HttpError } from './errors.js';
+import { readArchive } from './archive.js';
+import { parseGitignore, isIgnored } from './gitignore.js';
+import { chunkCode, languageOf } from './codeChunker.js';
+
+// Bump when chunking or the index format changes; older indexes are rebuilt
+const INDEX_VERSION = 1;
+
+// "@src/app.js" in a message; "@alice" (no dot or slash) is left alone
+const REFERENCE = /(?:^|[\s([{"'`])@([\w.\-/]+)/g;
+
+// Repositories uploaded as .zip, .tar or .tar.gz archives and unpacked into
+// a workspace: workspaces/<id>/files holds the files, minus anything the
+// repository's .gitignore files (or WORKSPACE_IGNORE) exclude, and
+// workspaces/<id>/index.json their chunks, cut at function and class
+// boundaries (see codeChunker.js). Access follows the archive's owner and
+// the files:* permissions. A chat turn with a workspaceId (remembered on the
+// conversation) gets the code most relevant to the question, and each
+// "@path/to/file" in the message pulls that file in whole.
+class WorkspaceService {
+    constructor() {
+        this.router = express.Router();
+        this.workspaces = storage.collection('workspaces');
+        this.rootDir = path.join(path.dirname(fileService.uploadDir), 'workspaces');
+        this.maxFiles = parseInt(process.env.WORKSPACE_MAX_FILES) || 5000;
+        this.maxSize = fileService.parseSize(process.env.WORKSPACE_MAX_SIZE || '200MB'); // unpacked
+        this.maxFileSize = fileService.parseSize(process.env.WORKSPACE_MAX_FILE_SIZE || '1MB');
+        this.referenceMaxChars = parseInt(process.env.WORKSPACE_REFERENCE_MAX_CHARS) || 20000;
+        this.ignore = parseGitignore((process.env.WORKSPACE_IGNORE ?? '.git/,node_modules/').split(',').join('\n'));
+        this.building = new Map(); // workspaceId -> index being built
+        this.indexes = new Map(); // workspaceId -> parsed index, least recently used first
+        this.indexCacheSize = parseInt(process.env.WORKSPACE_INDEX_CACHE) || 8;
+
+        this.setupRoutes();
+        retrievalService.addSource(options => this.buildContext(options));
+
+        fs.mkdir(this.rootDir, { recursive: true }).catch(error => {
+            console.error('Failed to create workspace directory:', error);
+        });
+    }
+
+    setupRoutes() {
+        this.router.use(authService.requireAuth, authService.requirePermission('files:read:own'));
+
+        this.router.param('workspaceId', (req, res, next, workspaceId) => {
+            try {
+                req.workspace = this.getAccessibleWorkspace(workspaceId, req.user);
+                next();
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Create from an archive: multipart "archive", or { fileId } of one
+        // uploaded before (e.g. resumably through /api/files/uploads)
+        const uploadArchive = (req, res, next) => {
+            fileService.upload.single('archive')(req, res, error => {
+                if (error) return res.status(error.status || 400).json({ error: error.message });
+                next();
+            });
+        };
+
+        this.router.post('/', authService.requirePermission('files:upload'), uploadArchive, async (req, res) => {
+            try {
+                let record;
+                if (req.file) {
+                    ({ record } = await fileService.storeUpload(req.file, req.user.id));
+                } else if (req.body.fileId) {
+                    record = fileService.getAccessibleFile(req.body.fileId, req.user);
+                } else {
+                    return res.status(400).json({ error: 'Upload an archive or give the fileId of one' });
+                }
+
+                const workspace = await this.create(record, req.user, { name: req.body.name });
+                res.status(201).json({ success: true, workspace });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        this.router.get('/', (req, res) => {
+            const workspaces = this.workspaces.values()
+                .filter(workspace => fileService.canAccess(workspace, req.user))
+                .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt));
+            res.json({ success: true, workspaces });
+        });
+
+        // The workspace and its file tree
+        this.router.get('/:workspaceId', async (req, res) => {
+            try {
+                const index = await this.getIndex(req.workspace);
+                res.json({ success: true, workspace: req.workspace, tree: this.tree(index.files) });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // Code search, as used for chat context
+        this.router.get('/:workspaceId/search', async (req, res) => {
+            try {
+                const query = String(req.query.q || '');
+                const index = await this.getIndex(req.workspace);
+                const hits = await this.search(query, index.chunks);
+                res.json({ success: true, results: hits.map(hit => ({ ...this.sourceOf(req.workspace, hit), text: hit.text })) });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        // One file's contents and the declarations found in it
+        this.router.get('/:workspaceId/files/*', async (req, res) => {
+            try {
+                const index = await this.getIndex(req.workspace);
+                const file = index.files.find(entry => entry.path === req.params[0]);
+                if (!file) {
+                    return res.status(404).json({ error: 'File not found' });
+                }
+
+                const content = file.binary ? null : await this.readFile(req.workspace, file.path);
+                const symbols = index.chunks
+                    .filter(chunk => chunk.path === file.path)
+                    .flatMap(chunk => chunk.symbols);
+
+                res.json({ success: true, file: { ...file, symbols: [...new Set(symbols)], content } });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+
+        this.router.delete('/:workspaceId', async (req, res) => {
+            try {
+                if (!fileService.canAccess(req.workspace, req.user, 'delete')) {
+                    return res.status(403).json({ error: 'Insufficient permissions' });
+                }
+
+                await this.deleteWorkspace(req.workspace.id);
+                res.json({ success: true, message: 'Workspace deleted' });
+            } catch (error) {
+                res.status(error.status || 500).json({ error: error.message });
+            }
+        });
+    }
+
+    getAccessibleWorkspace(workspaceId, user) {
+        const workspace = this.workspaces.get(workspaceId);
+
+        if (!workspace || !fileService.canAccess(workspace, user)) {
+            throw new HttpError(404, 'Workspace not found');
+        }
+
+        return workspace;
+    }
+
+    workspaceDir(workspaceId) {
+        return path.join(this.rootDir, workspaceId);
+    }
+
+    filesDir(workspaceId) {
+        return path.join(this.workspaceDir(workspaceId), 'files');
+    }
+
+    indexPath(workspaceId) {
+        return path.join(this.workspaceDir(workspaceId), 'index.json');
+    }
+
+    async readFile(workspace, filePath) {
+        return await fs.readFile(path.join(this.filesDir(workspace.id), filePath), 'utf-8');
+    }
+
+    async create(record, user, { name } = {}) {
+        const buffer = await fs.readFile(fileService.filePath(record));
+        const entries = readArchive(buffer, { maxBytes: this.maxSize });
+
+        const id = uuidv4();
+        let extracted;
+
+        try {
+            extracted = await this.extract(entries, this.filesDir(id));
+        } catch (error) {
+            await fs.rm(this.workspaceDir(id), { recursive: true, force: true });
+            throw error;
+        }
+
+        const workspace = {
+            id,
+            ownerId: user.id,
+            name: String(name || '').trim() || extracted.root || record.originalName.replace(/\.(zip|tar|tgz|tar\.gz)$/i, ''),
+            sourceFileId: record.id,
+            fileCount: extracted.fileCount,
+            totalSize: extracted.totalSize,
+            skipped: extracted.skipped,
+            createdAt: new Date()
+        };
+        this.workspaces.set(id, workspace);
+
+        let index;
+        try {
+            index = await this.getIndex(workspace);
+        } catch (error) {
+            await this.deleteWorkspace(id);
+            throw error;
+        }
+
+        return this.updateWorkspace(id, { languages: this.languages(index.files), chunks: index.chunks.length });
+    }
+
+    updateWorkspace(workspaceId, changes) {
+        const workspace = this.workspaces.get(workspaceId);
+        if (!workspace) return null;
+
+        Object.assign(workspace, changes);
+        this.workspaces.set(workspaceId, workspace);
+        return workspace;
+    }
+
+    // Write the archive's files under dir. Entries with absolute paths or
+    // "..", links and devices are skipped, as are ignored and oversized
+    // files; too many files or too many bytes in total fail the whole
+    // archive.
+    async extract(entries, dir) {
+        const skipped = { unsafe: 0, links: 0, ignored: 0, tooLarge: 0 };
+        const files = new Map(); // path -> entry; a later duplicate wins
+        await fs.mkdir(dir, { recursive: true });
+
+        for (const entry of entries) {
+            if (entry.type === 'directory') continue;
+            if (entry.type !== 'file') {
+                skipped[entry.type === 'link' ? 'links' : 'unsafe']++;
+                continue;
+            }
+
+            const safePath = this.safePath(entry.path);
+            if (!safePath) {
+                skipped.unsafe++;
+                continue;
+            }
+            files.set(safePath, entry);
+        }
+
+        // GitHub-style archives wrap everything in one "repo-main/" directory
+        const root = this.commonRoot([...files.keys()]);
+        if (root) {
+            const unwrapped = [...files].map(([filePath, entry]) => [filePath.slice(root.length + 1), entry]);
+            files.clear();
+            for (const [filePath, entry] of unwrapped) files.set(filePath, entry);
+        }
+
+        const rules = [...this.ignore];
+        const gitignores = [...files.keys()]
+            .filter(filePath => path.posix.basename(filePath) === '.gitignore')
+            .sort((a, b) => a.split('/').length - b.split('/').length);
+
+        for (const gitignore of gitignores) {
+            // Oversized ones are skipped like any other file, below
+            if (files.get(gitignore).size > this.maxFileSize) continue;
+
+            const base = path.posix.dirname(gitignore);
+            const text = files.get(gitignore).read(this.maxFileSize).toString('utf-8');
+            rules.push(...parseGitignore(text, base === '.' ? '' : base));
+        }
+
+        for (const filePath of [...files.keys()]) {
+            if (isIgnored(rules, filePath)) {
+                files.delete(filePath);
+                skipped.ignored++;
+            }
+        }
+
+        if (files.size > this.maxFiles) {
+            throw new HttpError(413, `The archive has ${files.size} files to unpack; the limit is ${this.maxFiles}`);
+        }
+
+        let totalSize = 0;
+        let fileCount = 0;
+
+        for (const [filePath, entry] of files) {
+            if (entry.size > this.maxFileSize) {
+                skipped.tooLarge++;
+                continue;
+            }
+
+            const data = entry.read(this.maxFileSize);
+            totalSize += data.length;
+            if (totalSize > this.maxSize) {
+                throw new HttpError(413, `The archive unpacks to more than ${fileService.formatFileSize(this.maxSize)}`);
+            }
+
+            // safePath already rules this out; checked again where it matters
+            const target = path.resolve(dir, filePath);
+            if (!target.startsWith(dir + path.sep)) {
+                skipped.unsafe++;
+                continue;
+            }
+
+            try {
+                await fs.mkdir(path.dirname(target), { recursive: true });
+                await fs.writeFile(target, data);
+                fileCount++;
+            } catch (error) {
+                // e.g. a file where the archive also has a directory
+                skipped.unsafe++;
+            }
+        }
+
+        return { root, fileCount, totalSize, skipped };
+    }
+
+    // Archive path as a relative "a/b/c" path, or null if it could escape
+    safePath(entryPath) {
+        const normalized = entryPath.replace(/\\/g, '/');
+        if (normalized.startsWith('/') || /^[a-z]:/i.test(normalized) || normalized.includes('\0')) {
+            return null;
+        }
+
+        const segments = normalized.split('/').filter(segment => segment && segment !== '.');
+        if (segments.length === 0 || segments.includes('..')) {
+            return null;
+        }
+
+        return segments.join('/');
+    }
+
+    // The directory every path is in, if there is exactly one
+    commonRoot(paths) {
+        const [first] = paths;
+        if (!first || !first.includes('/')) return null;
+
+        const root = first.split('/')[0];
+        return paths.every(filePath => filePath.startsWith(`${root}/`)) ? root : null;
+    }
+
+    // The workspace's index, built (or rebuilt when chunking or embedding
+    // settings changed) as needed
+    async getIndex(workspace) {
+        const cached = this.indexes.get(workspace.id);
+        if (cached && this.isCurrent(cached)) {
+            return this.cacheIndex(workspace.id, cached);
+        }
+
+        if (this.building.has(workspace.id)) {
+            return await this.building.get(workspace.id);
+        }
+
+        try {
+            const index = JSON.parse(await fs.readFile(this.indexPath(workspace.id), 'utf-8'));
+            if (this.isCurrent(index)) return this.cacheIndex(workspace.id, this.withEmbedding(index));
+        } catch (error) {
+            if (error.code !== 'ENOENT') throw error;
+        }
+
+        this.indexes.delete(workspace.id);
+        const building = this.buildIndex(workspace)
+            .then(index => this.cacheIndex(workspace.id, this.withEmbedding(index)))
+            .finally(() => this.building.delete(workspace.id));
+        this.building.set(workspace.id, building);
+        return await building;
+    }
+
+    // Parsed indexes stay in memory, so chat turns don't re-read index.json;
+    // only the indexCacheSize most recently used ones
+    cacheIndex(workspaceId, index) {
+        this.indexes.delete(workspaceId);
+        this.indexes.set(workspaceId, index);
+
+        for (const id of this.indexes.keys()) {
+            if (this.indexes.size <= this.indexCacheSize) break;
+            this.indexes.delete(id);
+        }
+
+        return index;
+    }
+
+    // retrievalService.rank expects each embedded chunk to name its model
+    withEmbedding(index) {
+        for (const chunk of index.chunks) chunk.embedding = index.embedding;
+        return index;
+    }
+
+    isCurrent(index) {
+        return index.version === INDEX_VERSION &&
+            index.chunkSize === retrievalService.chunkSize &&
+            index.chunkOverlap === retrievalService.chunkOverlap &&
+            index.embedding?.provider === (retrievalService.embeddingProvider || undefined) &&
+            index.embedding?.model === (retrievalService.embeddingModel || undefined);
+    }
+
+    async buildIndex(workspace) {
+        const dir = this.filesDir(workspace.id);
+        const files = [];
+        const chunks = [];
+
+        const entries = await fs.readdir(dir, { recursive: true, withFileTypes: true });
+        for (const entry of entries) {
+            if (!entry.isFile()) continue;
+
+            const fullPath = path.join(entry.parentPath, entry.name);
+            const filePath = path.relative(dir, fullPath).split(path.sep).join('/');
+            const data = await fs.readFile(fullPath);
+            const language = languageOf(filePath);
+            // Text files have no NUL bytes near the start
+            const binary = data.subarray(0, 8000).includes(0);
+
+            files.push({ path: filePath, size: data.length, language, binary });
+            if (binary) continue;
+
+            const pathTerms = this.tokenize(filePath);
+            for (const chunk of chunkCode(data.toString('utf-8'), language, {
+                chunkSize: retrievalService.chunkSize,
+                overlap: retrievalService.chunkOverlap
+            })) {
+                const tokens = [...this.tokenize(chunk.text), ...pathTerms];
+                chunk.path = filePath;
+                chunk.length = tokens.length;
+                chunk.terms = Object.create(null);
+                for (const token of tokens) {
+                    chunk.terms[token] = (chunk.terms[token] || 0) + 1;
+                }
+                chunks.push(chunk);
+            }
+        }
+
+        files.sort((a, b) => a.path.localeCompare(b.path));
+
+        const embedding = await retrievalService.embedChunks({ originalName: workspace.name }, chunks);
+
+        const index = {
+            version: INDEX_VERSION,
+            workspaceId: workspace.id,
+            chunkSize: retrievalService.chunkSize,
+            chunkOverlap: retrievalService.chunkOverlap,
+            embedding,
+            files,
+            chunks,
+            createdAt: new Date()
+        };
+
+        await fs.writeFile(this.indexPath(workspace.id), JSON.stringify(index));
+        return index;
+    }
+
+    // Words as retrievalService.tokenize, plus the parts of camelCase and
+    // snake_case identifiers, so "user name" finds getUserName
+    tokenize(text) {
+        const tokens = [];
+
+        for (const word of text.match(/[\p{L}\p{N}_$]+/gu) || []) {
+            const parts = word.split(/[_$]+|(?<=[\p{Ll}\p{N}])(?=\p{Lu})|(?<=\p{Lu})(?=\p{Lu}\p{Ll})/u);
+            for (const token of parts.length > 1 ? [word, ...parts] : [word]) {
+                const lower = token.toLowerCase();
+                if (lower.length >= 2 && !fileService.isStopWord(lower)) tokens.push(lower);
+            }
+        }
+
+        return tokens;
+    }
+
+    // Like retrievalService.search: when nothing matches the query, the
+    // start of each file
+    async search(query, chunks) {
+        const ranked = await retrievalService.rank(query, [...new Set(this.tokenize(query))], chunks);
+        if (!ranked || ranked.length === 0) {
+            return chunks
+                .filter((chunk, i) => i === 0 || chunks[i - 1].path !== chunk.path)
+                .slice(0, retrievalService.topK);
+        }
+        return ranked.slice(0, retrievalService.topK);
+    }
+
+    languages(files) {
+        const counts = {};
+        for (const file of files) {
+            if (file.language) counts[file.language] = (counts[file.language] || 0) + 1;
+        }
+        return counts;
+    }
+
+    // Nested { name, path, type: 'directory', children } / { name, path,
+    // type: 'file', size, language, binary }, directories first
+    tree(files) {
+        const root = { name: '', path: '', type: 'directory', children: [] };
+
+        for (const file of files) {
+            const segments = file.path.split('/');
+            let node = root;
+
+            segments.slice(0, -1).forEach((segment, i) => {
+                let child = node.children.find(entry => entry.type === 'directory' && entry.name === segment);
+                if (!child) {
+                    child = { name: segment, path: segments.slice(0, i + 1).join('/'), type: 'directory', children: [] };
+                    node.children.push(child);
+                }
+                node = child;
+            });
+
+            node.children.push({ name: segments[segments.length - 1], type: 'file', ...file });
+        }
+
+        const sort = node => {
+            node.children.sort((a, b) => (a.type === b.type ? a.name.localeCompare(b.name) : a.type === 'directory' ? -1 : 1));
+            node.children.filter(child => child.type === 'directory').forEach(sort);
+        };
+        sort(root);
+
+        return root.children;
+    }
+
+    // Context source for retrievalService.buildContext. A workspaceId given
+    // with a message is remembered on the conversation for later turns.
+    async buildContext({ workspaceId, user, conversationId, query = '' }) {
+        const conversation = conversationId ? conversationService.getConversation(conversationId) : null;
+        const id = workspaceId || conversation?.metadata?.workspaceId;
+        if (!id) return { hits: [], problems: [] };
+
+        let workspace;
+        try {
+            workspace = this.getAccessibleWorkspace(id, user);
+        } catch (error) {
+            // A workspace remembered from earlier that's gone is no news
+            return { hits: [], problems: workspaceId ? [`Workspace ${workspaceId}: ${error.message}`] : [] };
+        }
+
+        // Only a workspace the user may read is remembered
+        if (workspaceId && conversation && conversation.metadata?.workspaceId !== workspaceId) {
+            conversationService.updateConversation(conversationId, null, { workspaceId });
+        }
+
+        const index = await this.getIndex(workspace);
+        const { files, directories, problems } = this.resolveReferences(query, index.files);
+        const hits = [];
+
+        // Referenced files whole if they fit, else their most relevant chunks
+        const whole = new Set();
+        for (const file of files) {
+            const content = await this.readFile(workspace, file.path);
+            if (content.length <= this.referenceMaxChars) {
+                const lines = content.replace(/\n$/, '').split('\n').length;
+                hits.push({ path: file.path, text: content, startLine: 1, endLine: lines, symbols: [] });
+                whole.add(file.path);
+            } else {
+                const chunks = index.chunks.filter(chunk => chunk.path === file.path);
+                const ranked = await retrievalService.rank(query, [...new Set(this.tokenize(query))], chunks);
+                hits.push(...(ranked?.length > 0 ? ranked : chunks).slice(0, retrievalService.topK));
+            }
+        }
+
+        // Then the rest of the workspace (or the referenced directories)
+        const scope = index.chunks.filter(chunk => !whole.has(chunk.path) &&
+            !hits.includes(chunk) &&
+            (directories.length === 0 || directories.some(dir => chunk.path.startsWith(`${dir}/`))));
+        hits.push(...await this.search(query, scope));
+
+        return {
+            hits: hits.map(hit => ({ text: hit.text, source: this.sourceOf(workspace, hit) })),
+            problems
+        };
+    }
+
+    sourceOf(workspace, chunk) {
+        return {
+            workspaceId: workspace.id,
+            workspace: workspace.name,
+            path: chunk.path,
+            lines: chunk.startLine === chunk.endLine ? `${chunk.startLine}` : `${chunk.startLine}-${chunk.endLine}`,
+            ...(chunk.symbols.length > 0 && { symbols: chunk.symbols })
+        };
+    }
+
+    // "@path" references: an exact path, a unique path suffix ("@app.js")
+    // or a directory, which narrows the search to it
+    resolveReferences(message, files) {
+        const found = new Map();
+        const directories = [];
+        const problems = [];
+
+        for (const [, raw] of message.matchAll(REFERENCE)) {
+            const reference = raw.replace(/[.,:;!?)]+$/, '').replace(/^\.?\//, '').replace(/\/$/, '');
+            if (!/[./]/.test(reference)) continue;
+
+            const exact = files.find(file => file.path === reference);
+            const matches = exact ? [exact] : files.filter(file => file.path.endsWith(`/${reference}`));
+
+            if (matches.length === 1 && !matches[0].binary) {
+                found.set(matches[0].path, matches[0]);
+            } else if (matches.length === 1) {
+                problems.push(`@${reference} is a binary file`);
+            } else if (matches.length > 1) {
+                problems.push(`@${reference} matches ${matches.length} files: ${matches.slice(0, 5).map(file => file.path).join(', ')}`);
+            } else if (files.some(file => file.path.startsWith(`${reference}/`))) {
+                directories.push(reference);
+            } else {
+                problems.push(`@${reference}: no such file in the workspace`);
+            }
+        }
+
+        return { files: [...found.values()], directories, problems };
+    }
+
+    async deleteWorkspace(workspaceId) {
+        this.workspaces.delete(workspaceId);
+        this.indexes.delete(workspaceId);
+        await fs.rm(this.workspaceDir(workspaceId), { recursive: true, force: true });
+    }
+}
+
+const workspaceService = new WorkspaceService();
+export { workspaceService };
@@ -57,7 +57,7 @@ echo "🚀 Starting Advanced AI Chatbot..."
 echo "=================================="
 echo ""
 echo "🌐 Server will be available at: http://localhost:3000"
-echo "👤 Default admin login: admin / admin123"
+echo "👤 First start: sign in as admin with the one-time password printed in the server log"
 echo "🔥 Uncensored mode: ENABLED"
 echo ""
 echo "Press Ctrl+C to stop the server"
@@ -0,0 +1,40 @@
+// Map-like document collection. Drivers implement get, set, delete, entries,
+// purgeExpired and clear; everything else is derived. Documents come back as
+// fresh copies, so callers must set() a document again after mutating it.
+export class Collection {
+    constructor(name) {
+        this.name = name;
+    }
+
+    has(id) {
+        return this.get(id) !== undefined;
+    }
+
+    keys() {
+        return this.entries().map(([id]) => id);
+    }
+
+    values() {
+        return this.entries().map(([, doc]) => doc);
+    }
+
+    get size() {
+        return this.entries().length;
+    }
+
+    find(predicate) {
+        return this.values().find(predicate);
+    }
+
+    filter(predicate) {
+        return this.values().filter(predicate);
+    }
+
+    [Symbol.iterator]() {
+        return this.entries()[Symbol.iterator]();
+    }
+
+    expiresAt(options = {}) {
+        return options.ttl ? Date.now() + options.ttl * 1000 : null;
+    }
+}
@@ -0,0 +1,26 @@
+import path from 'path';
+import dotenv from 'dotenv';
+import { MemoryStore } from './memoryStore.js';
+import { SqliteStore } from './sqliteStore.js';
+
+dotenv.config();
+
+// STORAGE_DRIVER selects the backend: "sqlite" (default) persists to
+// DATABASE_PATH, "memory" keeps everything in-process (tests, demos).
+export function createStore(env = process.env) {
+    const driver = env.STORAGE_DRIVER || (env.NODE_ENV === 'test' ? 'memory' : 'sqlite');
+
+    switch (driver) {
+        case 'memory':
+            return new MemoryStore();
+
+        case 'sqlite':
+            return new SqliteStore(env.DATABASE_PATH || path.join(process.cwd(), 'data', 'chatbot.db'));
+
+        default:
+            throw new Error(`Unknown storage driver: ${driver}`);
+    }
+}
+
+const storage = createStore();
+export { storage };
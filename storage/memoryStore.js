@@ -0,0 +1,83 @@
+import { Collection } from './collection.js';
+import { serialize, deserialize } from './serialization.js';
+
+class MemoryCollection extends Collection {
+    constructor(name) {
+        super(name);
+        this.docs = new Map();
+    }
+
+    get(id) {
+        const entry = this.docs.get(id);
+        if (!entry) return undefined;
+
+        if (entry.expiresAt && entry.expiresAt <= Date.now()) {
+            this.docs.delete(id);
+            return undefined;
+        }
+
+        return deserialize(entry.json);
+    }
+
+    // Options: { ttl } in seconds
+    set(id, doc, options = {}) {
+        this.docs.set(id, { json: serialize(doc), expiresAt: this.expiresAt(options) });
+        return doc;
+    }
+
+    delete(id) {
+        return this.docs.delete(id);
+    }
+
+    entries() {
+        this.purgeExpired();
+        return Array.from(this.docs.entries(), ([id, entry]) => [id, deserialize(entry.json)]);
+    }
+
+    purgeExpired() {
+        const now = Date.now();
+        let purged = 0;
+
+        for (const [id, entry] of this.docs) {
+            if (entry.expiresAt && entry.expiresAt <= now) {
+                this.docs.delete(id);
+                purged++;
+            }
+        }
+
+        return purged;
+    }
+
+    clear() {
+        this.docs.clear();
+    }
+}
+
+// In-memory driver for tests and throwaway development runs. Documents are
+// still serialized so behaviour matches the SQLite driver.
+export class MemoryStore {
+    constructor() {
+        this.driver = 'memory';
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            this.collections.set(name, new MemoryCollection(name));
+        }
+        return this.collections.get(name);
+    }
+
+    getStatus() {
+        return {
+            driver: this.driver,
+            collections: Object.fromEntries(
+                Array.from(this.collections.entries(), ([name, collection]) => [name, collection.size])
+            )
+        };
+    }
+
+    close() {
+        this.collections.clear();
+    }
+}
@@ -0,0 +1,8 @@
+// Run pending migrations and print the schema status: npm run migrate
+import { storage } from './index.js';
+
+try {
+    console.log(JSON.stringify(storage.getStatus(), null, 2));
+} finally {
+    storage.close();
+}
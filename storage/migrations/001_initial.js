@@ -0,0 +1,12 @@
+import { createCollectionTable } from '../migrator.js';
+
+export default {
+    version: 1,
+    name: 'initial',
+    up(db) {
+        createCollectionTable(db, 'users');
+        createCollectionTable(db, 'sessions');
+        createCollectionTable(db, 'conversations');
+        createCollectionTable(db, 'files');
+    }
+};
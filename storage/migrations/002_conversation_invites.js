@@ -0,0 +1,9 @@
+import { createCollectionTable } from '../migrator.js';
+
+export default {
+    version: 2,
+    name: 'conversation_invites',
+    up(db) {
+        createCollectionTable(db, 'conversation_invites');
+    }
+};
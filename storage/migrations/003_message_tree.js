@@ -0,0 +1,23 @@
+// Conversations used to keep messages as a flat list. Link each message to
+// the one before it so existing history becomes a single-branch tree.
+export default {
+    version: 3,
+    name: 'message_tree',
+    up(db) {
+        const update = db.prepare('UPDATE conversations SET data = ? WHERE id = ?');
+
+        for (const row of db.prepare('SELECT id, data FROM conversations').all()) {
+            const conversation = JSON.parse(row.data);
+            const messages = conversation.messages || [];
+
+            messages.forEach((message, index) => {
+                if (message.parentId === undefined) {
+                    message.parentId = index > 0 ? messages[index - 1].id : null;
+                }
+            });
+            conversation.activeLeafId = messages.length > 0 ? messages[messages.length - 1].id : null;
+
+            update.run(JSON.stringify(conversation), row.id);
+        }
+    }
+};
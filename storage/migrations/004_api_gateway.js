@@ -0,0 +1,10 @@
+import { createCollectionTable } from '../migrator.js';
+
+export default {
+    version: 4,
+    name: 'api_gateway',
+    up(db) {
+        createCollectionTable(db, 'api_keys');
+        createCollectionTable(db, 'usage');
+    }
+};
@@ -0,0 +1,9 @@
+import { createCollectionTable } from '../migrator.js';
+
+export default {
+    version: 5,
+    name: 'settings',
+    up(db) {
+        createCollectionTable(db, 'settings');
+    }
+};
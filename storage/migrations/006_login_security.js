@@ -0,0 +1,10 @@
+import { createCollectionTable } from '../migrator.js';
+
+export default {
+    version: 6,
+    name: 'login_security',
+    up(db) {
+        createCollectionTable(db, 'login_attempts');
+        createCollectionTable(db, 'audit_log');
+    }
+};
@@ -0,0 +1,59 @@
+import { createCollectionTable } from '../migrator.js';
+
+// Permissions used to be copied from a fixed table onto each user. Users
+// still holding their role's old defaults now follow the role; anything an
+// admin customised is kept as an override, with the old coarse names
+// spelled out in the new resource:action:scope form. Scoped API keys get
+// the same translation.
+const LEGACY_DEFAULTS = {
+    admin: ['*'],
+    user: ['chat', 'files', 'conversations'],
+    guest: ['chat']
+};
+
+const LEGACY_NAMES = {
+    chat: ['chat', 'ai:*'],
+    files: ['files:upload', 'files:read:own', 'files:delete:own'],
+    conversations: ['conversations:read:own', 'conversations:write:own']
+};
+
+function translate(permissions) {
+    return [...new Set(permissions.flatMap(permission => LEGACY_NAMES[permission] || [permission]))];
+}
+
+export default {
+    version: 7,
+    name: 'roles',
+    up(db) {
+        createCollectionTable(db, 'roles');
+
+        const update = db.prepare('UPDATE users SET data = ? WHERE id = ?');
+
+        for (const row of db.prepare('SELECT id, data FROM users').all()) {
+            const user = JSON.parse(row.data);
+            if (!Array.isArray(user.permissions)) continue;
+
+            const defaults = LEGACY_DEFAULTS[user.role] || LEGACY_DEFAULTS.guest;
+            const unchanged = user.permissions.length === defaults.length &&
+                defaults.every(permission => user.permissions.includes(permission));
+
+            if (unchanged && LEGACY_DEFAULTS[user.role]) {
+                delete user.permissions;
+            } else {
+                user.permissions = translate(user.permissions);
+            }
+
+            update.run(JSON.stringify(user), row.id);
+        }
+
+        const updateKey = db.prepare('UPDATE api_keys SET data = ? WHERE id = ?');
+
+        for (const row of db.prepare('SELECT id, data FROM api_keys').all()) {
+            const key = JSON.parse(row.data);
+            if (!Array.isArray(key.permissions)) continue;
+
+            key.permissions = translate(key.permissions);
+            updateKey.run(JSON.stringify(key), row.id);
+        }
+    }
+};
@@ -0,0 +1,9 @@
+import { createCollectionTable } from '../migrator.js';
+
+export default {
+    version: 8,
+    name: 'registration_invites',
+    up(db) {
+        createCollectionTable(db, 'registration_invites');
+    }
+};
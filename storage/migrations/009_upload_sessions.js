@@ -0,0 +1,9 @@
+import { createCollectionTable } from '../migrator.js';
+
+export default {
+    version: 9,
+    name: 'upload_sessions',
+    up(db) {
+        createCollectionTable(db, 'upload_sessions');
+    }
+};
@@ -0,0 +1,9 @@
+import { createCollectionTable } from '../migrator.js';
+
+export default {
+    version: 10,
+    name: 'workspaces',
+    up(db) {
+        createCollectionTable(db, 'workspaces');
+    }
+};
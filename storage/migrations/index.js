@@ -0,0 +1,25 @@
+// Register new migrations here, in version order. Never edit a migration that
+// has shipped; add a new one instead.
+import initial from './001_initial.js';
+import conversationInvites from './002_conversation_invites.js';
+import messageTree from './003_message_tree.js';
+import apiGateway from './004_api_gateway.js';
+import settings from './005_settings.js';
+import loginSecurity from './006_login_security.js';
+import roles from './007_roles.js';
+import registrationInvites from './008_registration_invites.js';
+import uploadSessions from './009_upload_sessions.js';
+import workspaces from './010_workspaces.js';
+
+export const migrations = [
+    initial,
+    conversationInvites,
+    messageTree,
+    apiGateway,
+    settings,
+    loginSecurity,
+    roles,
+    registrationInvites,
+    uploadSessions,
+    workspaces
+];
@@ -0,0 +1,44 @@
+// Applies pending migrations in version order. Each migration runs in its
+// own transaction together with its schema_migrations record, so a failing
+// migration leaves the database at the previous version.
+export function runMigrations(db, migrations, { log = console.log } = {}) {
+    db.exec(`
+        CREATE TABLE IF NOT EXISTS schema_migrations (
+            version INTEGER PRIMARY KEY,
+            name TEXT NOT NULL,
+            applied_at TEXT NOT NULL
+        )
+    `);
+
+    const applied = new Set(
+        db.prepare('SELECT version FROM schema_migrations').all().map(row => row.version)
+    );
+    const record = db.prepare('INSERT INTO schema_migrations (version, name, applied_at) VALUES (?, ?, ?)');
+    const pending = [...migrations]
+        .sort((a, b) => a.version - b.version)
+        .filter(migration => !applied.has(migration.version));
+
+    for (const migration of pending) {
+        db.transaction(() => {
+            migration.up(db);
+            record.run(migration.version, migration.name, new Date().toISOString());
+        })();
+
+        log(`🗄️  Applied migration ${migration.version}: ${migration.name}`);
+    }
+
+    return pending.map(migration => migration.version);
+}
+
+// Helper for migrations: a table holding one JSON document per row
+export function createCollectionTable(db, name) {
+    db.exec(`
+        CREATE TABLE ${name} (
+            id TEXT PRIMARY KEY,
+            data TEXT NOT NULL,
+            expires_at INTEGER,
+            updated_at INTEGER NOT NULL
+        )
+    `);
+    db.exec(`CREATE INDEX idx_${name}_expires_at ON ${name} (expires_at) WHERE expires_at IS NOT NULL`);
+}
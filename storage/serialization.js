@@ -0,0 +1,17 @@
+// Documents are stored as JSON. Date fields are revived on read so services
+// can keep comparing and formatting them as Date objects.
+const ISO_DATE = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?Z$/;
+const DATE_KEY = /(At|timestamp|lastLogin|created|modified)$/;
+
+export function serialize(doc) {
+    return JSON.stringify(doc);
+}
+
+export function deserialize(json) {
+    return JSON.parse(json, (key, value) => {
+        if (typeof value === 'string' && DATE_KEY.test(key) && ISO_DATE.test(value)) {
+            return new Date(value);
+        }
+        return value;
+    });
+}
@@ -0,0 +1,114 @@
+import Database from 'better-sqlite3';
+import fs from 'fs';
+import path from 'path';
+import { Collection } from './collection.js';
+import { serialize, deserialize } from './serialization.js';
+import { runMigrations } from './migrator.js';
+import { migrations } from './migrations/index.js';
+
+class SqliteCollection extends Collection {
+    constructor(db, name) {
+        super(name);
+
+        const live = '(expires_at IS NULL OR expires_at > ?)';
+        this.statements = {
+            get: db.prepare(`SELECT data FROM ${name} WHERE id = ? AND ${live}`),
+            set: db.prepare(`
+                INSERT INTO ${name} (id, data, expires_at, updated_at) VALUES (?, ?, ?, ?)
+                ON CONFLICT(id) DO UPDATE SET
+                    data = excluded.data,
+                    expires_at = excluded.expires_at,
+                    updated_at = excluded.updated_at
+            `),
+            delete: db.prepare(`DELETE FROM ${name} WHERE id = ?`),
+            entries: db.prepare(`SELECT id, data FROM ${name} WHERE ${live} ORDER BY rowid`),
+            count: db.prepare(`SELECT COUNT(*) AS count FROM ${name} WHERE ${live}`),
+            purge: db.prepare(`DELETE FROM ${name} WHERE expires_at IS NOT NULL AND expires_at <= ?`),
+            clear: db.prepare(`DELETE FROM ${name}`)
+        };
+    }
+
+    get(id) {
+        const row = this.statements.get.get(id, Date.now());
+        return row ? deserialize(row.data) : undefined;
+    }
+
+    // Options: { ttl } in seconds
+    set(id, doc, options = {}) {
+        this.statements.set.run(id, serialize(doc), this.expiresAt(options), Date.now());
+        return doc;
+    }
+
+    delete(id) {
+        return this.statements.delete.run(id).changes > 0;
+    }
+
+    entries() {
+        return this.statements.entries.all(Date.now()).map(row => [row.id, deserialize(row.data)]);
+    }
+
+    get size() {
+        return this.statements.count.get(Date.now()).count;
+    }
+
+    purgeExpired() {
+        return this.statements.purge.run(Date.now()).changes;
+    }
+
+    clear() {
+        this.statements.clear.run();
+    }
+}
+
+// File-backed driver. Each collection is a table of JSON documents created
+// by a migration; the schema is brought up to date when the store opens.
+export class SqliteStore {
+    constructor(filename) {
+        this.driver = 'sqlite';
+        this.filename = filename;
+
+        if (filename !== ':memory:') {
+            fs.mkdirSync(path.dirname(filename), { recursive: true });
+        }
+
+        this.db = new Database(filename);
+        this.db.pragma('journal_mode = WAL');
+        this.db.pragma('foreign_keys = ON');
+        this.db.pragma('busy_timeout = 5000');
+
+        this.applied = runMigrations(this.db, migrations);
+        this.collections = new Map();
+    }
+
+    collection(name) {
+        if (!this.collections.has(name)) {
+            const table = this.db
+                .prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name = ?`)
+                .get(name);
+
+            if (!table) {
+                throw new Error(`Unknown collection "${name}" - add a migration that creates it`);
+            }
+
+            this.collections.set(name, new SqliteCollection(this.db, name));
+        }
+        return this.collections.get(name);
+    }
+
+    getStatus() {
+        const tables = this.db
+            .prepare(`SELECT name FROM sqlite_master WHERE type = 'table' AND name NOT LIKE 'sqlite_%' AND name != 'schema_migrations'`)
+            .all();
+
+        return {
+            driver: this.driver,
+            filename: this.filename,
+            schemaVersion: this.db.prepare('SELECT MAX(version) AS version FROM schema_migrations').get().version,
+            collections: Object.fromEntries(tables.map(({ name }) => [name, this.collection(name).size]))
+        };
+    }
+
+    close() {
+        this.db.close();
+    }
+}
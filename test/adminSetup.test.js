@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import { authService } from '../services/authService.js';
+import { conversationService } from '../services/conversationService.js';
+import { createUser, createApp } from './helpers.js';
+
+const app = createApp({ '/api/auth': authService.router, '/api/conversations': conversationService.router });
+const env = { ...process.env };
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    authService.users.delete('admin');
+});
+
+afterEach(() => {
+    process.env = { ...env };
+    jest.restoreAllMocks();
+});
+
+const login = (password) => request(app).post('/api/auth/login').send({ username: 'admin', password });
+
+describe('admin bootstrap', () => {
+    test('the first admin signs in with the setup token and must change it', async () => {
+        process.env.ADMIN_SETUP_TOKEN = 'set-me-up-please';
+        authService.setupDefaultAdmin();
+
+        expect((await login('admin123')).status).toBe(401);
+        const session = await login('set-me-up-please');
+        expect(session.body.pendingAction).toBe('password_change');
+        expect(session.body.user.setupPending).toBeUndefined();
+
+        const auth = `Bearer ${session.body.token}`;
+        const blocked = await request(app).get('/api/conversations').set('Authorization', auth);
+        expect(blocked.status).toBe(403);
+        expect(blocked.body.pendingAction).toBe('password_change');
+
+        const same = await request(app).put('/api/auth/profile').set('Authorization', auth)
+            .send({ currentPassword: 'set-me-up-please', newPassword: 'set-me-up-please' });
+        expect(same.status).toBe(400);
+
+        const changed = await request(app).put('/api/auth/profile').set('Authorization', auth)
+            .send({ currentPassword: 'set-me-up-please', newPassword: 'a much better password' });
+        expect(changed.body.pendingAction).toBeNull();
+
+        const open = await request(app).get('/api/conversations').set('Authorization', `Bearer ${changed.body.token}`);
+        expect(open.status).toBe(200);
+        expect((await request(app).get('/api/conversations').set('Authorization', auth)).status).toBe(401);
+    });
+
+    test('without ADMIN_SETUP_TOKEN a random one is printed', () => {
+        authService.setupDefaultAdmin();
+
+        const [message] = console.log.mock.calls.at(-1);
+        const token = message.match(/one-time password (\S+)/)[1];
+        expect(bcrypt.compareSync(token, authService.users.get('admin').password)).toBe(true);
+    });
+
+    test('each restart issues a fresh token until the password is changed', async () => {
+        authService.setupDefaultAdmin();
+        const first = authService.users.get('admin');
+        authService.setupDefaultAdmin();
+        const second = authService.users.get('admin');
+
+        expect(second.id).toBe(first.id);
+        expect(second.password).not.toBe(first.password);
+
+        authService.users.set('admin', { ...second, setupPending: undefined, mustChangePassword: undefined });
+        authService.setupDefaultAdmin();
+        expect(authService.users.get('admin').password).toBe(second.password);
+    });
+
+    test('the old built-in password is replaced', () => {
+        const legacy = createUser({ username: 'admin', role: 'admin' });
+        authService.users.set('admin', { ...legacy, password: '$2a$12$LQv3c1yqBWVHxkd0LHAkCOYz6TtxMQJqhN8/LewdBPj21i8P5oUlS' });
+
+        authService.setupDefaultAdmin();
+
+        const admin = authService.users.get('admin');
+        expect(admin.id).toBe(legacy.id);
+        expect(admin.mustChangePassword).toBe(true);
+        expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('old built-in password'));
+    });
+
+    test('nothing is created when another admin already exists', () => {
+        createUser({ role: 'admin' });
+
+        authService.setupDefaultAdmin();
+
+        expect(authService.users.get('admin')).toBeFalsy();
+    });
+
+    test('admins can require a password change', async () => {
+        const admin = createUser({ role: 'admin' });
+        const user = createUser();
+        authService.users.set(user.username, { ...user, password: await bcrypt.hash('hunter22', 4) });
+        const adminAuth = `Bearer ${authService.createSession(admin, { get: () => 'jest', ip: '127.0.0.1' }).token}`;
+
+        await request(app).put(`/api/auth/users/${user.username}`).set('Authorization', adminAuth).send({ mustChangePassword: true });
+
+        const session = await request(app).post('/api/auth/login').send({ username: user.username, password: 'hunter22' });
+        expect(session.body.pendingAction).toBe('password_change');
+    });
+});
+
+describe('JWT secret', () => {
+    test('production refuses missing, default or short secrets', () => {
+        process.env.NODE_ENV = 'production';
+
+        for (const secret of [undefined, 'your-super-secret-jwt-key', 'short']) {
+            if (secret) process.env.JWT_SECRET = secret; else delete process.env.JWT_SECRET;
+            expect(() => authService.resolveJwtSecret()).toThrow('Refusing to start in production');
+        }
+
+        process.env.JWT_SECRET = 'x'.repeat(32);
+        expect(authService.resolveJwtSecret()).toBe('x'.repeat(32));
+    });
+
+    test('development only warns', () => {
+        process.env.NODE_ENV = 'development';
+        delete process.env.JWT_SECRET;
+
+        expect(authService.resolveJwtSecret()).toBe('your-super-secret-jwt-key');
+        expect(console.warn).toHaveBeenCalled();
+    });
+});
@@ -0,0 +1,98 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { authService } from '../services/authService.js';
+import { conversationService } from '../services/conversationService.js';
+import { createUser, bearer, createApp } from './helpers.js';
+
+const app = createApp({ '/api/auth': authService.router, '/api/conversations': conversationService.router });
+
+let user;
+
+beforeEach(() => {
+    user = createUser();
+});
+
+const createKey = (body, auth = bearer(user)) => request(app).post('/api/auth/keys').set('Authorization', auth).send(body);
+
+describe('scoped keys', () => {
+    test('are limited to the permissions they were given', async () => {
+        const { body } = await createKey({ name: 'chat only', permissions: ['chat'] });
+
+        expect(body.key.permissions).toEqual(['chat']);
+        expect(authService.verifyApiKey(body.key.secret)).toMatchObject({ permissions: ['chat'], scoped: true });
+
+        const response = await request(app).get('/api/conversations').set('X-API-Key', body.key.secret);
+        expect(response.status).toBe(403);
+    });
+
+    test('cannot grant more than the creator has', async () => {
+        const response = await createKey({ permissions: ['chat', 'users:manage'] });
+
+        expect(response.status).toBe(403);
+        expect(response.body.error).toBe("Cannot grant permissions you don't have: users:manage");
+        expect((await createKey({ permissions: [] })).status).toBe(400);
+    });
+
+    test('lose permissions their owner loses', async () => {
+        const { body } = await createKey({ permissions: ['chat', 'files:upload'] });
+        authService.users.set(user.username, { ...user, permissions: ['chat'] });
+
+        expect(authService.verifyApiKey(body.key.secret).permissions).toEqual(['chat']);
+    });
+
+    test('keys made with a scoped key inherit its limits', async () => {
+        const parent = (await createKey({ permissions: ['chat'] })).body.key;
+        const child = await createKey({ name: 'child' }, `Bearer ${parent.secret}`);
+
+        expect(child.status).toBe(201);
+        expect(child.body.key.permissions).toEqual(['chat']);
+    });
+
+    test("an admin's scoped key doesn't get admin routes through the role", async () => {
+        const admin = createUser({ role: 'admin' });
+        const scoped = (await createKey({ permissions: ['chat'] }, bearer(admin))).body.key;
+        const full = (await createKey({}, bearer(admin))).body.key;
+
+        expect((await request(app).get('/api/auth/users').set('Authorization', `Bearer ${scoped.secret}`)).status).toBe(403);
+        expect((await request(app).get('/api/auth/users').set('Authorization', `Bearer ${full.secret}`)).status).toBe(200);
+    });
+});
+
+describe('expiry and tracking', () => {
+    test('expired keys are refused and flagged in the list', async () => {
+        const { key } = (await createKey({ expiresIn: 60 })).body;
+        expect(authService.verifyApiKey(key.secret)).not.toBeNull();
+        expect((await createKey({ expiresIn: -5 })).status).toBe(400);
+
+        jest.useFakeTimers({ now: Date.now() + 61000 });
+        try {
+            expect(authService.verifyApiKey(key.secret)).toBeNull();
+            expect(authService.listApiKeys(user.id)[0].expired).toBe(true);
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+
+    test('records when and from where a key was last used', async () => {
+        const { key } = (await createKey({})).body;
+
+        const me = await request(app).get('/api/auth/me').set('X-API-Key', key.secret);
+
+        expect(me.body.apiKeyId).toBe(key.id);
+        expect(me.body.apiKeys[0].lastUsedAt).not.toBeNull();
+        expect(me.body.apiKeys[0].lastUsedIp).toMatch(/127\.0\.0\.1/);
+    });
+
+    test('keys can be renamed by their owner only', async () => {
+        const { key } = (await createKey({ name: 'old' })).body;
+        const other = createUser();
+
+        const renamed = await request(app).put(`/api/auth/keys/${key.id}`).set('Authorization', bearer(user)).send({ name: 'new' });
+        const foreign = await request(app).put(`/api/auth/keys/${key.id}`).set('Authorization', bearer(other)).send({ name: 'mine' });
+        const unnamed = await request(app).put(`/api/auth/keys/${key.id}`).set('Authorization', bearer(user)).send({});
+
+        expect(renamed.body.key.name).toBe('new');
+        expect(foreign.status).toBe(404);
+        expect(unnamed.status).toBe(400);
+    });
+});
@@ -0,0 +1,214 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import { v4 as uuidv4 } from 'uuid';
+import { authService } from '../services/authService.js';
+import { createUser, createApp, startSocketServer, nextEvent } from './helpers.js';
+
+const req = { get: () => 'jest', ip: '127.0.0.1' };
+
+function expectRejected(refreshToken, message = 'Invalid refresh token') {
+    expect(() => authService.refreshSession(refreshToken)).toThrow(expect.objectContaining({ status: 401, message }));
+}
+
+describe('refresh tokens', () => {
+    test('sign-in issues a session-bound pair and stores only a hash', () => {
+        const user = createUser();
+        const tokens = authService.createSession(user, req);
+
+        expect(tokens.refreshToken.startsWith(`${tokens.sessionId}.`)).toBe(true);
+        expect(authService.verifyToken(tokens.token)).toMatchObject({ id: user.id, sid: tokens.sessionId });
+
+        const session = authService.sessions.get(tokens.sessionId);
+        const secret = tokens.refreshToken.split('.')[1];
+        expect(JSON.stringify(session)).not.toContain(secret);
+        expect(session.refreshHash).toBe(authService.hashSecret(secret));
+    });
+
+    test('refreshing rotates the token within the same session', () => {
+        const user = createUser();
+        const first = authService.createSession(user, req);
+
+        const { user: refreshed, tokens: second } = authService.refreshSession(first.refreshToken);
+
+        expect(refreshed.id).toBe(user.id);
+        expect(second.sessionId).toBe(first.sessionId);
+        expect(second.refreshToken).not.toBe(first.refreshToken);
+        expect(authService.verifyToken(second.token)).toMatchObject({ sid: first.sessionId });
+
+        const { tokens: third } = authService.refreshSession(second.refreshToken);
+        expect(third.sessionId).toBe(first.sessionId);
+    });
+
+    test('reusing a rotated-out token ends the session', () => {
+        const user = createUser();
+        const first = authService.createSession(user, req);
+        const { tokens: second } = authService.refreshSession(first.refreshToken);
+
+        expectRejected(first.refreshToken);
+
+        expect(authService.sessions.has(first.sessionId)).toBe(false);
+        expectRejected(second.refreshToken);
+        expect(authService.verifyToken(second.token)).toBeNull();
+    });
+
+    test('a wrong secret is rejected without ending the session', () => {
+        const user = createUser();
+        const tokens = authService.createSession(user, req);
+
+        expectRejected(`${tokens.sessionId}.not-the-secret`);
+        expect(authService.sessions.has(tokens.sessionId)).toBe(true);
+        expect(() => authService.refreshSession(tokens.refreshToken)).not.toThrow();
+    });
+
+    test.each([undefined, '', 'no-dot', `${uuidv4()}.secret`])('malformed or unknown token %p is rejected', (refreshToken) => {
+        expectRejected(refreshToken);
+    });
+
+    test('a deactivated user cannot refresh', () => {
+        const user = createUser();
+        const tokens = authService.createSession(user, req);
+
+        authService.users.set(user.username, { ...user, isActive: false });
+
+        expectRejected(tokens.refreshToken, 'Session expired');
+        expect(authService.sessions.has(tokens.sessionId)).toBe(false);
+    });
+});
+
+describe('revocation', () => {
+    test('revoking a session invalidates its tokens and emits an event', () => {
+        const user = createUser();
+        const tokens = authService.createSession(user, req);
+        const other = authService.createSession(user, req);
+        const listener = jest.fn();
+        authService.events.on('sessions_revoked', listener);
+
+        try {
+            expect(authService.revokeSession(user.id, tokens.sessionId)).toBe(true);
+        } finally {
+            authService.events.off('sessions_revoked', listener);
+        }
+
+        expect(listener).toHaveBeenCalledWith({ userId: user.id, sessionId: tokens.sessionId });
+        expect(authService.verifyToken(tokens.token)).toBeNull();
+        expectRejected(tokens.refreshToken);
+        expect(authService.verifyToken(other.token)).not.toBeNull();
+        expect(authService.revokeSession(user.id, tokens.sessionId)).toBe(false);
+    });
+
+    test("users cannot revoke each other's sessions", () => {
+        const alice = createUser();
+        const bob = createUser();
+        const tokens = authService.createSession(alice, req);
+
+        expect(authService.revokeSession(bob.id, tokens.sessionId)).toBe(false);
+        expect(authService.verifyToken(tokens.token)).not.toBeNull();
+    });
+
+    test('revoking all sessions bumps the token version', () => {
+        const user = createUser();
+        const one = authService.createSession(user, req);
+        const two = authService.createSession(user, req);
+        const bystander = authService.createSession(createUser(), req);
+
+        authService.revokeAllSessions(user);
+
+        expect(authService.users.get(user.username).tokenVersion).toBe(1);
+        expect(authService.listSessions(user.id)).toEqual([]);
+        for (const tokens of [one, two]) {
+            expect(authService.verifyToken(tokens.token)).toBeNull();
+            expectRejected(tokens.refreshToken);
+        }
+        expect(authService.verifyToken(bystander.token)).not.toBeNull();
+
+        // A new sign-in works with the new version
+        const fresh = authService.createSession(authService.users.get(user.username), req);
+        expect(authService.verifyToken(fresh.token)).toMatchObject({ tv: 1 });
+    });
+
+    test('listed sessions carry no token hashes', () => {
+        const user = createUser();
+        const tokens = authService.createSession(user, req);
+        const [session] = authService.listSessions(user.id, tokens.sessionId);
+
+        expect(session).toMatchObject({ id: tokens.sessionId, current: true, userAgent: 'jest' });
+        expect(session).not.toHaveProperty('refreshHash');
+        expect(session).not.toHaveProperty('previousHash');
+    });
+});
+
+describe('routes', () => {
+    const app = createApp({ '/api/auth': authService.router });
+
+    async function login(user) {
+        authService.users.set(user.username, { ...user, password: await bcrypt.hash('hunter22', 4) });
+        const response = await request(app).post('/api/auth/login').send({ username: user.username, password: 'hunter22' });
+        expect(response.status).toBe(200);
+        return response.body;
+    }
+
+    test('login returns an access and refresh token pair', async () => {
+        const body = await login(createUser());
+
+        expect(body).toMatchObject({ success: true, token: expect.any(String), refreshToken: expect.any(String), sessionId: expect.any(String) });
+        expect(body.expiresIn).toBeGreaterThan(0);
+    });
+
+    test('refresh rotates, and the old refresh token no longer works', async () => {
+        const { refreshToken } = await login(createUser());
+
+        const first = await request(app).post('/api/auth/refresh').send({ refreshToken });
+        const replay = await request(app).post('/api/auth/refresh').send({ refreshToken });
+
+        expect(first.status).toBe(200);
+        expect(first.body.refreshToken).not.toBe(refreshToken);
+        expect(replay.status).toBe(401);
+    });
+
+    test('sessions can be listed and revoked', async () => {
+        const user = createUser();
+        const current = await login(user);
+        const other = await login(user);
+        const auth = `Bearer ${current.token}`;
+
+        const listed = await request(app).get('/api/auth/sessions').set('Authorization', auth);
+        expect(listed.body.sessions.map(s => [s.id, s.current])).toEqual(expect.arrayContaining([
+            [current.sessionId, true],
+            [other.sessionId, false]
+        ]));
+
+        expect((await request(app).delete(`/api/auth/sessions/${other.sessionId}`).set('Authorization', auth)).status).toBe(200);
+        expect(authService.verifyToken(other.token)).toBeNull();
+        expect((await request(app).post('/api/auth/logout').set('Authorization', auth)).status).toBe(200);
+        expect(authService.verifyToken(current.token)).toBeNull();
+    });
+});
+
+describe('live connections', () => {
+    let server;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = await startSocketServer();
+    });
+
+    afterAll(async () => {
+        await server.close();
+        console.log.mockRestore();
+    });
+
+    test('revoking a session disconnects its sockets only', async () => {
+        const user = createUser();
+        const revoked = authService.createSession(user, req);
+        const kept = authService.createSession(user, req);
+        const revokedSocket = await server.connect(null, { token: revoked.token });
+        const keptSocket = await server.connect(null, { token: kept.token });
+
+        const disconnected = nextEvent(revokedSocket, 'disconnect');
+        authService.revokeSession(user.id, revoked.sessionId);
+
+        expect(await disconnected).toBe('io server disconnect');
+        expect(keptSocket.connected).toBe(true);
+    });
+});
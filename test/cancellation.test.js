@@ -0,0 +1,166 @@
+import { jest } from '@jest/globals';
+import { PassThrough } from 'stream';
+import { aiService } from '../services/aiService.js';
+import { generationService } from '../services/generationService.js';
+import { conversationService } from '../services/conversationService.js';
+import { OpenAIProvider } from '../services/providers/index.js';
+import { createUser, startSocketServer, nextEvent } from './helpers.js';
+
+// Streams two chunks, then hangs until aborted; a chunk arriving after the
+// abort must not reach the client.
+function hangingProvider() {
+    return {
+        name: 'fake',
+        model: 'gpt-4o',
+        stream: jest.fn((messages, options, onChunk) => new Promise((resolve, reject) => {
+            onChunk('Hel');
+            onChunk('lo');
+            options.signal.addEventListener('abort', () => {
+                onChunk(' late');
+                reject(new Error('canceled'));
+            });
+        }))
+    };
+}
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+describe('generationService', () => {
+    test('tracks, cancels and forgets generations', () => {
+        const signal = generationService.start('g1', { conversationId: 'c1', userId: 'u1' });
+
+        expect(generationService.get('g1')).toMatchObject({ conversationId: 'c1', userId: 'u1', socketId: null });
+        expect(generationService.cancel('g1')).toBe(true);
+        expect(signal.aborted).toBe(true);
+
+        generationService.finish('g1');
+        expect(generationService.get('g1')).toBeNull();
+        expect(generationService.cancel('g1')).toBe(false);
+    });
+
+    test('stops every generation in a conversation', () => {
+        const first = generationService.start('a', { conversationId: 'c2', userId: 'u' });
+        const second = generationService.start('b', { conversationId: 'c2', userId: 'u' });
+        const other = generationService.start('c', { conversationId: 'c3', userId: 'u' });
+
+        expect(generationService.cancelConversation('c2')).toBe(2);
+        expect([first.aborted, second.aborted, other.aborted]).toEqual([true, true, false]);
+        ['a', 'b', 'c'].forEach(id => generationService.finish(id));
+    });
+});
+
+describe('cancelled streams', () => {
+    test('resolve with the partial reply instead of failing', async () => {
+        const provider = hangingProvider();
+        jest.spyOn(aiService, 'getProvider').mockReturnValue(provider);
+        const controller = new AbortController();
+        const chunks = [];
+
+        const pending = aiService.streamConversation([{ role: 'user', content: 'Hi' }], { signal: controller.signal }, chunk => chunks.push(chunk));
+        controller.abort();
+
+        expect(await pending).toMatchObject({ content: 'Hello', provider: 'fake', model: 'gpt-4o', cancelled: true });
+        expect(chunks).toEqual(['Hel', 'lo']);
+    });
+
+    test('other failures still throw', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(aiService, 'getProvider').mockReturnValue({
+            name: 'fake',
+            model: 'gpt-4o',
+            stream: async () => { throw new Error('upstream down'); }
+        });
+
+        await expect(aiService.streamConversation([{ role: 'user', content: 'Hi' }], { signal: new AbortController().signal }, () => {}))
+            .rejects.toThrow('Streaming failed: upstream down');
+    });
+
+    test('providers pass the signal and fail when the body closes early', async () => {
+        const provider = new OpenAIProvider({ name: 'openai', apiUrl: 'http://upstream', model: 'gpt-4o' });
+        const body = new PassThrough();
+        provider.post = jest.fn(async () => ({ data: body }));
+        const controller = new AbortController();
+
+        const pending = provider.stream([{ role: 'user', content: 'Hi' }], { signal: controller.signal }, () => {});
+        await new Promise(resolve => setImmediate(resolve));
+        body.write('data: {"choices":[{"delta":{"content":"Hi"}}]}\n\n');
+        body.destroy();
+
+        await expect(pending).rejects.toThrow('Stream closed before completion');
+        expect(provider.post.mock.calls[0][2]).toMatchObject({ responseType: 'stream', signal: controller.signal });
+    });
+});
+
+describe('cancel_generation', () => {
+    let server;
+    let owner;
+    let outsider;
+
+    beforeAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        server = await startSocketServer();
+        owner = createUser();
+        outsider = createUser();
+    });
+
+    afterAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await server.close();
+    });
+
+    async function streamInto(conversationId) {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(aiService, 'getProvider').mockReturnValue(hangingProvider());
+
+        const socket = await server.connect(owner);
+        const joined = nextEvent(socket, 'conversation_history');
+        socket.emit('join', { conversationId });
+        await joined;
+
+        const started = nextEvent(socket, 'message_start');
+        socket.emit('chat_message', { conversationId, message: 'Hi', options: { stream: true } });
+        const { id } = await started;
+        return { socket, id };
+    }
+
+    test('the owner stops a reply and the partial text is kept', async () => {
+        const conversationId = conversationService.createConversation('Stop', {}, { ownerId: owner.id });
+        const { socket, id } = await streamInto(conversationId);
+
+        const complete = nextEvent(socket, 'message_complete');
+        socket.emit('cancel_generation', { id });
+
+        expect(await complete).toMatchObject({ id, content: 'Hello', cancelled: true });
+        const saved = conversationService.getHistory(conversationId).find(m => m.id === id);
+        expect(saved).toMatchObject({ content: 'Hello', metadata: { cancelled: true, streamed: true } });
+        expect(generationService.get(id)).toBeNull();
+    });
+
+    test("outsiders can't stop somebody else's reply", async () => {
+        const conversationId = conversationService.createConversation('Keep going', {}, { ownerId: owner.id });
+        const { id } = await streamInto(conversationId);
+        const other = await server.connect(outsider);
+
+        const error = nextEvent(other, 'error');
+        other.emit('cancel_generation', { id });
+
+        expect(await error).toEqual({ message: 'Generation not found' });
+        expect(generationService.get(id).controller.signal.aborted).toBe(false);
+        generationService.cancel(id);
+    });
+
+    test('disconnecting the last watcher stops the reply', async () => {
+        const conversationId = conversationService.createConversation('Gone', {}, { ownerId: owner.id });
+        const { socket, id } = await streamInto(conversationId);
+        const signal = generationService.get(id).controller.signal;
+
+        const aborted = new Promise(resolve => signal.addEventListener('abort', resolve));
+        socket.disconnect();
+        await aborted;
+
+        expect(signal.aborted).toBe(true);
+    });
+});
@@ -0,0 +1,117 @@
+import { jest } from '@jest/globals';
+import { estimateTokens, estimateMessageTokens, getContextWindow, truncateToTokens } from '../services/tokenEstimator.js';
+import { contextService } from '../services/contextService.js';
+import { aiService } from '../services/aiService.js';
+import { conversationService } from '../services/conversationService.js';
+
+describe('tokenEstimator', () => {
+    test('estimates per model family', () => {
+        expect(estimateTokens('', 'gpt-4o')).toBe(0);
+        expect(estimateTokens('x'.repeat(40), 'gpt-4o')).toBe(10);
+        expect(estimateTokens('x'.repeat(35), 'claude-3-5-sonnet')).toBe(10);
+        expect(estimateTokens('日本語', 'gpt-4o')).toBe(3);
+    });
+
+    test('adds framing overhead per message', () => {
+        expect(estimateMessageTokens([{ content: 'x'.repeat(8) }, { content: '' }], 'gpt-4o')).toBe(2 + 4 + 4);
+    });
+
+    test('knows context windows, with MAX_CONTEXT_TOKENS overriding', () => {
+        expect(getContextWindow('claude-3-5-sonnet')).toBe(200000);
+        expect(getContextWindow('llama3.1')).toBe(8192);
+        expect(getContextWindow('something-new')).toBe(8192);
+
+        process.env.MAX_CONTEXT_TOKENS = '1000';
+        try {
+            expect(getContextWindow('claude-3-5-sonnet')).toBe(1000);
+        } finally {
+            delete process.env.MAX_CONTEXT_TOKENS;
+        }
+    });
+
+    test('truncates to a token budget with a marker', () => {
+        const text = 'word '.repeat(200);
+        const cut = truncateToTokens(text, 20, 'gpt-4o');
+
+        expect(cut.endsWith('\n...[truncated]')).toBe(true);
+        expect(estimateTokens(cut, 'gpt-4o')).toBeLessThanOrEqual(20 + 5);
+        expect(truncateToTokens('short', 20, 'gpt-4o')).toBe('short');
+    });
+});
+
+describe('contextService', () => {
+    let summary;
+
+    beforeEach(() => {
+        summary = null;
+        jest.spyOn(aiService, 'getProvider').mockReturnValue({ name: 'fake', model: 'gpt-3.5-turbo' });
+        jest.spyOn(aiService, 'processConversation').mockResolvedValue({ content: 'They discussed apples.', model: 'gpt-3.5-turbo' });
+        jest.spyOn(conversationService, 'getSummary').mockImplementation(() => summary);
+        jest.spyOn(conversationService, 'updateSummary').mockImplementation((id, value) => {
+            summary = value;
+        });
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+    });
+
+    // 20 turns of ~1000 tokens each against a 16k window
+    const history = Array.from({ length: 20 }, (_, i) => ({
+        id: `m${i}`,
+        role: i % 2 ? 'assistant' : 'user',
+        content: `${i} ${'apple '.repeat(660)}`
+    }));
+
+    test('splits the budget between completion, system prompt and context', () => {
+        const budget = contextService.planBudget({ model: 'gpt-3.5-turbo', maxTokens: 1000, systemPrompt: 'x'.repeat(400) });
+
+        expect(budget.contextWindow).toBe(16385);
+        expect(budget.prompt).toBe(Math.floor((16385 - 1000) * 0.95));
+        expect(budget.system).toBe(100);
+        expect(budget.fileContext).toBe(Math.floor(budget.remaining * contextService.fileContextShare));
+    });
+
+    test('sends everything when it fits, without summarizing', async () => {
+        const messages = await contextService.buildMessages('c1', history.slice(0, 2), { systemPrompt: 'Sys', message: 'Next' });
+
+        expect(messages.map(m => m.role)).toEqual(['system', 'user', 'assistant', 'user']);
+        expect(aiService.processConversation).not.toHaveBeenCalled();
+    });
+
+    test('folds evicted turns into the rolling summary', async () => {
+        const messages = await contextService.buildMessages('c1', history, { systemPrompt: 'Sys', message: 'Next' });
+
+        expect(messages[0]).toEqual({ role: 'system', content: 'Sys' });
+        expect(messages[1]).toEqual({ role: 'system', content: 'Summary of the earlier conversation:\nThey discussed apples.' });
+        expect(messages[2].role).toBe('user');
+        expect(messages[messages.length - 1].content).toContain('Next');
+
+        // Everything before the first kept turn went into the summary
+        const cut = history.findIndex(entry => entry.content === messages[2].content);
+        expect(cut).toBeGreaterThan(0);
+        expect(summary).toMatchObject({ lastMessageId: `m${cut - 1}`, summarizedCount: cut });
+    });
+
+    test('only summarizes turns the summary does not cover yet', async () => {
+        await contextService.buildMessages('c1', history, { message: 'Next' });
+        const covered = summary.summarizedCount;
+        aiService.processConversation.mockClear();
+
+        await contextService.buildMessages('c1', history, { message: 'Next' });
+
+        expect(aiService.processConversation).not.toHaveBeenCalled();
+        expect(summary.summarizedCount).toBe(covered);
+    });
+
+    test('keeps the old summary if summarizing fails', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        aiService.processConversation.mockRejectedValue(new Error('down'));
+
+        const messages = await contextService.buildMessages('c1', history, { message: 'Next' });
+
+        expect(summary).toBeNull();
+        expect(messages.every(m => m.role !== 'system')).toBe(true);
+        expect(messages[0].role).toBe('user');
+    });
+});
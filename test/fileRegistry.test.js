@@ -0,0 +1,121 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import request from 'supertest';
+import { fileService } from '../services/fileService.js';
+import { retrievalService } from '../services/retrievalService.js';
+import { createUser, bearer, createApp, authenticated } from './helpers.js';
+
+const app = createApp({ '/api/files': fileService.router });
+
+let dir;
+let user;
+
+beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'registry-'));
+    fileService.uploadDir = dir;
+    fileService.textDir = path.join(dir, '.extracted');
+    await fs.mkdir(fileService.textDir);
+    retrievalService.indexDir = path.join(dir, '.index');
+    await fs.mkdir(retrievalService.indexDir);
+});
+
+afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    user = createUser();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+async function upload(name, content) {
+    const response = await request(app)
+        .post('/api/files/upload')
+        .set('Authorization', bearer(user))
+        .attach('file', Buffer.from(content), name);
+    expect(response.status).toBe(200);
+    return fileService.files.get(response.body.file.id);
+}
+
+describe('registry records', () => {
+    test('store the ID as the name on disk, with checksum and cached text', async () => {
+        const record = await upload('My Notes.md', '# Hello');
+
+        expect(record).toMatchObject({
+            ownerId: user.id,
+            originalName: 'My Notes.md',
+            filename: `${record.id}.md`,
+            size: 7,
+            checksum: crypto.createHash('sha256').update('# Hello').digest('hex'),
+            extraction: { status: 'ready', charCount: 7 },
+            conversationIds: []
+        });
+        expect(await fs.readFile(path.join(dir, record.filename), 'utf8')).toBe('# Hello');
+        expect(await fs.readFile(fileService.textPath(record), 'utf8')).toBe('# Hello');
+
+        const metadata = await request(app).get(`/api/files/${record.id}`).set('Authorization', bearer(user));
+        expect(metadata.body.file.originalName).toBe('My Notes.md');
+    });
+
+    test('content comes from the cache and is extracted again when the cache is lost', async () => {
+        const record = await upload('cached.txt', 'original');
+        await fs.writeFile(fileService.filePath(record), 'changed on disk');
+
+        expect(await fileService.getFileContent(record.id)).toBe('original');
+
+        await fs.rm(fileService.textPath(record));
+        expect(await fileService.getFileContent(record.id)).toBe('changed on disk');
+        expect(fileService.files.get(record.id).extraction.status).toBe('ready');
+    });
+
+    test('failed extractions are recorded and retried', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const record = await upload('broken.pdf', 'not really a pdf');
+
+        expect(record.extraction).toMatchObject({ status: 'failed' });
+        expect(record.extraction.error).toBeTruthy();
+        await expect(fileService.getFileContent(record.id)).rejects.toThrow();
+    });
+
+    test('types without text are marked unsupported', async () => {
+        const record = fileService.createRecord({ id: 'bin', ownerId: user.id, filename: 'bin.xyz', originalName: 'x.xyz', size: 1 });
+        fileService.files.set(record.id, record);
+        await fs.writeFile(fileService.filePath(record), 'x');
+
+        expect(await fileService.getFileContent('bin')).toBe('[Binary or unsupported file type]');
+        expect(fileService.files.get('bin').extraction.status).toBe('unsupported');
+    });
+
+    test('deleting removes the file, its text and its record', async () => {
+        const record = await upload('gone.txt', 'bye');
+
+        await request(app).delete(`/api/files/${record.id}`).set('Authorization', bearer(user));
+
+        await expect(fs.access(fileService.filePath(record))).rejects.toThrow();
+        await expect(fs.access(fileService.textPath(record))).rejects.toThrow();
+        expect(fileService.files.get(record.id)).toBeFalsy();
+    });
+});
+
+describe('registry sync', () => {
+    test('files on disk without a record are registered without an owner', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const legacy = `${crypto.randomUUID()}-report.txt`;
+        await fs.writeFile(path.join(dir, legacy), 'from before');
+
+        await fileService.syncRegistry();
+        await fileService.syncRegistry();
+
+        const records = fileService.files.values().filter(record => record.filename === legacy);
+        expect(records).toHaveLength(1);
+        expect(records[0]).toMatchObject({ ownerId: null, originalName: 'report.txt', size: 11 });
+        expect(fileService.canAccess(records[0], authenticated(user))).toBe(false);
+        expect(fileService.canAccess(records[0], authenticated(createUser({ role: 'admin' })))).toBe(true);
+    });
+});
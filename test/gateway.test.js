@@ -0,0 +1,224 @@
+import { jest } from '@jest/globals';
+import { Readable } from 'stream';
+import request from 'supertest';
+import { aiService } from '../services/aiService.js';
+import { authService } from '../services/authService.js';
+import { gatewayService } from '../services/gatewayService.js';
+import { createProviders } from '../services/providers/index.js';
+import { createUser, bearer, createApp, loginToken } from './helpers.js';
+
+const app = createApp({ '/v1': gatewayService.router, '/api/auth': authService.router });
+
+let user;
+let apiKey;
+let openai;
+
+beforeAll(() => {
+    aiService.providers = createProviders({ OPENAI_API_KEY: 'sk-upstream', ANTHROPIC_API_KEY: 'sk-ant' });
+    aiService.defaultProvider = 'openai';
+    openai = aiService.providers.get('openai');
+});
+
+beforeEach(() => {
+    user = createUser();
+    apiKey = authService.createApiKey(user, { name: 'editor plugin' });
+    aiService.cache.flushAll();
+    openai.post = jest.fn(async () => ({
+        data: {
+            model: 'gpt-4o-mini',
+            choices: [{ message: { content: 'Hello there' } }],
+            usage: { prompt_tokens: 12, completion_tokens: 3, total_tokens: 15 }
+        }
+    }));
+});
+
+const completion = (body, key = apiKey.secret) => request(app)
+    .post('/v1/chat/completions')
+    .set('Authorization', `Bearer ${key}`)
+    .send(body);
+
+describe('API keys', () => {
+    test('secrets are shown once and stored hashed', async () => {
+        const created = await request(app).post('/api/auth/keys').set('Authorization', bearer(user)).send({ name: 'ci' });
+        const listed = await request(app).get('/api/auth/keys').set('Authorization', bearer(user));
+
+        expect(created.status).toBe(201);
+        expect(created.body.key.secret).toMatch(/^sk-/);
+        expect(listed.body.keys.map(key => key.name)).toEqual(['editor plugin', 'ci']);
+        expect(JSON.stringify(listed.body)).not.toContain(created.body.key.secret);
+        expect(authService.apiKeys.get(authService.hashSecret(created.body.key.secret)).id).toBe(created.body.key.id);
+    });
+
+    test('keys act as their owner with current permissions', async () => {
+        expect(authService.verifyApiKey(apiKey.secret)).toMatchObject({ id: user.id, apiKeyId: apiKey.id, permissions: authService.resolvePermissions(user) });
+
+        authService.users.set(user.username, { ...user, isActive: false });
+        expect(authService.verifyApiKey(apiKey.secret)).toBeNull();
+    });
+
+    test('revoked keys stop working; other users cannot revoke them', async () => {
+        const other = createUser();
+        expect((await request(app).delete(`/api/auth/keys/${apiKey.id}`).set('Authorization', bearer(other))).status).toBe(404);
+        expect((await request(app).delete(`/api/auth/keys/${apiKey.id}`).set('Authorization', bearer(user))).status).toBe(200);
+
+        const response = await completion({ messages: [{ role: 'user', content: 'Hi' }] });
+        expect(response.status).toBe(401);
+        expect(response.body.error.code).toBe('invalid_api_key');
+    });
+});
+
+describe('/v1/models', () => {
+    test('lists configured providers as provider/model', async () => {
+        const response = await request(app).get('/v1/models').set('Authorization', `Bearer ${apiKey.secret}`);
+
+        expect(response.body.object).toBe('list');
+        expect(response.body.data.map(model => model.id)).toEqual(['openai/gpt-4o-mini', 'anthropic/claude-3-5-sonnet-latest']);
+
+        const one = await request(app).get('/v1/models/openai/gpt-4o-mini').set('Authorization', `Bearer ${apiKey.secret}`);
+        expect(one.body).toMatchObject({ id: 'openai/gpt-4o-mini', owned_by: 'openai' });
+
+        const missing = await request(app).get('/v1/models/nope').set('Authorization', `Bearer ${apiKey.secret}`);
+        expect(missing.status).toBe(404);
+        expect(missing.body.error.code).toBe('model_not_found');
+    });
+});
+
+describe('/v1/chat/completions', () => {
+    test('answers in the OpenAI format', async () => {
+        const response = await completion({ model: 'openai/gpt-4o', messages: [{ role: 'user', content: 'Hi' }] });
+
+        expect(response.status).toBe(200);
+        expect(response.body).toMatchObject({
+            object: 'chat.completion',
+            model: 'openai/gpt-4o',
+            choices: [{ index: 0, message: { role: 'assistant', content: 'Hello there' }, finish_reason: 'stop' }],
+            usage: { total_tokens: 15 }
+        });
+        expect(response.body.id).toMatch(/^chatcmpl-/);
+        expect(openai.post.mock.calls[0][1].model).toBe('gpt-4o');
+    });
+
+    test('adds the default persona only when there is no system message', async () => {
+        await completion({ messages: [{ role: 'user', content: 'Hi' }] });
+        await completion({ messages: [{ role: 'system', content: 'Be terse.' }, { role: 'user', content: 'Hi' }] });
+
+        const [withPersona, withOwn] = openai.post.mock.calls.map(call => call[1].messages);
+        expect(withPersona[0].role).toBe('system');
+        expect(withPersona).toHaveLength(2);
+        expect(withOwn).toEqual([{ role: 'system', content: 'Be terse.' }, { role: 'user', content: 'Hi' }]);
+    });
+
+    test('flattens content parts to text', async () => {
+        await completion({ messages: [
+            { role: 'system', content: 'S' },
+            { role: 'user', content: [{ type: 'text', text: 'a' }, { type: 'image_url', image_url: {} }, { type: 'text', text: 'b' }] }
+        ] });
+
+        expect(openai.post.mock.calls[0][1].messages[1]).toEqual({ role: 'user', content: 'a\nb' });
+    });
+
+    test('routes by provider name or known model ID', () => {
+        expect(gatewayService.resolveModel('anthropic')).toMatchObject({ model: 'claude-3-5-sonnet-latest', provider: { name: 'anthropic' } });
+        expect(gatewayService.resolveModel('claude-3-5-sonnet-latest').provider.name).toBe('anthropic');
+        expect(gatewayService.resolveModel('mystery-model')).toMatchObject({ model: 'mystery-model', provider: { name: 'openai' } });
+    });
+
+    test('rejects malformed messages with an OpenAI-style error', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const empty = await completion({ messages: [] });
+        const badRole = await completion({ messages: [{ role: 'tool', content: 'x' }] });
+
+        expect(empty.status).toBe(400);
+        expect(empty.body.error).toMatchObject({ type: 'invalid_request_error', message: 'messages must be a non-empty array' });
+        expect(badRole.body.error.message).toBe('messages[0].role must be system, user or assistant');
+        console.error.mockRestore();
+    });
+
+    test('serves repeats from the cache unless told not to', async () => {
+        const body = { messages: [{ role: 'system', content: 'S' }, { role: 'user', content: 'Same' }] };
+
+        expect((await completion(body)).headers['x-cache']).toBe('MISS');
+        expect((await completion(body)).headers['x-cache']).toBe('HIT');
+
+        const bypass = await completion(body).set('Cache-Control', 'no-cache');
+        expect(bypass.headers['x-cache']).toBe('MISS');
+        expect(openai.post).toHaveBeenCalledTimes(2);
+    });
+
+    test('temperature 0 reaches the provider and is cached apart from the default', async () => {
+        const messages = [{ role: 'user', content: 'Deterministic, please' }];
+
+        await completion({ messages });
+        const zero = await completion({ messages, temperature: 0 });
+
+        expect(zero.headers['x-cache']).toBe('MISS');
+        expect(openai.post.mock.calls.map(call => call[1].temperature)).toEqual([0.7, 0]);
+    });
+
+    test('streams chunks, a final stop and optional usage', async () => {
+        openai.post = jest.fn(async () => ({
+            data: Readable.from([
+                'data: {"choices":[{"delta":{"content":"Hel"}}]}\n\n',
+                'data: {"choices":[{"delta":{"content":"lo"}}]}\n\ndata: [DONE]\n\n'
+            ])
+        }));
+
+        const response = await completion({
+            messages: [{ role: 'system', content: 'S' }, { role: 'user', content: 'Hi' }],
+            stream: true,
+            stream_options: { include_usage: true }
+        });
+
+        const events = response.text.trim().split('\n\n').map(line => line.slice(6));
+        expect(response.headers['content-type']).toMatch('text/event-stream');
+        expect(events.pop()).toBe('[DONE]');
+
+        const chunks = events.map(data => JSON.parse(data));
+        expect(chunks.map(chunk => chunk.choices[0]?.delta)).toEqual([
+            { role: 'assistant', content: '' },
+            { content: 'Hel' },
+            { content: 'lo' },
+            {},
+            undefined
+        ]);
+        expect(chunks[3].choices[0].finish_reason).toBe('stop');
+        expect(chunks[4].usage.total_tokens).toBeGreaterThan(0);
+    });
+});
+
+describe('usage accounting', () => {
+    test('counts tokens per day, model and key, with cache hits free', async () => {
+        const body = { model: 'openai/gpt-4o', messages: [{ role: 'system', content: 'S' }, { role: 'user', content: 'Hi' }] };
+        await completion(body);
+        await completion(body);
+
+        const response = await request(app).get('/v1/usage').set('Authorization', `Bearer ${apiKey.secret}`);
+        const [today] = response.body.data;
+
+        expect(today).toMatchObject({ userId: user.id, requests: 2, cachedRequests: 1, total_tokens: 15 });
+        expect(today.models['openai/gpt-4o']).toEqual({ requests: 2, total_tokens: 15 });
+        expect(today.apiKeys[apiKey.id]).toEqual({ requests: 2, total_tokens: 15 });
+    });
+
+    test('estimates usage the provider did not report', () => {
+        const usage = gatewayService.completeUsage(undefined, [{ role: 'user', content: 'x'.repeat(40) }], 'y'.repeat(8), 'gpt-4o');
+
+        expect(usage).toEqual({ prompt_tokens: 14, completion_tokens: 2, total_tokens: 16 });
+    });
+
+    test('login tokens work too and are accounted as the session', async () => {
+        const response = await completion({ messages: [{ role: 'system', content: 'S' }, { role: 'user', content: 'Hi' }] }, loginToken(user));
+
+        expect(response.status).toBe(200);
+        expect(gatewayService.getUsage(user.id)[0].apiKeys.session.requests).toBe(1);
+    });
+
+    test('guests without chat permission are refused', async () => {
+        const guest = createUser({ role: 'guest', permissions: [] });
+        const key = authService.createApiKey(guest);
+
+        const response = await completion({ messages: [{ role: 'user', content: 'Hi' }] }, key.secret);
+        expect(response.status).toBe(403);
+        expect(response.body.error.type).toBe('permission_error');
+    });
+});
@@ -0,0 +1,107 @@
+import http from 'http';
+import express from 'express';
+import { jest } from '@jest/globals';
+import { Server } from 'socket.io';
+import { io as connectClient } from 'socket.io-client';
+import { v4 as uuidv4 } from 'uuid';
+import { authService } from '../services/authService.js';
+import { socketHandler } from '../handlers/socketHandler.js';
+
+// A stored user; its permissions come from its role unless fields set them
+export function createUser(fields = {}) {
+    const role = fields.role || 'user';
+    const user = {
+        id: uuidv4(),
+        username: `user-${uuidv4().slice(0, 8)}`,
+        email: null,
+        role,
+        createdAt: new Date(),
+        lastLogin: null,
+        isActive: true,
+        ...fields
+    };
+    authService.users.set(user.username, user);
+    return user;
+}
+
+// Access token from a fresh sign-in session
+export function loginToken(user) {
+    return authService.createSession(user, { get: () => 'jest', ip: '127.0.0.1' }).token;
+}
+
+// The user as requireAuth and the socket handshake see it, permissions resolved
+export function authenticated(user) {
+    return authService.verifyToken(loginToken(user));
+}
+
+// Authorization header value for a user
+export function bearer(user) {
+    return `Bearer ${loginToken(user)}`;
+}
+
+// Express app with JSON parsing and the given routers mounted
+export function createApp(routes) {
+    const app = express();
+    app.use(express.json());
+    for (const [mountPath, router] of Object.entries(routes)) {
+        app.use(mountPath, router);
+    }
+    return app;
+}
+
+// Socket.IO server running socketHandler on a random port. The handler's
+// housekeeping intervals are tracked so close() leaves nothing running.
+export async function startSocketServer() {
+    const httpServer = http.createServer();
+    const io = new Server(httpServer);
+    const timers = [];
+    const realSetInterval = global.setInterval;
+    const spy = jest.spyOn(global, 'setInterval').mockImplementation((...args) => {
+        const timer = realSetInterval(...args);
+        timers.push(timer);
+        return timer;
+    });
+
+    try {
+        socketHandler(io);
+    } finally {
+        spy.mockRestore();
+    }
+
+    await new Promise(resolve => httpServer.listen(0, '127.0.0.1', resolve));
+    const url = `http://127.0.0.1:${httpServer.address().port}`;
+    const clients = [];
+
+    return {
+        io,
+        // Connected client for a user; rejects with the handshake error
+        connect(user, auth = user ? { token: loginToken(user) } : {}) {
+            const client = connectClient(url, { auth, transports: ['websocket'], reconnection: false, forceNew: true });
+            clients.push(client);
+            return new Promise((resolve, reject) => {
+                client.once('connect', () => resolve(client));
+                client.once('connect_error', reject);
+            });
+        },
+        async close() {
+            timers.forEach(clearInterval);
+            clients.forEach(client => client.disconnect());
+            await new Promise(resolve => io.close(resolve));
+        }
+    };
+}
+
+// Resolves with the next payload of an event
+export function nextEvent(socket, event) {
+    return new Promise(resolve => socket.once(event, resolve));
+}
+
+// Resolves with the payloads of an event seen within a short window
+export async function collectEvents(socket, event, ms = 150) {
+    const seen = [];
+    const listener = payload => seen.push(payload);
+    socket.on(event, listener);
+    await new Promise(resolve => setTimeout(resolve, ms));
+    socket.off(event, listener);
+    return seen;
+}
@@ -0,0 +1,127 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import { authService } from '../services/authService.js';
+import { auditService } from '../services/auditService.js';
+import { loginThrottle } from '../services/loginThrottle.js';
+import { createUser, bearer, createApp } from './helpers.js';
+
+const app = createApp({ '/api/auth': authService.router });
+
+let ipCounter = 0;
+const nextIp = () => `10.0.0.${++ipCounter}`;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// Fails n times and returns the wait imposed after the last failure
+function fail(username, ip, n = 1) {
+    for (let i = 0; i < n; i++) loginThrottle.recordFailure(username, ip);
+    return loginThrottle.retryAfter(username, ip);
+}
+
+describe('loginThrottle', () => {
+    test('allows a few free attempts, then doubles the wait', () => {
+        const ip = nextIp();
+
+        expect(fail('backoff', ip, loginThrottle.freeAttempts)).toBe(0);
+        expect(fail('backoff', ip)).toBe(1);
+        expect(fail('backoff', ip)).toBe(2);
+        expect(fail('backoff', ip)).toBe(4);
+    });
+
+    test('locks the account at the threshold and audits it', () => {
+        const ip = nextIp();
+
+        fail('locked', ip, loginThrottle.userLockoutThreshold);
+
+        expect(loginThrottle.retryAfter('locked', null)).toBe(loginThrottle.lockoutDuration);
+        expect(loginThrottle.getStatus('locked')).toMatchObject({ failures: loginThrottle.userLockoutThreshold, locked: true });
+        expect(auditService.list({ event: 'auth.account_locked', username: 'locked' })[0]).toMatchObject({
+            target: 'locked',
+            ip,
+            details: { failures: loginThrottle.userLockoutThreshold, lockedForSeconds: loginThrottle.lockoutDuration }
+        });
+    });
+
+    test('counts per IP across usernames, with a larger allowance', () => {
+        const ip = nextIp();
+
+        for (let i = 0; i < loginThrottle.ipFreeAttempts; i++) {
+            loginThrottle.recordFailure(`spray-${i}`, ip);
+        }
+        expect(loginThrottle.retryAfter('someone-new', ip)).toBe(0);
+
+        loginThrottle.recordFailure('spray-last', ip);
+        expect(loginThrottle.retryAfter('someone-new', ip)).toBe(1);
+        expect(loginThrottle.retryAfter('someone-new', nextIp())).toBe(0);
+    });
+
+    test('a successful sign-in clears the username but not the IP', () => {
+        const ip = nextIp();
+        fail('forgetful', ip, loginThrottle.freeAttempts + 1);
+
+        loginThrottle.recordSuccess('forgetful');
+
+        expect(loginThrottle.getStatus('forgetful').failures).toBe(0);
+        expect(loginThrottle.attempts.get(`ip:${ip}`).failures).toBe(loginThrottle.freeAttempts + 1);
+    });
+});
+
+describe('login route', () => {
+    let user;
+    let ip;
+
+    beforeEach(async () => {
+        user = createUser();
+        authService.users.set(user.username, { ...user, password: await bcrypt.hash('hunter22', 4) });
+        ip = nextIp();
+    });
+
+    const login = (password) => request(app)
+        .post('/api/auth/login')
+        .set('X-Forwarded-For', ip)
+        .send({ username: user.username, password });
+
+    test('answers 429 with Retry-After while backing off, even for the right password', async () => {
+        fail(user.username, null, loginThrottle.freeAttempts + 1);
+
+        const response = await login('hunter22');
+
+        expect(response.status).toBe(429);
+        expect(response.headers['retry-after']).toBe('1');
+        expect(response.body.retryAfter).toBe(1);
+    });
+
+    test('wrong passwords and unknown users count as failures', async () => {
+        await login('wrong');
+        await request(app).post('/api/auth/login').send({ username: 'ghost', password: 'x' });
+
+        expect(loginThrottle.getStatus(user.username).failures).toBe(1);
+        expect(loginThrottle.getStatus('ghost').failures).toBe(1);
+    });
+
+    test('admins see lockouts, unlock accounts and read the audit log', async () => {
+        const admin = createUser({ role: 'admin' });
+        fail(user.username, null, loginThrottle.userLockoutThreshold);
+
+        const users = await request(app).get('/api/auth/users').set('Authorization', bearer(admin));
+        expect(users.body.users.find(u => u.username === user.username).lockout.locked).toBe(true);
+
+        const unlocked = await request(app).post(`/api/auth/users/${user.username}/unlock`).set('Authorization', bearer(admin));
+        expect(unlocked.body.lockout).toEqual({ failures: 0, lockedUntil: null, locked: false });
+        expect((await login('hunter22')).status).toBe(200);
+
+        const audit = await request(app).get(`/api/auth/audit?username=${user.username}`).set('Authorization', bearer(admin));
+        expect(audit.body.events.map(entry => entry.event)).toEqual(['auth.account_unlocked', 'auth.account_locked']);
+        expect(audit.body.events[0]).toMatchObject({ actor: admin.username, details: { wasLocked: true } });
+
+        expect((await request(app).get('/api/auth/audit').set('Authorization', bearer(user))).status).toBe(403);
+        expect((await request(app).post('/api/auth/users/nobody/unlock').set('Authorization', bearer(admin))).status).toBe(404);
+    });
+});
@@ -0,0 +1,232 @@
+import { jest } from '@jest/globals';
+import net from 'net';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import { authService } from '../services/authService.js';
+import { mailService } from '../services/mailService.js';
+import { loginThrottle } from '../services/loginThrottle.js';
+import { createTransport, buildMessage, addressOf, SmtpTransport, FileTransport } from '../services/mail/index.js';
+import { createUser, bearer, createApp } from './helpers.js';
+
+const app = createApp({ '/api/auth': authService.router });
+
+let sent;
+
+beforeEach(() => {
+    sent = [];
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(mailService, 'send').mockImplementation(async (mail) => { sent.push(mail); });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// The token from the link in the last mail
+const mailedToken = (param) => new URL(sent.at(-1).text.match(/http\S+/)[0]).searchParams.get(param);
+
+async function userWithPassword(fields = {}) {
+    const user = createUser(fields);
+    user.email = `${user.username}@example.com`;
+    user.password = await bcrypt.hash('hunter22', 4);
+    authService.users.set(user.username, user);
+    return user;
+}
+
+describe('password reset', () => {
+    test('mails a link whose token sets a new password once', async () => {
+        const user = await userWithPassword();
+        const session = authService.createSession(user, { get: () => 'jest', ip: '127.0.0.1' });
+
+        const forgot = await request(app).post('/api/auth/password/forgot').send({ email: user.email.toUpperCase() });
+        expect(forgot.body.success).toBe(true);
+        expect(sent.at(-1)).toMatchObject({ to: user.email, subject: 'Reset your password' });
+
+        const token = mailedToken('reset');
+        const reset = await request(app).post('/api/auth/password/reset').send({ token, newPassword: 'a new password' });
+        expect(reset.body.success).toBe(true);
+
+        expect(await bcrypt.compare('a new password', authService.users.get(user.username).password)).toBe(true);
+        expect(authService.users.get(user.username).emailVerified).toBe(true);
+        expect(authService.verifyToken(session.token)).toBeNull();
+
+        const again = await request(app).post('/api/auth/password/reset').send({ token, newPassword: 'another one' });
+        expect(again.status).toBe(400);
+    });
+
+    test('answers the same for unknown accounts and sends nothing', async () => {
+        const response = await request(app).post('/api/auth/password/forgot').send({ username: 'nobody-here' });
+
+        expect(response.body.success).toBe(true);
+        expect(sent).toEqual([]);
+        expect((await request(app).post('/api/auth/password/forgot').send({})).status).toBe(400);
+    });
+
+    test('sends at most one mail per cooldown', async () => {
+        const user = await userWithPassword();
+
+        await request(app).post('/api/auth/password/forgot').send({ username: user.username });
+        await request(app).post('/api/auth/password/forgot').send({ username: user.username });
+
+        expect(sent).toHaveLength(1);
+    });
+
+    test('tokens expire and lift a lockout when used', async () => {
+        const user = await userWithPassword();
+        const expired = authService.generateMailToken(user, 'password_reset', -1);
+        expect((await request(app).post('/api/auth/password/reset').send({ token: expired, newPassword: 'x' })).status).toBe(400);
+
+        for (let i = 0; i < loginThrottle.userLockoutThreshold; i++) loginThrottle.recordFailure(user.username, null);
+        const token = authService.generateMailToken(user, 'password_reset', 60);
+        await request(app).post('/api/auth/password/reset').send({ token, newPassword: 'unlocked now' });
+
+        expect(loginThrottle.getStatus(user.username).locked).toBe(false);
+    });
+
+    test('a verification token cannot reset a password', async () => {
+        const user = await userWithPassword();
+        const token = authService.generateMailToken(user, 'email_verify', 60);
+
+        expect((await request(app).post('/api/auth/password/reset').send({ token, newPassword: 'x' })).status).toBe(400);
+    });
+});
+
+describe('email verification', () => {
+    test('registration mails a verification link', async () => {
+        const registered = await request(app).post('/api/auth/register')
+            .send({ username: 'verify-me', email: ' Verify@Example.com ', password: 'hunter22' });
+        expect(registered.body.user).toMatchObject({ email: 'verify@example.com', emailVerified: false });
+        expect(registered.body.user.mailSentAt).toBeUndefined();
+
+        const verified = await request(app).post('/api/auth/email/verify').send({ token: mailedToken('verify') });
+        expect(verified.body.user.emailVerified).toBe(true);
+    });
+
+    test('addresses must be valid and unique', async () => {
+        const user = await userWithPassword();
+
+        const invalid = await request(app).post('/api/auth/register').send({ username: 'bad-mail', email: 'nope', password: 'x' });
+        const taken = await request(app).post('/api/auth/register').send({ username: 'copycat', email: user.email, password: 'x' });
+
+        expect(invalid.status).toBe(400);
+        expect(taken.status).toBe(409);
+    });
+
+    test('changing the address needs a new confirmation and voids the old link', async () => {
+        const user = await userWithPassword({ emailVerified: true });
+        const oldToken = authService.generateMailToken(user, 'email_verify', 60);
+
+        const updated = await request(app).put('/api/auth/profile').set('Authorization', bearer(user)).send({ email: 'new@example.com' });
+        expect(updated.body.user).toMatchObject({ email: 'new@example.com', emailVerified: false });
+        expect(sent.at(-1).to).toBe('new@example.com');
+
+        expect((await request(app).post('/api/auth/email/verify').send({ token: oldToken })).status).toBe(400);
+        expect((await request(app).post('/api/auth/email/verify').send({ token: mailedToken('verify') })).status).toBe(200);
+    });
+
+    test('resending respects the cooldown and verified addresses', async () => {
+        const user = await userWithPassword();
+        const resend = () => request(app).post('/api/auth/email/verify/resend').set('Authorization', bearer(user));
+
+        expect((await resend()).status).toBe(200);
+        expect((await resend()).status).toBe(429);
+
+        authService.users.set(user.username, { ...authService.users.get(user.username), emailVerified: true });
+        expect((await resend()).status).toBe(400);
+    });
+});
+
+describe('messages and transports', () => {
+    test('builds a base64 plain-text message with an envelope', () => {
+        const message = buildMessage({ from: 'Bot <bot@example.com>', to: 'a@example.com', subject: 'Grüße', text: 'x'.repeat(100) });
+
+        expect(message.envelope).toEqual({ from: 'bot@example.com', to: ['a@example.com'] });
+        expect(message.messageId).toMatch(/@example\.com>$/);
+        expect(message.raw).toContain('Subject: =?UTF-8?B?');
+        expect(message.raw.split('\r\n\r\n')[1].split('\r\n')[0]).toHaveLength(76);
+        expect(addressOf(' plain@example.com ')).toBe('plain@example.com');
+    });
+
+    test('picks the transport from the environment', () => {
+        expect(createTransport({}).name).toBe('console');
+        expect(createTransport({ SMTP_HOST: 'mail.example.com' })).toMatchObject({ name: 'smtp', port: 587 });
+        expect(createTransport({ SMTP_HOST: 'mail.example.com', SMTP_SECURE: 'true' }).port).toBe(465);
+        expect(() => createTransport({ MAIL_TRANSPORT: 'smtp' })).toThrow('needs SMTP_HOST');
+        expect(() => createTransport({ MAIL_TRANSPORT: 'pigeon' })).toThrow('Unknown MAIL_TRANSPORT');
+    });
+
+    test('the file transport writes JSON and .eml', async () => {
+        const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'mail-'));
+        const transport = new FileTransport({ directory });
+
+        const result = await transport.send(buildMessage({ from: 'bot@example.com', to: 'a@example.com', subject: 'Hi', text: 'Hello' }));
+
+        expect(JSON.parse(await fs.readFile(result.path, 'utf8'))).toMatchObject({ to: ['a@example.com'], text: 'Hello' });
+        expect(await fs.readFile(result.path.replace(/json$/, 'eml'), 'utf8')).toContain('Subject: Hi');
+        await fs.rm(directory, { recursive: true, force: true });
+    });
+
+    // A server without STARTTLS that accepts anything; returns the lines it got
+    async function fakeSmtpServer() {
+        const received = [];
+        const server = net.createServer((socket) => {
+            let data = false;
+            socket.write('220 fake ESMTP\r\n');
+            socket.on('data', (chunk) => {
+                for (const line of chunk.toString().split('\r\n').filter(Boolean)) {
+                    received.push(line);
+                    if (data) {
+                        if (line === '.') { data = false; socket.write('250 queued\r\n'); }
+                    } else if (line.startsWith('EHLO')) {
+                        socket.write('250-fake\r\n250 8BITMIME\r\n');
+                    } else if (line === 'DATA') {
+                        data = true;
+                        socket.write('354 go ahead\r\n');
+                    } else if (line.startsWith('AUTH')) {
+                        socket.write('235 welcome\r\n');
+                    } else if (line === 'QUIT') {
+                        socket.end('221 bye\r\n');
+                    } else {
+                        socket.write('250 ok\r\n');
+                    }
+                }
+            });
+        });
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        return { server, received, port: server.address().port };
+    }
+
+    test('SMTP delivers over a plain session and dot-stuffs the body', async () => {
+        const { server, received, port } = await fakeSmtpServer();
+
+        const transport = new SmtpTransport({ host: '127.0.0.1', port, clientName: 'jest' });
+        const message = buildMessage({ from: 'bot@example.com', to: ['a@example.com', 'b@example.com'], subject: 'Hi', text: 'Hello' });
+        message.raw += '\r\n.hidden';
+
+        await expect(transport.send(message)).resolves.toEqual({ messageId: message.messageId });
+        server.close();
+
+        expect(received.slice(0, 4)).toEqual(['EHLO jest', 'MAIL FROM:<bot@example.com>', 'RCPT TO:<a@example.com>', 'RCPT TO:<b@example.com>']);
+        expect(received).toContain('..hidden');
+    });
+
+    test('SMTP credentials are not sent without TLS unless allowed', async () => {
+        const { server, received, port } = await fakeSmtpServer();
+        const message = buildMessage({ from: 'bot@example.com', to: 'a@example.com', subject: 'Hi', text: 'Hello' });
+        const config = { host: '127.0.0.1', port, clientName: 'jest', user: 'bot', pass: 'secret' };
+
+        try {
+            await expect(new SmtpTransport(config).send(message)).rejects.toThrow('refusing to send credentials unencrypted');
+            expect(received.some(line => line.startsWith('AUTH'))).toBe(false);
+
+            await new SmtpTransport({ ...config, allowInsecureAuth: true }).send(message);
+            expect(received).toContain(`AUTH PLAIN ${Buffer.from('\0bot\0secret').toString('base64')}`);
+        } finally {
+            server.close();
+        }
+        expect(createTransport({ SMTP_HOST: 'mail.example.com', SMTP_ALLOW_INSECURE_AUTH: 'true' }).allowInsecureAuth).toBe(true);
+    });
+});
@@ -0,0 +1,168 @@
+import request from 'supertest';
+import Database from 'better-sqlite3';
+import { conversationService } from '../services/conversationService.js';
+import { runMigrations } from '../storage/migrator.js';
+import { migrations } from '../storage/migrations/index.js';
+import { createUser, bearer, createApp } from './helpers.js';
+
+const app = createApp({ '/api/conversations': conversationService.router });
+
+let owner;
+let id;
+
+// Adds a user turn and its reply, returning both IDs
+async function turn(content, parentId) {
+    const userId = await conversationService.addMessage(id, {
+        role: 'user',
+        content,
+        ...(parentId !== undefined && { parentId })
+    });
+    const replyId = await conversationService.addMessage(id, { role: 'assistant', content: `re: ${content}`, parentId: userId });
+    return [userId, replyId];
+}
+
+const contents = messages => messages.map(message => message.content);
+
+beforeEach(() => {
+    owner = createUser();
+    id = conversationService.createConversation('Tree', {}, { ownerId: owner.id });
+});
+
+describe('message tree', () => {
+    test('new messages continue the active branch', async () => {
+        const [first, reply] = await turn('one');
+        const [second] = await turn('two');
+
+        const conversation = conversationService.getConversation(id);
+        expect(conversation.messages.find(m => m.id === first).parentId).toBeNull();
+        expect(conversation.messages.find(m => m.id === second).parentId).toBe(reply);
+        expect(contents(conversationService.getHistory(id))).toEqual(['one', 're: one', 'two', 're: two']);
+    });
+
+    test('rejects parents that are not in the conversation', async () => {
+        await expect(conversationService.addMessage(id, { role: 'user', content: 'x', parentId: 'nope' }))
+            .rejects.toMatchObject({ status: 400, message: 'Parent message not found' });
+    });
+
+    test('editing starts a sibling branch with the history before it', async () => {
+        const [, reply] = await turn('one');
+        const [second] = await turn('two');
+
+        const resolved = conversationService.resolveTurn(id, { editId: second });
+        expect(resolved.parentId).toBe(reply);
+        expect(contents(resolved.history)).toEqual(['one', 're: one']);
+
+        await turn('two, edited', resolved.parentId);
+
+        const thread = conversationService.getThread(id);
+        expect(contents(thread)).toEqual(['one', 're: one', 'two, edited', 're: two, edited']);
+        expect(thread[2].branch).toMatchObject({ index: 2, count: 2 });
+        expect(thread[0].branch).toMatchObject({ index: 1, count: 1 });
+    });
+
+    test('regenerating answers the same user message again', async () => {
+        const [first, reply] = await turn('one');
+
+        for (const target of [first, reply]) {
+            const resolved = conversationService.resolveTurn(id, { regenerateId: target });
+            expect(resolved.userMessage.id).toBe(first);
+            expect(resolved.parentId).toBe(first);
+            expect(resolved.history).toEqual([]);
+        }
+
+        await conversationService.addMessage(id, { role: 'assistant', content: 'another answer', parentId: first });
+        expect(conversationService.getThread(id)[1].branch).toMatchObject({ index: 2, count: 2, siblings: [reply, expect.any(String)] });
+    });
+
+    test('only user messages can be edited', async () => {
+        const [, reply] = await turn('one');
+
+        expect(() => conversationService.resolveTurn(id, { editId: reply })).toThrow('Only user messages can be edited');
+        expect(() => conversationService.resolveTurn(id, { regenerateId: 'missing' })).toThrow('Nothing to regenerate');
+    });
+
+    test('switching follows the newest child down to a leaf', async () => {
+        const [first] = await turn('one');
+        await turn('two');
+        const [edited] = await turn('one, edited', null);
+
+        expect(conversationService.switchBranch(id, first)).not.toBe(edited);
+        expect(contents(conversationService.getHistory(id))).toEqual(['one', 're: one', 'two', 're: two']);
+
+        const branches = conversationService.listBranches(id);
+        expect(branches).toHaveLength(2);
+        expect(branches.filter(b => b.active).map(b => b.messageCount)).toEqual([4]);
+    });
+
+    test('exports follow the active branch', async () => {
+        const [, kept] = await turn('kept');
+        const [dropped] = await turn('dropped');
+        await turn('replacement', kept);
+        expect(conversationService.getConversation(id).messages.some(m => m.id === dropped)).toBe(true);
+
+        const markdown = conversationService.exportConversation(id, 'md');
+        expect(markdown).toContain('replacement');
+        expect(markdown).not.toContain('dropped');
+    });
+
+    test('trimming a long history drops stale branches before the active path', async () => {
+        const maxHistoryLength = conversationService.maxHistoryLength;
+        conversationService.maxHistoryLength = 6;
+        try {
+            const [, root] = await turn('root');
+            await turn('stale');
+            await turn('current', root);
+            await turn('next');
+
+            expect(contents(conversationService.getHistory(id))).toEqual(['root', 're: root', 'current', 're: current', 'next', 're: next']);
+            expect(conversationService.getConversation(id).messages).toHaveLength(6);
+
+            await turn('last');
+            expect(contents(conversationService.getHistory(id))).toEqual(['current', 're: current', 'next', 're: next', 'last', 're: last']);
+        } finally {
+            conversationService.maxHistoryLength = maxHistoryLength;
+        }
+    });
+});
+
+describe('branch routes', () => {
+    test('list branches and switch between them', async () => {
+        const [first] = await turn('one');
+        await turn('one, edited', null);
+
+        const listed = await request(app).get(`/api/conversations/${id}/branches`).set('Authorization', bearer(owner));
+        expect(listed.body.branches).toHaveLength(2);
+
+        const switched = await request(app)
+            .put(`/api/conversations/${id}/branches/active`)
+            .set('Authorization', bearer(owner))
+            .send({ messageId: first });
+        expect(contents(switched.body.history)).toEqual(['one', 're: one']);
+        expect(switched.body.history[0].branch).toMatchObject({ index: 1, count: 2 });
+
+        const missing = await request(app)
+            .put(`/api/conversations/${id}/branches/active`)
+            .set('Authorization', bearer(owner))
+            .send({ messageId: 'nope' });
+        expect(missing.status).toBe(404);
+    });
+});
+
+describe('message_tree migration', () => {
+    test('links existing flat histories into a single branch', () => {
+        const db = new Database(':memory:');
+        const [initial, ...rest] = migrations.filter(migration => migration.version <= 3);
+        runMigrations(db, [initial], { log: () => {} });
+
+        const messages = [{ id: 'a', role: 'user' }, { id: 'b', role: 'assistant' }, { id: 'c', role: 'user' }];
+        db.prepare('INSERT INTO conversations (id, data, updated_at) VALUES (?, ?, ?)')
+            .run('c1', JSON.stringify({ id: 'c1', messages }), Date.now());
+
+        runMigrations(db, rest, { log: () => {} });
+
+        const migrated = JSON.parse(db.prepare('SELECT data FROM conversations').get().data);
+        expect(migrated.messages.map(m => m.parentId)).toEqual([null, 'a', 'b']);
+        expect(migrated.activeLeafId).toBe('c');
+        db.close();
+    });
+});
@@ -0,0 +1,178 @@
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import request from 'supertest';
+import { authService } from '../services/authService.js';
+import { aiService } from '../services/aiService.js';
+import { conversationService } from '../services/conversationService.js';
+import { fileService } from '../services/fileService.js';
+import { retrievalService } from '../services/retrievalService.js';
+import { createUser, bearer, createApp } from './helpers.js';
+
+const app = createApp({
+    '/api/ai': aiService.router,
+    '/api/files': fileService.router,
+    '/api/conversations': conversationService.router
+});
+
+let alice;
+let bob;
+let admin;
+let dir;
+
+beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'ownership-'));
+    fileService.uploadDir = dir;
+    fileService.textDir = path.join(dir, '.extracted');
+    await fs.mkdir(fileService.textDir);
+    retrievalService.indexDir = path.join(dir, '.index');
+    await fs.mkdir(retrievalService.indexDir);
+
+    alice = createUser();
+    bob = createUser();
+    admin = createUser({ role: 'admin' });
+});
+
+afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+async function createConversation(user, title) {
+    const response = await request(app)
+        .post('/api/conversations')
+        .set('Authorization', bearer(user))
+        .send({ title });
+    return response.body.conversationId;
+}
+
+describe('authentication', () => {
+    test.each([
+        ['get', '/api/conversations'],
+        ['post', '/api/conversations'],
+        ['get', '/api/files'],
+        ['post', '/api/ai/generate']
+    ])('%s %s needs a token', async (method, url) => {
+        const response = await request(app)[method](url);
+        expect(response.status).toBe(401);
+    });
+
+    test('tokens of deactivated users are refused', async () => {
+        const carol = createUser();
+        const header = bearer(carol);
+        authService.users.set(carol.username, { ...carol, isActive: false });
+
+        const response = await request(app).get('/api/conversations').set('Authorization', header);
+        expect(response.status).toBe(401);
+    });
+
+    test('routes check the permission for their area', async () => {
+        const guest = createUser({ role: 'guest' });
+
+        const conversations = await request(app).get('/api/conversations').set('Authorization', bearer(guest));
+        const files = await request(app).get('/api/files').set('Authorization', bearer(guest));
+
+        expect(conversations.status).toBe(403);
+        expect(files.status).toBe(403);
+    });
+});
+
+describe('conversation ownership', () => {
+    test("other users' conversations look missing", async () => {
+        const id = await createConversation(alice, 'Private');
+
+        const own = await request(app).get(`/api/conversations/${id}`).set('Authorization', bearer(alice));
+        const other = await request(app).get(`/api/conversations/${id}`).set('Authorization', bearer(bob));
+        const removal = await request(app).delete(`/api/conversations/${id}`).set('Authorization', bearer(bob));
+
+        expect(own.status).toBe(200);
+        expect(other.status).toBe(404);
+        expect(removal.status).toBe(404);
+        expect(conversationService.getConversation(id)).not.toBeNull();
+    });
+
+    test('admins may read any conversation', async () => {
+        const id = await createConversation(alice, 'Audited');
+
+        const response = await request(app).get(`/api/conversations/${id}`).set('Authorization', bearer(admin));
+        expect(response.status).toBe(200);
+    });
+
+    test('listing shows only your own, unless an admin asks for all', async () => {
+        const mine = await createConversation(alice, 'Alice list');
+        const theirs = await createConversation(bob, 'Bob list');
+
+        const list = async (user, query = '') => (await request(app)
+            .get(`/api/conversations${query}`)
+            .set('Authorization', bearer(user))).body.conversations.map(c => c.id);
+
+        expect(await list(alice)).toContain(mine);
+        expect(await list(alice)).not.toContain(theirs);
+        expect(await list(bob, '?all=true')).not.toContain(mine);
+        expect(await list(admin, '?all=true')).toEqual(expect.arrayContaining([mine, theirs]));
+    });
+
+    test('search only covers accessible conversations', async () => {
+        await createConversation(alice, 'Zanzibar trip');
+
+        const response = await request(app)
+            .post('/api/conversations/search')
+            .set('Authorization', bearer(bob))
+            .send({ query: 'zanzibar' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.results).toEqual([]);
+    });
+
+    test('chat turns cannot land in somebody else\'s conversation', async () => {
+        const id = await createConversation(alice, 'Mine');
+
+        expect(() => conversationService.ensureConversation(id, bob)).toThrow(expect.objectContaining({ status: 404 }));
+
+        const created = conversationService.ensureConversation('client-chosen-id', bob);
+        expect(created).toMatchObject({ id: 'client-chosen-id', ownerId: bob.id });
+    });
+});
+
+describe('file ownership', () => {
+    async function upload(user, name, content) {
+        const response = await request(app)
+            .post('/api/files/upload')
+            .set('Authorization', bearer(user))
+            .attach('file', Buffer.from(content), name);
+        expect(response.status).toBe(200);
+        return response.body.file;
+    }
+
+    test('uploads are recorded with their owner', async () => {
+        const file = await upload(alice, 'notes.txt', 'hello');
+
+        expect(fileService.files.get(file.id)).toMatchObject({ ownerId: alice.id, originalName: 'notes.txt' });
+    });
+
+    test("other users can't read, analyze or delete a file", async () => {
+        const file = await upload(alice, 'secret.txt', 'top secret');
+
+        for (const [method, url] of [
+            ['get', `/api/files/content/${file.id}`],
+            ['post', `/api/files/analyze/${file.id}`],
+            ['delete', `/api/files/${file.id}`]
+        ]) {
+            const response = await request(app)[method](url).set('Authorization', bearer(bob));
+            expect(response.status).toBe(404);
+        }
+
+        const own = await request(app).get(`/api/files/content/${file.id}`).set('Authorization', bearer(alice));
+        expect(own.status).toBe(200);
+        expect(JSON.stringify(own.body.content)).toContain('top secret');
+    });
+
+    test('listing shows only your own files', async () => {
+        const file = await upload(alice, 'listed.txt', 'a');
+
+        const bobs = await request(app).get('/api/files').set('Authorization', bearer(bob));
+        const admins = await request(app).get('/api/files').set('Authorization', bearer(admin));
+
+        expect(JSON.stringify(bobs.body.files)).not.toContain(file.id);
+        expect(JSON.stringify(admins.body.files)).toContain('listed.txt');
+    });
+});
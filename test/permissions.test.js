@@ -0,0 +1,70 @@
+import { matchesPermission, hasPermission, isKnownPermission, coversPermissions } from '../services/permissions.js';
+
+describe('matchesPermission', () => {
+    test('exact grants match only themselves', () => {
+        expect(matchesPermission('files:upload', 'files:upload')).toBe(true);
+        expect(matchesPermission('files:upload', 'files:read:own')).toBe(false);
+        expect(matchesPermission('files:read', 'files:read:own')).toBe(false);
+    });
+
+    test('a trailing "*" covers everything from there on', () => {
+        expect(matchesPermission('*', 'chat')).toBe(true);
+        expect(matchesPermission('*', 'conversations:manage:any')).toBe(true);
+        expect(matchesPermission('files:*', 'files:upload')).toBe(true);
+        expect(matchesPermission('files:*', 'files:delete:any')).toBe(true);
+        expect(matchesPermission('files:*', 'files')).toBe(false);
+        expect(matchesPermission('files:*', 'conversations:read:own')).toBe(false);
+    });
+
+    test('an inner "*" matches exactly one segment', () => {
+        expect(matchesPermission('files:*:own', 'files:read:own')).toBe(true);
+        expect(matchesPermission('files:*:own', 'files:delete:own')).toBe(true);
+        expect(matchesPermission('files:*:own', 'files:read:any')).toBe(false);
+        expect(matchesPermission('*:read:any', 'conversations:read:any')).toBe(true);
+        expect(matchesPermission('files:*:own', 'files:upload')).toBe(false);
+    });
+
+    test('"any" covers "own" in the last segment only', () => {
+        expect(matchesPermission('files:read:any', 'files:read:own')).toBe(true);
+        expect(matchesPermission('files:*:any', 'files:delete:own')).toBe(true);
+        expect(matchesPermission('files:read:own', 'files:read:any')).toBe(false);
+        expect(matchesPermission('any:read', 'own:read')).toBe(false);
+    });
+});
+
+describe('hasPermission', () => {
+    test('any one grant is enough', () => {
+        expect(hasPermission(['chat', 'files:*'], 'files:read:own')).toBe(true);
+        expect(hasPermission(['chat'], 'files:read:own')).toBe(false);
+        expect(hasPermission(undefined, 'chat')).toBe(false);
+    });
+});
+
+describe('isKnownPermission', () => {
+    test('wildcards count when they cover something in the catalog', () => {
+        expect(isKnownPermission('files:*')).toBe(true);
+        expect(isKnownPermission('*:read:any')).toBe(true);
+        expect(isKnownPermission('flies:*')).toBe(false);
+        expect(isKnownPermission('Files:upload')).toBe(false);
+    });
+});
+
+describe('coversPermissions', () => {
+    test('held wildcards cover narrower grants', () => {
+        expect(coversPermissions(['files:*'], ['files:delete:any', 'files:upload'])).toBe(true);
+        expect(coversPermissions(['files:read:any'], ['files:read:own'])).toBe(true);
+    });
+
+    test('a wildcard grant needs everything it expands to', () => {
+        expect(coversPermissions(['files:read:own'], ['files:*'])).toBe(false);
+        expect(coversPermissions(
+            ['files:upload', 'files:read:any', 'files:delete:any'],
+            ['files:*']
+        )).toBe(true);
+    });
+
+    test('only holders of "*" may grant "*"', () => {
+        expect(coversPermissions(['*'], ['*'])).toBe(true);
+        expect(coversPermissions(['files:*', 'conversations:*', 'chat', 'ai:*'], ['*'])).toBe(false);
+    });
+});
@@ -0,0 +1,109 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { fileURLToPath } from 'url';
+import { promptService } from '../services/promptService.js';
+
+const shipped = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'prompts');
+let dir;
+
+beforeEach(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'prompts-'));
+    await fs.cp(shipped, dir, { recursive: true });
+    promptService.promptsDir = dir;
+    promptService.loadPrompts();
+});
+
+afterEach(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+describe('registry', () => {
+    test('loads the shipped personas', () => {
+        const names = promptService.listPrompts().map(prompt => prompt.name);
+        expect(names).toEqual(expect.arrayContaining(['assistant', 'uncensored']));
+        expect(promptService.prompts.has(promptService.defaultPersona)).toBe(true);
+    });
+
+    test('updates add versions instead of overwriting', async () => {
+        await promptService.createPrompt('pirate', { description: 'Arr', template: 'Talk like a pirate, {{name}}.\n', createdBy: 'admin' });
+        await promptService.updatePrompt('pirate', { template: 'Talk like a parrot.', note: 'tone', createdBy: 'admin' });
+
+        const prompt = promptService.prompts.get('pirate');
+        expect(prompt.versions.map(v => v.version)).toEqual([1, 2]);
+        expect(prompt.versions[0]).toMatchObject({ template: 'Talk like a pirate, {{name}}.', variables: ['name'] });
+        expect(prompt.versions[1]).toMatchObject({ note: 'tone', createdBy: 'admin' });
+        expect(await fs.readFile(path.join(dir, 'pirate', 'v1.md'), 'utf-8')).toBe('Talk like a pirate, {{name}}.\n');
+    });
+
+    test('an unchanged template or a description change adds no version', async () => {
+        await promptService.createPrompt('pirate', { description: 'Arr', template: 'Ahoy', createdBy: 'admin' });
+        await promptService.updatePrompt('pirate', { template: 'Ahoy', description: 'Yo ho' });
+
+        expect(promptService.prompts.get('pirate')).toMatchObject({ description: 'Yo ho', versions: [{ version: 1 }] });
+    });
+
+    test('versions and their metadata survive a reload from disk', async () => {
+        await promptService.createPrompt('pirate', { description: 'Arr', template: 'One', createdBy: 'alice' });
+        await promptService.updatePrompt('pirate', { template: 'Two', note: 'second', createdBy: 'bob' });
+
+        promptService.loadPrompts();
+
+        const prompt = promptService.prompts.get('pirate');
+        expect(prompt.description).toBe('Arr');
+        expect(prompt.versions).toMatchObject([
+            { version: 1, template: 'One', createdBy: 'alice' },
+            { version: 2, template: 'Two', createdBy: 'bob', note: 'second' }
+        ]);
+    });
+});
+
+describe('render', () => {
+    beforeEach(async () => {
+        await promptService.createPrompt('greeter', { template: 'Hi {{ name }}, today is {{date}}.{{missing}}\n\n\n\nBye', createdBy: 'admin' });
+        await promptService.updatePrompt('greeter', { template: 'Hello {{name}}' });
+    });
+
+    test('substitutes variables, with date built in and unknown ones empty', () => {
+        const { version, content } = promptService.render('greeter', { version: 1, variables: { name: 'Ada' } });
+
+        expect(version).toBe(1);
+        expect(content).toBe(`Hi Ada, today is ${new Date().toISOString().split('T')[0]}.\n\nBye`);
+    });
+
+    test('uses the latest version unless one is given', () => {
+        expect(promptService.render('greeter', { variables: { name: 'Ada' } })).toEqual({ name: 'greeter', version: 2, content: 'Hello Ada' });
+    });
+
+    test('throws for unknown personas and versions', () => {
+        expect(() => promptService.render('nobody')).toThrow('Prompt not found: nobody');
+        expect(() => promptService.render('greeter', { version: 9 })).toThrow('Prompt not found: greeter v9');
+    });
+});
+
+describe('resolveSystemPrompt', () => {
+    beforeEach(async () => {
+        await promptService.createPrompt('greeter', { template: 'v1 {{name}}' });
+        await promptService.updatePrompt('greeter', { template: 'v2 {{name}}' });
+    });
+
+    test('honours a persona pinned by name or by name and version', () => {
+        expect(promptService.resolveSystemPrompt({ persona: 'greeter' }, { name: 'x' }).content).toBe('v2 x');
+        expect(promptService.resolveSystemPrompt({ persona: { name: 'greeter', version: 1 } }, { name: 'x' }).content).toBe('v1 x');
+    });
+
+    test('falls back to the default persona', () => {
+        expect(promptService.resolveSystemPrompt({}).name).toBe(promptService.defaultPersona);
+        expect(promptService.resolveSystemPrompt({ persona: 'deleted' }).name).toBe(promptService.defaultPersona);
+    });
+
+    test('falls back to the default persona when a pinned version is gone', () => {
+        const log = jest.spyOn(console, 'error').mockImplementation(() => {});
+        try {
+            expect(promptService.resolveSystemPrompt({ persona: { name: 'greeter', version: 7 } }).name).toBe(promptService.defaultPersona);
+        } finally {
+            log.mockRestore();
+        }
+    });
+});
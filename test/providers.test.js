@@ -0,0 +1,197 @@
+import { jest } from '@jest/globals';
+import { Readable } from 'stream';
+import { createProviders, OpenAIProvider, AnthropicProvider, OllamaProvider } from '../services/providers/index.js';
+
+const messages = [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'Hi' },
+    { role: 'user', content: 'Still there?' },
+    { role: 'assistant', content: 'Yes.' },
+    { role: 'user', content: 'Good' }
+];
+
+// Replace the HTTP call with a canned response body
+function reply(provider, data) {
+    provider.post = jest.fn(async () => ({ data }));
+    return provider.post;
+}
+
+function streamed(provider, chunks) {
+    provider.post = jest.fn(async () => ({ data: Readable.from(chunks.map(chunk => Buffer.from(chunk))) }));
+    return provider.post;
+}
+
+describe('createProviders', () => {
+    test('registers only providers with an endpoint or key', () => {
+        const providers = createProviders({
+            PERPLEXITY_API_URL: 'https://api.perplexity.ai/chat/completions',
+            PERPLEXITY_MODEL: 'sonar',
+            ANTHROPIC_API_KEY: 'sk-ant',
+            OLLAMA_API_URL: 'http://localhost:11434/'
+        });
+
+        expect([...providers.keys()]).toEqual(['perplexity', 'anthropic', 'ollama']);
+        expect(providers.get('perplexity')).toBeInstanceOf(OpenAIProvider);
+        expect(providers.get('anthropic').apiUrl).toBe('https://api.anthropic.com/v1/messages');
+        expect(providers.get('anthropic').model).toBe('claude-3-5-sonnet-latest');
+        expect(providers.get('ollama').chatUrl).toBe('http://localhost:11434/api/chat');
+    });
+
+    test('an OpenAI key alone selects the hosted endpoint', () => {
+        const openai = createProviders({ OPENAI_API_KEY: 'sk' }).get('openai');
+
+        expect(openai.apiUrl).toBe('https://api.openai.com/v1/chat/completions');
+        expect(openai.getHeaders().Authorization).toBe('Bearer sk');
+    });
+
+    test('applies AI_REQUEST_TIMEOUT', () => {
+        const providers = createProviders({ LLAMACPP_API_URL: 'http://localhost:8080/v1/chat/completions', AI_REQUEST_TIMEOUT: '1234' });
+        expect(providers.get('llamacpp').timeout).toBe(1234);
+    });
+
+    test('without AI_REQUEST_TIMEOUT each provider keeps its own default', () => {
+        const providers = createProviders({ OLLAMA_API_URL: 'http://localhost:11434', OPENAI_API_KEY: 'sk' });
+        expect(providers.get('ollama').timeout).toBe(300000);
+        expect(providers.get('openai').timeout).toBeLessThan(300000);
+    });
+
+    test('describes a provider without its key', () => {
+        const openai = createProviders({ OPENAI_API_KEY: 'sk-secret' }).get('openai');
+        expect(JSON.stringify(openai.describe())).not.toContain('sk-secret');
+    });
+});
+
+describe('OpenAIProvider', () => {
+    const provider = () => new OpenAIProvider({ name: 'openai', apiUrl: 'http://llm/v1/chat/completions', model: 'gpt' });
+
+    test('sends the messages array as is', async () => {
+        const openai = provider();
+        const post = reply(openai, {
+            model: 'gpt-x',
+            choices: [{ message: { content: 'Hello' } }],
+            usage: { prompt_tokens: 3, completion_tokens: 1, total_tokens: 4 }
+        });
+
+        const result = await openai.complete(messages, { max_tokens: 10, top_p: 0.5 });
+
+        expect(post.mock.calls[0][1]).toMatchObject({ model: 'gpt', messages, max_tokens: 10, top_p: 0.5, stream: false });
+        expect(result).toMatchObject({ content: 'Hello', model: 'gpt-x', usage: { total_tokens: 4 } });
+    });
+
+    test('keeps a temperature of 0 and defaults only a missing one', () => {
+        expect(provider().buildRequest(messages, { temperature: 0 }, false).temperature).toBe(0);
+        expect(provider().buildRequest(messages, {}, false).temperature).toBe(0.7);
+    });
+
+    test('streams SSE deltas, across chunk boundaries', async () => {
+        const openai = provider();
+        streamed(openai, [
+            'data: {"model":"gpt-x","choices":[{"delta":{"content":"Hel"}}]}\n\ndata: {"choi',
+            'ces":[{"delta":{"content":"lo"}}]}\n\n: keep-alive\n',
+            'data: not json\ndata: [DONE]\n'
+        ]);
+        const chunks = [];
+
+        const result = await openai.stream(messages, {}, chunk => chunks.push(chunk));
+
+        expect(chunks).toEqual(['Hel', 'lo']);
+        expect(result).toMatchObject({ content: 'Hello', model: 'gpt-x' });
+    });
+});
+
+describe('AnthropicProvider', () => {
+    const provider = () => new AnthropicProvider({ name: 'anthropic', apiUrl: 'http://llm/v1/messages', apiKey: 'k', model: 'claude' });
+
+    test('moves the system prompt out and merges adjacent turns', () => {
+        const request = provider().buildRequest(messages, { temperature: 1.5 }, false);
+
+        expect(request.system).toBe('Be brief.');
+        expect(request.messages).toEqual([
+            { role: 'user', content: 'Hi\n\nStill there?' },
+            { role: 'assistant', content: 'Yes.' },
+            { role: 'user', content: 'Good' }
+        ]);
+        expect(request.temperature).toBe(1);
+    });
+
+    test('keeps a temperature of 0', () => {
+        expect(provider().buildRequest(messages, { temperature: 0 }, false).temperature).toBe(0);
+    });
+
+    test('sends its key and API version', () => {
+        expect(provider().getHeaders()).toMatchObject({ 'x-api-key': 'k', 'anthropic-version': '2023-06-01' });
+    });
+
+    test('joins text blocks and normalizes usage', async () => {
+        const anthropic = provider();
+        reply(anthropic, {
+            model: 'claude-x',
+            content: [{ type: 'text', text: 'Hel' }, { type: 'tool_use' }, { type: 'text', text: 'lo' }],
+            usage: { input_tokens: 5, output_tokens: 2 }
+        });
+
+        expect(await anthropic.complete(messages)).toEqual({
+            content: 'Hello',
+            model: 'claude-x',
+            usage: { prompt_tokens: 5, completion_tokens: 2, total_tokens: 7 }
+        });
+    });
+
+    test('streams text deltas and collects usage', async () => {
+        const anthropic = provider();
+        streamed(anthropic, [
+            'event: message_start\ndata: {"type":"message_start","message":{"model":"claude-x","usage":{"input_tokens":4}}}\n',
+            'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"Hi"}}\n',
+            'data: {"type":"message_delta","usage":{"output_tokens":1}}\n'
+        ]);
+        const chunks = [];
+
+        const result = await anthropic.stream(messages, {}, chunk => chunks.push(chunk));
+
+        expect(chunks).toEqual(['Hi']);
+        expect(result).toEqual({ content: 'Hi', model: 'claude-x', usage: { prompt_tokens: 4, completion_tokens: 1, total_tokens: 5 } });
+    });
+
+    test('rejects on a stream error event', async () => {
+        const anthropic = provider();
+        streamed(anthropic, ['data: {"type":"error","error":{"message":"overloaded"}}\n']);
+
+        await expect(anthropic.stream(messages, {}, () => {})).rejects.toThrow('overloaded');
+    });
+});
+
+describe('OllamaProvider', () => {
+    const provider = () => new OllamaProvider({ name: 'ollama', apiUrl: 'http://localhost:11434', model: 'llama' });
+
+    test('passes sampling options under options', () => {
+        const request = provider().buildRequest(messages, { max_tokens: 50, num_ctx: 8192 }, true);
+
+        expect(request).toMatchObject({ model: 'llama', messages, stream: true, options: { num_predict: 50, num_ctx: 8192 } });
+        expect(provider().buildRequest(messages, { temperature: 0 }, false).options.temperature).toBe(0);
+    });
+
+    test('waits longer than hosted APIs by default', () => {
+        expect(provider().timeout).toBe(300000);
+    });
+
+    test('streams newline-delimited JSON', async () => {
+        const ollama = provider();
+        streamed(ollama, [
+            '{"message":{"content":"Hel"}}\n{"message":{"con',
+            'tent":"lo"}}\n{"done":true,"model":"llama-x","prompt_eval_count":6,"eval_count":2}\n'
+        ]);
+        const chunks = [];
+
+        const result = await ollama.stream(messages, {}, chunk => chunks.push(chunk));
+
+        expect(chunks).toEqual(['Hel', 'lo']);
+        expect(result).toEqual({ content: 'Hello', model: 'llama-x', usage: { prompt_tokens: 6, completion_tokens: 2, total_tokens: 8 } });
+    });
+
+    test('rejects on an error line', async () => {
+        const ollama = provider();
+        streamed(ollama, ['{"error":"model not found"}\n']);
+
+        await expect(ollama.stream(messages, {}, () => {})).rejects.toThrow('model not found');
+    });
+});
@@ -0,0 +1,171 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { authService } from '../services/authService.js';
+import { mailService } from '../services/mailService.js';
+import { registrationService } from '../services/registrationService.js';
+import { auditService } from '../services/auditService.js';
+import { createUser, bearer, createApp } from './helpers.js';
+
+const app = createApp({ '/api/auth': authService.router });
+
+let admin;
+let count = 0;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(mailService, 'send').mockResolvedValue({});
+    admin = createUser({ role: 'admin' });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    authService.settings.delete('auth_policy');
+});
+
+const setPolicy = (policy) => request(app).put('/api/auth/policy').set('Authorization', bearer(admin)).send(policy);
+
+function register(fields = {}) {
+    const username = `new-${++count}`;
+    return request(app).post('/api/auth/register')
+        .send({ username, email: `${username}@example.com`, password: 'hunter22', ...fields });
+}
+
+const createInvite = (body = {}, actor = admin) => request(app).post('/api/auth/invites').set('Authorization', bearer(actor)).send(body);
+
+describe('open registration', () => {
+    test('ignores a client-supplied role and uses the default', async () => {
+        const response = await register({ role: 'admin' });
+
+        expect(response.status).toBe(200);
+        expect(response.body.user.role).toBe('user');
+        expect(auditService.list({ event: 'auth.user_registered', username: response.body.user.username })[0].details)
+            .toMatchObject({ role: 'user', pendingApproval: false });
+    });
+
+    test('the policy picks the default role and mode', async () => {
+        expect((await setPolicy({ defaultRole: 'guest' })).body.policy).toMatchObject({ registrationMode: 'open', defaultRole: 'guest' });
+        expect((await register()).body.user.role).toBe('guest');
+
+        expect((await setPolicy({ registrationMode: 'closed' })).status).toBe(400);
+        expect((await setPolicy({ defaultRole: 'wizard' })).status).toBe(400);
+        expect((await request(app).get('/api/auth/registration')).body).toMatchObject({ mode: 'open', inviteRequired: false });
+    });
+});
+
+describe('invites', () => {
+    test('invite-only mode needs a valid code, which sets the role', async () => {
+        await setPolicy({ registrationMode: 'invite' });
+        expect((await request(app).get('/api/auth/registration')).body.inviteRequired).toBe(true);
+
+        expect((await register()).status).toBe(403);
+        expect((await register({ inviteCode: 'made-up' })).status).toBe(400);
+
+        const { code, invite, url } = (await createInvite({ role: 'guest', maxUses: 2 })).body;
+        expect(url).toContain(`invite=${code}`);
+        expect(registrationService.invites.get(code)).toBeFalsy();
+
+        expect((await register({ inviteCode: code })).body.user.role).toBe('guest');
+        expect(registrationService.list().find(entry => entry.id === invite.id).uses).toBe(1);
+        expect((await register({ inviteCode: code })).status).toBe(200);
+        expect((await register({ inviteCode: code })).status).toBe(400);
+    });
+
+    test('simultaneous sign-ups cannot share the last use or a username', async () => {
+        const { code } = (await createInvite({ maxUses: 1 })).body;
+
+        const invited = await Promise.all([register({ inviteCode: code }), register({ inviteCode: code })]);
+        expect(invited.map(response => response.status).sort()).toEqual([200, 400]);
+
+        const same = { username: `twin-${++count}`, email: `twin-${count}@example.com` };
+        const twins = await Promise.all([register(same), register(same)]);
+        expect(twins.map(response => response.status).sort()).toEqual([200, 409]);
+    });
+
+    test('an invite can be tied to one email address', async () => {
+        const { code } = (await createInvite({ email: 'Only@Example.com' })).body;
+
+        expect((await register({ inviteCode: code })).status).toBe(400);
+        expect((await register({ inviteCode: code, email: 'only@example.com' })).status).toBe(200);
+    });
+
+    test('invites expire, can be revoked and are validated', async () => {
+        const expiring = (await createInvite({ expiresIn: 60 })).body.code;
+        jest.spyOn(Date, 'now').mockReturnValue(Date.now() + 61000);
+        expect(registrationService.find(expiring, null)).toBeNull();
+        Date.now.mockRestore();
+
+        const { invite, code } = (await createInvite()).body;
+        expect((await request(app).delete(`/api/auth/invites/${invite.id}`).set('Authorization', bearer(admin))).status).toBe(200);
+        expect(registrationService.find(code, null)).toBeNull();
+
+        expect((await createInvite({ maxUses: 0 })).status).toBe(400);
+        expect((await createInvite({ expiresIn: -1 })).status).toBe(400);
+        expect((await createInvite({ role: 'wizard' })).status).toBe(400);
+        expect((await createInvite({ email: 'nope' })).status).toBe(400);
+    });
+
+    test('nobody can invite into a role stronger than their own', async () => {
+        const manager = createUser({ permissions: ['users:manage', 'chat'] });
+
+        expect((await createInvite({ role: 'admin' }, manager)).status).toBe(403);
+        expect((await createInvite({}, createUser())).status).toBe(403);
+    });
+});
+
+describe('approval mode', () => {
+    beforeEach(async () => {
+        await setPolicy({ registrationMode: 'approval' });
+    });
+
+    test('new accounts wait for an admin, who can approve with another role', async () => {
+        const response = await register();
+        expect(response.status).toBe(202);
+        expect(response.body).toMatchObject({ pendingApproval: true, user: { isActive: false } });
+        expect(response.body.token).toBeUndefined();
+
+        const { username } = response.body.user;
+        const login = () => request(app).post('/api/auth/login').send({ username, password: 'hunter22' });
+        const waiting = await login();
+        expect(waiting.status).toBe(403);
+        expect(waiting.body.pendingApproval).toBe(true);
+
+        const wrongPassword = await request(app).post('/api/auth/login').send({ username, password: 'nope' });
+        expect(wrongPassword.status).toBe(401);
+
+        const pending = await request(app).get('/api/auth/users?status=pending').set('Authorization', bearer(admin));
+        expect(pending.body.users.map(user => user.username)).toEqual([username]);
+
+        const approved = await request(app).post(`/api/auth/users/${username}/approve`).set('Authorization', bearer(admin)).send({ role: 'guest' });
+        expect(approved.body.user).toMatchObject({ role: 'guest', isActive: true, approvedBy: admin.username });
+        expect(mailService.send).toHaveBeenCalledWith(expect.objectContaining({ subject: 'Your account has been approved' }));
+
+        expect((await login()).status).toBe(200);
+        expect((await request(app).post(`/api/auth/users/${username}/approve`).set('Authorization', bearer(admin))).status).toBe(400);
+    });
+
+    test('rejecting deletes the registration', async () => {
+        const { username } = (await register()).body.user;
+
+        const rejected = await request(app).post(`/api/auth/users/${username}/reject`).set('Authorization', bearer(admin));
+
+        expect(rejected.body.success).toBe(true);
+        expect(authService.users.get(username)).toBeFalsy();
+    });
+
+    test('an invite skips the queue', async () => {
+        const { code } = (await createInvite()).body;
+
+        const response = await register({ inviteCode: code });
+
+        expect(response.status).toBe(200);
+        expect(response.body.user.isActive).toBe(true);
+    });
+
+    test('pending accounts may already verify their email', async () => {
+        const { username } = (await register()).body.user;
+        const token = authService.generateMailToken(authService.users.get(username), 'email_verify', 60);
+
+        const verified = await request(app).post('/api/auth/email/verify').send({ token });
+        expect(verified.body.user.emailVerified).toBe(true);
+    });
+});
@@ -0,0 +1,211 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { aiService } from '../services/aiService.js';
+import { fileService } from '../services/fileService.js';
+import { retrievalService } from '../services/retrievalService.js';
+import { conversationService } from '../services/conversationService.js';
+import { OpenAIProvider, OllamaProvider } from '../services/providers/index.js';
+import { createUser, authenticated } from './helpers.js';
+
+let dir;
+let user;
+let viewer;
+
+beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'retrieval-'));
+    fileService.uploadDir = dir;
+    fileService.textDir = path.join(dir, '.extracted');
+    retrievalService.indexDir = path.join(dir, '.index');
+    await fs.mkdir(fileService.textDir);
+    await fs.mkdir(retrievalService.indexDir);
+});
+
+afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    user = createUser();
+    viewer = authenticated(user);
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    retrievalService.embeddingProvider = null;
+});
+
+const exists = file => fs.access(file).then(() => true, () => false);
+
+async function store(name, text, owner = user) {
+    const { record } = await fileService.storeBuffer(Buffer.from(text), { originalName: name }, owner.id);
+    return record;
+}
+
+describe('chunking', () => {
+    test('overlapping windows that end at a break and know their lines', () => {
+        retrievalService.chunkSize = 40;
+        retrievalService.chunkOverlap = 10;
+        try {
+            const text = Array.from({ length: 8 }, (_, i) => `line number ${i + 1} here`).join('\n');
+            const chunks = retrievalService.chunk(text);
+
+            expect(chunks.length).toBeGreaterThan(2);
+            expect(chunks.every(chunk => chunk.text.length <= 40)).toBe(true);
+            expect(chunks[0]).toMatchObject({ index: 0, lines: '1-2' });
+            expect(chunks[0].text.endsWith('here')).toBe(true);
+            // Each chunk starts before the previous one ended
+            expect(text.indexOf(chunks[1].text)).toBeLessThan(text.indexOf(chunks[0].text) + chunks[0].text.length);
+        } finally {
+            retrievalService.chunkSize = 1200;
+            retrievalService.chunkOverlap = 200;
+        }
+    });
+
+    test('form feeds give pages and Markdown headings give sections', () => {
+        expect(retrievalService.chunk('page one\fpage two').map(chunk => chunk.page)).toEqual(['1-2']);
+
+        const sections = retrievalService.chunk('intro\n# Setup\nrun it\n## Usage\ncall it', { markdown: true });
+        expect(sections.map(chunk => [chunk.section, chunk.text])).toEqual([
+            [undefined, 'intro'],
+            ['Setup', '# Setup\nrun it'],
+            ['Usage', '## Usage\ncall it']
+        ]);
+    });
+
+    test('labels cite page, section or lines', () => {
+        expect(retrievalService.label({ fileName: 'a.pdf', page: '40', lines: '1' })).toBe('a.pdf, p. 40');
+        expect(retrievalService.label({ fileName: 'a.md', section: 'Setup', lines: '1' })).toBe('a.md, § Setup');
+        expect(retrievalService.label({ fileName: 'a.js', lines: '10-42' })).toBe('a.js, lines 10-42');
+    });
+});
+
+describe('search', () => {
+    test('BM25 puts the chunk about the question first', async () => {
+        const record = await store('guide.md', '# Cooking\nBoil the pasta for ten minutes.\n# Gardening\nWater the tomatoes every morning.\n');
+
+        const [best] = await retrievalService.search('how often should tomatoes get water', [record]);
+
+        expect(best).toMatchObject({ section: 'Gardening' });
+    });
+
+    test('"constructor" and other inherited names are plain words', async () => {
+        const record = await store('class.js', 'class A { constructor() {} }');
+
+        const [hit] = await retrievalService.search('constructor toString', [record]);
+        expect(hit.text).toContain('constructor');
+    });
+
+    test('questions that match nothing get the start of each file', async () => {
+        const first = await store('a.txt', 'Alpha document.');
+        const second = await store('b.txt', 'Beta document.');
+
+        const hits = await retrievalService.search('summarize this', [first, second]);
+
+        expect(hits.map(hit => hit.text)).toEqual(['Alpha document.', 'Beta document.']);
+    });
+
+    test('embeddings are fused with BM25 and failures fall back to it', async () => {
+        retrievalService.embeddingProvider = 'fake';
+        const embed = jest.spyOn(aiService, 'embed').mockImplementation(async (texts) => texts.map(text => (text.includes('cats') ? [1, 0] : [0, 1])));
+
+        const record = await store('pets.txt', 'All about cats.');
+        const index = await retrievalService.getIndex(record.id);
+        expect(index.embedding).toEqual({ provider: 'fake', model: undefined });
+        expect(index.chunks[0].vector).toEqual([1, 0]);
+        expect(fileService.files.get(record.id).index).toMatchObject({ chunks: 1, embedded: true });
+
+        const [hit] = await retrievalService.search('felines', [record]);
+        expect(hit.text).toBe('All about cats.');
+
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        embed.mockRejectedValue(new Error('offline'));
+        const other = await store('dogs.txt', 'All about dogs.');
+        const plain = await retrievalService.getIndex(other.id);
+        expect(plain.chunks[0].vector).toBeUndefined();
+        expect(plain.embedding.provider).toBe('fake');
+    });
+});
+
+describe('indexes', () => {
+    test('are cached on disk, rebuilt when the file changes and removed with it', async () => {
+        const record = await store('cache.txt', 'first version');
+        const first = await retrievalService.getIndex(record.id);
+        expect(await retrievalService.getIndex(record.id)).toEqual(JSON.parse(JSON.stringify(first)));
+
+        await fs.writeFile(fileService.filePath(record), 'second version');
+        await fs.rm(fileService.textPath(record));
+        fileService.updateRecord(record.id, { checksum: await fileService.checksum(fileService.filePath(record)), extraction: { status: 'pending' } });
+        expect((await retrievalService.getIndex(record.id)).chunks[0].text).toBe('second version');
+
+        // The index is removed in the background
+        await fileService.deleteFile(record.id);
+        for (let i = 0; i < 50 && await exists(retrievalService.indexPath(record.id)); i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        expect(await exists(retrievalService.indexPath(record.id))).toBe(false);
+    });
+});
+
+describe('buildContext', () => {
+    test('cites excerpts and links the files to the conversation', async () => {
+        const record = await store('notes.txt', 'The launch date is the fifth of May.');
+        const conversationId = conversationService.createConversation('Plans', {}, { ownerId: user.id });
+
+        const { context, sources } = await retrievalService.buildContext({ fileIds: [record.id], user: viewer, conversationId, query: 'launch date' });
+
+        expect(sources).toEqual([{ index: 1, fileId: record.id, fileName: 'notes.txt', lines: '1' }]);
+        expect(context).toContain('[1] notes.txt, lines 1\nThe launch date is the fifth of May.');
+        expect(fileService.files.get(record.id).conversationIds).toEqual([conversationId]);
+
+        const later = await retrievalService.buildContext({ user: viewer, conversationId, query: 'launch' });
+        expect(later.sources.map(source => source.fileId)).toEqual([record.id]);
+    });
+
+    test("in a shared conversation everyone gets the files members attached, strangers don't", async () => {
+        const member = createUser();
+        const record = await store('shared.txt', 'The budget is ten thousand.');
+        const conversationId = conversationService.createConversation('Budget', {}, { ownerId: user.id });
+        conversationService.addMember(conversationId, member.username, 'viewer', user);
+        await retrievalService.buildContext({ fileIds: [record.id], user: viewer, conversationId, query: 'budget' });
+
+        const shared = await retrievalService.buildContext({ user: authenticated(member), conversationId, query: 'budget' });
+        expect(shared.sources.map(source => source.fileId)).toEqual([record.id]);
+
+        const stranger = await retrievalService.buildContext({ user: authenticated(createUser()), conversationId, query: 'budget' });
+        expect(stranger.sources).toEqual([]);
+    });
+
+    test("files the user can't read are reported, not quoted", async () => {
+        const record = await store('private.txt', 'secret plans', createUser());
+
+        const { context, sources } = await retrievalService.buildContext({ fileIds: [record.id], user: viewer, query: 'plans' });
+
+        expect(sources).toEqual([]);
+        expect(context).toContain(`File ${record.id}: File not found`);
+        expect(context).not.toContain('secret plans');
+    });
+
+    test('nothing attached means no context', async () => {
+        expect(await retrievalService.buildContext({ user: viewer, query: 'anything' })).toEqual({ context: '', sources: [] });
+    });
+});
+
+describe('provider embeddings', () => {
+    test('OpenAI-compatible providers use /embeddings and keep the input order', async () => {
+        const provider = new OpenAIProvider({ name: 'openai', apiUrl: 'http://upstream/v1/chat/completions', model: 'gpt-4o' });
+        provider.post = jest.fn(async () => ({ data: { data: [{ index: 1, embedding: [2] }, { index: 0, embedding: [1] }] } }));
+
+        expect(await provider.embed(['a', 'b'])).toEqual([[1], [2]]);
+        expect(provider.post).toHaveBeenCalledWith('http://upstream/v1/embeddings', { model: 'text-embedding-3-small', input: ['a', 'b'] });
+    });
+
+    test('Ollama uses /api/embed', async () => {
+        const provider = new OllamaProvider({ name: 'ollama', apiUrl: 'http://ollama:11434', model: 'llama3' });
+        provider.post = jest.fn(async () => ({ data: { embeddings: [[1]] } }));
+
+        expect(await provider.embed(['a'], { model: 'mxbai' })).toEqual([[1]]);
+        expect(provider.post).toHaveBeenCalledWith('http://ollama:11434/api/embed', { model: 'mxbai', input: ['a'] });
+    });
+});
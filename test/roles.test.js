@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import { authService } from '../services/authService.js';
+import { roleService } from '../services/roleService.js';
+import { conversationService } from '../services/conversationService.js';
+import { aiService } from '../services/aiService.js';
+import { createUser, bearer, createApp, startSocketServer, nextEvent } from './helpers.js';
+
+const app = createApp({ '/api/auth': authService.router, '/api/conversations': conversationService.router });
+
+let admin;
+
+beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    admin = createUser({ role: 'admin' });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+    for (const role of roleService.list()) roleService.delete(role.name);
+});
+
+const saveRole = (name, body, actor = admin) => request(app).put(`/api/auth/roles/${name}`).set('Authorization', bearer(actor)).send(body);
+
+describe('roles', () => {
+    test('custom roles grant their permissions to their users', async () => {
+        const saved = await saveRole('auditor', { description: 'Reads the log', permissions: ['audit:read', 'conversations:read:any'] });
+        expect(saved.body.role).toMatchObject({ name: 'auditor', builtIn: false, permissions: ['audit:read', 'conversations:read:any'] });
+
+        const auditor = createUser({ role: 'auditor' });
+        const owner = createUser();
+        const conversationId = conversationService.createConversation('Private', {}, { ownerId: owner.id });
+
+        expect((await request(app).get('/api/auth/audit').set('Authorization', bearer(auditor))).status).toBe(200);
+        expect((await request(app).get('/api/auth/users').set('Authorization', bearer(auditor))).status).toBe(403);
+        expect((await request(app).get(`/api/conversations/${conversationId}`).set('Authorization', bearer(auditor))).status).toBe(200);
+
+        const listed = await request(app).get('/api/auth/roles').set('Authorization', bearer(admin));
+        expect(listed.body.roles.map(role => role.name)).toEqual(['admin', 'user', 'guest', 'auditor']);
+        expect(listed.body.roles.find(role => role.name === 'auditor').users).toBe(1);
+    });
+
+    test('names and permissions are validated', async () => {
+        expect((await saveRole('Bad Name', { permissions: ['chat'] })).status).toBe(400);
+        expect((await saveRole('typo', { permissions: ['flies:*'] })).body.error).toBe('Unknown permissions: flies:*');
+        expect((await saveRole('empty', {})).status).toBe(400);
+        expect((await saveRole('admin', { permissions: ['chat'] })).status).toBe(400);
+    });
+
+    test('built-in roles can be edited and reset but not deleted', async () => {
+        await saveRole('guest', { permissions: ['chat'] });
+        expect(roleService.getPermissions('guest')).toEqual(['chat']);
+
+        const reset = await request(app).delete('/api/auth/roles/guest').set('Authorization', bearer(admin));
+        expect(reset.body.role.permissions).toEqual(['chat', 'ai:*']);
+    });
+
+    test('roles in use cannot be deleted', async () => {
+        await saveRole('support', { permissions: ['users:read'] });
+        createUser({ role: 'support' });
+
+        expect((await request(app).delete('/api/auth/roles/support').set('Authorization', bearer(admin))).status).toBe(409);
+        expect((await request(app).delete('/api/auth/roles/missing').set('Authorization', bearer(admin))).status).toBe(404);
+    });
+});
+
+describe('delegated administration', () => {
+    let manager;
+
+    beforeEach(async () => {
+        await saveRole('manager', { permissions: ['users:read', 'users:manage', 'roles:manage', 'chat'] });
+        manager = createUser({ role: 'manager' });
+    });
+
+    test('cannot hand out permissions they lack', async () => {
+        expect((await saveRole('chatter', { permissions: ['chat'] }, manager)).status).toBe(200);
+        expect((await saveRole('superuser', { permissions: ['*'] }, manager)).status).toBe(403);
+        expect((await saveRole('user', { permissions: ['chat'] }, manager)).status).toBe(403);
+    });
+
+    test('cannot promote or manage stronger accounts', async () => {
+        const user = createUser({ role: 'guest' });
+
+        const promote = await request(app).put(`/api/auth/users/${user.username}`).set('Authorization', bearer(manager)).send({ role: 'admin' });
+        const demote = await request(app).put(`/api/auth/users/${admin.username}`).set('Authorization', bearer(manager)).send({ isActive: false });
+        const remove = await request(app).delete(`/api/auth/users/${admin.username}`).set('Authorization', bearer(manager));
+
+        expect([promote.status, demote.status, remove.status]).toEqual([403, 403, 403]);
+        expect(authService.users.get(admin.username).isActive).toBe(true);
+    });
+
+    test('per-user permissions override the role until cleared', async () => {
+        const user = createUser();
+        const update = (permissions) => request(app).put(`/api/auth/users/${user.username}`).set('Authorization', bearer(admin)).send({ permissions });
+
+        expect((await update(['chat'])).body.user).toMatchObject({ permissions: ['chat'], customPermissions: true });
+        expect((await update(null)).body.user).toMatchObject({ permissions: roleService.getPermissions('user'), customPermissions: false });
+        expect((await update(['nope'])).status).toBe(400);
+    });
+
+    test('unknown roles cannot be assigned', async () => {
+        const user = createUser();
+
+        const assign = await request(app).put(`/api/auth/users/${user.username}`).set('Authorization', bearer(admin)).send({ role: 'wizard' });
+
+        expect(assign.status).toBe(400);
+    });
+});
+
+describe('socket AI commands', () => {
+    let server;
+
+    beforeAll(async () => {
+        server = await startSocketServer();
+    });
+
+    afterAll(async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        await server.close();
+        jest.restoreAllMocks();
+    });
+
+    test('each command needs the permission of its /api/ai route', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        jest.spyOn(aiService, 'explainCode').mockResolvedValue('It adds.');
+        const search = jest.spyOn(aiService, 'webSearch').mockResolvedValue([]);
+        await saveRole('explainer', { permissions: ['chat', 'ai:explain'] });
+        const socket = await server.connect(createUser({ role: 'explainer' }));
+
+        const result = nextEvent(socket, 'ai_command_result');
+        socket.emit('ai_command', { command: 'explain_code', parameters: { code: 'a + b' } });
+        expect((await result).response).toBe('It adds.');
+
+        const error = nextEvent(socket, 'error');
+        socket.emit('ai_command', { command: 'search', parameters: { query: 'news' } });
+        expect(await error).toEqual({ message: 'AI command failed: Insufficient permissions' });
+        expect(search).not.toHaveBeenCalled();
+    });
+});
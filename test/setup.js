@@ -0,0 +1,4 @@
+// A proper secret keeps the development warning out of test output, and
+// cheap hashing keeps the admin bootstrap fast
+process.env.JWT_SECRET ??= 'test-secret-that-is-long-enough-for-checks';
+process.env.BCRYPT_ROUNDS ??= '4';
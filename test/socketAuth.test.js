@@ -0,0 +1,110 @@
+import { jest } from '@jest/globals';
+import { authService } from '../services/authService.js';
+import { conversationService } from '../services/conversationService.js';
+import { createUser, startSocketServer, nextEvent, collectEvents, loginToken } from './helpers.js';
+
+let server;
+let alice;
+let bob;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+    server = await startSocketServer();
+    alice = createUser();
+    bob = createUser();
+});
+
+afterAll(async () => {
+    await server.close();
+    jest.restoreAllMocks();
+});
+
+describe('handshake', () => {
+    test('connections without a valid token are refused', async () => {
+        await expect(server.connect(null)).rejects.toThrow('Authentication required');
+        await expect(server.connect(null, { token: 'forged' })).rejects.toThrow('Authentication required');
+    });
+
+    test('identity comes from the token, not the payload', async () => {
+        const socket = await server.connect(alice);
+        const joined = nextEvent(socket, 'conversation_history');
+        socket.emit('join', { username: bob.username, conversationId: 'handshake-room' });
+        await joined;
+
+        expect(conversationService.getConversation('handshake-room').ownerId).toBe(alice.id);
+    });
+
+    test('deactivated users cannot connect', async () => {
+        const carol = createUser();
+        const token = loginToken(carol);
+        authService.users.set(carol.username, { ...carol, isActive: false });
+
+        await expect(server.connect(null, { token })).rejects.toThrow('Authentication required');
+    });
+});
+
+describe('conversation rooms', () => {
+    let conversationId;
+    let aliceSocket;
+    let bobSocket;
+
+    beforeEach(async () => {
+        conversationId = conversationService.createConversation('Private', {}, { ownerId: alice.id });
+        aliceSocket = await server.connect(alice);
+        bobSocket = await server.connect(bob);
+
+        const history = nextEvent(aliceSocket, 'conversation_history');
+        aliceSocket.emit('join', { conversationId });
+        await history;
+    });
+
+    afterEach(() => {
+        aliceSocket.disconnect();
+        bobSocket.disconnect();
+    });
+
+    test.each(['join', 'join_conversation'])("%s refuses somebody else's conversation", async (event) => {
+        const error = nextEvent(bobSocket, 'error');
+        const history = collectEvents(bobSocket, 'conversation_history');
+        bobSocket.emit(event, { conversationId });
+
+        expect(await error).toEqual({ message: 'Conversation not found' });
+        expect(await history).toEqual([]);
+    });
+
+    test("outsiders can't post into the room", async () => {
+        const received = collectEvents(aliceSocket, 'message_received');
+        const error = nextEvent(bobSocket, 'error');
+        bobSocket.emit('chat_message', { conversationId, message: 'let me in' });
+
+        expect(await error).toEqual({ message: 'Conversation not found' });
+        expect(await received).toEqual([]);
+        expect(conversationService.getHistory(conversationId)).toEqual([]);
+    });
+
+    test("outsiders can't fake typing or export the conversation", async () => {
+        const typing = collectEvents(aliceSocket, 'user_typing');
+        bobSocket.emit('typing_start', { conversationId });
+        expect(await typing).toEqual([]);
+
+        const error = nextEvent(bobSocket, 'error');
+        bobSocket.emit('system_command', { command: 'export_conversation', parameters: { conversationId } });
+        expect((await error).message).toContain('Conversation not found');
+    });
+
+    test('the owner keeps working in the room', async () => {
+        const secondTab = await server.connect(alice);
+        const joined = nextEvent(secondTab, 'conversation_joined');
+        secondTab.emit('join_conversation', { conversationId });
+        expect(await joined).toEqual({ conversationId });
+
+        const typing = nextEvent(aliceSocket, 'user_typing');
+        secondTab.emit('typing_start', { conversationId });
+        expect(await typing).toEqual({ username: alice.username, typing: true });
+
+        const exported = nextEvent(aliceSocket, 'conversation_exported');
+        aliceSocket.emit('system_command', { command: 'export_conversation', parameters: { conversationId } });
+        expect(JSON.parse((await exported).data).id).toBe(conversationId);
+    });
+});
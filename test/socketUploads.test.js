@@ -0,0 +1,139 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { aiService } from '../services/aiService.js';
+import { fileService } from '../services/fileService.js';
+import { conversationService } from '../services/conversationService.js';
+import { retrievalService } from '../services/retrievalService.js';
+import { createUser, startSocketServer, nextEvent } from './helpers.js';
+
+let server;
+let dir;
+let owner;
+
+beforeAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'socket-uploads-'));
+    fileService.uploadDir = dir;
+    fileService.textDir = path.join(dir, '.extracted');
+    await fs.mkdir(fileService.textDir);
+    retrievalService.indexDir = path.join(dir, '.index');
+    await fs.mkdir(retrievalService.indexDir);
+    server = await startSocketServer();
+    owner = createUser();
+});
+
+afterAll(async () => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    await server.close();
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+const base64 = text => Buffer.from(text).toString('base64');
+
+async function joined(user, conversationId) {
+    const socket = await server.connect(user);
+    const history = nextEvent(socket, 'conversation_history');
+    socket.emit('join', { conversationId });
+    await history;
+    return socket;
+}
+
+describe('file_upload', () => {
+    test('stores the file in the registry and echoes the upload handle', async () => {
+        const socket = await server.connect(owner);
+
+        const uploaded = nextEvent(socket, 'file_uploaded');
+        socket.emit('file_upload', { fileData: base64('socket text'), filename: '../../etc/notes.txt', mimetype: 'text/plain', uploadId: 'u1' });
+        const reply = await uploaded;
+
+        expect(reply).toMatchObject({ uploadId: 'u1', filename: 'notes.txt', file: { ownerId: owner.id, size: 11, mimetype: 'text/plain' } });
+        expect(fileService.files.get(reply.fileId).extraction.status).toBe('ready');
+        expect(await fs.readFile(path.join(dir, `${reply.fileId}.txt`), 'utf8')).toBe('socket text');
+    });
+
+    test('refuses unsupported types, missing data and oversized files with the handle', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const socket = await server.connect(owner);
+        const upload = async (data) => {
+            const error = nextEvent(socket, 'error');
+            socket.emit('file_upload', data);
+            return await error;
+        };
+
+        expect(await upload({ fileData: base64('x'), filename: 'run.exe', uploadId: 'a' }))
+            .toEqual({ message: expect.stringContaining('File type .exe not supported'), uploadId: 'a' });
+        expect(await upload({ filename: 'x.txt', uploadId: 'b' })).toEqual({ message: 'No file data', uploadId: 'b' });
+
+        const maxFileSize = fileService.maxFileSize;
+        fileService.maxFileSize = 4;
+        try {
+            expect((await upload({ fileData: base64('too big'), filename: 'x.txt', uploadId: 'c' })).message).toMatch('File is larger than');
+        } finally {
+            fileService.maxFileSize = maxFileSize;
+        }
+    });
+
+    test('guests may not upload', async () => {
+        const socket = await server.connect(createUser({ role: 'guest' }));
+
+        const error = nextEvent(socket, 'error');
+        socket.emit('file_upload', { fileData: base64('x'), filename: 'x.txt', uploadId: 'g' });
+
+        expect(await error).toEqual({ message: 'Insufficient permissions', uploadId: 'g' });
+    });
+
+    test('sharing into a conversation needs edit rights and tells the room', async () => {
+        jest.spyOn(console, 'error').mockImplementation(() => {});
+        const conversationId = conversationService.createConversation('Shared', {}, { ownerId: owner.id });
+        const viewer = createUser();
+        conversationService.addMember(conversationId, viewer.username, 'viewer', owner);
+
+        const ownerSocket = await joined(owner, conversationId);
+        const viewerSocket = await joined(viewer, conversationId);
+
+        const shared = nextEvent(viewerSocket, 'file_shared');
+        ownerSocket.emit('file_upload', { fileData: base64('for all'), filename: 'team.md', conversationId });
+        expect(await shared).toMatchObject({ filename: 'team.md', username: owner.username });
+
+        const refused = nextEvent(viewerSocket, 'error');
+        viewerSocket.emit('file_upload', { fileData: base64('sneaky'), filename: 'x.md', conversationId, uploadId: 'v' });
+        expect((await refused).uploadId).toBe('v');
+    });
+});
+
+describe('attachments', () => {
+    test('chat turns reference files by ID and the model sees excerpts', async () => {
+        const conversationId = conversationService.createConversation('Attach', {}, { ownerId: owner.id });
+        const socket = await joined(owner, conversationId);
+
+        const uploaded = nextEvent(socket, 'file_uploaded');
+        socket.emit('file_upload', { fileData: base64('the secret ingredient is basil'), filename: 'recipe.txt' });
+        const { fileId } = await uploaded;
+
+        const provider = { name: 'fake', model: 'gpt-4o', stream: jest.fn(async (messages, options, onChunk) => { onChunk('Basil.'); return {}; }) };
+        jest.spyOn(aiService, 'getProvider').mockReturnValue(provider);
+
+        const complete = nextEvent(socket, 'message_complete');
+        socket.emit('chat_message', { conversationId, message: 'Which ingredient?', files: [fileId, { id: fileId }, 42, null], options: { stream: true } });
+        await complete;
+
+        const prompt = JSON.stringify(provider.stream.mock.calls[0][0]);
+        expect(prompt).toContain('[1] recipe.txt, lines 1');
+        expect(prompt).toContain('the secret ingredient is basil');
+
+        const question = conversationService.getHistory(conversationId).find(message => message.role === 'user');
+        expect(question.attachments).toEqual([fileId, fileId]);
+        expect(fileService.files.get(fileId).conversationIds).toEqual([conversationId]);
+    });
+
+    test('toFileIds keeps only string IDs', () => {
+        expect(fileService.toFileIds(['a', { id: 'b' }, { name: 'c' }, 3, ''])).toEqual(['a', 'b']);
+        expect(fileService.toFileIds('a')).toEqual([]);
+    });
+});
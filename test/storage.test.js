@@ -0,0 +1,236 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import fs from 'fs';
+import Database from 'better-sqlite3';
+import { createStore } from '../storage/index.js';
+import { MemoryStore } from '../storage/memoryStore.js';
+import { SqliteStore } from '../storage/sqliteStore.js';
+import { runMigrations, createCollectionTable } from '../storage/migrator.js';
+import { migrations } from '../storage/migrations/index.js';
+
+const quiet = { log: () => {} };
+
+// Opening a SQLite store logs each migration it applies
+function openSqlite() {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+        return new SqliteStore(':memory:');
+    } finally {
+        log.mockRestore();
+    }
+}
+
+describe('createStore', () => {
+    test('picks the driver from STORAGE_DRIVER', () => {
+        expect(createStore({ STORAGE_DRIVER: 'memory' })).toBeInstanceOf(MemoryStore);
+
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const store = createStore({ STORAGE_DRIVER: 'sqlite', DATABASE_PATH: ':memory:' });
+        console.log.mockRestore();
+        expect(store).toBeInstanceOf(SqliteStore);
+        store.close();
+    });
+
+    test('defaults to memory under NODE_ENV=test', () => {
+        expect(createStore({ NODE_ENV: 'test' })).toBeInstanceOf(MemoryStore);
+    });
+
+    test('rejects unknown drivers', () => {
+        expect(() => createStore({ STORAGE_DRIVER: 'redis' })).toThrow('Unknown storage driver: redis');
+    });
+});
+
+// Both drivers must behave the same
+describe.each([
+    ['memory', () => new MemoryStore()],
+    ['sqlite', openSqlite]
+])('%s driver', (driver, open) => {
+    let store;
+    let users;
+
+    beforeEach(() => {
+        store = open();
+        users = store.collection('users');
+    });
+
+    afterEach(() => {
+        jest.restoreAllMocks();
+        store.close();
+    });
+
+    test('stores and returns documents', () => {
+        users.set('alice', { id: 'u1', username: 'alice', roles: ['user'] });
+        users.set('bob', { id: 'u2', username: 'bob' });
+
+        expect(users.get('alice')).toEqual({ id: 'u1', username: 'alice', roles: ['user'] });
+        expect(users.has('bob')).toBe(true);
+        expect(users.has('carol')).toBe(false);
+        expect(users.get('carol')).toBeUndefined();
+        expect(users.size).toBe(2);
+        expect(users.keys()).toEqual(['alice', 'bob']);
+        expect(users.find(user => user.id === 'u2').username).toBe('bob');
+        expect(users.filter(user => user.id !== 'u2').map(user => user.username)).toEqual(['alice']);
+        expect(Array.from(users, ([id]) => id)).toEqual(['alice', 'bob']);
+    });
+
+    test('overwrites and deletes', () => {
+        users.set('alice', { id: 'u1', isActive: true });
+        users.set('alice', { id: 'u1', isActive: false });
+
+        expect(users.get('alice').isActive).toBe(false);
+        expect(users.size).toBe(1);
+        expect(users.delete('alice')).toBe(true);
+        expect(users.delete('alice')).toBe(false);
+        expect(users.size).toBe(0);
+    });
+
+    test('returns copies, so mutations need a set()', () => {
+        users.set('alice', { id: 'u1', roles: ['user'] });
+
+        const copy = users.get('alice');
+        copy.roles.push('admin');
+
+        expect(users.get('alice').roles).toEqual(['user']);
+    });
+
+    test('revives date fields', () => {
+        const createdAt = new Date('2024-01-02T03:04:05.678Z');
+        users.set('alice', { createdAt, lastLogin: createdAt, note: '2024-01-02T03:04:05.678Z' });
+
+        const doc = users.get('alice');
+        expect(doc.createdAt).toBeInstanceOf(Date);
+        expect(doc.createdAt.getTime()).toBe(createdAt.getTime());
+        expect(doc.lastLogin).toBeInstanceOf(Date);
+        expect(doc.note).toBe('2024-01-02T03:04:05.678Z');
+    });
+
+    test('expires documents after their ttl', () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        const sessions = store.collection('sessions');
+        sessions.set('short', { id: 'short' }, { ttl: 60 });
+        sessions.set('forever', { id: 'forever' });
+
+        Date.now.mockReturnValue(now + 59 * 1000);
+        expect(sessions.has('short')).toBe(true);
+
+        Date.now.mockReturnValue(now + 60 * 1000);
+        expect(sessions.get('short')).toBeUndefined();
+        expect(sessions.keys()).toEqual(['forever']);
+        expect(sessions.size).toBe(1);
+    });
+
+    test('purges expired documents', () => {
+        const now = Date.now();
+        jest.spyOn(Date, 'now').mockReturnValue(now);
+
+        const sessions = store.collection('sessions');
+        sessions.set('a', { id: 'a' }, { ttl: 1 });
+        sessions.set('b', { id: 'b' }, { ttl: 1 });
+        sessions.set('c', { id: 'c' }, { ttl: 10 });
+
+        Date.now.mockReturnValue(now + 1000);
+        expect(sessions.purgeExpired()).toBe(2);
+        expect(sessions.keys()).toEqual(['c']);
+    });
+
+    test('clears a collection', () => {
+        users.set('alice', { id: 'u1' });
+        users.clear();
+
+        expect(users.size).toBe(0);
+        expect(store.getStatus().driver).toBe(driver);
+    });
+});
+
+describe('sqlite driver', () => {
+    test('refuses collections no migration created', () => {
+        const store = openSqlite();
+        expect(() => store.collection('nope')).toThrow('Unknown collection "nope"');
+        store.close();
+    });
+
+    test('keeps documents across restarts', () => {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'storage-'));
+        const filename = path.join(dir, 'nested', 'chatbot.db');
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+
+        try {
+            const first = new SqliteStore(filename);
+            first.collection('conversations').set('c1', { id: 'c1', title: 'Kept', updatedAt: new Date(0) });
+            first.close();
+
+            const second = new SqliteStore(filename);
+            expect(second.applied).toEqual([]);
+            expect(second.collection('conversations').get('c1')).toEqual({ id: 'c1', title: 'Kept', updatedAt: new Date(0) });
+            expect(second.getStatus()).toMatchObject({ schemaVersion: migrations.length, collections: { conversations: 1 } });
+            second.close();
+        } finally {
+            console.log.mockRestore();
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
+
+describe('migrations', () => {
+    let db;
+
+    beforeEach(() => {
+        db = new Database(':memory:');
+    });
+
+    afterEach(() => {
+        db.close();
+    });
+
+    test('are numbered 1..n without gaps and have names', () => {
+        expect(migrations.map(migration => migration.version)).toEqual(migrations.map((_, i) => i + 1));
+        for (const migration of migrations) {
+            expect(migration.name).toMatch(/^[a-z_]+$/);
+            expect(typeof migration.up).toBe('function');
+        }
+    });
+
+    test('apply in order and only once', () => {
+        expect(runMigrations(db, migrations, quiet)).toEqual(migrations.map(migration => migration.version));
+        expect(runMigrations(db, migrations, quiet)).toEqual([]);
+
+        const recorded = db.prepare('SELECT version, name FROM schema_migrations ORDER BY version').all();
+        expect(recorded).toEqual(migrations.map(({ version, name }) => ({ version, name })));
+
+        const tables = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(row => row.name);
+        for (const name of ['users', 'sessions', 'conversations', 'files']) {
+            expect(tables).toContain(name);
+        }
+    });
+
+    test('run pending ones sorted by version', () => {
+        const order = [];
+        const migration = (version) => ({ version, name: `m${version}`, up: () => order.push(version) });
+
+        runMigrations(db, [migration(1)], quiet);
+        expect(runMigrations(db, [migration(3), migration(1), migration(2)], quiet)).toEqual([2, 3]);
+        expect(order).toEqual([1, 2, 3]);
+    });
+
+    test('roll back a failing migration with its record', () => {
+        const good = { version: 1, name: 'good', up: db => createCollectionTable(db, 'good') };
+        const bad = {
+            version: 2,
+            name: 'bad',
+            up(db) {
+                createCollectionTable(db, 'half_done');
+                throw new Error('boom');
+            }
+        };
+
+        expect(() => runMigrations(db, [good, bad], quiet)).toThrow('boom');
+
+        const tables = db.prepare(`SELECT name FROM sqlite_master WHERE type = 'table'`).all().map(row => row.name);
+        expect(tables).toContain('good');
+        expect(tables).not.toContain('half_done');
+        expect(db.prepare('SELECT version FROM schema_migrations').all()).toEqual([{ version: 1 }]);
+    });
+});
@@ -0,0 +1,104 @@
+import { jest } from '@jest/globals';
+import { generationService } from '../services/generationService.js';
+
+let id = 0;
+const nextId = () => `stream-${++id}`;
+
+// Collects what a follower sees
+function follower() {
+    const seen = { events: [], closed: false };
+    seen.onEvent = entry => seen.events.push(entry);
+    seen.onClose = () => { seen.closed = true; };
+    return seen;
+}
+
+describe('event log', () => {
+    test('numbers events per stream', () => {
+        const stream = nextId();
+        generationService.openLog(stream, { conversationId: 'c', userId: 'u' });
+
+        expect(generationService.record(stream, 'start', { id: stream })).toEqual({ id: `${stream}:1`, event: 'start', data: { id: stream } });
+        expect(generationService.record(stream, 'delta', { content: 'Hi' }).id).toBe(`${stream}:2`);
+        expect(generationService.getLog(stream)).toMatchObject({ conversationId: 'c', userId: 'u', done: false });
+    });
+
+    test('ignores events for unknown or closed streams', () => {
+        const stream = nextId();
+        generationService.openLog(stream, { conversationId: 'c', userId: 'u' });
+        generationService.closeLog(stream);
+
+        expect(generationService.record(stream, 'delta', {})).toBeNull();
+        expect(generationService.record('missing', 'delta', {})).toBeNull();
+    });
+
+    test('parses Last-Event-ID values', () => {
+        expect(generationService.parseEventId('abc-123:7')).toEqual({ id: 'abc-123', seq: 7 });
+        expect(generationService.parseEventId(' a:b:2 ')).toEqual({ id: 'a:b', seq: 2 });
+        expect(generationService.parseEventId('abc')).toBeNull();
+        expect(generationService.parseEventId(undefined)).toBeNull();
+    });
+});
+
+describe('follow', () => {
+    test('replays missed events, then follows live until the stream closes', () => {
+        const stream = nextId();
+        generationService.openLog(stream, { conversationId: 'c', userId: 'u' });
+        generationService.record(stream, 'start', {});
+        generationService.record(stream, 'delta', { content: 'A' });
+        generationService.record(stream, 'delta', { content: 'B' });
+
+        const seen = follower();
+        generationService.follow(stream, 1, seen.onEvent, seen.onClose);
+        generationService.record(stream, 'delta', { content: 'C' });
+        generationService.record(stream, 'done', {});
+        generationService.closeLog(stream);
+
+        expect(seen.events.map(entry => entry.id)).toEqual([2, 3, 4, 5].map(seq => `${stream}:${seq}`));
+        expect(seen.closed).toBe(true);
+    });
+
+    test('a finished stream is replayed and closed at once', () => {
+        const stream = nextId();
+        generationService.openLog(stream, { conversationId: 'c', userId: 'u' });
+        generationService.record(stream, 'delta', { content: 'A' });
+        generationService.closeLog(stream);
+
+        const seen = follower();
+        generationService.follow(stream, 0, seen.onEvent, seen.onClose);
+
+        expect(seen.events).toHaveLength(1);
+        expect(seen.closed).toBe(true);
+    });
+
+    test('unsubscribing stops delivery and counts as leaving', () => {
+        const stream = nextId();
+        generationService.openLog(stream, { conversationId: 'c', userId: 'u' });
+
+        const seen = follower();
+        const unsubscribe = generationService.follow(stream, 0, seen.onEvent, seen.onClose);
+        expect(generationService.followers(stream)).toBe(1);
+
+        unsubscribe();
+        generationService.record(stream, 'delta', { content: 'lost' });
+
+        expect(seen.events).toEqual([]);
+        expect(generationService.followers(stream)).toBe(0);
+    });
+
+    test('finished logs expire after STREAM_RESUME_TTL', () => {
+        jest.useFakeTimers();
+        try {
+            const stream = nextId();
+            generationService.openLog(stream, { conversationId: 'c', userId: 'u' });
+            generationService.closeLog(stream);
+
+            jest.advanceTimersByTime(generationService.resumeTtl - 1);
+            expect(generationService.getLog(stream)).not.toBeNull();
+
+            jest.advanceTimersByTime(1);
+            expect(generationService.getLog(stream)).toBeNull();
+        } finally {
+            jest.useRealTimers();
+        }
+    });
+});
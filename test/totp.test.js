@@ -0,0 +1,70 @@
+import { base32Encode, base32Decode, generateCode, verifyCode, currentCounter, buildOtpauthUri } from '../services/totp.js';
+
+// The SHA-1 secret from RFC 6238 appendix B ("12345678901234567890")
+const SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+describe('base32', () => {
+    test('round-trips and matches the RFC 4648 encoding', () => {
+        expect(SECRET).toBe('GEZDGNBVGY3TQOJQGEZDGNBVGY3TQOJQ');
+        expect(base32Decode(SECRET).toString()).toBe('12345678901234567890');
+        expect(base32Decode('gezdgnbv gy3tqojq====').toString()).toBe('1234567890');
+    });
+
+    test('rejects characters outside the alphabet', () => {
+        expect(() => base32Decode('GEZ1')).toThrow('Invalid base32 character');
+    });
+});
+
+describe('generateCode', () => {
+    // The last six digits of the RFC 6238 test vectors
+    test.each([
+        [59, '287082'],
+        [1111111109, '081804'],
+        [1111111111, '050471'],
+        [1234567890, '005924'],
+        [2000000000, '279037']
+    ])('at %i seconds', (seconds, code) => {
+        expect(generateCode(SECRET, currentCounter(seconds * 1000))).toBe(code);
+    });
+});
+
+describe('verifyCode', () => {
+    const time = 1234567890 * 1000;
+    const counter = currentCounter(time);
+
+    test('returns the matching counter for the current step', () => {
+        expect(verifyCode(SECRET, '005924', { time })).toBe(counter);
+    });
+
+    test('accepts one step of clock drift either side by default', () => {
+        expect(verifyCode(SECRET, generateCode(SECRET, counter - 1), { time })).toBe(counter - 1);
+        expect(verifyCode(SECRET, generateCode(SECRET, counter + 1), { time })).toBe(counter + 1);
+        expect(verifyCode(SECRET, generateCode(SECRET, counter + 2), { time })).toBeNull();
+        expect(verifyCode(SECRET, generateCode(SECRET, counter + 2), { time, window: 2 })).toBe(counter + 2);
+    });
+
+    test('ignores whitespace and rejects anything but six digits', () => {
+        expect(verifyCode(SECRET, '005 924', { time })).toBe(counter);
+        expect(verifyCode(SECRET, 5924, { time })).toBeNull();
+        expect(verifyCode(SECRET, '00592a', { time })).toBeNull();
+        expect(verifyCode(SECRET, '', { time })).toBeNull();
+        expect(verifyCode(SECRET, undefined, { time })).toBeNull();
+    });
+
+    test('rejects codes for another secret', () => {
+        expect(verifyCode(base32Encode(Buffer.from('another secret!!!!!!')), '005924', { time })).toBeNull();
+    });
+});
+
+describe('buildOtpauthUri', () => {
+    test('labels the account with the issuer', () => {
+        const uri = new URL(buildOtpauthUri({ secret: SECRET, account: 'alice', issuer: 'AI Chatbot' }));
+
+        expect(uri.protocol).toBe('otpauth:');
+        expect(uri.host).toBe('totp');
+        expect(decodeURIComponent(uri.pathname)).toBe('/AI Chatbot:alice');
+        expect(uri.searchParams.get('secret')).toBe(SECRET);
+        expect(uri.searchParams.get('digits')).toBe('6');
+        expect(uri.searchParams.get('period')).toBe('30');
+    });
+});
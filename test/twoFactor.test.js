@@ -0,0 +1,215 @@
+import { jest } from '@jest/globals';
+import request from 'supertest';
+import bcrypt from 'bcryptjs';
+import { authService } from '../services/authService.js';
+import { conversationService } from '../services/conversationService.js';
+import { gatewayService } from '../services/gatewayService.js';
+import { generateSecret, generateCode, currentCounter } from '../services/totp.js';
+import { createUser, bearer, createApp, startSocketServer } from './helpers.js';
+
+const app = createApp({
+    '/api/auth': authService.router,
+    '/api/conversations': conversationService.router,
+    '/v1': gatewayService.router
+});
+
+afterEach(() => {
+    authService.settings.delete('auth_policy');
+});
+
+describe('second factor', () => {
+    function withTwoFactor() {
+        const secret = generateSecret();
+        const user = createUser({
+            twoFactor: { enabled: true, secret, recoveryCodes: [authService.hashSecret('abcd-efgh')] }
+        });
+        return { user, secret };
+    }
+
+    test('accepts the current code only once', () => {
+        const { user, secret } = withTwoFactor();
+        const code = generateCode(secret);
+
+        expect(authService.verifySecondFactor(user, { code })).toBe(true);
+        expect(authService.verifySecondFactor(authService.users.get(user.username), { code })).toBe(false);
+    });
+
+    test('refuses codes older than the last one used', () => {
+        const { user, secret } = withTwoFactor();
+        const counter = currentCounter();
+
+        expect(authService.verifySecondFactor(user, { code: generateCode(secret, counter + 1) })).toBe(true);
+        expect(authService.verifySecondFactor(user, { code: generateCode(secret, counter) })).toBe(false);
+    });
+
+    test('rejects wrong codes and users without 2FA', () => {
+        const { user, secret } = withTwoFactor();
+        const counter = currentCounter();
+        const valid = [counter - 1, counter, counter + 1].map(step => generateCode(secret, step));
+        const wrong = ['000000', '111111', '222222', '333333'].find(code => !valid.includes(code));
+
+        expect(authService.verifySecondFactor(user, { code: wrong })).toBe(false);
+        expect(authService.verifySecondFactor(createUser(), { code: '123456' })).toBe(false);
+    });
+
+    test('spends a recovery code', () => {
+        const { user } = withTwoFactor();
+
+        expect(authService.verifySecondFactor(user, { recoveryCode: ' ABCD-EFGH ' })).toBe(true);
+        expect(authService.verifySecondFactor(user, { recoveryCode: 'abcd-efgh' })).toBe(false);
+    });
+});
+
+describe('enrollment and login', () => {
+    async function withPassword(fields) {
+        const user = createUser(fields);
+        authService.users.set(user.username, { ...user, password: await bcrypt.hash('hunter22', 4) });
+        return authService.users.get(user.username);
+    }
+
+    const login = (user, extra = {}) => request(app)
+        .post('/api/auth/login')
+        .send({ username: user.username, password: 'hunter22', ...extra });
+
+    // Enrolls through the routes; returns the secret and recovery codes
+    async function enroll(user) {
+        const auth = bearer(user);
+        const setup = await request(app).post('/api/auth/2fa/setup').set('Authorization', auth);
+        expect(setup.body.otpauthUrl).toContain(`secret=${setup.body.secret}`);
+
+        const enable = await request(app)
+            .post('/api/auth/2fa/enable')
+            .set('Authorization', auth)
+            .send({ code: generateCode(setup.body.secret, currentCounter() - 1) });
+        expect(enable.status).toBe(200);
+
+        return { secret: setup.body.secret, recoveryCodes: enable.body.recoveryCodes };
+    }
+
+    test('setup changes nothing until a code confirms it', async () => {
+        const user = await withPassword();
+        const auth = bearer(user);
+        await request(app).post('/api/auth/2fa/setup').set('Authorization', auth);
+
+        const wrong = await request(app).post('/api/auth/2fa/enable').set('Authorization', auth).send({ code: '12345' });
+        const status = await request(app).get('/api/auth/2fa').set('Authorization', auth);
+
+        expect(wrong.status).toBe(401);
+        expect(status.body.enabled).toBe(false);
+        expect((await login(user)).body.token).toBeDefined();
+    });
+
+    test('enabling returns ten recovery codes and stores only hashes', async () => {
+        const user = await withPassword();
+        const { recoveryCodes } = await enroll(user);
+
+        expect(recoveryCodes).toHaveLength(10);
+        const stored = authService.users.get(user.username).twoFactor;
+        expect(JSON.stringify(stored)).not.toContain(recoveryCodes[0]);
+        expect(authService.sanitizeUser(authService.users.get(user.username))).toMatchObject({ twoFactorEnabled: true });
+        expect(authService.sanitizeUser(authService.users.get(user.username))).not.toHaveProperty('twoFactor');
+    });
+
+    test('login answers with a challenge, finished by a code', async () => {
+        const user = await withPassword();
+        const { secret } = await enroll(user);
+
+        const first = await login(user);
+        expect(first.body).toEqual({ success: true, twoFactorRequired: true, challengeToken: expect.any(String) });
+
+        const bad = await request(app).post('/api/auth/login/2fa').send({ challengeToken: first.body.challengeToken, code: '000000' });
+        const good = await request(app).post('/api/auth/login/2fa').send({ challengeToken: first.body.challengeToken, code: generateCode(secret) });
+        const forged = await request(app).post('/api/auth/login/2fa').send({ challengeToken: bearer(user).slice(7), code: generateCode(secret, currentCounter() + 1) });
+
+        expect(bad.status).toBe(401);
+        expect(good.body.token).toBeDefined();
+        expect(forged.status).toBe(401);
+    });
+
+    test('a code or recovery code can come with the password', async () => {
+        const user = await withPassword();
+        const { secret, recoveryCodes } = await enroll(user);
+
+        expect((await login(user, { code: generateCode(secret) })).body.token).toBeDefined();
+        expect((await login(user, { recoveryCode: recoveryCodes[0] })).body.token).toBeDefined();
+        expect((await login(user, { recoveryCode: recoveryCodes[0] })).status).toBe(401);
+    });
+
+    test('disabling needs the password and a second factor', async () => {
+        const user = await withPassword();
+        const { recoveryCodes } = await enroll(user);
+        const auth = bearer(user);
+
+        const noPassword = await request(app).post('/api/auth/2fa/disable').set('Authorization', auth).send({ recoveryCode: recoveryCodes[0] });
+        const disabled = await request(app).post('/api/auth/2fa/disable').set('Authorization', auth).send({ password: 'hunter22', recoveryCode: recoveryCodes[1] });
+
+        expect(noPassword.status).toBe(401);
+        expect(disabled.status).toBe(200);
+        expect(authService.users.get(user.username).twoFactor).toBeUndefined();
+    });
+
+    test('admins can reset a lost device, ending the sessions', async () => {
+        const user = await withPassword();
+        await enroll(user);
+        const session = bearer(user);
+        const admin = createUser({ role: 'admin' });
+
+        const reset = await request(app).delete(`/api/auth/users/${user.username}/2fa`).set('Authorization', bearer(admin));
+
+        expect(reset.body.user.twoFactorEnabled).toBe(false);
+        expect(authService.verifyToken(session.slice(7))).toBeNull();
+    });
+});
+
+describe('role policy', () => {
+    const requireForUsers = () => authService.settings.set('auth_policy', { requireTwoFactorRoles: ['user'] });
+
+    test('admins edit the policy', async () => {
+        const admin = createUser({ role: 'admin' });
+
+        const updated = await request(app).put('/api/auth/policy').set('Authorization', bearer(admin)).send({ requireTwoFactorRoles: ['user'] });
+        const invalid = await request(app).put('/api/auth/policy').set('Authorization', bearer(admin)).send({ requireTwoFactorRoles: 'user' });
+        const denied = await request(app).put('/api/auth/policy').set('Authorization', bearer(createUser())).send({ requireTwoFactorRoles: [] });
+
+        expect(updated.body.policy).toMatchObject({ requireTwoFactorRoles: ['user'] });
+        expect(invalid.status).toBe(400);
+        expect(denied.status).toBe(403);
+    });
+
+    test('unenrolled users of a required role only reach the 2FA routes', async () => {
+        const user = createUser();
+        const auth = bearer(user);
+        const key = authService.createApiKey(user);
+        requireForUsers();
+
+        const blocked = await request(app).get('/api/conversations').set('Authorization', auth);
+        expect(blocked.status).toBe(403);
+        expect(blocked.body.pendingAction).toBe('two_factor_setup');
+
+        expect((await request(app).get('/api/auth/2fa').set('Authorization', auth)).body.required).toBe(true);
+        expect((await request(app).post('/api/auth/2fa/setup').set('Authorization', auth)).status).toBe(200);
+
+        const gateway = await request(app).get('/v1/models').set('Authorization', `Bearer ${key.secret}`);
+        expect(gateway.body.error.code).toBe('two_factor_setup');
+    });
+
+    test('required users cannot switch 2FA off', async () => {
+        const user = createUser({ twoFactor: { enabled: true, secret: generateSecret(), recoveryCodes: [] } });
+        requireForUsers();
+
+        const response = await request(app).post('/api/auth/2fa/disable').set('Authorization', bearer(user)).send({ password: 'x' });
+        expect(response.status).toBe(403);
+    });
+
+    test('sockets are refused until enrollment', async () => {
+        jest.spyOn(console, 'log').mockImplementation(() => {});
+        const server = await startSocketServer();
+        try {
+            requireForUsers();
+            await expect(server.connect(createUser())).rejects.toThrow('Two-factor authentication must be set up before continuing');
+        } finally {
+            await server.close();
+            console.log.mockRestore();
+        }
+    });
+});
@@ -0,0 +1,152 @@
+import crypto from 'crypto';
+import os from 'os';
+import path from 'path';
+import fs from 'fs/promises';
+import { Readable } from 'stream';
+import { v4 as uuidv4 } from 'uuid';
+import { uploadService } from '../services/uploadService.js';
+import { fileService } from '../services/fileService.js';
+
+const user = { id: uuidv4() };
+const sha256 = (data, encoding) => crypto.createHash('sha256').update(data).digest(encoding);
+const chunkChecksum = data => `sha256 ${sha256(data, 'base64')}`;
+
+let dir;
+
+beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'uploads-'));
+    await fs.mkdir(path.join(dir, '.extracted'));
+    await fs.mkdir(path.join(dir, '.partial'));
+
+    fileService.uploadDir = dir;
+    fileService.textDir = path.join(dir, '.extracted');
+    uploadService.partialDir = path.join(dir, '.partial');
+});
+
+afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+function append(session, data, headers = {}) {
+    return uploadService.append(session, Readable.from([Buffer.from(data)]), { offset: session.offset, ...headers });
+}
+
+async function partial(session) {
+    return fs.readFile(uploadService.partialPath(session), 'utf-8');
+}
+
+describe('creating an upload', () => {
+    test('starts at offset 0 with an empty partial file', async () => {
+        const session = await uploadService.create(user, { length: '10', filename: '../notes.txt', checksum: 'AB'.repeat(32) });
+
+        expect(session).toMatchObject({ offset: 0, length: 10, originalName: 'notes.txt', checksum: 'ab'.repeat(32) });
+        expect(await partial(session)).toBe('');
+        expect(uploadService.sessions.get(session.id).ownerId).toBe(user.id);
+    });
+
+    test.each([
+        [{ length: '0', filename: 'a.txt' }, 'Upload-Length must be a positive integer'],
+        [{ length: '1.5', filename: 'a.txt' }, 'Upload-Length must be a positive integer'],
+        [{ length: '5' }, 'Upload-Metadata must include a filename'],
+        [{ length: '5', filename: 'a.txt', checksum: 'abc' }, 'checksum must be a hex sha256 digest']
+    ])('rejects %p', async (metadata, message) => {
+        await expect(uploadService.create(user, metadata)).rejects.toMatchObject({ status: 400, message });
+    });
+
+    test('parses tus metadata', () => {
+        const encode = value => Buffer.from(value).toString('base64');
+        expect(uploadService.parseMetadata(`filename ${encode('résumé.txt')},filetype ${encode('text/plain')},flag`))
+            .toEqual({ filename: 'résumé.txt', filetype: 'text/plain', flag: '' });
+    });
+});
+
+describe('offsets', () => {
+    test('chunks append at the current offset', async () => {
+        const session = await uploadService.create(user, { length: '11', filename: 'hello.txt' });
+
+        const { session: after, file } = await append(session, 'hello ');
+        expect(after.offset).toBe(6);
+        expect(file).toBeUndefined();
+        expect(uploadService.sessions.get(session.id).offset).toBe(6);
+        expect(await partial(session)).toBe('hello ');
+
+        const done = await append(after, 'world');
+        expect(done.file).toMatchObject({ originalName: 'hello.txt', size: 11, ownerId: user.id, checksum: sha256('hello world', 'hex') });
+        expect(await fs.readFile(path.join(dir, done.file.filename), 'utf-8')).toBe('hello world');
+        expect(uploadService.sessions.has(session.id)).toBe(false);
+    });
+
+    test('a PATCH at the wrong offset is refused with 409', async () => {
+        const session = await uploadService.create(user, { length: '10', filename: 'a.txt' });
+        await append(session, 'abc');
+
+        await expect(append(session, 'def', { offset: 0 })).rejects.toMatchObject({ status: 409, message: 'Upload-Offset must be 3' });
+        await expect(append(session, 'def', { offset: '5' })).rejects.toMatchObject({ status: 409 });
+        expect(await partial(session)).toBe('abc');
+    });
+
+    test('a chunk past Upload-Length is dropped', async () => {
+        const session = await uploadService.create(user, { length: '5', filename: 'a.txt' });
+        await append(session, 'ab');
+
+        await expect(append(session, 'cdefg')).rejects.toMatchObject({ status: 413 });
+        expect(uploadService.sessions.get(session.id).offset).toBe(2);
+        expect(await partial(session)).toBe('ab');
+    });
+
+    test('only one PATCH writes to an upload at a time', async () => {
+        const session = await uploadService.create(user, { length: '10', filename: 'a.txt' });
+        uploadService.locked.add(session.id);
+
+        try {
+            await expect(append(session, 'abc')).rejects.toMatchObject({ status: 409 });
+        } finally {
+            uploadService.locked.delete(session.id);
+        }
+    });
+});
+
+describe('checksums', () => {
+    test('a chunk matching its Upload-Checksum is kept', async () => {
+        const session = await uploadService.create(user, { length: '10', filename: 'a.txt' });
+        await append(session, 'abc', { checksum: chunkChecksum('abc') });
+
+        expect(session.offset).toBe(3);
+        expect(await partial(session)).toBe('abc');
+    });
+
+    test('a mismatching chunk is dropped with 460 and can be resent', async () => {
+        const session = await uploadService.create(user, { length: '6', filename: 'a.txt' });
+        await append(session, 'abc');
+
+        await expect(append(session, 'xyz', { checksum: chunkChecksum('def') })).rejects.toMatchObject({ status: 460 });
+        expect(uploadService.sessions.get(session.id).offset).toBe(3);
+        expect(await partial(session)).toBe('abc');
+
+        const { file } = await append(session, 'def', { checksum: chunkChecksum('def') });
+        expect(file.size).toBe(6);
+    });
+
+    test.each(['md5 abc', 'sha256', 'sha256  '])('rejects the malformed header %p', async (checksum) => {
+        const session = await uploadService.create(user, { length: '3', filename: 'a.txt' });
+        await expect(append(session, 'abc', { checksum })).rejects.toMatchObject({ status: 400 });
+        expect(session.offset).toBe(0);
+    });
+
+    test('the whole-file checksum is checked on completion', async () => {
+        const session = await uploadService.create(user, { length: '6', filename: 'a.txt', checksum: sha256('abcdef', 'hex') });
+        await append(session, 'abc');
+
+        await expect(append(session, 'xyz')).rejects.toMatchObject({ status: 460, message: 'Checksum mismatch; the upload was discarded' });
+        expect(uploadService.sessions.has(session.id)).toBe(false);
+        await expect(fs.access(uploadService.partialPath(session))).rejects.toThrow();
+    });
+
+    test('a matching whole-file checksum completes the upload', async () => {
+        const session = await uploadService.create(user, { length: '6', filename: 'a.txt', checksum: sha256('abcdef', 'hex') });
+        await append(session, 'abc');
+
+        const { file } = await append(session, 'def');
+        expect(file.checksum).toBe(sha256('abcdef', 'hex'));
+    });
+});
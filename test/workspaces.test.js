@@ -0,0 +1,342 @@
+import { jest } from '@jest/globals';
+import os from 'os';
+import path from 'path';
+import zlib from 'zlib';
+import fs from 'fs/promises';
+import request from 'supertest';
+import { fileService } from '../services/fileService.js';
+import { retrievalService } from '../services/retrievalService.js';
+import { workspaceService } from '../services/workspaceService.js';
+import { conversationService } from '../services/conversationService.js';
+import { readArchive } from '../services/archive.js';
+import { parseGitignore, isIgnored } from '../services/gitignore.js';
+import { chunkCode } from '../services/codeChunker.js';
+import { createUser, bearer, createApp, authenticated } from './helpers.js';
+
+const app = createApp({ '/api/workspaces': workspaceService.router });
+
+let dir;
+let user;
+
+beforeAll(async () => {
+    dir = await fs.mkdtemp(path.join(os.tmpdir(), 'workspaces-'));
+    fileService.uploadDir = dir;
+    fileService.textDir = path.join(dir, '.extracted');
+    retrievalService.indexDir = path.join(dir, '.index');
+    workspaceService.rootDir = path.join(dir, 'workspaces');
+    await fs.mkdir(fileService.textDir);
+    await fs.mkdir(retrievalService.indexDir);
+});
+
+afterAll(async () => {
+    await fs.rm(dir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    user = createUser();
+});
+
+afterEach(() => {
+    jest.restoreAllMocks();
+});
+
+// entries: [path, contents] for files, or { path, link } for a symlink
+function zip(entries) {
+    const locals = [];
+    const centrals = [];
+    let offset = 0;
+
+    for (const entry of entries) {
+        const [name, contents] = Array.isArray(entry) ? entry : [entry.path, entry.link];
+        const nameBytes = Buffer.from(name);
+        const data = Buffer.from(contents);
+
+        const local = Buffer.alloc(30);
+        local.writeUInt32LE(0x04034b50, 0);
+        local.writeUInt32LE(data.length, 18);
+        local.writeUInt32LE(data.length, 22);
+        local.writeUInt16LE(nameBytes.length, 26);
+
+        const central = Buffer.alloc(46);
+        central.writeUInt32LE(0x02014b50, 0);
+        central.writeUInt16LE(Array.isArray(entry) ? 20 : (3 << 8) | 20, 4);
+        central.writeUInt32LE(data.length, 20);
+        central.writeUInt32LE(data.length, 24);
+        central.writeUInt16LE(nameBytes.length, 28);
+        central.writeUInt32LE(Array.isArray(entry) ? 0 : (0o120777 << 16) >>> 0, 38);
+        central.writeUInt32LE(offset, 42);
+
+        locals.push(local, nameBytes, data);
+        centrals.push(central, nameBytes);
+        offset += 30 + nameBytes.length + data.length;
+    }
+
+    const directory = Buffer.concat(centrals);
+    const end = Buffer.alloc(22);
+    end.writeUInt32LE(0x06054b50, 0);
+    end.writeUInt16LE(entries.length, 8);
+    end.writeUInt16LE(entries.length, 10);
+    end.writeUInt32LE(directory.length, 12);
+    end.writeUInt32LE(offset, 16);
+
+    return Buffer.concat([...locals, directory, end]);
+}
+
+// entries: [path, contents] for files, or { path, link } for a symlink
+function tar(entries) {
+    const blocks = [];
+
+    for (const entry of entries) {
+        const [name, contents] = Array.isArray(entry) ? entry : [entry.path, ''];
+        const data = Buffer.from(contents);
+        const header = Buffer.alloc(512);
+        header.write(name, 0);
+        header.write('0000644\0', 100);
+        header.write(`${data.length.toString(8).padStart(11, '0')}\0`, 124);
+        header.write(Array.isArray(entry) ? '0' : '2', 156);
+        if (!Array.isArray(entry)) header.write(entry.link, 157);
+        header.write('ustar\x0000', 257);
+
+        header.fill(0x20, 148, 156);
+        const sum = header.reduce((total, byte) => total + byte, 0);
+        header.write(`${sum.toString(8).padStart(6, '0')}\0 `, 148);
+
+        blocks.push(header, data, Buffer.alloc((512 - (data.length % 512)) % 512));
+    }
+
+    return Buffer.concat([...blocks, Buffer.alloc(1024)]);
+}
+
+async function createWorkspace(name, buffer, owner = user) {
+    const { record } = await fileService.storeBuffer(buffer, { originalName: name }, owner.id);
+    return await workspaceService.create(record, authenticated(owner));
+}
+
+const exists = file => fs.access(file).then(() => true, () => false);
+
+describe('archives', () => {
+    test('zip and tar entries are listed with their types and contents', () => {
+        const entries = [['src/app.js', 'run()'], { path: 'current', link: '/etc/passwd' }];
+
+        for (const buffer of [zip(entries), tar(entries), zlib.gzipSync(tar(entries))]) {
+            const listed = readArchive(buffer);
+            expect(listed.map(entry => [entry.path, entry.type])).toEqual([['src/app.js', 'file'], ['current', 'link']]);
+            expect(listed[0].read().toString()).toBe('run()');
+        }
+    });
+
+    test('size limits stop decompression with a 413', () => {
+        const big = 'x'.repeat(10000);
+
+        expect(() => readArchive(zlib.gzipSync(tar([['big.txt', big]])), { maxBytes: 2048 })).toThrow(expect.objectContaining({ status: 413 }));
+        expect(() => readArchive(zip([['big.txt', big]]))[0].read(100)).toThrow(expect.objectContaining({ status: 413 }));
+        expect(() => readArchive(tar([['big.txt', big]]))[0].read(100)).toThrow(expect.objectContaining({ status: 413 }));
+    });
+
+    test('anything else is refused', () => {
+        expect(() => readArchive(Buffer.from('just some text'))).toThrow(expect.objectContaining({ status: 400 }));
+    });
+});
+
+describe('gitignore', () => {
+    test('rules apply below their file, anchored or at any depth, with negation', () => {
+        const rules = [
+            ...parseGitignore('*.log\n!keep.log\n/dist\nbuild/\n# comment'),
+            ...parseGitignore('secret.txt', 'config')
+        ];
+
+        expect(isIgnored(rules, 'a/b/debug.log')).toBe(true);
+        expect(isIgnored(rules, 'keep.log')).toBe(false);
+        expect(isIgnored(rules, 'dist/app.js')).toBe(true);
+        expect(isIgnored(rules, 'src/dist/app.js')).toBe(false);
+        expect(isIgnored(rules, 'src/build/out.js')).toBe(true);
+        expect(isIgnored(rules, 'build', { directory: false })).toBe(false);
+        expect(isIgnored(rules, 'config/secret.txt')).toBe(true);
+        expect(isIgnored(rules, 'secret.txt')).toBe(false);
+    });
+});
+
+describe('code chunking', () => {
+    test('files are cut at their declarations, which are named', () => {
+        const code = 'function first() {\n    return 1;\n}\n\nfunction second() {\n    return 2;\n}\n';
+
+        const chunks = chunkCode(code, 'javascript', { chunkSize: 40, overlap: 0 });
+
+        expect(chunks.map(chunk => chunk.symbols)).toEqual([['first'], ['second']]);
+        expect(chunks[1]).toMatchObject({ startLine: 5, endLine: 7 });
+    });
+});
+
+describe('extraction', () => {
+    test('unsafe paths, links, ignored and oversized files are skipped', async () => {
+        const maxFileSize = workspaceService.maxFileSize;
+        workspaceService.maxFileSize = 100;
+        try {
+            const workspace = await createWorkspace('repo.zip', zip([
+                ['repo-main/src/app.js', 'export function start() {}\n'],
+                ['repo-main/../../escape.txt', 'zip slip'],
+                ['repo-main/.gitignore', 'secrets/\n'],
+                ['repo-main/secrets/key.txt', 'hidden'],
+                ['repo-main/node_modules/lib/index.js', 'vendored'],
+                ['repo-main/big.txt', 'x'.repeat(200)],
+                { path: 'repo-main/passwd', link: '/etc/passwd' }
+            ]));
+
+            expect(workspace).toMatchObject({ ownerId: user.id, name: 'repo-main', fileCount: 2, languages: { javascript: 1 } });
+            expect(workspace.skipped).toEqual({ unsafe: 1, links: 1, ignored: 2, tooLarge: 1 });
+            expect(await exists(path.join(dir, 'escape.txt'))).toBe(false);
+            expect(await exists(path.join(workspaceService.rootDir, 'escape.txt'))).toBe(false);
+
+            const files = (await fs.readdir(workspaceService.filesDir(workspace.id), { recursive: true })).sort();
+            expect(files).toEqual(['.gitignore', 'src', 'src/app.js']);
+        } finally {
+            workspaceService.maxFileSize = maxFileSize;
+        }
+    });
+
+    test('an oversized .gitignore is skipped, not fatal', async () => {
+        const maxFileSize = workspaceService.maxFileSize;
+        workspaceService.maxFileSize = 100;
+        try {
+            const workspace = await createWorkspace('huge-ignore.tar', tar([
+                ['.gitignore', `${'#'.repeat(200)}\n*.js\n`],
+                ['app.js', 'start();\n']
+            ]));
+
+            expect(workspace).toMatchObject({ fileCount: 1, skipped: { tooLarge: 1, ignored: 0 } });
+        } finally {
+            workspaceService.maxFileSize = maxFileSize;
+        }
+    });
+
+    test('a failed index build leaves no workspace behind', async () => {
+        jest.spyOn(workspaceService, 'buildIndex').mockRejectedValue(new Error('disk full'));
+        const before = workspaceService.workspaces.values().length;
+
+        await expect(createWorkspace('doomed.tar', tar([['a.js', 'a();\n']]))).rejects.toThrow('disk full');
+
+        expect(workspaceService.workspaces.values()).toHaveLength(before);
+        expect((await fs.readdir(workspaceService.rootDir)).sort()).toEqual(
+            workspaceService.workspaces.values().map(workspace => workspace.id).sort()
+        );
+    });
+
+    test('absolute paths are unsafe', () => {
+        expect(workspaceService.safePath('/etc/passwd')).toBeNull();
+        expect(workspaceService.safePath('C:\\Windows\\x')).toBeNull();
+        expect(workspaceService.safePath('a/./b//c')).toBe('a/b/c');
+    });
+
+    test('too many files or bytes fail the whole archive and leave nothing behind', async () => {
+        const maxFiles = workspaceService.maxFiles;
+        workspaceService.maxFiles = 1;
+        try {
+            const before = workspaceService.workspaces.values().length;
+            await expect(createWorkspace('many.tar', tar([['a.txt', 'a'], ['b.txt', 'b']]))).rejects.toMatchObject({ status: 413 });
+            expect(workspaceService.workspaces.values()).toHaveLength(before);
+            expect((await fs.readdir(workspaceService.rootDir)).sort()).toEqual(
+                workspaceService.workspaces.values().map(workspace => workspace.id).sort()
+            );
+        } finally {
+            workspaceService.maxFiles = maxFiles;
+        }
+    });
+});
+
+describe('routes', () => {
+    test('create, browse, search and delete', async () => {
+        const archive = tar([
+            ['lib/math.js', 'export function addNumbers(a, b) {\n    return a + b;\n}\n'],
+            ['README.md', '# Math\nAdds things.\n']
+        ]);
+
+        const created = await request(app).post('/api/workspaces').set('Authorization', bearer(user))
+            .field('name', 'Math').attach('archive', archive, 'math.tar');
+        expect(created.status).toBe(201);
+        const { id } = created.body.workspace;
+
+        const shown = await request(app).get(`/api/workspaces/${id}`).set('Authorization', bearer(user));
+        expect(shown.body.tree.map(node => [node.name, node.type])).toEqual([['lib', 'directory'], ['README.md', 'file']]);
+
+        const search = await request(app).get(`/api/workspaces/${id}/search?q=add numbers`).set('Authorization', bearer(user));
+        expect(search.body.results[0]).toMatchObject({ path: 'lib/math.js', symbols: ['addNumbers'] });
+
+        const file = await request(app).get(`/api/workspaces/${id}/files/lib/math.js`).set('Authorization', bearer(user));
+        expect(file.body.file).toMatchObject({ language: 'javascript', symbols: ['addNumbers'] });
+
+        const stranger = await request(app).get(`/api/workspaces/${id}`).set('Authorization', bearer(createUser()));
+        expect(stranger.status).toBe(404);
+
+        expect((await request(app).delete(`/api/workspaces/${id}`).set('Authorization', bearer(user))).status).toBe(200);
+        expect(await exists(workspaceService.workspaceDir(id))).toBe(false);
+    });
+
+    test('an upload that is not an archive is refused', async () => {
+        const response = await request(app).post('/api/workspaces').set('Authorization', bearer(user))
+            .attach('archive', Buffer.from('not an archive'), 'fake.zip');
+
+        expect(response.status).toBe(400);
+    });
+});
+
+describe('chat context', () => {
+    test('@path pulls a file in whole and the workspace is remembered', async () => {
+        const workspace = await createWorkspace('app.tar', tar([
+            ['src/server.js', 'export function listen(port) {\n    return port;\n}\n'],
+            ['src/client.js', 'export function connect(url) {\n    return url;\n}\n'],
+            ['package.json', '{}']
+        ]));
+        const conversationId = conversationService.createConversation('Code', {}, { ownerId: user.id });
+
+        const { context, sources } = await retrievalService.buildContext({
+            workspaceId: workspace.id, user: authenticated(user), conversationId, query: 'Explain @src/server.js and @nope.js'
+        });
+
+        expect(sources[0]).toMatchObject({ workspaceId: workspace.id, path: 'src/server.js', lines: '1-3' });
+        expect(context).toContain('[1] src/server.js, lines 1-3\nexport function listen(port)');
+        expect(context).toContain('@nope.js: no such file in the workspace');
+        expect(conversationService.getConversation(conversationId).metadata.workspaceId).toBe(workspace.id);
+
+        const later = await retrievalService.buildContext({ user: authenticated(user), conversationId, query: 'how does connect work' });
+        expect(later.sources[0].path).toBe('src/client.js');
+    });
+
+    test('a question that matches no code gets the start of each file', async () => {
+        const workspace = await createWorkspace('small.tar', tar([['one.js', 'const a = 1;\n'], ['two.js', 'const b = 2;\n']]));
+
+        const { sources } = await retrievalService.buildContext({ workspaceId: workspace.id, user: authenticated(user), query: 'summarize this' });
+
+        expect(sources.map(source => source.path).sort()).toEqual(['one.js', 'two.js']);
+    });
+
+    test("other users' workspaces are reported, not quoted", async () => {
+        const workspace = await createWorkspace('private.tar', tar([['a.js', 'const secret = 1;\n']]), createUser());
+
+        const conversationId = conversationService.createConversation('Snooping', {}, { ownerId: user.id });
+
+        const { context } = await retrievalService.buildContext({ workspaceId: workspace.id, user: authenticated(user), conversationId, query: 'secret' });
+
+        expect(context).toContain(`Workspace ${workspace.id}: Workspace not found`);
+        expect(context).not.toContain('const secret');
+        expect(conversationService.getConversation(conversationId).metadata.workspaceId).toBeUndefined();
+    });
+
+    test('parsed indexes are kept in memory, the least recently used dropped first', async () => {
+        const indexCacheSize = workspaceService.indexCacheSize;
+        workspaceService.indexCacheSize = 1;
+        try {
+            const first = await createWorkspace('first.tar', tar([['a.js', 'const a = 1;\n']]));
+            const index = await workspaceService.getIndex(first);
+            const read = jest.spyOn(fs, 'readFile');
+
+            expect(await workspaceService.getIndex(first)).toBe(index);
+            expect(read).not.toHaveBeenCalled();
+
+            await createWorkspace('second.tar', tar([['b.js', 'const b = 2;\n']]));
+            expect(workspaceService.indexes.has(first.id)).toBe(false);
+            expect((await workspaceService.getIndex(first)).files).toEqual(index.files);
+        } finally {
+            workspaceService.indexCacheSize = indexCacheSize;
+        }
+    });
+});